@@ -0,0 +1,65 @@
+/**
+ * Rolling Return Engine Benchmark
+ * 
+ * Compares the linear-time rolling engine against the original
+ * Map + day-offset search on a synthetic 20-year NAV series,
+ * for every precomputed analytics window.
+ * 
+ * Run with: npm run bench:rolling
+ */
+
+import { performance } from 'node:perf_hooks';
+import { calculateRollingWindows } from '../src/services/analyticsService.js';
+import { parseWindow } from '../src/utils/analyticsWindow.js';
+import config from '../src/config/index.js';
+import {
+  referenceRollingReturns,
+  referenceRollingCAGRs,
+  generateNavSeries,
+} from '../tests/helpers/rollingReference.js';
+
+const YEARS = 20;
+const ITERATIONS = 5;
+
+/**
+ * Runs fn ITERATIONS times and returns the last result and the median duration
+ */
+function time(fn) {
+  const durations = [];
+  let result;
+
+  for (let i = 0; i < ITERATIONS; i++) {
+    const start = performance.now();
+    result = fn();
+    durations.push(performance.now() - start);
+  }
+
+  durations.sort((a, b) => a - b);
+  return { result, ms: durations[Math.floor(ITERATIONS / 2)] };
+}
+
+const navHistory = generateNavSeries(YEARS);
+const windows = config.analyticsWindows;
+
+const reference = time(() => Object.fromEntries(windows.map(window => {
+  const { days, years } = parseWindow(window);
+  return [window, {
+    returns: referenceRollingReturns(navHistory, days),
+    cagrs: referenceRollingCAGRs(navHistory, years),
+  }];
+})));
+
+const engine = time(() => calculateRollingWindows(navHistory, windows));
+
+// Results must be identical, not just close
+const identical = windows.every(window =>
+  JSON.stringify(engine.result[window]) === JSON.stringify(reference.result[window]));
+
+console.log(`Synthetic series: ${YEARS} years, ${navHistory.length} NAVs`);
+console.log(`Windows: ${windows.join(', ')}`);
+console.log(`Original (Map + offset search): ${reference.ms.toFixed(1)} ms`);
+console.log(`Linear engine (two-pointer):    ${engine.ms.toFixed(1)} ms`);
+console.log(`Speedup: ${(reference.ms / engine.ms).toFixed(1)}x`);
+console.log(`Identical results: ${identical}`);
+
+process.exit(identical ? 0 : 1);
@@ -13,6 +13,11 @@ import { logger, createRequestLogger } from './logger/index.js';
 import fundsRouter from './routes/funds.js';
 import syncRouter from './routes/sync.js';
 import adminRouter from './routes/admin.js';
+import benchmarksRouter from './routes/benchmarks.js';
+import categoriesRouter from './routes/categories.js';
+import portfoliosRouter from './routes/portfolios.js';
+import investorsRouter from './routes/investors.js';
+import scoringProfilesRouter from './routes/scoringProfiles.js';
 
 const app = express();
 
@@ -91,6 +96,11 @@ app.get('/health', (req, res) => {
 app.use('/funds', fundsRouter);
 app.use('/sync', syncRouter);
 app.use('/admin', adminRouter);
+app.use('/benchmarks', benchmarksRouter);
+app.use('/categories', categoriesRouter);
+app.use('/portfolios', portfoliosRouter);
+app.use('/investors', investorsRouter);
+app.use('/scoring-profiles', scoringProfilesRouter);
 
 // =============================================================================
 // Error Handling
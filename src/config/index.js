@@ -8,6 +8,7 @@
  */
 
 import dotenv from 'dotenv';
+import { parseWindow, parseWindowList } from '../utils/analyticsWindow.js';
 dotenv.config();
 
 const nodeEnv = process.env.NODE_ENV || 'development';
@@ -56,6 +57,14 @@ if (process.env.MYSQL_URL) {
   console.log('Using individual MYSQL_* vars for database connection');
 }
 
+// Precomputed analytics windows; falls back to the defaults if the
+// ANALYTICS_WINDOWS list is missing or contains no valid entries
+const defaultAnalyticsWindows = '6M,1Y,2Y,3Y,5Y,7Y,10Y';
+const configuredWindows = parseWindowList(process.env.ANALYTICS_WINDOWS);
+const analyticsWindows = configuredWindows.length > 0
+  ? configuredWindows
+  : parseWindowList(defaultAnalyticsWindows);
+
 const config = {
   // Server settings
   server: {
@@ -141,15 +150,100 @@ const config = {
     mustInclude: ['Direct', 'Growth'],
   },
 
-  // Analytics windows for precomputation
-  analyticsWindows: ['1Y', '3Y', '5Y', '10Y'],
+  // Analytics windows for precomputation (comma-separated, e.g. "6M,1Y,900D")
+  // Other windows are computed on demand by GET /funds/:code/analytics
+  analyticsWindows,
+
+  // Window to days mapping for the precomputed windows
+  windowToDays: Object.fromEntries(
+    analyticsWindows.map(window => [window, parseWindow(window).days])
+  ),
+
+  // Cache for analytics computed on demand (non-precomputed windows and as_of queries)
+  analyticsCache: {
+    ttlSeconds: parseInt(process.env.ANALYTICS_CACHE_TTL_SECONDS, 10) || 6 * 60 * 60,
+    // As-of (point-in-time) results only depend on past NAVs, so keep them longer
+    asOfTtlSeconds: parseInt(process.env.ANALYTICS_AS_OF_CACHE_TTL_SECONDS, 10) || 7 * 24 * 60 * 60,
+  },
+
+  // Retention for dated analytics snapshots (analytics_snapshots table)
+  analyticsSnapshots: {
+    // Keep every daily snapshot for this many days
+    dailyRetentionDays: parseInt(process.env.SNAPSHOT_DAILY_RETENTION_DAYS, 10) || 365,
+    // Beyond that keep month-end snapshots only, up to this many days
+    monthlyRetentionDays: parseInt(process.env.SNAPSHOT_MONTHLY_RETENTION_DAYS, 10) || 365 * 10,
+  },
+
+  // Risk-adjusted return settings (volatility, Sharpe, Sortino)
+  riskMetrics: {
+    // Annual risk-free rate as decimal (e.g., 0.065 for 6.5%)
+    riskFreeRate: parseFloat(process.env.RISK_FREE_RATE) || 0.065,
+    // Trading days used to annualize daily return statistics
+    tradingDaysPerYear: parseInt(process.env.TRADING_DAYS_PER_YEAR, 10) || 252,
+  },
+
+  // Capital gains tax on equity fund units (Income Tax Act sections 111A / 112A)
+  // Rates apply by sale date; the last entry holds the current rates
+  capitalGainsTax: {
+    // Units held for more than this many months are long term
+    longTermMonths: 12,
+    // Units bought on or before this date use the higher of their cost and this
+    // day's NAV (capped at the sale value) as cost of acquisition
+    grandfatheringDate: '2018-01-31',
+    // Categories taxed as equity funds; keys are matched case-insensitively
+    // against funds.category. Sales of other schemes are reported separately, untaxed.
+    equityCategories: ['Equity', 'Large Cap', 'Mid Cap', 'Small Cap', 'Flexi Cap', 'Multi Cap', 'ELSS'],
+    // Health and education cess on the tax (surcharge is not modelled)
+    cessRate: parseFloat(process.env.TAX_CESS_RATE) || 0.04,
+    rates: [
+      { effectiveFrom: '2008-04-01', stcgRate: 0.15, ltcgRate: 0, ltcgExemption: 0 },
+      { effectiveFrom: '2018-04-01', stcgRate: 0.15, ltcgRate: 0.10, ltcgExemption: 100000 },
+      {
+        effectiveFrom: '2024-07-23',
+        stcgRate: parseFloat(process.env.STCG_TAX_RATE) || 0.20,
+        ltcgRate: parseFloat(process.env.LTCG_TAX_RATE) || 0.125,
+        ltcgExemption: parseFloat(process.env.LTCG_EXEMPTION_LIMIT) || 125000,
+      },
+    ],
+  },
+
+  // Rolling-return distribution (GET /funds/:code/analytics/distribution)
+  returnDistribution: {
+    defaultBuckets: 20,
+    maxBuckets: 100,
+    // Upper limit on max_points when down-sampling the rolling-return series
+    maxSeriesPoints: 5000,
+  },
+
+  // Monte Carlo goal projection (POST /funds/:code/projection)
+  projection: {
+    // Simulated paths per request (default and upper limit)
+    defaultSimulations: parseInt(process.env.PROJECTION_SIMULATIONS, 10) || 5000,
+    maxSimulations: parseInt(process.env.PROJECTION_MAX_SIMULATIONS, 10) || 20000,
+    // Consecutive monthly returns drawn together, keeping short-run momentum and mean reversion
+    blockMonths: parseInt(process.env.PROJECTION_BLOCK_MONTHS, 10) || 12,
+    // Months of return history required before projecting
+    minHistoryMonths: 36,
+    maxHorizonYears: 40,
+  },
+
+  // Composite scores (GET /funds/rank?profile=)
+  scoring: {
+    // Funds need values for at least this share of a profile's weight to be scored
+    minWeightCoverage: parseFloat(process.env.SCORING_MIN_WEIGHT_COVERAGE) || 0.5,
+  },
+
+  // Consistency ranking (GET /funds/rank?sort_by=consistency)
+  consistency: {
+    // Windows and complete calendar years a fund must be ranked in to be included
+    minPeriods: parseInt(process.env.CONSISTENCY_MIN_PERIODS, 10) || 3,
+  },
 
-  // Window to days mapping
-  windowToDays: {
-    '1Y': 365,
-    '3Y': 365 * 3,
-    '5Y': 365 * 5,
-    '10Y': 365 * 10,
+  // Benchmark index for each fund category
+  // Keys are matched case-insensitively against funds.category
+  categoryBenchmarks: {
+    'Mid Cap': 'NIFTY_MIDCAP_150_TRI',
+    'Small Cap': 'NIFTY_SMALLCAP_250_TRI',
   },
 };
 
@@ -12,11 +12,26 @@ import * as db from '../db/connection.js';
  */
 const toNull = (val) => (val === undefined ? null : val);
 
+// Tail risk columns: {method}_{var|cvar}{95|99}_{daily|monthly}, then return moments
+export const TAIL_RISK_COLUMNS = ['historical', 'gaussian', 'cornish_fisher'].flatMap(method =>
+  ['daily', 'monthly'].flatMap(horizon =>
+    ['var95', 'var99', 'cvar95', 'cvar99'].map(measure => `${method}_${measure}_${horizon}`)
+  )
+).concat(['return_skewness', 'return_excess_kurtosis']);
+
+/**
+ * Converts a snake_case column name to the camelCase analytics key
+ * 
+ * @param {string} column - Column name (e.g., gaussian_var95_daily)
+ * @returns {string} Analytics key (e.g., gaussianVar95Daily)
+ */
+const toCamelCase = (column) => column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
 /**
  * Inserts or updates analytics for a scheme and window
  * 
  * @param {string} schemeCode - Scheme code
- * @param {string} windowType - Window type (1Y, 3Y, 5Y, 10Y)
+ * @param {string} windowType - Window label (e.g., 6M, 1Y, 3Y)
  * @param {Object} analytics - Analytics data
  * @returns {Promise<Object>} Result with affectedRows
  */
@@ -28,9 +43,19 @@ export async function upsert(schemeCode, windowType, analytics) {
       rolling_return_p25, rolling_return_p75,
       max_drawdown,
       cagr_min, cagr_max, cagr_median,
+      volatility, downside_deviation, sharpe_ratio, sortino_ratio,
+      ulcer_index, calmar_ratio,
+      ${TAIL_RISK_COLUMNS.join(', ')},
+      benchmark_code, beta, alpha, tracking_error, information_ratio,
+      up_capture, down_capture,
+      sip_xirr_min, sip_xirr_median, sip_xirr_max,
       data_start_date, data_end_date,
       computed_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ) VALUES (
+      ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+      ${TAIL_RISK_COLUMNS.map(() => '?').join(', ')},
+      ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP
+    )
     ON DUPLICATE KEY UPDATE
       rolling_return_min = VALUES(rolling_return_min),
       rolling_return_max = VALUES(rolling_return_max),
@@ -41,6 +66,23 @@ export async function upsert(schemeCode, windowType, analytics) {
       cagr_min = VALUES(cagr_min),
       cagr_max = VALUES(cagr_max),
       cagr_median = VALUES(cagr_median),
+      volatility = VALUES(volatility),
+      downside_deviation = VALUES(downside_deviation),
+      sharpe_ratio = VALUES(sharpe_ratio),
+      sortino_ratio = VALUES(sortino_ratio),
+      ulcer_index = VALUES(ulcer_index),
+      calmar_ratio = VALUES(calmar_ratio),
+      ${TAIL_RISK_COLUMNS.map(c => `${c} = VALUES(${c})`).join(',\n      ')},
+      benchmark_code = VALUES(benchmark_code),
+      beta = VALUES(beta),
+      alpha = VALUES(alpha),
+      tracking_error = VALUES(tracking_error),
+      information_ratio = VALUES(information_ratio),
+      up_capture = VALUES(up_capture),
+      down_capture = VALUES(down_capture),
+      sip_xirr_min = VALUES(sip_xirr_min),
+      sip_xirr_median = VALUES(sip_xirr_median),
+      sip_xirr_max = VALUES(sip_xirr_max),
       data_start_date = VALUES(data_start_date),
       data_end_date = VALUES(data_end_date),
       computed_at = CURRENT_TIMESTAMP
@@ -58,6 +100,23 @@ export async function upsert(schemeCode, windowType, analytics) {
     toNull(analytics.cagrMin),
     toNull(analytics.cagrMax),
     toNull(analytics.cagrMedian),
+    toNull(analytics.volatility),
+    toNull(analytics.downsideDeviation),
+    toNull(analytics.sharpeRatio),
+    toNull(analytics.sortinoRatio),
+    toNull(analytics.ulcerIndex),
+    toNull(analytics.calmarRatio),
+    ...TAIL_RISK_COLUMNS.map(c => toNull(analytics[toCamelCase(c)])),
+    toNull(analytics.benchmarkCode),
+    toNull(analytics.beta),
+    toNull(analytics.alpha),
+    toNull(analytics.trackingError),
+    toNull(analytics.informationRatio),
+    toNull(analytics.upCapture),
+    toNull(analytics.downCapture),
+    toNull(analytics.sipXirrMin),
+    toNull(analytics.sipXirrMedian),
+    toNull(analytics.sipXirrMax),
     toNull(analytics.dataStartDate),
     toNull(analytics.dataEndDate),
   ]);
@@ -67,7 +126,7 @@ export async function upsert(schemeCode, windowType, analytics) {
  * Finds analytics for a scheme by window type
  * 
  * @param {string} schemeCode - Scheme code
- * @param {string} windowType - Window type (1Y, 3Y, 5Y, 10Y)
+ * @param {string} windowType - Window label (e.g., 6M, 1Y, 3Y)
  * @returns {Promise<Object|null>} Analytics record or null
  */
 export async function findBySchemeAndWindow(schemeCode, windowType) {
@@ -83,16 +142,60 @@ export async function findBySchemeAndWindow(schemeCode, windowType) {
  * Finds all analytics for a scheme (all windows)
  * 
  * @param {string} schemeCode - Scheme code
+ * @param {Array<string>} windowOrder - Window labels in display order; other windows sort last
  * @returns {Promise<Array>} Array of analytics records
  */
-export async function findAllByScheme(schemeCode) {
+export async function findAllByScheme(schemeCode, windowOrder = []) {
+  if (windowOrder.length === 0) {
+    return db.query('SELECT * FROM analytics WHERE scheme_code = ? ORDER BY window_type', [schemeCode]);
+  }
+  
+  const placeholders = windowOrder.map(() => '?').join(', ');
   const sql = `
     SELECT * FROM analytics
     WHERE scheme_code = ?
-    ORDER BY FIELD(window_type, '1Y', '3Y', '5Y', '10Y')
+    ORDER BY FIELD(window_type, ${placeholders}) = 0, FIELD(window_type, ${placeholders})
+  `;
+  
+  return db.query(sql, [schemeCode, ...windowOrder, ...windowOrder]);
+}
+
+/**
+ * Finds all stored analytics with each fund's category
+ * 
+ * @returns {Promise<Array>} Analytics records with a category field
+ */
+export async function findAllWithCategory() {
+  const sql = `
+    SELECT a.*, f.category
+    FROM analytics a
+    INNER JOIN funds f ON f.scheme_code = a.scheme_code
+    ORDER BY f.category, a.window_type, a.scheme_code
+  `;
+  
+  return db.query(sql);
+}
+
+/**
+ * Finds stored analytics for the funds of a category in the given windows
+ * 
+ * @param {string} category - Category name or fragment (LIKE match, as in ranking)
+ * @param {Array<string>} windows - Window labels
+ * @returns {Promise<Array>} Analytics records with category, scheme_name and amc fields
+ */
+export async function findByCategoryAndWindows(category, windows) {
+  if (windows.length === 0) return [];
+
+  const sql = `
+    SELECT a.*, f.category, f.scheme_name, f.amc
+    FROM analytics a
+    INNER JOIN funds f ON f.scheme_code = a.scheme_code
+    WHERE f.category LIKE ?
+      AND a.window_type IN (${windows.map(() => '?').join(', ')})
+    ORDER BY f.category, a.scheme_code, a.window_type
   `;
   
-  return db.query(sql, [schemeCode]);
+  return db.query(sql, [`%${category}%`, ...windows]);
 }
 
 /**
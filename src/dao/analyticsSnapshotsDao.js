@@ -0,0 +1,268 @@
+/**
+ * Analytics Snapshots DAO
+ *
+ * Data Access Object for analytics_snapshots table.
+ * Keeps a dated copy of analytics rows for history and rank-over-time queries.
+ */
+
+import * as db from '../db/connection.js';
+
+// Metric columns copied from the analytics table into each snapshot
+const METRIC_COLUMNS = [
+  'rolling_return_min', 'rolling_return_max', 'rolling_return_median',
+  'rolling_return_p25', 'rolling_return_p75',
+  'max_drawdown',
+  'cagr_min', 'cagr_max', 'cagr_median',
+  'volatility', 'downside_deviation', 'sharpe_ratio', 'sortino_ratio',
+  'ulcer_index', 'calmar_ratio',
+  'historical_var95_daily', 'historical_var99_daily', 'historical_cvar95_daily', 'historical_cvar99_daily',
+  'historical_var95_monthly', 'historical_var99_monthly', 'historical_cvar95_monthly', 'historical_cvar99_monthly',
+  'gaussian_var95_daily', 'gaussian_var99_daily', 'gaussian_cvar95_daily', 'gaussian_cvar99_daily',
+  'gaussian_var95_monthly', 'gaussian_var99_monthly', 'gaussian_cvar95_monthly', 'gaussian_cvar99_monthly',
+  'cornish_fisher_var95_daily', 'cornish_fisher_var99_daily', 'cornish_fisher_cvar95_daily', 'cornish_fisher_cvar99_daily',
+  'cornish_fisher_var95_monthly', 'cornish_fisher_var99_monthly', 'cornish_fisher_cvar95_monthly', 'cornish_fisher_cvar99_monthly',
+  'return_skewness', 'return_excess_kurtosis',
+  'benchmark_code', 'beta', 'alpha', 'tracking_error', 'information_ratio',
+  'up_capture', 'down_capture',
+  'sip_xirr_min', 'sip_xirr_median', 'sip_xirr_max',
+  'data_start_date', 'data_end_date',
+];
+
+// IDs per DELETE, keeping placeholders well under the prepared statement limit
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Snapshots the current analytics row for a scheme and window.
+ * A second snapshot on the same day replaces the first.
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {string} windowType - Window label
+ * @param {string} snapshotDate - Snapshot date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Result with affectedRows
+ */
+export async function snapshotFromAnalytics(schemeCode, windowType, snapshotDate) {
+  const columns = METRIC_COLUMNS.join(', ');
+  const updates = METRIC_COLUMNS.map(c => `${c} = VALUES(${c})`).join(',\n      ');
+
+  const sql = `
+    INSERT INTO analytics_snapshots (
+      snapshot_date, scheme_code, window_type, ${columns}, computed_at
+    )
+    SELECT ?, scheme_code, window_type, ${columns}, computed_at
+    FROM analytics
+    WHERE scheme_code = ? AND window_type = ?
+    ON DUPLICATE KEY UPDATE
+      ${updates},
+      computed_at = VALUES(computed_at)
+  `;
+
+  return db.execute(sql, [snapshotDate, schemeCode, windowType]);
+}
+
+/**
+ * Finds the snapshots for a scheme and window, oldest first
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {string} windowType - Window label
+ * @param {Object} range - Optional {from, to} snapshot dates (YYYY-MM-DD)
+ * @returns {Promise<Array>} Snapshot rows
+ */
+export async function findBySchemeAndWindow(schemeCode, windowType, { from = null, to = null } = {}) {
+  let sql = `
+    SELECT * FROM analytics_snapshots
+    WHERE scheme_code = ? AND window_type = ?
+  `;
+  const params = [schemeCode, windowType];
+
+  if (from) {
+    sql += ' AND snapshot_date >= ?';
+    params.push(from);
+  }
+
+  if (to) {
+    sql += ' AND snapshot_date <= ?';
+    params.push(to);
+  }
+
+  sql += ' ORDER BY snapshot_date ASC';
+
+  return db.query(sql, params);
+}
+
+/**
+ * Finds the metric values of a scheme's category peers on each of its snapshot dates
+ *
+ * @param {Object} params - {schemeCode, category, windowType, sortColumn, from, to}
+ *   - category: Category name or fragment (LIKE match, as in ranking)
+ *   - sortColumn: Whitelisted analytics column (see fundsDao.resolveRankSort)
+ * @returns {Promise<Array>} Rows of {snapshot_date, scheme_code, metric_value}, oldest first
+ */
+export async function findCategoryMetricHistory({
+  schemeCode, category, windowType, sortColumn, from = null, to = null,
+}) {
+  const params = [`%${category}%`, windowType, schemeCode, windowType];
+  let dateFilter = '';
+
+  if (from) {
+    dateFilter += ' AND s.snapshot_date >= ?';
+    params.push(from);
+  }
+
+  if (to) {
+    dateFilter += ' AND s.snapshot_date <= ?';
+    params.push(to);
+  }
+
+  const sql = `
+    SELECT s.snapshot_date, s.scheme_code, s.${sortColumn} AS metric_value
+    FROM analytics_snapshots s
+    INNER JOIN funds f ON f.scheme_code = s.scheme_code
+    WHERE f.category LIKE ?
+      AND s.window_type = ?
+      AND s.${sortColumn} IS NOT NULL
+      AND s.snapshot_date IN (
+        SELECT snapshot_date
+        FROM analytics_snapshots
+        WHERE scheme_code = ? AND window_type = ?
+      )
+      ${dateFilter}
+    ORDER BY s.snapshot_date ASC, s.scheme_code ASC
+  `;
+
+  return db.query(sql, params);
+}
+
+// Keeps each scheme's latest snapshot on or before an as-of date whose data
+// ends by then; older days keep only month-end snapshots (see snapshotService)
+const LATEST_AS_OF_CONDITION = `
+  s.snapshot_date = (
+    SELECT MAX(latest.snapshot_date)
+    FROM analytics_snapshots latest
+    WHERE latest.scheme_code = s.scheme_code
+      AND latest.window_type = s.window_type
+      AND latest.snapshot_date <= ?
+      AND latest.data_end_date <= ?
+  )
+`;
+
+/**
+ * Counts a category's funds with a snapshot for a window as of a date
+ *
+ * @param {Object} params - {category (substring match, as in /funds/rank), windowType, asOf}
+ * @returns {Promise<number>} Number of funds
+ */
+export async function countByCategoryAsOf({ category, windowType, asOf }) {
+  const result = await db.queryOne(`
+    SELECT COUNT(*) AS total
+    FROM analytics_snapshots s
+    INNER JOIN funds f ON f.scheme_code = s.scheme_code
+    WHERE f.category LIKE ?
+      AND s.window_type = ?
+      AND ${LATEST_AS_OF_CONDITION}
+  `, [`%${category}%`, windowType, asOf, asOf]);
+
+  return result ? Number(result.total) : 0;
+}
+
+/**
+ * Ranks a category's funds by a metric of their latest snapshots as of a date
+ *
+ * Mirrors fundsDao.rankByMetric, with the NAV on each snapshot's data end date.
+ *
+ * @param {Object} params - {category, windowType, asOf, sortColumn, ascending, limit, offset}
+ *   sortColumn must be a whitelisted analytics column (see fundsDao.resolveRankSort)
+ * @returns {Promise<Array>} Ranked funds (ties in scheme code order)
+ */
+export async function rankByMetricAsOf({
+  category, windowType, asOf, sortColumn, ascending, limit, offset,
+}) {
+  const sortOrder = ascending ? 'ASC' : 'DESC';
+
+  const sql = `
+    SELECT
+      f.scheme_code,
+      f.scheme_name,
+      f.amc,
+      f.category,
+      s.*,
+      nh.nav AS latest_nav,
+      nh.nav_date AS latest_nav_date
+    FROM analytics_snapshots s
+    INNER JOIN funds f ON f.scheme_code = s.scheme_code
+    LEFT JOIN nav_history nh ON nh.scheme_code = s.scheme_code
+      AND nh.nav_date = s.data_end_date
+    WHERE f.category LIKE ?
+      AND s.window_type = ?
+      AND ${LATEST_AS_OF_CONDITION}
+      AND s.${sortColumn} IS NOT NULL
+    ORDER BY s.${sortColumn} ${sortOrder}, f.scheme_code
+    LIMIT ? OFFSET ?
+  `;
+
+  return db.query(sql, [
+    `%${category}%`, windowType, asOf, asOf, parseInt(limit, 10), parseInt(offset, 10),
+  ]);
+}
+
+/**
+ * Deletes every snapshot taken before a date
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+export async function deleteBefore(date) {
+  const result = await db.execute('DELETE FROM analytics_snapshots WHERE snapshot_date < ?', [date]);
+  return result.affectedRows;
+}
+
+/**
+ * Finds the snapshots the daily retention rule may prune
+ *
+ * Returns the snapshots before a date, starting from the earliest month
+ * in which some scheme and window has more than one snapshot; months
+ * before that are already down to their month-end snapshot.
+ *
+ * @param {string} before - Exclusive end date (YYYY-MM-DD), the start of a month
+ * @returns {Promise<Array>} Rows of {id, scheme_code, window_type, snapshot_date}
+ */
+export async function findPruneCandidates(before) {
+  const first = await db.queryOne(`
+    SELECT MIN(month_start) AS since
+    FROM (
+      SELECT MIN(snapshot_date) AS month_start
+      FROM analytics_snapshots
+      WHERE snapshot_date < ?
+      GROUP BY scheme_code, window_type, YEAR(snapshot_date), MONTH(snapshot_date)
+      HAVING COUNT(*) > 1
+    ) months
+  `, [before]);
+
+  if (!first || !first.since) return [];
+
+  return db.query(`
+    SELECT id, scheme_code, window_type, snapshot_date
+    FROM analytics_snapshots
+    WHERE snapshot_date >= ? AND snapshot_date < ?
+  `, [first.since, before]);
+}
+
+/**
+ * Deletes snapshots by ID
+ *
+ * @param {Array<number>} ids - Snapshot IDs
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+export async function deleteByIds(ids) {
+  let deleted = 0;
+
+  for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+    const batch = ids.slice(i, i + DELETE_BATCH_SIZE);
+    const result = await db.execute(
+      `DELETE FROM analytics_snapshots WHERE id IN (${batch.map(() => '?').join(', ')})`,
+      batch
+    );
+    deleted += result.affectedRows;
+  }
+
+  return deleted;
+}
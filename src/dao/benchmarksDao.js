@@ -0,0 +1,103 @@
+/**
+ * Benchmarks DAO
+ * 
+ * Data Access Object for benchmarks and benchmark_history tables.
+ * All benchmark-related database queries are centralized here.
+ */
+
+import * as db from '../db/connection.js';
+
+/**
+ * Inserts or updates a benchmark record
+ * 
+ * @param {Object} benchmark - Benchmark data {benchmarkCode, name}
+ * @returns {Promise<Object>} Result with affectedRows
+ */
+export async function upsert(benchmark) {
+  const sql = `
+    INSERT INTO benchmarks (benchmark_code, name)
+    VALUES (?, ?)
+    ON DUPLICATE KEY UPDATE
+      name = VALUES(name),
+      updated_at = CURRENT_TIMESTAMP
+  `;
+  
+  return db.execute(sql, [benchmark.benchmarkCode, benchmark.name]);
+}
+
+/**
+ * Finds all benchmarks with their level date range
+ * 
+ * @returns {Promise<Array>} Array of benchmark records
+ */
+export async function findAll() {
+  const sql = `
+    SELECT 
+      b.*,
+      MIN(bh.level_date) as start_date,
+      MAX(bh.level_date) as end_date,
+      COUNT(bh.id) as data_points
+    FROM benchmarks b
+    LEFT JOIN benchmark_history bh ON b.benchmark_code = bh.benchmark_code
+    GROUP BY b.benchmark_code
+    ORDER BY b.benchmark_code
+  `;
+  
+  return db.query(sql);
+}
+
+/**
+ * Finds a benchmark by code
+ * 
+ * @param {string} benchmarkCode - Benchmark code
+ * @returns {Promise<Object|null>} Benchmark record or null
+ */
+export async function findByCode(benchmarkCode) {
+  const sql = 'SELECT * FROM benchmarks WHERE benchmark_code = ?';
+  return db.queryOne(sql, [benchmarkCode]);
+}
+
+/**
+ * Bulk upserts benchmark index levels
+ * Uses INSERT ... ON DUPLICATE KEY UPDATE for idempotency
+ * 
+ * @param {string} benchmarkCode - Benchmark code
+ * @param {Array} levels - Array of {date, level} objects
+ * @returns {Promise<number>} Number of rows affected
+ */
+export async function bulkUpsertLevels(benchmarkCode, levels) {
+  if (!levels || levels.length === 0) {
+    return 0;
+  }
+
+  const values = levels.map(l => [benchmarkCode, l.date, l.level]);
+  const placeholders = values.map(() => '(?, ?, ?)').join(', ');
+  const flatValues = values.flat();
+
+  const sql = `
+    INSERT INTO benchmark_history (benchmark_code, level_date, level)
+    VALUES ${placeholders}
+    ON DUPLICATE KEY UPDATE
+      level = VALUES(level)
+  `;
+
+  const result = await db.execute(sql, flatValues);
+  return result.affectedRows;
+}
+
+/**
+ * Gets all index levels for a benchmark
+ * 
+ * @param {string} benchmarkCode - Benchmark code
+ * @returns {Promise<Array>} Array of {date, level} objects sorted by date ascending
+ */
+export async function findLevelsByCode(benchmarkCode) {
+  const sql = `
+    SELECT level_date as date, level
+    FROM benchmark_history
+    WHERE benchmark_code = ?
+    ORDER BY level_date ASC
+  `;
+  
+  return db.query(sql, [benchmarkCode]);
+}
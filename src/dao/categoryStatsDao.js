@@ -0,0 +1,137 @@
+/**
+ * Category Stats DAO
+ *
+ * Data Access Object for category_stats and category_percentiles tables.
+ * Both tables are rebuilt together after each analytics run.
+ */
+
+import * as db from '../db/connection.js';
+
+/**
+ * Helper to convert undefined to null (MySQL doesn't accept undefined)
+ */
+const toNull = (val) => (val === undefined ? null : val);
+
+// Rows per INSERT, keeping placeholders well under the prepared statement limit
+const BATCH_SIZE = 1000;
+
+/**
+ * Inserts rows in batches on a transaction connection
+ *
+ * @param {Object} connection - Connection with an active transaction
+ * @param {string} insertSql - INSERT ... VALUES prefix
+ * @param {string} rowPlaceholder - Placeholder group for one row
+ * @param {Array<Array>} values - Row values
+ */
+async function insertBatched(connection, insertSql, rowPlaceholder, values) {
+  for (let i = 0; i < values.length; i += BATCH_SIZE) {
+    const batch = values.slice(i, i + BATCH_SIZE);
+    const placeholders = batch.map(() => rowPlaceholder).join(', ');
+    await connection.execute(`${insertSql} ${placeholders}`, batch.flat());
+  }
+}
+
+/**
+ * Replaces all category stats and percentiles in one transaction,
+ * so readers never see a half-rebuilt set.
+ *
+ * @param {Array} stats - Array of {category, windowType, metric, count, mean, median, p25, p75, min, max}
+ * @param {Array} percentiles - Array of {schemeCode, category, windowType, metric, percentile, quartile}
+ * @returns {Promise<Object>} {stats, percentiles} row counts written
+ */
+export async function replaceAll(stats, percentiles) {
+  const connection = await db.beginTransaction();
+
+  try {
+    await connection.execute('DELETE FROM category_stats');
+    await connection.execute('DELETE FROM category_percentiles');
+
+    const statValues = stats.map(s => [
+      s.category,
+      s.windowType,
+      s.metric,
+      s.count,
+      toNull(s.mean),
+      toNull(s.median),
+      toNull(s.p25),
+      toNull(s.p75),
+      toNull(s.min),
+      toNull(s.max),
+    ]);
+    await insertBatched(connection, `
+      INSERT INTO category_stats (
+        category, window_type, metric, fund_count,
+        mean_value, median_value, p25_value, p75_value, min_value, max_value,
+        computed_at
+      ) VALUES`, '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)', statValues);
+
+    const percentileValues = percentiles.map(p => [
+      p.schemeCode,
+      p.category,
+      p.windowType,
+      p.metric,
+      p.percentile,
+      p.quartile,
+    ]);
+    await insertBatched(connection, `
+      INSERT INTO category_percentiles (
+        scheme_code, category, window_type, metric, percentile, quartile, computed_at
+      ) VALUES`, '(?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)', percentileValues);
+
+    await connection.commit();
+    return { stats: stats.length, percentiles: percentiles.length };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Lists the categories that have stats
+ *
+ * @returns {Promise<Array<string>>} Category names
+ */
+export async function findCategories() {
+  const rows = await db.query('SELECT DISTINCT category FROM category_stats ORDER BY category');
+  return rows.map(row => row.category);
+}
+
+/**
+ * Finds the stats for a category, optionally for one window
+ *
+ * @param {string} category - Exact category name
+ * @param {string|null} windowType - Optional window label
+ * @returns {Promise<Array>} category_stats rows
+ */
+export async function findByCategory(category, windowType = null) {
+  let sql = 'SELECT * FROM category_stats WHERE category = ?';
+  const params = [category];
+
+  if (windowType) {
+    sql += ' AND window_type = ?';
+    params.push(windowType);
+  }
+
+  sql += ' ORDER BY window_type, metric';
+
+  return db.query(sql, params);
+}
+
+/**
+ * Finds a scheme's percentile ranks for a window
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {string} windowType - Window label
+ * @returns {Promise<Array>} category_percentiles rows (one per metric)
+ */
+export async function findPercentiles(schemeCode, windowType) {
+  const sql = `
+    SELECT * FROM category_percentiles
+    WHERE scheme_code = ? AND window_type = ?
+    ORDER BY metric
+  `;
+
+  return db.query(sql, [schemeCode, windowType]);
+}
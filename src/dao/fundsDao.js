@@ -6,6 +6,41 @@
  */
 
 import * as db from '../db/connection.js';
+import { buildKeysetClause } from '../utils/pagination.js';
+
+// Fund columns as sort expressions for list pages (nullable ones coalesced for keyset seeks)
+const FUND_COLUMNS = {
+  scheme_code: 'scheme_code',
+  scheme_name: 'scheme_name',
+  amc: 'amc',
+  category: 'category',
+  scheme_type: "COALESCE(scheme_type, '')",
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+};
+
+/**
+ * Builds the WHERE clause for the category/amc list filters
+ * 
+ * @param {Object} filters - Optional filters {category, amc} (substring matches)
+ * @returns {Object} {sql, params}
+ */
+function buildFundFilters(filters) {
+  let sql = 'WHERE 1=1';
+  const params = [];
+
+  if (filters.category) {
+    sql += ' AND category LIKE ?';
+    params.push(`%${filters.category}%`);
+  }
+
+  if (filters.amc) {
+    sql += ' AND amc LIKE ?';
+    params.push(`%${filters.amc}%`);
+  }
+
+  return { sql, params };
+}
 
 /**
  * Inserts or updates a fund record
@@ -41,22 +76,56 @@ export async function upsert(fund) {
  * @returns {Promise<Array>} Array of fund records
  */
 export async function findAll(filters = {}) {
-  let sql = 'SELECT * FROM funds WHERE 1=1';
-  const params = [];
+  const where = buildFundFilters(filters);
+  const sql = `SELECT * FROM funds ${where.sql} ORDER BY amc, category, scheme_name`;
 
-  if (filters.category) {
-    sql += ' AND category LIKE ?';
-    params.push(`%${filters.category}%`);
-  }
+  return db.query(sql, where.params);
+}
 
-  if (filters.amc) {
-    sql += ' AND amc LIKE ?';
-    params.push(`%${filters.amc}%`);
-  }
+/**
+ * Lists the fund columns list pages can be sorted by and return
+ * 
+ * @returns {Array<string>} Column names
+ */
+export function listColumns() {
+  return Object.keys(FUND_COLUMNS);
+}
 
-  sql += ' ORDER BY amc, category, scheme_name';
-  
-  return db.query(sql, params);
+/**
+ * Finds one keyset page of funds
+ * 
+ * Fetches limit + 1 rows so the caller can tell whether more follow
+ * (see utils/pagination.js toKeysetPage).
+ * 
+ * @param {Object} filters - Optional filters {category, amc}
+ * @param {Object} page - {sort, after, limit} from parseListQuery
+ * @returns {Promise<Array>} Up to limit + 1 fund records
+ */
+export async function findPage(filters, { sort, after, limit }) {
+  const where = buildFundFilters(filters);
+  const keyset = buildKeysetClause(sort, after, FUND_COLUMNS);
+
+  const sql = `
+    SELECT * FROM funds
+    ${where.sql}${keyset.where ? ` AND ${keyset.where}` : ''}
+    ORDER BY ${keyset.orderBy}
+    LIMIT ?
+  `;
+
+  return db.query(sql, [...where.params, ...keyset.params, parseInt(limit, 10) + 1]);
+}
+
+/**
+ * Counts funds matching the list filters
+ * 
+ * @param {Object} filters - Optional filters {category, amc}
+ * @returns {Promise<number>} Number of funds
+ */
+export async function count(filters = {}) {
+  const where = buildFundFilters(filters);
+  const result = await db.queryOne(`SELECT COUNT(*) AS total FROM funds ${where.sql}`, where.params);
+
+  return result ? Number(result.total) : 0;
 }
 
 /**
@@ -104,21 +173,52 @@ export async function findWithCompletedBackfill() {
   return db.query(sql);
 }
 
+// sort_by values accepted by ranking and the analytics column each one sorts on
+const rankSortColumns = {
+  'median_return': 'rolling_return_median',
+  'max_drawdown': 'max_drawdown',
+  'cagr_median': 'cagr_median',
+  'volatility': 'volatility',
+  'downside_deviation': 'downside_deviation',
+  'sharpe_ratio': 'sharpe_ratio',
+  'sortino_ratio': 'sortino_ratio',
+};
+
+// Lower is better for these metrics. Drawdowns are stored as negative decimals,
+// so a higher (shallower) max_drawdown is better and it is not listed.
+const ascendingRankMetrics = ['volatility', 'downside_deviation'];
+
 /**
- * Ranks funds by analytics metric within a category
+ * Lists the sort_by values accepted by ranking
+ * 
+ * @returns {Array<string>} Metric names (e.g., median_return, sharpe_ratio)
+ */
+export function listRankMetrics() {
+  return Object.keys(rankSortColumns);
+}
+
+/**
+ * Resolves a sort_by value to its analytics column and direction
  * 
- * @param {Object} params - Query parameters {category, sortBy, window, limit}
- * @returns {Promise<Array>} Ranked funds
+ * @param {string} sortBy - sort_by value (defaults to median_return if unknown)
+ * @returns {{column: string, ascending: boolean}} Sort column and direction
  */
-export async function rankByMetric({ category, sortBy, window, limit = 5 }) {
-  const sortColumnMap = {
-    'median_return': 'rolling_return_median',
-    'max_drawdown': 'max_drawdown',
-    'cagr_median': 'cagr_median',
+export function resolveRankSort(sortBy) {
+  return {
+    column: rankSortColumns[sortBy] || 'rolling_return_median',
+    ascending: ascendingRankMetrics.includes(sortBy),
   };
-  
-  const sortColumn = sortColumnMap[sortBy] || 'rolling_return_median';
-  const sortOrder = sortBy === 'max_drawdown' ? 'ASC' : 'DESC';
+}
+
+/**
+ * Ranks funds by analytics metric within a category
+ * 
+ * @param {Object} params - Query parameters {category, sortBy, window, limit, offset}
+ * @returns {Promise<Array>} Ranked funds (ties in scheme code order)
+ */
+export async function rankByMetric({ category, sortBy, window, limit = 5, offset = 0 }) {
+  const { column: sortColumn, ascending } = resolveRankSort(sortBy);
+  const sortOrder = ascending ? 'ASC' : 'DESC';
   
   const sql = `
     SELECT 
@@ -136,6 +236,10 @@ export async function rankByMetric({ category, sortBy, window, limit = 5 }) {
       a.cagr_min,
       a.cagr_max,
       a.cagr_median,
+      a.volatility,
+      a.downside_deviation,
+      a.sharpe_ratio,
+      a.sortino_ratio,
       nh.nav as latest_nav,
       nh.nav_date as latest_nav_date
     FROM funds f
@@ -149,9 +253,9 @@ export async function rankByMetric({ category, sortBy, window, limit = 5 }) {
     WHERE f.category LIKE ?
       AND a.window_type = ?
       AND a.${sortColumn} IS NOT NULL
-    ORDER BY a.${sortColumn} ${sortOrder}
-    LIMIT ?
+    ORDER BY a.${sortColumn} ${sortOrder}, f.scheme_code
+    LIMIT ? OFFSET ?
   `;
   
-  return db.query(sql, [`%${category}%`, window, parseInt(limit, 10)]);
+  return db.query(sql, [`%${category}%`, window, parseInt(limit, 10), parseInt(offset, 10)]);
 }
@@ -10,3 +10,11 @@ export * as navHistoryDao from './navHistoryDao.js';
 export * as analyticsDao from './analyticsDao.js';
 export * as syncStateDao from './syncStateDao.js';
 export * as pipelineStatusDao from './pipelineStatusDao.js';
+export * as benchmarksDao from './benchmarksDao.js';
+export * as returnsDao from './returnsDao.js';
+export * as analyticsSnapshotsDao from './analyticsSnapshotsDao.js';
+export * as categoryStatsDao from './categoryStatsDao.js';
+export * as portfoliosDao from './portfoliosDao.js';
+export * as transactionsDao from './transactionsDao.js';
+export * as screenDao from './screenDao.js';
+export * as scoringProfilesDao from './scoringProfilesDao.js';
@@ -72,13 +72,46 @@ export async function findByDateRange(schemeCode, startDate, endDate) {
   return db.query(sql, [schemeCode, startDate, endDate]);
 }
 
+/**
+ * Gets the last NAV on or before a date
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} {date, nav} or null if there is no NAV on or before the date
+ */
+export async function findLatestOnOrBefore(schemeCode, date) {
+  const sql = `
+    SELECT nav_date as date, nav
+    FROM nav_history
+    WHERE scheme_code = ?
+      AND nav_date <= ?
+    ORDER BY nav_date DESC
+    LIMIT 1
+  `;
+  
+  return db.queryOne(sql, [schemeCode, date]);
+}
+
 /**
  * Gets all NAV history for a scheme
  * 
  * @param {string} schemeCode - Scheme code
+ * @param {string|null} endDate - Optional last date to include (YYYY-MM-DD)
  * @returns {Promise<Array>} Array of {date, nav} objects sorted by date ascending
  */
-export async function findAllByScheme(schemeCode) {
+export async function findAllByScheme(schemeCode, endDate = null) {
+  if (endDate) {
+    const sql = `
+      SELECT nav_date as date, nav
+      FROM nav_history
+      WHERE scheme_code = ?
+        AND nav_date <= ?
+      ORDER BY nav_date ASC
+    `;
+    
+    return db.query(sql, [schemeCode, endDate]);
+  }
+  
   const sql = `
     SELECT nav_date as date, nav
     FROM nav_history
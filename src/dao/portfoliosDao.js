@@ -0,0 +1,148 @@
+/**
+ * Portfolios DAO
+ *
+ * Data Access Object for portfolios and portfolio_holdings tables.
+ * A portfolio and its holdings are always written together in one transaction.
+ */
+
+import * as db from '../db/connection.js';
+
+/**
+ * Helper to convert undefined to null (MySQL doesn't accept undefined)
+ */
+const toNull = (val) => (val === undefined ? null : val);
+
+/**
+ * Inserts holdings for a portfolio on a transaction connection
+ *
+ * @param {Object} connection - Connection with an active transaction
+ * @param {number} portfolioId - Portfolio ID
+ * @param {Array} holdings - Array of {schemeCode, weight}
+ */
+async function insertHoldings(connection, portfolioId, holdings) {
+  const placeholders = holdings.map(() => '(?, ?, ?)').join(', ');
+  const values = holdings.flatMap(h => [portfolioId, h.schemeCode, h.weight]);
+
+  await connection.execute(`
+    INSERT INTO portfolio_holdings (portfolio_id, scheme_code, weight)
+    VALUES ${placeholders}
+  `, values);
+}
+
+/**
+ * Creates a portfolio with its holdings
+ *
+ * @param {Object} portfolio - {name, description, rebalanceFrequency, holdings: [{schemeCode, weight}]}
+ * @returns {Promise<number>} New portfolio ID
+ */
+export async function create(portfolio) {
+  const connection = await db.beginTransaction();
+
+  try {
+    const [result] = await connection.execute(`
+      INSERT INTO portfolios (name, description, rebalance_frequency)
+      VALUES (?, ?, ?)
+    `, [portfolio.name, toNull(portfolio.description), portfolio.rebalanceFrequency]);
+
+    await insertHoldings(connection, result.insertId, portfolio.holdings);
+
+    await connection.commit();
+    return result.insertId;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Replaces a portfolio's details and holdings
+ *
+ * @param {number} id - Portfolio ID
+ * @param {Object} portfolio - {name, description, rebalanceFrequency, holdings: [{schemeCode, weight}]}
+ * @returns {Promise<boolean>} True if the portfolio exists and was updated
+ */
+export async function update(id, portfolio) {
+  const connection = await db.beginTransaction();
+
+  try {
+    const [result] = await connection.execute(`
+      UPDATE portfolios
+      SET name = ?, description = ?, rebalance_frequency = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [portfolio.name, toNull(portfolio.description), portfolio.rebalanceFrequency, id]);
+
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return false;
+    }
+
+    await connection.execute('DELETE FROM portfolio_holdings WHERE portfolio_id = ?', [id]);
+    await insertHoldings(connection, id, portfolio.holdings);
+
+    await connection.commit();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Deletes a portfolio (holdings cascade)
+ *
+ * @param {number} id - Portfolio ID
+ * @returns {Promise<boolean>} True if a portfolio was deleted
+ */
+export async function remove(id) {
+  const result = await db.execute('DELETE FROM portfolios WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Finds all portfolios with their number of holdings
+ *
+ * @returns {Promise<Array>} Array of portfolio records
+ */
+export async function findAll() {
+  const sql = `
+    SELECT p.*, COUNT(h.id) AS holdings_count
+    FROM portfolios p
+    LEFT JOIN portfolio_holdings h ON h.portfolio_id = p.id
+    GROUP BY p.id
+    ORDER BY p.id
+  `;
+
+  return db.query(sql);
+}
+
+/**
+ * Finds a portfolio by ID
+ *
+ * @param {number} id - Portfolio ID
+ * @returns {Promise<Object|null>} Portfolio record or null
+ */
+export async function findById(id) {
+  return db.queryOne('SELECT * FROM portfolios WHERE id = ?', [id]);
+}
+
+/**
+ * Finds the holdings of a portfolio with fund details
+ *
+ * @param {number} id - Portfolio ID
+ * @returns {Promise<Array>} Array of {scheme_code, weight, scheme_name, category, amc}
+ */
+export async function findHoldings(id) {
+  const sql = `
+    SELECT h.scheme_code, h.weight, f.scheme_name, f.category, f.amc
+    FROM portfolio_holdings h
+    INNER JOIN funds f ON f.scheme_code = h.scheme_code
+    WHERE h.portfolio_id = ?
+    ORDER BY h.weight DESC, h.scheme_code
+  `;
+
+  return db.query(sql, [id]);
+}
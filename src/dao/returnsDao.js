@@ -0,0 +1,105 @@
+/**
+ * Returns DAO
+ * 
+ * Data Access Object for fund_returns table.
+ * Stores trailing and calendar-year point returns per scheme.
+ */
+
+import * as db from '../db/connection.js';
+
+/**
+ * Helper to convert undefined to null (MySQL doesn't accept undefined)
+ */
+const toNull = (val) => (val === undefined ? null : val);
+
+/**
+ * Bulk upserts point returns for a scheme
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @param {Array} rows - Array of {periodType, period, returnValue, startDate, endDate,
+ *   startNav, endNav, isAnnualized, isPartial}
+ * @returns {Promise<number>} Number of rows affected
+ */
+export async function bulkUpsert(schemeCode, rows) {
+  if (!rows || rows.length === 0) {
+    return 0;
+  }
+
+  const values = rows.map(r => [
+    schemeCode,
+    r.periodType,
+    r.period,
+    toNull(r.returnValue),
+    toNull(r.startDate),
+    toNull(r.endDate),
+    toNull(r.startNav),
+    toNull(r.endNav),
+    r.isAnnualized ? 1 : 0,
+    r.isPartial ? 1 : 0,
+  ]);
+  const placeholders = values.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)').join(', ');
+
+  const sql = `
+    INSERT INTO fund_returns (
+      scheme_code, period_type, period, return_value,
+      start_date, end_date, start_nav, end_nav,
+      is_annualized, is_partial, computed_at
+    )
+    VALUES ${placeholders}
+    ON DUPLICATE KEY UPDATE
+      return_value = VALUES(return_value),
+      start_date = VALUES(start_date),
+      end_date = VALUES(end_date),
+      start_nav = VALUES(start_nav),
+      end_nav = VALUES(end_nav),
+      is_annualized = VALUES(is_annualized),
+      is_partial = VALUES(is_partial),
+      computed_at = CURRENT_TIMESTAMP
+  `;
+
+  const result = await db.execute(sql, values.flat());
+  return result.affectedRows;
+}
+
+/**
+ * Finds all point returns for a scheme
+ * Trailing periods come first in factsheet order, then calendar years (newest first).
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @returns {Promise<Array>} Array of fund_returns records
+ */
+export async function findByScheme(schemeCode) {
+  const sql = `
+    SELECT * FROM fund_returns
+    WHERE scheme_code = ?
+    ORDER BY
+      FIELD(period_type, 'trailing', 'calendar_year'),
+      FIELD(period, '1M', '3M', '6M', 'YTD', '1Y', '3Y', '5Y'),
+      period DESC
+  `;
+  
+  return db.query(sql, [schemeCode]);
+}
+
+/**
+ * Finds complete calendar-year returns for the funds of a category
+ * (partial first and current years are left out so every fund is compared
+ * over the same full year)
+ * 
+ * @param {string} category - Category name or fragment (LIKE match, as in ranking)
+ * @returns {Promise<Array>} Array of {scheme_code, period, return_value, category, scheme_name, amc}
+ */
+export async function findCalendarYearsByCategory(category) {
+  const sql = `
+    SELECT r.scheme_code, r.period, r.return_value, f.category, f.scheme_name, f.amc
+    FROM fund_returns r
+    INNER JOIN funds f ON f.scheme_code = r.scheme_code
+    WHERE f.category LIKE ?
+      AND r.period_type = 'calendar_year'
+      AND r.is_partial = FALSE
+      AND r.return_value IS NOT NULL
+    ORDER BY f.category, r.period, r.scheme_code
+  `;
+  
+  return db.query(sql, [`%${category}%`]);
+}
@@ -0,0 +1,104 @@
+/**
+ * Scoring Profiles DAO
+ *
+ * Data Access Object for scoring_profiles and scoring_profile_metrics tables.
+ * A profile and its metric weights are always written together in one transaction.
+ */
+
+import * as db from '../db/connection.js';
+
+/**
+ * Helper to convert undefined to null (MySQL doesn't accept undefined)
+ */
+const toNull = (val) => (val === undefined ? null : val);
+
+/**
+ * Creates or replaces a profile and its metric weights
+ *
+ * @param {Object} profile - {name, description, normalization, metrics: [{metric, window, weight}]}
+ * @returns {Promise<boolean>} True if the profile was created, false if replaced
+ */
+export async function upsert(profile) {
+  const connection = await db.beginTransaction();
+
+  try {
+    const [result] = await connection.execute(`
+      INSERT INTO scoring_profiles (name, description, normalization)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        description = VALUES(description),
+        normalization = VALUES(normalization),
+        updated_at = CURRENT_TIMESTAMP
+    `, [profile.name, toNull(profile.description), profile.normalization]);
+
+    const [[{ id }]] = await connection.execute(
+      'SELECT id FROM scoring_profiles WHERE name = ?',
+      [profile.name]
+    );
+
+    await connection.execute('DELETE FROM scoring_profile_metrics WHERE profile_id = ?', [id]);
+
+    const placeholders = profile.metrics.map(() => '(?, ?, ?, ?)').join(', ');
+    const values = profile.metrics.flatMap(m => [id, m.metric, m.window, m.weight]);
+    await connection.execute(`
+      INSERT INTO scoring_profile_metrics (profile_id, metric, window_type, weight)
+      VALUES ${placeholders}
+    `, values);
+
+    await connection.commit();
+    // affectedRows is 1 for a new row and 2 for an updated one
+    return result.affectedRows === 1;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Deletes a profile (metric weights cascade)
+ *
+ * @param {string} name - Profile name
+ * @returns {Promise<boolean>} True if a profile was deleted
+ */
+export async function remove(name) {
+  const result = await db.execute('DELETE FROM scoring_profiles WHERE name = ?', [name]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Finds all profiles
+ *
+ * @returns {Promise<Array>} Array of profile records
+ */
+export async function findAll() {
+  return db.query('SELECT * FROM scoring_profiles ORDER BY name');
+}
+
+/**
+ * Finds a profile by name
+ *
+ * @param {string} name - Profile name
+ * @returns {Promise<Object|null>} Profile record or null
+ */
+export async function findByName(name) {
+  return db.queryOne('SELECT * FROM scoring_profiles WHERE name = ?', [name]);
+}
+
+/**
+ * Finds the metric weights of a profile
+ *
+ * @param {number} profileId - Profile ID
+ * @returns {Promise<Array>} Array of {metric, window_type, weight}
+ */
+export async function findMetrics(profileId) {
+  const sql = `
+    SELECT metric, window_type, weight
+    FROM scoring_profile_metrics
+    WHERE profile_id = ?
+    ORDER BY weight DESC, metric, window_type
+  `;
+
+  return db.query(sql, [profileId]);
+}
@@ -0,0 +1,246 @@
+/**
+ * Screen DAO
+ *
+ * Screening queries over funds joined with their stored analytics
+ * (one row per fund and window) and latest NAV.
+ *
+ * Filter expressions (see utils/filterExpression.js) are compiled to
+ * parameterized SQL: field names are looked up in a whitelist of columns
+ * and every value is bound as a parameter, so nothing from the expression
+ * is ever written into the SQL text.
+ */
+
+import * as db from '../db/connection.js';
+import { TAIL_RISK_COLUMNS } from './analyticsDao.js';
+import { parseWindow } from '../utils/analyticsWindow.js';
+
+// Analytics metric columns, stored as decimals (0.15 = 15%)
+const METRIC_COLUMNS = [
+  'rolling_return_min', 'rolling_return_max', 'rolling_return_median',
+  'rolling_return_p25', 'rolling_return_p75',
+  'max_drawdown',
+  'cagr_min', 'cagr_max', 'cagr_median',
+  'volatility', 'downside_deviation', 'sharpe_ratio', 'sortino_ratio',
+  'ulcer_index', 'calmar_ratio',
+  ...TAIL_RISK_COLUMNS,
+  'beta', 'alpha', 'tracking_error', 'information_ratio', 'up_capture', 'down_capture',
+  'sip_xirr_min', 'sip_xirr_median', 'sip_xirr_max',
+];
+
+// Fields usable in filters and sort keys: SQL column and value type
+const SCREEN_FIELDS = {
+  scheme_code: { column: 'f.scheme_code', type: 'string' },
+  scheme_name: { column: 'f.scheme_name', type: 'string' },
+  amc: { column: 'f.amc', type: 'string' },
+  category: { column: 'f.category', type: 'string' },
+  scheme_type: { column: 'f.scheme_type', type: 'string' },
+  window: { column: 'a.window_type', type: 'window' },
+  benchmark_code: { column: 'a.benchmark_code', type: 'string' },
+  data_start_date: { column: 'a.data_start_date', type: 'date' },
+  data_end_date: { column: 'a.data_end_date', type: 'date' },
+  latest_nav: { column: 'nh.nav', type: 'number' },
+  latest_nav_date: { column: 'nh.nav_date', type: 'date' },
+  // /funds/rank name for the median rolling return
+  median_return: { column: 'a.rolling_return_median', type: 'number' },
+  ...Object.fromEntries(METRIC_COLUMNS.map(column => [column, { column: `a.${column}`, type: 'number' }])),
+};
+
+const COMPARISON_OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const FROM_CLAUSE = `
+    FROM funds f
+    INNER JOIN analytics a ON f.scheme_code = a.scheme_code
+    LEFT JOIN nav_history nh ON f.scheme_code = nh.scheme_code
+      AND nh.nav_date = (
+        SELECT MAX(nav_date)
+        FROM nav_history
+        WHERE scheme_code = f.scheme_code
+      )
+`;
+
+/**
+ * Lists the field names accepted in filters and sort keys
+ *
+ * @returns {Array<string>} Field names
+ */
+export function listScreenFields() {
+  return Object.keys(SCREEN_FIELDS);
+}
+
+/**
+ * Looks up a filter or sort field
+ *
+ * Only own keys count, so names such as constructor or __proto__ are unknown.
+ *
+ * @param {string} field - Field name
+ * @returns {Object|null} {column, type} or null if unknown
+ */
+function findScreenField(field) {
+  return Object.hasOwn(SCREEN_FIELDS, field) ? SCREEN_FIELDS[field] : null;
+}
+
+/**
+ * Checks a filter value against a field's type and converts it for binding
+ *
+ * @param {string} field - Field name
+ * @param {string} type - Field type (string, number, date, window)
+ * @param {string|number} value - Value from the expression
+ * @returns {string|number} Bound value
+ */
+function toBoundValue(field, type, value) {
+  if (type === 'number') {
+    if (typeof value !== 'number') {
+      throw new Error(`${field} must be compared with a number, got '${value}'`);
+    }
+    return value;
+  }
+
+  if (type === 'window') {
+    const window = parseWindow(String(value));
+    if (!window) {
+      throw new Error(`window must be compared with a window label such as 3Y, got '${value}'`);
+    }
+    return window.label;
+  }
+
+  if (type === 'date' && !DATE_PATTERN.test(String(value))) {
+    throw new Error(`${field} must be compared with a date in YYYY-MM-DD format, got '${value}'`);
+  }
+
+  return String(value);
+}
+
+/**
+ * Compiles one syntax tree node to SQL
+ *
+ * @param {Object} node - Syntax tree node
+ * @param {Array} params - Bound parameters (appended to)
+ * @returns {string} SQL condition
+ */
+function compileNode(node, params) {
+  if (node.type === 'and' || node.type === 'or') {
+    const joiner = node.type === 'and' ? ' AND ' : ' OR ';
+    return `(${node.operands.map(operand => compileNode(operand, params)).join(joiner)})`;
+  }
+
+  if (node.type === 'not') {
+    return `NOT ${compileNode(node.operand, params)}`;
+  }
+
+  const definition = findScreenField(node.field);
+  if (!definition) {
+    throw new Error(`Unknown field '${node.field}'`);
+  }
+  const { column, type } = definition;
+  const not = node.negated ? 'NOT ' : '';
+
+  switch (node.type) {
+    case 'compare':
+      if (!COMPARISON_OPERATORS.includes(node.operator)) {
+        throw new Error(`Unsupported operator '${node.operator}'`);
+      }
+      params.push(toBoundValue(node.field, type, node.value));
+      return `${column} ${node.operator} ?`;
+    case 'in':
+      params.push(...node.values.map(value => toBoundValue(node.field, type, value)));
+      return `${column} ${not}IN (${node.values.map(() => '?').join(', ')})`;
+    case 'between':
+      params.push(toBoundValue(node.field, type, node.low), toBoundValue(node.field, type, node.high));
+      return `${column} ${not}BETWEEN ? AND ?`;
+    case 'like':
+      if (type !== 'string') {
+        throw new Error(`LIKE can only be used with text fields, not ${node.field}`);
+      }
+      params.push(String(node.value));
+      return `${column} ${not}LIKE ?`;
+    case 'null':
+      return `${column} IS ${not}NULL`;
+    default:
+      throw new Error(`Unsupported filter node '${node.type}'`);
+  }
+}
+
+/**
+ * Compiles a filter syntax tree to a parameterized SQL condition
+ *
+ * @param {Object|null} tree - Syntax tree from parseFilterExpression (null matches all rows)
+ * @returns {{sql: string, params: Array}|{error: string}} Condition and bound values,
+ *   or an error for unknown fields and mistyped values
+ */
+export function compileFilter(tree) {
+  if (!tree) return { sql: '1=1', params: [] };
+
+  const params = [];
+  try {
+    return { sql: compileNode(tree, params), params };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Compiles sort keys to an ORDER BY list
+ *
+ * Missing values sort last in either direction, and scheme code and window
+ * break ties so pages are stable.
+ *
+ * @param {Array} sort - Array of {field, descending}
+ * @returns {{sql: string}|{error: string}} ORDER BY list, or an error for unknown fields
+ */
+export function compileSort(sort = []) {
+  const keys = [];
+
+  for (const { field, descending } of sort) {
+    const definition = findScreenField(field);
+    if (!definition) {
+      return { error: `Unknown sort field '${field}'` };
+    }
+    keys.push(`${definition.column} IS NULL`, `${definition.column} ${descending ? 'DESC' : 'ASC'}`);
+  }
+
+  keys.push('f.scheme_code ASC', 'a.window_type ASC');
+  return { sql: keys.join(', ') };
+}
+
+/**
+ * Screens funds by a filter with multi-key sorting and pagination
+ *
+ * @param {Object} params - {filter, sort, limit, offset}
+ *   - filter: Syntax tree from parseFilterExpression, or null for all rows
+ *   - sort: Array of {field, descending}
+ * @returns {Promise<Object>} {rows, total}, or {error} for an invalid filter or sort
+ */
+export async function screen({ filter = null, sort = [], limit = 50, offset = 0 }) {
+  const where = compileFilter(filter);
+  if (where.error) return { error: where.error };
+
+  const orderBy = compileSort(sort);
+  if (orderBy.error) return { error: orderBy.error };
+
+  const countRow = await db.queryOne(
+    `SELECT COUNT(*) AS total ${FROM_CLAUSE} WHERE ${where.sql}`,
+    where.params
+  );
+
+  const sql = `
+    SELECT
+      f.scheme_code,
+      f.scheme_name,
+      f.amc,
+      f.category,
+      f.scheme_type,
+      a.*,
+      nh.nav as latest_nav,
+      nh.nav_date as latest_nav_date
+    ${FROM_CLAUSE}
+    WHERE ${where.sql}
+    ORDER BY ${orderBy.sql}
+    LIMIT ? OFFSET ?
+  `;
+
+  const rows = await db.query(sql, [...where.params, parseInt(limit, 10), parseInt(offset, 10)]);
+
+  return { rows, total: parseInt(countRow.total, 10) };
+}
@@ -0,0 +1,208 @@
+/**
+ * Transactions DAO
+ *
+ * Data Access Object for the investor transactions ledger.
+ */
+
+import * as db from '../db/connection.js';
+import { buildKeysetClause } from '../utils/pagination.js';
+
+/**
+ * Helper to convert undefined to null (MySQL doesn't accept undefined)
+ */
+const toNull = (val) => (val === undefined ? null : val);
+
+// Rows per INSERT, keeping placeholders well under the prepared statement limit
+const BATCH_SIZE = 1000;
+
+// Named lock serializing ledger checks and inserts per investor (GET_LOCK)
+const LOCK_PREFIX = 'transactions:';
+const LOCK_TIMEOUT_SECONDS = 10;
+
+// An investor's transactions in ledger order (date, then entry order)
+const LEDGER_SQL = `
+  SELECT t.*, f.scheme_name
+  FROM transactions t
+  INNER JOIN funds f ON f.scheme_code = t.scheme_code
+  WHERE t.investor_id = ?
+  ORDER BY t.transaction_date ASC, t.id ASC
+`;
+
+// Sort fields of transaction list pages as SQL expressions
+const SORT_COLUMNS = {
+  date: 't.transaction_date',
+  scheme_code: 't.scheme_code',
+  amount: 't.amount',
+  units: 't.units',
+  id: 't.id',
+};
+
+/**
+ * Inserts transactions for an investor in one database transaction
+ *
+ * The investor's existing transactions are read and passed to checkLedger
+ * inside that transaction while a per-investor lock is held, so concurrent
+ * writes for the same investor are checked one after the other.
+ *
+ * @param {string} investorId - Investor ID
+ * @param {Array} transactions - Array of {schemeCode, type, date, amount, units, nav,
+ *   counterpartSchemeCode, notes}
+ * @param {Function} checkLedger - Optional (existingRows) => Array of problems;
+ *   nothing is inserted when it returns any
+ * @returns {Promise<Object>} {inserted, rejected} where rejected is checkLedger's result
+ */
+export async function insertMany(investorId, transactions, checkLedger = null) {
+  if (!transactions || transactions.length === 0) {
+    return { inserted: 0, rejected: [] };
+  }
+
+  const lockName = `${LOCK_PREFIX}${investorId}`;
+  const connection = await db.beginTransaction();
+  let locked = false;
+
+  try {
+    const [[{ acquired }]] = await connection.query(
+      'SELECT GET_LOCK(?, ?) AS acquired',
+      [lockName, LOCK_TIMEOUT_SECONDS]
+    );
+    if (acquired !== 1) {
+      throw new Error(`Timed out waiting for the transactions lock of investor ${investorId}`);
+    }
+    locked = true;
+
+    if (checkLedger) {
+      const [existing] = await connection.query(LEDGER_SQL, [investorId]);
+      const rejected = checkLedger(existing);
+      if (rejected.length > 0) {
+        await connection.rollback();
+        return { inserted: 0, rejected };
+      }
+    }
+
+    for (let i = 0; i < transactions.length; i += BATCH_SIZE) {
+      const batch = transactions.slice(i, i + BATCH_SIZE);
+      const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+      const values = batch.flatMap(t => [
+        investorId,
+        t.schemeCode,
+        t.type,
+        t.date,
+        t.amount,
+        t.units,
+        t.nav,
+        toNull(t.counterpartSchemeCode),
+        toNull(t.notes),
+      ]);
+
+      await connection.execute(`
+        INSERT INTO transactions (
+          investor_id, scheme_code, transaction_type, transaction_date,
+          amount, units, nav, counterpart_scheme_code, notes
+        ) VALUES ${placeholders}
+      `, values);
+    }
+
+    await connection.commit();
+    return { inserted: transactions.length, rejected: [] };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    if (locked) {
+      await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+    }
+    connection.release();
+  }
+}
+
+/**
+ * Finds an investor's transactions in ledger order (date, then entry order)
+ *
+ * @param {string} investorId - Investor ID
+ * @param {Object} filters - Optional {schemeCode}
+ * @returns {Promise<Array>} Transaction rows
+ */
+export async function findByInvestor(investorId, { schemeCode = null } = {}) {
+  let sql = `
+    SELECT t.*, f.scheme_name
+    FROM transactions t
+    INNER JOIN funds f ON f.scheme_code = t.scheme_code
+    WHERE t.investor_id = ?
+  `;
+  const params = [investorId];
+
+  if (schemeCode) {
+    sql += ' AND t.scheme_code = ?';
+    params.push(schemeCode);
+  }
+
+  sql += ' ORDER BY t.transaction_date ASC, t.id ASC';
+
+  return db.query(sql, params);
+}
+
+/**
+ * Lists the fields transaction list pages can be sorted by
+ *
+ * @returns {Array<string>} Sort field names
+ */
+export function listSortFields() {
+  return Object.keys(SORT_COLUMNS);
+}
+
+/**
+ * Finds one keyset page of an investor's transactions
+ *
+ * Fetches limit + 1 rows so the caller can tell whether more follow
+ * (see utils/pagination.js toKeysetPage).
+ *
+ * @param {string} investorId - Investor ID
+ * @param {Object} filters - Optional {schemeCode}
+ * @param {Object} page - {sort, after, limit} from parseListQuery
+ * @returns {Promise<Array>} Up to limit + 1 transaction rows
+ */
+export async function findPageByInvestor(investorId, { schemeCode = null } = {}, { sort, after, limit }) {
+  const keyset = buildKeysetClause(sort, after, SORT_COLUMNS);
+  let sql = `
+    SELECT t.*, f.scheme_name
+    FROM transactions t
+    INNER JOIN funds f ON f.scheme_code = t.scheme_code
+    WHERE t.investor_id = ?
+  `;
+  const params = [investorId];
+
+  if (schemeCode) {
+    sql += ' AND t.scheme_code = ?';
+    params.push(schemeCode);
+  }
+
+  if (keyset.where) {
+    sql += ` AND ${keyset.where}`;
+    params.push(...keyset.params);
+  }
+
+  sql += ` ORDER BY ${keyset.orderBy} LIMIT ?`;
+  params.push(parseInt(limit, 10) + 1);
+
+  return db.query(sql, params);
+}
+
+/**
+ * Counts an investor's transactions
+ *
+ * @param {string} investorId - Investor ID
+ * @param {Object} filters - Optional {schemeCode}
+ * @returns {Promise<number>} Number of transactions
+ */
+export async function countByInvestor(investorId, { schemeCode = null } = {}) {
+  let sql = 'SELECT COUNT(*) AS total FROM transactions WHERE investor_id = ?';
+  const params = [investorId];
+
+  if (schemeCode) {
+    sql += ' AND scheme_code = ?';
+    params.push(schemeCode);
+  }
+
+  const result = await db.queryOne(sql, params);
+  return result ? Number(result.total) : 0;
+}
@@ -65,6 +65,8 @@ async function runMigrations() {
           console.log(`⊘ Table already exists, skipping...`);
         } else if (err.code === 'ER_DUP_ENTRY') {
           console.log(`⊘ Duplicate entry, skipping...`);
+        } else if (err.code === 'ER_DUP_FIELDNAME' || err.code === 'ER_DUP_KEYNAME') {
+          console.log(`⊘ Column or index already exists, skipping...`);
         } else {
           throw err;
         }
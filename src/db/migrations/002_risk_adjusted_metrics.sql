@@ -0,0 +1,16 @@
+-- Risk-adjusted return metrics for analytics
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: analytics
+-- Adds per-window risk-adjusted metrics computed
+-- from daily NAV log returns:
+-- - Annualized volatility
+-- - Downside deviation (vs risk-free rate)
+-- - Sharpe and Sortino ratios
+-- ============================================
+ALTER TABLE analytics
+  ADD COLUMN volatility DECIMAL(10,4) AFTER cagr_median,
+  ADD COLUMN downside_deviation DECIMAL(10,4) AFTER volatility,
+  ADD COLUMN sharpe_ratio DECIMAL(10,4) AFTER downside_deviation,
+  ADD COLUMN sortino_ratio DECIMAL(10,4) AFTER sharpe_ratio;
@@ -0,0 +1,48 @@
+-- Benchmark indices and benchmark-relative analytics
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: benchmarks
+-- Benchmark index metadata (e.g., NIFTY Midcap 150 TRI)
+-- ============================================
+CREATE TABLE IF NOT EXISTS benchmarks (
+  benchmark_code VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Table: benchmark_history
+-- Daily index levels, loaded from CSV
+-- 
+-- Mirrors nav_history: composite UNIQUE key on
+-- (benchmark_code, level_date) for idempotent imports
+-- ============================================
+CREATE TABLE IF NOT EXISTS benchmark_history (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  benchmark_code VARCHAR(50) NOT NULL,
+  level_date DATE NOT NULL,
+  level DECIMAL(15,4) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  UNIQUE KEY uk_benchmark_date (benchmark_code, level_date),
+  
+  FOREIGN KEY (benchmark_code) REFERENCES benchmarks(benchmark_code) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Table: analytics
+-- Adds benchmark-relative metrics per window:
+-- - Beta and Jensen's alpha
+-- - Tracking error and information ratio
+-- - Up/down capture ratios
+-- ============================================
+ALTER TABLE analytics
+  ADD COLUMN benchmark_code VARCHAR(50) AFTER sortino_ratio,
+  ADD COLUMN beta DECIMAL(10,4) AFTER benchmark_code,
+  ADD COLUMN alpha DECIMAL(10,4) AFTER beta,
+  ADD COLUMN tracking_error DECIMAL(10,4) AFTER alpha,
+  ADD COLUMN information_ratio DECIMAL(10,4) AFTER tracking_error,
+  ADD COLUMN up_capture DECIMAL(10,4) AFTER information_ratio,
+  ADD COLUMN down_capture DECIMAL(10,4) AFTER up_capture;
@@ -0,0 +1,12 @@
+-- Rolling SIP XIRR distribution for analytics
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: analytics
+-- Adds the XIRR distribution of rolling monthly SIPs
+-- lasting the window length (min, median, max)
+-- ============================================
+ALTER TABLE analytics
+  ADD COLUMN sip_xirr_min DECIMAL(10,4) AFTER down_capture,
+  ADD COLUMN sip_xirr_median DECIMAL(10,4) AFTER sip_xirr_min,
+  ADD COLUMN sip_xirr_max DECIMAL(10,4) AFTER sip_xirr_median;
@@ -0,0 +1,32 @@
+-- Trailing and calendar-year point returns
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: fund_returns
+-- Factsheet-style point returns per fund
+-- 
+-- period_type = 'trailing': period is 1M, 3M, 6M, YTD, 1Y, 3Y, 5Y
+--   (as of the latest NAV date, annualized above 1Y)
+-- period_type = 'calendar_year': period is the year (e.g., 2023)
+-- ============================================
+CREATE TABLE IF NOT EXISTS fund_returns (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  scheme_code VARCHAR(20) NOT NULL,
+  period_type ENUM('trailing','calendar_year') NOT NULL,
+  period VARCHAR(10) NOT NULL,
+  
+  return_value DECIMAL(10,4),
+  start_date DATE,
+  end_date DATE,
+  start_nav DECIMAL(15,4),
+  end_nav DECIMAL(15,4),
+  is_annualized BOOLEAN DEFAULT FALSE,
+  is_partial BOOLEAN DEFAULT FALSE,
+  
+  computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  -- One row per scheme per period
+  UNIQUE KEY uk_scheme_period (scheme_code, period_type, period),
+  
+  FOREIGN KEY (scheme_code) REFERENCES funds(scheme_code) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
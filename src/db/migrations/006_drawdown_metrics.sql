@@ -0,0 +1,15 @@
+-- Drawdown-derived risk metrics for analytics
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: analytics
+-- Adds per-window drawdown metrics:
+-- - Ulcer Index (RMS of drawdowns from running peak)
+-- - Calmar ratio (CAGR / |max drawdown|)
+-- 
+-- max_drawdown is now computed over the trailing
+-- window instead of the full history.
+-- ============================================
+ALTER TABLE analytics
+  ADD COLUMN ulcer_index DECIMAL(10,4) AFTER sortino_ratio,
+  ADD COLUMN calmar_ratio DECIMAL(10,4) AFTER ulcer_index;
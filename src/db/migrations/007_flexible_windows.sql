@@ -0,0 +1,12 @@
+-- Configurable analytics windows
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: analytics
+-- window_type was an ENUM of 1Y/3Y/5Y/10Y. It is now
+-- a free-form label (e.g. 6M, 2Y, 7Y, 900D) so the set
+-- of precomputed windows can be changed through
+-- ANALYTICS_WINDOWS without a schema change.
+-- ============================================
+ALTER TABLE analytics
+  MODIFY COLUMN window_type VARCHAR(10) NOT NULL;
@@ -0,0 +1,58 @@
+-- Dated analytics snapshots
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: analytics_snapshots
+-- Copy of each analytics row taken when it is computed,
+-- at most one per scheme, window and day (a re-run on the
+-- same day replaces that day's snapshot).
+-- 
+-- Used for analytics history and category rank history.
+-- Old snapshots are pruned by the retention policy in
+-- config.analyticsSnapshots after each analytics run.
+-- ============================================
+CREATE TABLE IF NOT EXISTS analytics_snapshots (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  snapshot_date DATE NOT NULL,
+  scheme_code VARCHAR(20) NOT NULL,
+  window_type VARCHAR(10) NOT NULL,
+  
+  -- Same metrics as the analytics table
+  rolling_return_min DECIMAL(10,4),
+  rolling_return_max DECIMAL(10,4),
+  rolling_return_median DECIMAL(10,4),
+  rolling_return_p25 DECIMAL(10,4),
+  rolling_return_p75 DECIMAL(10,4),
+  max_drawdown DECIMAL(10,4),
+  cagr_min DECIMAL(10,4),
+  cagr_max DECIMAL(10,4),
+  cagr_median DECIMAL(10,4),
+  volatility DECIMAL(10,4),
+  downside_deviation DECIMAL(10,4),
+  sharpe_ratio DECIMAL(10,4),
+  sortino_ratio DECIMAL(10,4),
+  ulcer_index DECIMAL(10,4),
+  calmar_ratio DECIMAL(10,4),
+  benchmark_code VARCHAR(50),
+  beta DECIMAL(10,4),
+  alpha DECIMAL(10,4),
+  tracking_error DECIMAL(10,4),
+  information_ratio DECIMAL(10,4),
+  up_capture DECIMAL(10,4),
+  down_capture DECIMAL(10,4),
+  sip_xirr_min DECIMAL(10,4),
+  sip_xirr_median DECIMAL(10,4),
+  sip_xirr_max DECIMAL(10,4),
+  data_start_date DATE,
+  data_end_date DATE,
+  
+  computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  -- One snapshot per scheme per window per day
+  UNIQUE KEY uk_scheme_window_date (scheme_code, window_type, snapshot_date),
+  
+  -- For rank history: all funds in a window on a date
+  INDEX idx_window_date (window_type, snapshot_date),
+  
+  FOREIGN KEY (scheme_code) REFERENCES funds(scheme_code) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
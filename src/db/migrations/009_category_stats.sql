@@ -0,0 +1,58 @@
+-- Category-level aggregates and per-fund percentile ranks
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: category_stats
+-- Distribution of each ranking metric across the funds
+-- of a category, per window. Rebuilt after every
+-- analytics run.
+-- 
+-- metric uses the /funds/rank sort_by names
+-- (median_return, max_drawdown, sharpe_ratio, ...)
+-- ============================================
+CREATE TABLE IF NOT EXISTS category_stats (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  category VARCHAR(100) NOT NULL,
+  window_type VARCHAR(10) NOT NULL,
+  metric VARCHAR(50) NOT NULL,
+  
+  fund_count INT NOT NULL,
+  mean_value DECIMAL(10,4),
+  median_value DECIMAL(10,4),
+  p25_value DECIMAL(10,4),
+  p75_value DECIMAL(10,4),
+  min_value DECIMAL(10,4),
+  max_value DECIMAL(10,4),
+  
+  computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  -- One row per category per window per metric
+  UNIQUE KEY uk_category_window_metric (category, window_type, metric)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Table: category_percentiles
+-- Where each fund sits within its category for each
+-- metric and window.
+-- 
+-- percentile: 0-100, higher is better (lower-is-better
+--   metrics such as volatility are inverted)
+-- quartile: 1 (top 25%) to 4 (bottom 25%)
+-- ============================================
+CREATE TABLE IF NOT EXISTS category_percentiles (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  scheme_code VARCHAR(20) NOT NULL,
+  category VARCHAR(100) NOT NULL,
+  window_type VARCHAR(10) NOT NULL,
+  metric VARCHAR(50) NOT NULL,
+  
+  percentile DECIMAL(5,2) NOT NULL,
+  quartile TINYINT NOT NULL,
+  
+  computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  -- One row per scheme per window per metric
+  UNIQUE KEY uk_scheme_window_metric (scheme_code, window_type, metric),
+  
+  FOREIGN KEY (scheme_code) REFERENCES funds(scheme_code) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
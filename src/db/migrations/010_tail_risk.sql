@@ -0,0 +1,41 @@
+-- Tail risk metrics for analytics
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: analytics
+-- Adds Value-at-Risk (VaR) and expected shortfall
+-- (CVaR) of the trailing window's NAV returns:
+-- - 1-day and 1-month (21 trading day) horizons
+-- - 95% and 99% confidence
+-- - historical, Gaussian and Cornish-Fisher variants
+-- - skewness and excess kurtosis of daily log returns
+-- 
+-- Stored as positive loss fractions (0.0215 = 2.15% loss).
+-- ============================================
+ALTER TABLE analytics
+  ADD COLUMN historical_var95_daily DECIMAL(10,4) AFTER calmar_ratio,
+  ADD COLUMN historical_var99_daily DECIMAL(10,4) AFTER historical_var95_daily,
+  ADD COLUMN historical_cvar95_daily DECIMAL(10,4) AFTER historical_var99_daily,
+  ADD COLUMN historical_cvar99_daily DECIMAL(10,4) AFTER historical_cvar95_daily,
+  ADD COLUMN historical_var95_monthly DECIMAL(10,4) AFTER historical_cvar99_daily,
+  ADD COLUMN historical_var99_monthly DECIMAL(10,4) AFTER historical_var95_monthly,
+  ADD COLUMN historical_cvar95_monthly DECIMAL(10,4) AFTER historical_var99_monthly,
+  ADD COLUMN historical_cvar99_monthly DECIMAL(10,4) AFTER historical_cvar95_monthly,
+  ADD COLUMN gaussian_var95_daily DECIMAL(10,4) AFTER historical_cvar99_monthly,
+  ADD COLUMN gaussian_var99_daily DECIMAL(10,4) AFTER gaussian_var95_daily,
+  ADD COLUMN gaussian_cvar95_daily DECIMAL(10,4) AFTER gaussian_var99_daily,
+  ADD COLUMN gaussian_cvar99_daily DECIMAL(10,4) AFTER gaussian_cvar95_daily,
+  ADD COLUMN gaussian_var95_monthly DECIMAL(10,4) AFTER gaussian_cvar99_daily,
+  ADD COLUMN gaussian_var99_monthly DECIMAL(10,4) AFTER gaussian_var95_monthly,
+  ADD COLUMN gaussian_cvar95_monthly DECIMAL(10,4) AFTER gaussian_var99_monthly,
+  ADD COLUMN gaussian_cvar99_monthly DECIMAL(10,4) AFTER gaussian_cvar95_monthly,
+  ADD COLUMN cornish_fisher_var95_daily DECIMAL(10,4) AFTER gaussian_cvar99_monthly,
+  ADD COLUMN cornish_fisher_var99_daily DECIMAL(10,4) AFTER cornish_fisher_var95_daily,
+  ADD COLUMN cornish_fisher_cvar95_daily DECIMAL(10,4) AFTER cornish_fisher_var99_daily,
+  ADD COLUMN cornish_fisher_cvar99_daily DECIMAL(10,4) AFTER cornish_fisher_cvar95_daily,
+  ADD COLUMN cornish_fisher_var95_monthly DECIMAL(10,4) AFTER cornish_fisher_cvar99_daily,
+  ADD COLUMN cornish_fisher_var99_monthly DECIMAL(10,4) AFTER cornish_fisher_var95_monthly,
+  ADD COLUMN cornish_fisher_cvar95_monthly DECIMAL(10,4) AFTER cornish_fisher_var99_monthly,
+  ADD COLUMN cornish_fisher_cvar99_monthly DECIMAL(10,4) AFTER cornish_fisher_cvar95_monthly,
+  ADD COLUMN return_skewness DECIMAL(10,4) AFTER cornish_fisher_cvar99_monthly,
+  ADD COLUMN return_excess_kurtosis DECIMAL(10,4) AFTER return_skewness;
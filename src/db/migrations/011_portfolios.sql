@@ -0,0 +1,37 @@
+-- Model portfolios
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: portfolios
+-- Advisor-defined model portfolios of tracked funds
+-- 
+-- rebalance_frequency: how often holdings are reset to
+--   their target weights ('none' = buy and hold)
+-- ============================================
+CREATE TABLE IF NOT EXISTS portfolios (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(500),
+  rebalance_frequency ENUM('none','monthly','quarterly','half_yearly','annual') NOT NULL DEFAULT 'quarterly',
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Table: portfolio_holdings
+-- Target weight of each fund in a portfolio
+-- (weights of a portfolio sum to 1)
+-- ============================================
+CREATE TABLE IF NOT EXISTS portfolio_holdings (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  portfolio_id BIGINT NOT NULL,
+  scheme_code VARCHAR(20) NOT NULL,
+  weight DECIMAL(7,6) NOT NULL,
+  
+  -- One row per fund per portfolio
+  UNIQUE KEY uk_portfolio_scheme (portfolio_id, scheme_code),
+  
+  FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+  FOREIGN KEY (scheme_code) REFERENCES funds(scheme_code) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
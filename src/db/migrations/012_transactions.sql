@@ -0,0 +1,34 @@
+-- Investor transactions ledger
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: transactions
+-- Client transactions in tracked funds. Holdings,
+-- FIFO lots, gains and XIRR are derived from these.
+-- 
+-- transaction_type:
+-- - buy, sip, switch_in: units added
+-- - sell, switch_out: units redeemed (FIFO)
+-- A switch is stored as a switch_out and a switch_in
+-- row that name each other in counterpart_scheme_code.
+-- ============================================
+CREATE TABLE IF NOT EXISTS transactions (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  investor_id VARCHAR(50) NOT NULL,
+  scheme_code VARCHAR(20) NOT NULL,
+  transaction_type ENUM('buy','sell','sip','switch_in','switch_out') NOT NULL,
+  transaction_date DATE NOT NULL,
+  
+  amount DECIMAL(15,2) NOT NULL,
+  units DECIMAL(15,4) NOT NULL,
+  nav DECIMAL(15,4) NOT NULL,
+  counterpart_scheme_code VARCHAR(20),
+  notes VARCHAR(255),
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  -- Ledger replay reads an investor's transactions in date order
+  INDEX idx_investor_date (investor_id, transaction_date),
+  
+  FOREIGN KEY (scheme_code) REFERENCES funds(scheme_code) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,78 @@
+-- Composite fund scoring profiles
+-- Run with: npm run migrate
+
+-- ============================================
+-- Table: scoring_profiles
+-- Named weightings of ranking metrics used by
+-- GET /funds/rank?profile=
+--
+-- normalization: how each metric is put on a common
+--   scale within the fund's category before weighting
+--   ('zscore' = standard deviations from the category
+--   mean, 'percentile' = category percentile rank 0-100)
+-- ============================================
+CREATE TABLE IF NOT EXISTS scoring_profiles (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  description VARCHAR(500),
+  normalization ENUM('zscore','percentile') NOT NULL DEFAULT 'zscore',
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uk_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Table: scoring_profile_metrics
+-- Weight of each metric and window in a profile
+-- (weights of a profile sum to 1)
+--
+-- metric uses the /funds/rank sort_by names
+-- (median_return, max_drawdown, sharpe_ratio, ...)
+-- ============================================
+CREATE TABLE IF NOT EXISTS scoring_profile_metrics (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  profile_id BIGINT NOT NULL,
+  metric VARCHAR(50) NOT NULL,
+  window_type VARCHAR(10) NOT NULL,
+  weight DECIMAL(7,6) NOT NULL,
+
+  -- One row per metric per window per profile
+  UNIQUE KEY uk_profile_metric_window (profile_id, metric, window_type),
+
+  FOREIGN KEY (profile_id) REFERENCES scoring_profiles(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Default profiles
+-- Metrics are only added to a profile that has none,
+-- so re-running keeps any edits made through the API
+-- ============================================
+INSERT IGNORE INTO scoring_profiles (name, description, normalization) VALUES
+  ('conservative', 'Favours shallow drawdowns and low downside risk over returns', 'percentile'),
+  ('balanced', 'Equal emphasis on returns and risk-adjusted returns over 3 and 5 years', 'zscore'),
+  ('aggressive', 'Favours high rolling returns and CAGR, with a small drawdown penalty', 'zscore');
+
+INSERT INTO scoring_profile_metrics (profile_id, metric, window_type, weight)
+SELECT p.id, m.metric, m.window_type, m.weight
+FROM scoring_profiles p
+INNER JOIN (
+  SELECT 'conservative' AS profile, 'max_drawdown' AS metric, '3Y' AS window_type, 0.25 AS weight
+  UNION ALL SELECT 'conservative', 'downside_deviation', '3Y', 0.20
+  UNION ALL SELECT 'conservative', 'sortino_ratio', '5Y', 0.20
+  UNION ALL SELECT 'conservative', 'volatility', '5Y', 0.15
+  UNION ALL SELECT 'conservative', 'median_return', '5Y', 0.20
+  UNION ALL SELECT 'balanced', 'median_return', '3Y', 0.20
+  UNION ALL SELECT 'balanced', 'median_return', '5Y', 0.20
+  UNION ALL SELECT 'balanced', 'sharpe_ratio', '3Y', 0.20
+  UNION ALL SELECT 'balanced', 'sortino_ratio', '5Y', 0.15
+  UNION ALL SELECT 'balanced', 'max_drawdown', '5Y', 0.25
+  UNION ALL SELECT 'aggressive', 'median_return', '3Y', 0.30
+  UNION ALL SELECT 'aggressive', 'cagr_median', '5Y', 0.30
+  UNION ALL SELECT 'aggressive', 'sharpe_ratio', '3Y', 0.20
+  UNION ALL SELECT 'aggressive', 'max_drawdown', '3Y', 0.20
+) m ON m.profile = p.name
+WHERE NOT EXISTS (
+  SELECT 1 FROM scoring_profile_metrics x WHERE x.profile_id = p.id
+);
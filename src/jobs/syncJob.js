@@ -5,7 +5,8 @@
  * 1. Scheme discovery (filter from mfapi.in)
  * 2. Backfill (fetch full NAV history)
  * 3. Incremental sync (daily updates)
- * 4. Analytics computation
+ * 4. Analytics computation (then category stats and percentile ranks)
+ * 5. Fund search index rebuild
  * 
  * Tracks pipeline status in the pipeline_status table.
  */
@@ -16,9 +17,47 @@ import { discoverSchemes } from '../services/schemeDiscovery.js';
 import { backfillAllSchemes } from '../services/backfillService.js';
 import { syncAllSchemes, getSchemesForSync } from '../services/incrementalSyncService.js';
 import { computeAllAnalytics } from '../services/analyticsService.js';
+import { computeCategoryStats } from '../services/categoryStatsService.js';
+import { rebuildSearchIndex } from '../services/searchService.js';
 
 let isRunning = false;
 
+/**
+ * Rebuilds category stats after analytics.
+ * Failures are logged but do not fail the pipeline, since analytics are already saved.
+ * 
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object|null>} Row counts or null on failure
+ */
+async function refreshCategoryStats(requestId) {
+  try {
+    return await computeCategoryStats(`${requestId}:category-stats`);
+  } catch (error) {
+    logger.error('Category stats computation failed', {
+      request_id: requestId,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Rebuilds the in-process fund search index after a sync.
+ * Failures are logged but do not fail the pipeline; the previous index stays in use.
+ * 
+ * @param {string} requestId - Request ID for tracing
+ */
+async function refreshSearchIndex(requestId) {
+  try {
+    await rebuildSearchIndex(`${requestId}:search-index`);
+  } catch (error) {
+    logger.error('Search index rebuild failed', {
+      request_id: requestId,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Gets current pipeline status
  * 
@@ -123,6 +162,8 @@ export async function runFullSync(requestId) {
         pipelineStatusDao.updateProgress({ percent });
       }
     );
+    analyticsResults.categoryStats = await refreshCategoryStats(requestId);
+    await refreshSearchIndex(requestId);
 
     // Mark pipeline as complete
     const duration = Date.now() - startTime;
@@ -212,7 +253,9 @@ export async function runIncrementalSync(requestId) {
           pipelineStatusDao.updateProgress({ percent });
         }
       );
+      analyticsResults.categoryStats = await refreshCategoryStats(requestId);
     }
+    await refreshSearchIndex(requestId);
 
     const duration = Date.now() - startTime;
     await pipelineStatusDao.markCompleted();
@@ -67,7 +67,7 @@ router.post('/migrate', async (req, res, next) => {
         CREATE TABLE IF NOT EXISTS analytics (
           id BIGINT AUTO_INCREMENT PRIMARY KEY,
           scheme_code VARCHAR(20) NOT NULL,
-          window_type ENUM('1Y', '3Y', '5Y', '10Y') NOT NULL,
+          window_type VARCHAR(10) NOT NULL,
           rolling_return_min DECIMAL(10, 4),
           rolling_return_max DECIMAL(10, 4),
           rolling_return_median DECIMAL(10, 4),
@@ -77,6 +77,48 @@ router.post('/migrate', async (req, res, next) => {
           cagr_min DECIMAL(10, 4),
           cagr_max DECIMAL(10, 4),
           cagr_median DECIMAL(10, 4),
+          volatility DECIMAL(10, 4),
+          downside_deviation DECIMAL(10, 4),
+          sharpe_ratio DECIMAL(10, 4),
+          sortino_ratio DECIMAL(10, 4),
+          ulcer_index DECIMAL(10, 4),
+          calmar_ratio DECIMAL(10, 4),
+          historical_var95_daily DECIMAL(10, 4),
+          historical_var99_daily DECIMAL(10, 4),
+          historical_cvar95_daily DECIMAL(10, 4),
+          historical_cvar99_daily DECIMAL(10, 4),
+          historical_var95_monthly DECIMAL(10, 4),
+          historical_var99_monthly DECIMAL(10, 4),
+          historical_cvar95_monthly DECIMAL(10, 4),
+          historical_cvar99_monthly DECIMAL(10, 4),
+          gaussian_var95_daily DECIMAL(10, 4),
+          gaussian_var99_daily DECIMAL(10, 4),
+          gaussian_cvar95_daily DECIMAL(10, 4),
+          gaussian_cvar99_daily DECIMAL(10, 4),
+          gaussian_var95_monthly DECIMAL(10, 4),
+          gaussian_var99_monthly DECIMAL(10, 4),
+          gaussian_cvar95_monthly DECIMAL(10, 4),
+          gaussian_cvar99_monthly DECIMAL(10, 4),
+          cornish_fisher_var95_daily DECIMAL(10, 4),
+          cornish_fisher_var99_daily DECIMAL(10, 4),
+          cornish_fisher_cvar95_daily DECIMAL(10, 4),
+          cornish_fisher_cvar99_daily DECIMAL(10, 4),
+          cornish_fisher_var95_monthly DECIMAL(10, 4),
+          cornish_fisher_var99_monthly DECIMAL(10, 4),
+          cornish_fisher_cvar95_monthly DECIMAL(10, 4),
+          cornish_fisher_cvar99_monthly DECIMAL(10, 4),
+          return_skewness DECIMAL(10, 4),
+          return_excess_kurtosis DECIMAL(10, 4),
+          benchmark_code VARCHAR(50),
+          beta DECIMAL(10, 4),
+          alpha DECIMAL(10, 4),
+          tracking_error DECIMAL(10, 4),
+          information_ratio DECIMAL(10, 4),
+          up_capture DECIMAL(10, 4),
+          down_capture DECIMAL(10, 4),
+          sip_xirr_min DECIMAL(10, 4),
+          sip_xirr_median DECIMAL(10, 4),
+          sip_xirr_max DECIMAL(10, 4),
           data_start_date DATE,
           data_end_date DATE,
           computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -90,6 +132,129 @@ router.post('/migrate', async (req, res, next) => {
       results.push({ table: 'analytics', status: 'error', error: e.message });
     }
     
+    // 3a. Add risk-adjusted metric columns to existing analytics tables
+    try {
+      await db.execute(`
+        ALTER TABLE analytics
+          ADD COLUMN volatility DECIMAL(10, 4) AFTER cagr_median,
+          ADD COLUMN downside_deviation DECIMAL(10, 4) AFTER volatility,
+          ADD COLUMN sharpe_ratio DECIMAL(10, 4) AFTER downside_deviation,
+          ADD COLUMN sortino_ratio DECIMAL(10, 4) AFTER sharpe_ratio
+      `);
+      results.push({ table: 'analytics', status: 'altered' });
+    } catch (e) {
+      if (e.code === 'ER_DUP_FIELDNAME') {
+        results.push({ table: 'analytics', status: 'up_to_date' });
+      } else {
+        results.push({ table: 'analytics', status: 'error', error: e.message });
+      }
+    }
+    
+    // 3b. Add benchmark-relative metric columns to existing analytics tables
+    try {
+      await db.execute(`
+        ALTER TABLE analytics
+          ADD COLUMN benchmark_code VARCHAR(50) AFTER sortino_ratio,
+          ADD COLUMN beta DECIMAL(10, 4) AFTER benchmark_code,
+          ADD COLUMN alpha DECIMAL(10, 4) AFTER beta,
+          ADD COLUMN tracking_error DECIMAL(10, 4) AFTER alpha,
+          ADD COLUMN information_ratio DECIMAL(10, 4) AFTER tracking_error,
+          ADD COLUMN up_capture DECIMAL(10, 4) AFTER information_ratio,
+          ADD COLUMN down_capture DECIMAL(10, 4) AFTER up_capture
+      `);
+      results.push({ table: 'analytics', status: 'altered' });
+    } catch (e) {
+      if (e.code === 'ER_DUP_FIELDNAME') {
+        results.push({ table: 'analytics', status: 'up_to_date' });
+      } else {
+        results.push({ table: 'analytics', status: 'error', error: e.message });
+      }
+    }
+    
+    // 3c. Add rolling SIP XIRR columns to existing analytics tables
+    try {
+      await db.execute(`
+        ALTER TABLE analytics
+          ADD COLUMN sip_xirr_min DECIMAL(10, 4) AFTER down_capture,
+          ADD COLUMN sip_xirr_median DECIMAL(10, 4) AFTER sip_xirr_min,
+          ADD COLUMN sip_xirr_max DECIMAL(10, 4) AFTER sip_xirr_median
+      `);
+      results.push({ table: 'analytics', status: 'altered' });
+    } catch (e) {
+      if (e.code === 'ER_DUP_FIELDNAME') {
+        results.push({ table: 'analytics', status: 'up_to_date' });
+      } else {
+        results.push({ table: 'analytics', status: 'error', error: e.message });
+      }
+    }
+    
+    // 3d. Add drawdown metric columns to existing analytics tables
+    try {
+      await db.execute(`
+        ALTER TABLE analytics
+          ADD COLUMN ulcer_index DECIMAL(10, 4) AFTER sortino_ratio,
+          ADD COLUMN calmar_ratio DECIMAL(10, 4) AFTER ulcer_index
+      `);
+      results.push({ table: 'analytics', status: 'altered' });
+    } catch (e) {
+      if (e.code === 'ER_DUP_FIELDNAME') {
+        results.push({ table: 'analytics', status: 'up_to_date' });
+      } else {
+        results.push({ table: 'analytics', status: 'error', error: e.message });
+      }
+    }
+    
+    // 3e. Allow configurable and custom windows (6M, 2Y, 900D, ...)
+    try {
+      await db.execute(`
+        ALTER TABLE analytics
+          MODIFY COLUMN window_type VARCHAR(10) NOT NULL
+      `);
+      results.push({ table: 'analytics', status: 'altered' });
+    } catch (e) {
+      results.push({ table: 'analytics', status: 'error', error: e.message });
+    }
+    
+    // 3f. Add tail risk (VaR / CVaR) columns to existing analytics tables
+    try {
+      await db.execute(`
+        ALTER TABLE analytics
+          ADD COLUMN historical_var95_daily DECIMAL(10, 4) AFTER calmar_ratio,
+          ADD COLUMN historical_var99_daily DECIMAL(10, 4) AFTER historical_var95_daily,
+          ADD COLUMN historical_cvar95_daily DECIMAL(10, 4) AFTER historical_var99_daily,
+          ADD COLUMN historical_cvar99_daily DECIMAL(10, 4) AFTER historical_cvar95_daily,
+          ADD COLUMN historical_var95_monthly DECIMAL(10, 4) AFTER historical_cvar99_daily,
+          ADD COLUMN historical_var99_monthly DECIMAL(10, 4) AFTER historical_var95_monthly,
+          ADD COLUMN historical_cvar95_monthly DECIMAL(10, 4) AFTER historical_var99_monthly,
+          ADD COLUMN historical_cvar99_monthly DECIMAL(10, 4) AFTER historical_cvar95_monthly,
+          ADD COLUMN gaussian_var95_daily DECIMAL(10, 4) AFTER historical_cvar99_monthly,
+          ADD COLUMN gaussian_var99_daily DECIMAL(10, 4) AFTER gaussian_var95_daily,
+          ADD COLUMN gaussian_cvar95_daily DECIMAL(10, 4) AFTER gaussian_var99_daily,
+          ADD COLUMN gaussian_cvar99_daily DECIMAL(10, 4) AFTER gaussian_cvar95_daily,
+          ADD COLUMN gaussian_var95_monthly DECIMAL(10, 4) AFTER gaussian_cvar99_daily,
+          ADD COLUMN gaussian_var99_monthly DECIMAL(10, 4) AFTER gaussian_var95_monthly,
+          ADD COLUMN gaussian_cvar95_monthly DECIMAL(10, 4) AFTER gaussian_var99_monthly,
+          ADD COLUMN gaussian_cvar99_monthly DECIMAL(10, 4) AFTER gaussian_cvar95_monthly,
+          ADD COLUMN cornish_fisher_var95_daily DECIMAL(10, 4) AFTER gaussian_cvar99_monthly,
+          ADD COLUMN cornish_fisher_var99_daily DECIMAL(10, 4) AFTER cornish_fisher_var95_daily,
+          ADD COLUMN cornish_fisher_cvar95_daily DECIMAL(10, 4) AFTER cornish_fisher_var99_daily,
+          ADD COLUMN cornish_fisher_cvar99_daily DECIMAL(10, 4) AFTER cornish_fisher_cvar95_daily,
+          ADD COLUMN cornish_fisher_var95_monthly DECIMAL(10, 4) AFTER cornish_fisher_cvar99_daily,
+          ADD COLUMN cornish_fisher_var99_monthly DECIMAL(10, 4) AFTER cornish_fisher_var95_monthly,
+          ADD COLUMN cornish_fisher_cvar95_monthly DECIMAL(10, 4) AFTER cornish_fisher_var99_monthly,
+          ADD COLUMN cornish_fisher_cvar99_monthly DECIMAL(10, 4) AFTER cornish_fisher_cvar95_monthly,
+          ADD COLUMN return_skewness DECIMAL(10, 4) AFTER cornish_fisher_cvar99_monthly,
+          ADD COLUMN return_excess_kurtosis DECIMAL(10, 4) AFTER return_skewness
+      `);
+      results.push({ table: 'analytics', status: 'altered' });
+    } catch (e) {
+      if (e.code === 'ER_DUP_FIELDNAME') {
+        results.push({ table: 'analytics', status: 'up_to_date' });
+      } else {
+        results.push({ table: 'analytics', status: 'error', error: e.message });
+      }
+    }
+    
     // 4. Create sync_state table
     try {
       await db.execute(`
@@ -138,6 +303,346 @@ router.post('/migrate', async (req, res, next) => {
       results.push({ table: 'pipeline_status', status: 'error', error: e.message });
     }
     
+    // 6. Create benchmarks table
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS benchmarks (
+          benchmark_code VARCHAR(50) PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+      `);
+      results.push({ table: 'benchmarks', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'benchmarks', status: 'error', error: e.message });
+    }
+    
+    // 7. Create benchmark_history table
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS benchmark_history (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          benchmark_code VARCHAR(50) NOT NULL,
+          level_date DATE NOT NULL,
+          level DECIMAL(15, 4) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY unique_benchmark_level (benchmark_code, level_date),
+          FOREIGN KEY (benchmark_code) REFERENCES benchmarks(benchmark_code) ON DELETE CASCADE
+        )
+      `);
+      results.push({ table: 'benchmark_history', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'benchmark_history', status: 'error', error: e.message });
+    }
+    
+    // 8. Create fund_returns table
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS fund_returns (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          scheme_code VARCHAR(20) NOT NULL,
+          period_type ENUM('trailing', 'calendar_year') NOT NULL,
+          period VARCHAR(10) NOT NULL,
+          return_value DECIMAL(10, 4),
+          start_date DATE,
+          end_date DATE,
+          start_nav DECIMAL(15, 4),
+          end_nav DECIMAL(15, 4),
+          is_annualized BOOLEAN DEFAULT FALSE,
+          is_partial BOOLEAN DEFAULT FALSE,
+          computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY unique_fund_return (scheme_code, period_type, period),
+          FOREIGN KEY (scheme_code) REFERENCES funds(scheme_code) ON DELETE CASCADE
+        )
+      `);
+      results.push({ table: 'fund_returns', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'fund_returns', status: 'error', error: e.message });
+    }
+    
+    // 9. Create analytics_snapshots table
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS analytics_snapshots (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          snapshot_date DATE NOT NULL,
+          scheme_code VARCHAR(20) NOT NULL,
+          window_type VARCHAR(10) NOT NULL,
+          rolling_return_min DECIMAL(10, 4),
+          rolling_return_max DECIMAL(10, 4),
+          rolling_return_median DECIMAL(10, 4),
+          rolling_return_p25 DECIMAL(10, 4),
+          rolling_return_p75 DECIMAL(10, 4),
+          max_drawdown DECIMAL(10, 4),
+          cagr_min DECIMAL(10, 4),
+          cagr_max DECIMAL(10, 4),
+          cagr_median DECIMAL(10, 4),
+          volatility DECIMAL(10, 4),
+          downside_deviation DECIMAL(10, 4),
+          sharpe_ratio DECIMAL(10, 4),
+          sortino_ratio DECIMAL(10, 4),
+          ulcer_index DECIMAL(10, 4),
+          calmar_ratio DECIMAL(10, 4),
+          historical_var95_daily DECIMAL(10, 4),
+          historical_var99_daily DECIMAL(10, 4),
+          historical_cvar95_daily DECIMAL(10, 4),
+          historical_cvar99_daily DECIMAL(10, 4),
+          historical_var95_monthly DECIMAL(10, 4),
+          historical_var99_monthly DECIMAL(10, 4),
+          historical_cvar95_monthly DECIMAL(10, 4),
+          historical_cvar99_monthly DECIMAL(10, 4),
+          gaussian_var95_daily DECIMAL(10, 4),
+          gaussian_var99_daily DECIMAL(10, 4),
+          gaussian_cvar95_daily DECIMAL(10, 4),
+          gaussian_cvar99_daily DECIMAL(10, 4),
+          gaussian_var95_monthly DECIMAL(10, 4),
+          gaussian_var99_monthly DECIMAL(10, 4),
+          gaussian_cvar95_monthly DECIMAL(10, 4),
+          gaussian_cvar99_monthly DECIMAL(10, 4),
+          cornish_fisher_var95_daily DECIMAL(10, 4),
+          cornish_fisher_var99_daily DECIMAL(10, 4),
+          cornish_fisher_cvar95_daily DECIMAL(10, 4),
+          cornish_fisher_cvar99_daily DECIMAL(10, 4),
+          cornish_fisher_var95_monthly DECIMAL(10, 4),
+          cornish_fisher_var99_monthly DECIMAL(10, 4),
+          cornish_fisher_cvar95_monthly DECIMAL(10, 4),
+          cornish_fisher_cvar99_monthly DECIMAL(10, 4),
+          return_skewness DECIMAL(10, 4),
+          return_excess_kurtosis DECIMAL(10, 4),
+          benchmark_code VARCHAR(50),
+          beta DECIMAL(10, 4),
+          alpha DECIMAL(10, 4),
+          tracking_error DECIMAL(10, 4),
+          information_ratio DECIMAL(10, 4),
+          up_capture DECIMAL(10, 4),
+          down_capture DECIMAL(10, 4),
+          sip_xirr_min DECIMAL(10, 4),
+          sip_xirr_median DECIMAL(10, 4),
+          sip_xirr_max DECIMAL(10, 4),
+          data_start_date DATE,
+          data_end_date DATE,
+          computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY unique_analytics_snapshot (scheme_code, window_type, snapshot_date),
+          INDEX idx_window_date (window_type, snapshot_date),
+          FOREIGN KEY (scheme_code) REFERENCES funds(scheme_code) ON DELETE CASCADE
+        )
+      `);
+      results.push({ table: 'analytics_snapshots', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'analytics_snapshots', status: 'error', error: e.message });
+    }
+    
+    // 9a. Add tail risk (VaR / CVaR) columns to existing analytics_snapshots tables
+    try {
+      await db.execute(`
+        ALTER TABLE analytics_snapshots
+          ADD COLUMN historical_var95_daily DECIMAL(10, 4) AFTER calmar_ratio,
+          ADD COLUMN historical_var99_daily DECIMAL(10, 4) AFTER historical_var95_daily,
+          ADD COLUMN historical_cvar95_daily DECIMAL(10, 4) AFTER historical_var99_daily,
+          ADD COLUMN historical_cvar99_daily DECIMAL(10, 4) AFTER historical_cvar95_daily,
+          ADD COLUMN historical_var95_monthly DECIMAL(10, 4) AFTER historical_cvar99_daily,
+          ADD COLUMN historical_var99_monthly DECIMAL(10, 4) AFTER historical_var95_monthly,
+          ADD COLUMN historical_cvar95_monthly DECIMAL(10, 4) AFTER historical_var99_monthly,
+          ADD COLUMN historical_cvar99_monthly DECIMAL(10, 4) AFTER historical_cvar95_monthly,
+          ADD COLUMN gaussian_var95_daily DECIMAL(10, 4) AFTER historical_cvar99_monthly,
+          ADD COLUMN gaussian_var99_daily DECIMAL(10, 4) AFTER gaussian_var95_daily,
+          ADD COLUMN gaussian_cvar95_daily DECIMAL(10, 4) AFTER gaussian_var99_daily,
+          ADD COLUMN gaussian_cvar99_daily DECIMAL(10, 4) AFTER gaussian_cvar95_daily,
+          ADD COLUMN gaussian_var95_monthly DECIMAL(10, 4) AFTER gaussian_cvar99_daily,
+          ADD COLUMN gaussian_var99_monthly DECIMAL(10, 4) AFTER gaussian_var95_monthly,
+          ADD COLUMN gaussian_cvar95_monthly DECIMAL(10, 4) AFTER gaussian_var99_monthly,
+          ADD COLUMN gaussian_cvar99_monthly DECIMAL(10, 4) AFTER gaussian_cvar95_monthly,
+          ADD COLUMN cornish_fisher_var95_daily DECIMAL(10, 4) AFTER gaussian_cvar99_monthly,
+          ADD COLUMN cornish_fisher_var99_daily DECIMAL(10, 4) AFTER cornish_fisher_var95_daily,
+          ADD COLUMN cornish_fisher_cvar95_daily DECIMAL(10, 4) AFTER cornish_fisher_var99_daily,
+          ADD COLUMN cornish_fisher_cvar99_daily DECIMAL(10, 4) AFTER cornish_fisher_cvar95_daily,
+          ADD COLUMN cornish_fisher_var95_monthly DECIMAL(10, 4) AFTER cornish_fisher_cvar99_daily,
+          ADD COLUMN cornish_fisher_var99_monthly DECIMAL(10, 4) AFTER cornish_fisher_var95_monthly,
+          ADD COLUMN cornish_fisher_cvar95_monthly DECIMAL(10, 4) AFTER cornish_fisher_var99_monthly,
+          ADD COLUMN cornish_fisher_cvar99_monthly DECIMAL(10, 4) AFTER cornish_fisher_cvar95_monthly,
+          ADD COLUMN return_skewness DECIMAL(10, 4) AFTER cornish_fisher_cvar99_monthly,
+          ADD COLUMN return_excess_kurtosis DECIMAL(10, 4) AFTER return_skewness
+      `);
+      results.push({ table: 'analytics_snapshots', status: 'altered' });
+    } catch (e) {
+      if (e.code === 'ER_DUP_FIELDNAME') {
+        results.push({ table: 'analytics_snapshots', status: 'up_to_date' });
+      } else {
+        results.push({ table: 'analytics_snapshots', status: 'error', error: e.message });
+      }
+    }
+    
+    // 10. Create category_stats table
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS category_stats (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          category VARCHAR(100) NOT NULL,
+          window_type VARCHAR(10) NOT NULL,
+          metric VARCHAR(50) NOT NULL,
+          fund_count INT NOT NULL,
+          mean_value DECIMAL(10, 4),
+          median_value DECIMAL(10, 4),
+          p25_value DECIMAL(10, 4),
+          p75_value DECIMAL(10, 4),
+          min_value DECIMAL(10, 4),
+          max_value DECIMAL(10, 4),
+          computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY unique_category_stat (category, window_type, metric)
+        )
+      `);
+      results.push({ table: 'category_stats', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'category_stats', status: 'error', error: e.message });
+    }
+    
+    // 11. Create category_percentiles table
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS category_percentiles (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          scheme_code VARCHAR(20) NOT NULL,
+          category VARCHAR(100) NOT NULL,
+          window_type VARCHAR(10) NOT NULL,
+          metric VARCHAR(50) NOT NULL,
+          percentile DECIMAL(5, 2) NOT NULL,
+          quartile TINYINT NOT NULL,
+          computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY unique_category_percentile (scheme_code, window_type, metric),
+          FOREIGN KEY (scheme_code) REFERENCES funds(scheme_code) ON DELETE CASCADE
+        )
+      `);
+      results.push({ table: 'category_percentiles', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'category_percentiles', status: 'error', error: e.message });
+    }
+    
+    // 12. Create portfolios table
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS portfolios (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          description VARCHAR(500),
+          rebalance_frequency ENUM('none', 'monthly', 'quarterly', 'half_yearly', 'annual') NOT NULL DEFAULT 'quarterly',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+      `);
+      results.push({ table: 'portfolios', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'portfolios', status: 'error', error: e.message });
+    }
+    
+    // 13. Create portfolio_holdings table
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS portfolio_holdings (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          portfolio_id BIGINT NOT NULL,
+          scheme_code VARCHAR(20) NOT NULL,
+          weight DECIMAL(7, 6) NOT NULL,
+          UNIQUE KEY unique_portfolio_scheme (portfolio_id, scheme_code),
+          FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+          FOREIGN KEY (scheme_code) REFERENCES funds(scheme_code) ON DELETE CASCADE
+        )
+      `);
+      results.push({ table: 'portfolio_holdings', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'portfolio_holdings', status: 'error', error: e.message });
+    }
+    
+    // 14. Create transactions table
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS transactions (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          investor_id VARCHAR(50) NOT NULL,
+          scheme_code VARCHAR(20) NOT NULL,
+          transaction_type ENUM('buy', 'sell', 'sip', 'switch_in', 'switch_out') NOT NULL,
+          transaction_date DATE NOT NULL,
+          amount DECIMAL(15, 2) NOT NULL,
+          units DECIMAL(15, 4) NOT NULL,
+          nav DECIMAL(15, 4) NOT NULL,
+          counterpart_scheme_code VARCHAR(20),
+          notes VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_investor_date (investor_id, transaction_date),
+          FOREIGN KEY (scheme_code) REFERENCES funds(scheme_code) ON DELETE CASCADE
+        )
+      `);
+      results.push({ table: 'transactions', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'transactions', status: 'error', error: e.message });
+    }
+    
+    // 15. Create scoring_profiles table
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS scoring_profiles (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          name VARCHAR(50) NOT NULL,
+          description VARCHAR(500),
+          normalization ENUM('zscore', 'percentile') NOT NULL DEFAULT 'zscore',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY unique_scoring_profile_name (name)
+        )
+      `);
+      results.push({ table: 'scoring_profiles', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'scoring_profiles', status: 'error', error: e.message });
+    }
+    
+    // 16. Create scoring_profile_metrics table and seed the default profiles
+    try {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS scoring_profile_metrics (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          profile_id BIGINT NOT NULL,
+          metric VARCHAR(50) NOT NULL,
+          window_type VARCHAR(10) NOT NULL,
+          weight DECIMAL(7, 6) NOT NULL,
+          UNIQUE KEY unique_profile_metric_window (profile_id, metric, window_type),
+          FOREIGN KEY (profile_id) REFERENCES scoring_profiles(id) ON DELETE CASCADE
+        )
+      `);
+      await db.execute(`
+        INSERT IGNORE INTO scoring_profiles (name, description, normalization) VALUES
+          ('conservative', 'Favours shallow drawdowns and low downside risk over returns', 'percentile'),
+          ('balanced', 'Equal emphasis on returns and risk-adjusted returns over 3 and 5 years', 'zscore'),
+          ('aggressive', 'Favours high rolling returns and CAGR, with a small drawdown penalty', 'zscore')
+      `);
+      await db.execute(`
+        INSERT INTO scoring_profile_metrics (profile_id, metric, window_type, weight)
+        SELECT p.id, m.metric, m.window_type, m.weight
+        FROM scoring_profiles p
+        INNER JOIN (
+          SELECT 'conservative' AS profile, 'max_drawdown' AS metric, '3Y' AS window_type, 0.25 AS weight
+          UNION ALL SELECT 'conservative', 'downside_deviation', '3Y', 0.20
+          UNION ALL SELECT 'conservative', 'sortino_ratio', '5Y', 0.20
+          UNION ALL SELECT 'conservative', 'volatility', '5Y', 0.15
+          UNION ALL SELECT 'conservative', 'median_return', '5Y', 0.20
+          UNION ALL SELECT 'balanced', 'median_return', '3Y', 0.20
+          UNION ALL SELECT 'balanced', 'median_return', '5Y', 0.20
+          UNION ALL SELECT 'balanced', 'sharpe_ratio', '3Y', 0.20
+          UNION ALL SELECT 'balanced', 'sortino_ratio', '5Y', 0.15
+          UNION ALL SELECT 'balanced', 'max_drawdown', '5Y', 0.25
+          UNION ALL SELECT 'aggressive', 'median_return', '3Y', 0.30
+          UNION ALL SELECT 'aggressive', 'cagr_median', '5Y', 0.30
+          UNION ALL SELECT 'aggressive', 'sharpe_ratio', '3Y', 0.20
+          UNION ALL SELECT 'aggressive', 'max_drawdown', '3Y', 0.20
+        ) m ON m.profile = p.name
+        WHERE NOT EXISTS (
+          SELECT 1 FROM scoring_profile_metrics x WHERE x.profile_id = p.id
+        )
+      `);
+      results.push({ table: 'scoring_profile_metrics', status: 'created' });
+    } catch (e) {
+      results.push({ table: 'scoring_profile_metrics', status: 'error', error: e.message });
+    }
+    
     // Get list of tables
     const tables = await db.query('SHOW TABLES');
     const tableNames = tables.map(t => Object.values(t)[0]);
@@ -0,0 +1,125 @@
+/**
+ * Benchmarks Router
+ * 
+ * Handles benchmark index endpoints:
+ * - GET /benchmarks - List benchmarks and category mapping
+ * - POST /benchmarks/:code/levels - Import index levels from CSV
+ */
+
+import express, { Router } from 'express';
+import config from '../config/index.js';
+import * as benchmarkService from '../services/benchmarkService.js';
+import { parseListQuery, paginateItems, selectFields } from '../utils/pagination.js';
+
+const router = Router();
+
+// Page size for /benchmarks (default and upper limit)
+const BENCHMARKS_PAGE_SIZE = 100;
+const MAX_BENCHMARKS_PAGE_SIZE = 1000;
+
+// Benchmark list fields (for sort= and fields=)
+const BENCHMARK_FIELDS = ['benchmark_code', 'name', 'start_date', 'end_date', 'data_points', 'created_at', 'updated_at'];
+
+/**
+ * GET /benchmarks
+ * 
+ * Lists loaded benchmarks with their data ranges,
+ * plus the configured category → benchmark mapping.
+ * 
+ * Query params:
+ * - sort: Benchmark fields, "-" prefix for descending (default benchmark_code)
+ * - fields: Fields to return (default all)
+ * - limit: Benchmarks per page (default 100, max 1000)
+ * - cursor: next_cursor from the previous page
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: BENCHMARK_FIELDS,
+      defaultSort: 'benchmark_code',
+      key: 'benchmark_code',
+      fields: BENCHMARK_FIELDS,
+      defaultLimit: BENCHMARKS_PAGE_SIZE,
+      maxLimit: MAX_BENCHMARKS_PAGE_SIZE,
+    });
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        error: list.error,
+      });
+    }
+
+    req.logger.info('Fetching benchmarks', { sort: req.query.sort, limit: list.limit });
+
+    const page = paginateItems(await benchmarkService.getBenchmarks(), list);
+
+    res.json({
+      success: true,
+      count: page.rows.length,
+      data: page.rows.map(benchmark => selectFields(benchmark, list.fields)),
+      pagination: {
+        total: page.total,
+        limit: list.limit,
+        next_cursor: page.nextCursor,
+        has_more: page.hasMore,
+      },
+      category_mapping: config.categoryBenchmarks,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /benchmarks/:code/levels
+ * 
+ * Imports benchmark index levels from a CSV request body
+ * (Content-Type: text/csv). Re-importing the same dates is idempotent.
+ * 
+ * Query params:
+ * - name: Benchmark display name (defaults to the code)
+ * 
+ * CSV columns: Date, Close (Level/Value also accepted)
+ */
+router.post(
+  '/:code/levels',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  async (req, res, next) => {
+    try {
+      const { code } = req.params;
+      const { name } = req.query;
+
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          error: 'CSV body is required (Content-Type: text/csv)',
+        });
+      }
+
+      req.logger.info('Importing benchmark levels', { benchmark_code: code });
+
+      const summary = await benchmarkService.importLevelsFromCsv(
+        { benchmarkCode: code, name: name || code },
+        req.body,
+        req.requestId
+      );
+
+      if (summary.imported === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No valid rows found. Expected columns: Date, Close',
+          details: summary,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: summary,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,95 @@
+/**
+ * Categories Router
+ * 
+ * Handles category-level endpoints:
+ * - GET /categories/:name/stats - Aggregate metric distribution for a category
+ */
+
+import { Router } from 'express';
+import config from '../config/index.js';
+import * as categoryStatsService from '../services/categoryStatsService.js';
+import { parseWindow } from '../utils/analyticsWindow.js';
+import { formatMetric } from '../utils/format.js';
+
+const router = Router();
+
+/**
+ * GET /categories/:name/stats
+ * 
+ * Gets mean, median, quartiles, min and max of each ranking metric across
+ * the funds in a category, per window. Computed after each analytics run.
+ * 
+ * Params:
+ * - name: Category name; a unique partial match is accepted (e.g. "Mid Cap")
+ * 
+ * Query params:
+ * - window: Optional precomputed window (e.g. 1Y, 3Y); all windows if omitted
+ */
+router.get('/:name/stats', async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const { window: windowParam } = req.query;
+
+    let window = null;
+    if (windowParam) {
+      const parsedWindow = parseWindow(windowParam);
+      if (!parsedWindow || !config.analyticsWindows.includes(parsedWindow.label)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid window. Must be one of: ${config.analyticsWindows.join(', ')}`,
+        });
+      }
+      window = parsedWindow.label;
+    }
+
+    req.logger.info('Fetching category stats', { category: name, window });
+
+    const resolved = await categoryStatsService.resolveCategory(name);
+    if (!resolved.category) {
+      if (resolved.matches.length > 1) {
+        return res.status(400).json({
+          success: false,
+          error: `Category "${name}" is ambiguous`,
+          matches: resolved.matches,
+        });
+      }
+      return res.status(404).json({
+        success: false,
+        error: `No stats found for category "${name}"`,
+      });
+    }
+
+    const rows = await categoryStatsService.getCategoryStats(resolved.category, window);
+
+    // Group by window (in configured order), then by metric
+    const windows = {};
+    for (const windowType of config.analyticsWindows) {
+      const windowRows = rows.filter(row => row.window_type === windowType);
+      if (windowRows.length === 0) continue;
+
+      windows[windowType] = {
+        fund_count: Math.max(...windowRows.map(row => row.fund_count)),
+        metrics: Object.fromEntries(windowRows.map(row => [row.metric, {
+          fund_count: row.fund_count,
+          mean: formatMetric(row.metric, row.mean_value),
+          median: formatMetric(row.metric, row.median_value),
+          p25: formatMetric(row.metric, row.p25_value),
+          p75: formatMetric(row.metric, row.p75_value),
+          min: formatMetric(row.metric, row.min_value),
+          max: formatMetric(row.metric, row.max_value),
+        }])),
+      };
+    }
+
+    res.json({
+      category: resolved.category,
+      window,
+      computed_at: rows.length > 0 ? rows[0].computed_at : null,
+      windows,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
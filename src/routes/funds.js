@@ -4,25 +4,218 @@
  * Handles all fund-related API endpoints:
  * - GET /funds - List all funds
  * - GET /funds/rank - Rank funds by metrics
+ * - GET /funds/compare - Compare funds side by side
+ * - POST /funds/screen - Screen funds with a filter expression over analytics
+ * - GET /funds/search - Fuzzy search by scheme name, AMC and category
  * - GET /funds/:code - Get fund details with latest NAV
- * - GET /funds/:code/analytics - Get precomputed analytics
+ * - GET /funds/:code/nav - Get NAV history (range, frequency, rebasing, CSV)
+ * - GET /funds/:code/analytics - Get analytics (precomputed or computed on demand)
+ * - GET /funds/:code/analytics/history - Get dated analytics snapshots
+ * - GET /funds/:code/analytics/distribution - Get the rolling-return distribution
+ * - GET /funds/:code/rank-history - Get category rank over time
+ * - GET /funds/:code/rolling - Get the dated rolling-return series for charts
+ * - GET /funds/:code/sip - Simulate a monthly SIP
+ * - GET /funds/:code/swp - Simulate a monthly systematic withdrawal plan
+ * - GET /funds/:code/stp - Simulate a monthly systematic transfer plan into another fund
+ * - POST /funds/:code/projection - Monte Carlo projection of a SIP towards a target
+ * - GET /funds/:code/returns - Get trailing and calendar-year returns
+ * - GET /funds/:code/drawdowns - Get the deepest drawdown episodes
  */
 
 import { Router } from 'express';
 import * as fundService from '../services/fundService.js';
-import { fundsDao, navHistoryDao, analyticsDao } from '../dao/index.js';
+import * as sipService from '../services/sipService.js';
+import * as returnsService from '../services/returnsService.js';
+import * as analyticsService from '../services/analyticsService.js';
+import * as snapshotService from '../services/snapshotService.js';
+import * as categoryStatsService from '../services/categoryStatsService.js';
+import * as compareService from '../services/compareService.js';
+import * as projectionService from '../services/projectionService.js';
+import * as distributionService from '../services/distributionService.js';
+import * as rollingService from '../services/rollingService.js';
+import * as navHistoryService from '../services/navHistoryService.js';
+import * as scoringService from '../services/scoringService.js';
+import * as consistencyService from '../services/consistencyService.js';
+import * as searchService from '../services/searchService.js';
+import { fundsDao, navHistoryDao, analyticsDao, screenDao } from '../dao/index.js';
+import { parseWindow } from '../utils/analyticsWindow.js';
+import {
+  toPercent,
+  toRatio,
+  toAmount,
+  formatMetric,
+  formatAnalyticsMetrics,
+} from '../utils/format.js';
+import { toCsv } from '../utils/csv.js';
+import { parseFilterExpression, listFilterFields } from '../utils/filterExpression.js';
+import {
+  parseListQuery,
+  paginateItems,
+  parseLimit,
+  parseFields,
+  parseOffsetCursor,
+  encodeOffsetCursor,
+  selectFields,
+} from '../utils/pagination.js';
+import config from '../config/index.js';
 
 const router = Router();
 
+// Dates in query params must be YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Maximum number of funds in one /funds/compare request
+const MAX_COMPARE_FUNDS = 10;
+
+// Sampling steps and overlays for /funds/:code/rolling
+// (the same steps are the frequencies of /funds/:code/nav)
+const ROLLING_STEPS = ['daily', 'weekly', 'monthly'];
+const ROLLING_OVERLAYS = ['category', 'benchmark'];
+
+// Page size for /funds (default and upper limit)
+const FUNDS_PAGE_SIZE = 100;
+const MAX_FUNDS_PAGE_SIZE = 1000;
+
+// Page size for /funds/:code/nav (default and upper limit)
+const NAV_PAGE_SIZE = 1000;
+const MAX_NAV_PAGE_SIZE = 5000;
+
+// Page size for /funds/screen (default and upper limit) and the longest filter accepted
+const SCREEN_PAGE_SIZE = 50;
+const MAX_SCREEN_PAGE_SIZE = 500;
+const MAX_FILTER_LENGTH = 2000;
+
+// Fields of /funds/screen results (for fields=)
+const SCREEN_FIELDS = [
+  'fund_code', 'fund_name', 'amc', 'category', 'window', 'data_availability',
+  'rolling_returns', 'max_drawdown', 'cagr', 'risk_adjusted', 'risk', 'benchmark', 'sip_xirr',
+  'current_nav', 'last_updated',
+];
+
+// Results per /funds/search request (default and upper limit) and the longest query accepted
+const SEARCH_RESULTS = 10;
+const MAX_SEARCH_RESULTS = 50;
+const MAX_SEARCH_QUERY_LENGTH = 100;
+
+// Snapshots per /funds/:code/analytics/history and /rank-history page (default and upper limit)
+const HISTORY_PAGE_SIZE = 100;
+const MAX_HISTORY_PAGE_SIZE = 1000;
+
+// Fields of /funds/:code/analytics/history and /rank-history items (for fields=)
+const ANALYTICS_HISTORY_FIELDS = [
+  'date', 'data_end_date', 'rolling_returns', 'max_drawdown',
+  'cagr_median', 'volatility', 'sharpe_ratio', 'sortino_ratio',
+];
+const RANK_HISTORY_FIELDS = ['date', 'rank', 'total_funds', 'value'];
+
+// Funds per /funds/rank page (default and upper limit)
+const RANK_PAGE_SIZE = 5;
+const MAX_RANK_PAGE_SIZE = 500;
+
+// Fund fields of /funds/rank responses by profile and by consistency (for fields=)
+const PROFILE_RANK_FIELDS = ['rank', 'fund_code', 'fund_name', 'amc', 'category', 'score', 'coverage', 'breakdown'];
+const CONSISTENCY_RANK_FIELDS = [
+  'rank', 'fund_code', 'fund_name', 'amc', 'category',
+  'average_rank', 'worst_rank', 'top_quartile_share', 'periods_ranked', 'periods',
+];
+
+// Risk-adjusted metrics that can be used as sort_by in /funds/rank
+const riskAdjustedMetrics = {
+  volatility: toPercent,
+  downside_deviation: toPercent,
+  sharpe_ratio: toRatio,
+  sortino_ratio: toRatio,
+};
+
+/**
+ * Parses the query params shared by the SIP, SWP and STP simulators
+ * 
+ * @param {Object} query - Request query
+ * @param {Array<string>} amountParams - Names of required positive amounts
+ * @returns {Object} {amounts, day, start, end}, or {error} if invalid
+ */
+function parsePlanQuery(query, amountParams) {
+  const { start, end } = query;
+  const day = query.day !== undefined ? parseInt(query.day, 10) : 1;
+  const amounts = {};
+
+  for (const name of amountParams) {
+    const value = parseFloat(query[name]);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { error: `${name} is required and must be a positive number` };
+    }
+    amounts[name] = value;
+  }
+
+  if (!Number.isInteger(day) || day < 1 || day > 31) {
+    return { error: 'day must be an integer between 1 and 31' };
+  }
+
+  if ((start && !DATE_PATTERN.test(start)) || (end && !DATE_PATTERN.test(end))) {
+    return { error: 'start and end must be dates in YYYY-MM-DD format' };
+  }
+
+  if (start && end && start > end) {
+    return { error: 'start must be on or before end' };
+  }
+
+  return { amounts, day, start, end };
+}
+
+/**
+ * Parses /funds/screen sort keys
+ * 
+ * Accepts "cagr_median desc, max_drawdown" or an array of such keys;
+ * keys sort ascending unless followed by desc.
+ * 
+ * @param {string|Array<string>|undefined} sort - Sort keys from the request body
+ * @returns {Object} {keys: Array of {field, descending}}, or {error} if malformed
+ */
+function parseSortKeys(sort) {
+  if (sort === undefined || sort === null) return { keys: [] };
+
+  const items = Array.isArray(sort) ? sort : String(sort).split(',');
+  const keys = [];
+
+  for (const item of items) {
+    const match = typeof item === 'string'
+      ? item.trim().match(/^([A-Za-z0-9_]+)(?:\s+(asc|desc))?$/i)
+      : null;
+    if (!match) {
+      return { error: `Invalid sort key '${item}'; use a field name optionally followed by asc or desc` };
+    }
+    keys.push({
+      field: match[1].toLowerCase(),
+      descending: match[2] !== undefined && match[2].toLowerCase() === 'desc',
+    });
+  }
+
+  return { keys };
+}
+
 /**
  * GET /funds/rank
  * 
  * Ranks funds within a category by performance metrics.
  * Returns response in the exact format specified in requirements.
+ * With as_of=YYYY-MM-DD, ranks using analytics as they were on that date.
+ * With profile=NAME, ranks by the scoring profile's composite score instead
+ * of one metric (window and sort_by are then taken from the profile).
+ * With sort_by=consistency, ranks by category rank across the 1Y/3Y/5Y/10Y
+ * windows and calendar years (window is not used).
+ * 
+ * Paging: limit (default 5, max 500) funds per page; pass next_cursor as
+ * cursor for the following ranks. fields selects the returned fund fields.
  */
 router.get('/rank', async (req, res, next) => {
   try {
-    const { category, sort_by = 'median_return', window, limit = 5 } = req.query;
+    const {
+      category,
+      sort_by = 'median_return',
+      window: windowParam,
+      as_of: asOf,
+      profile: profileName,
+    } = req.query;
 
     // Validate required parameters
     if (!category) {
@@ -32,18 +225,191 @@ router.get('/rank', async (req, res, next) => {
       });
     }
 
-    if (!window) {
+    const { limit, error: limitError } = parseLimit(req.query.limit, RANK_PAGE_SIZE, MAX_RANK_PAGE_SIZE);
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        error: limitError,
+      });
+    }
+
+    // Cursors carry the rank position and only apply to the same ranking
+    const cursorScope = ['rank', category, sort_by, windowParam, asOf, profileName];
+    const { offset, error: cursorError } = parseOffsetCursor(req.query.cursor, cursorScope);
+    if (cursorError) {
+      return res.status(400).json({
+        success: false,
+        error: cursorError,
+      });
+    }
+
+    const pagination = (hasMore) => ({
+      limit,
+      next_cursor: hasMore ? encodeOffsetCursor(cursorScope, offset + limit) : null,
+      has_more: hasMore,
+    });
+
+    if (profileName !== undefined) {
+      if (asOf) {
+        return res.status(400).json({
+          success: false,
+          error: 'as_of cannot be combined with profile; profiles score the stored analytics',
+        });
+      }
+
+      const profile = await scoringService.getScoringProfile(profileName);
+      if (!profile) {
+        const profiles = await scoringService.listScoringProfiles();
+        return res.status(400).json({
+          success: false,
+          error: `Unknown scoring profile: ${profileName}. Available: ${profiles.map(p => p.name).join(', ')}`,
+        });
+      }
+
+      const { fields, error: fieldsError } = parseFields(req.query.fields, PROFILE_RANK_FIELDS);
+      if (fieldsError) {
+        return res.status(400).json({
+          success: false,
+          error: fieldsError,
+        });
+      }
+
+      req.logger.info('Ranking funds by profile', { category, profile: profile.name, limit, offset });
+
+      const ranked = await scoringService.rankFundsByProfile(
+        { category, profile, limit, offset },
+        req.requestId
+      );
+
+      return res.json({
+        category,
+        profile: {
+          name: profile.name,
+          description: profile.description,
+          normalization: profile.normalization,
+        },
+        as_of: null,
+        sorted_by: 'score',
+        total_funds: ranked.totalFunds,
+        unscored_funds: ranked.unscored.length,
+        showing: ranked.funds.length,
+        funds: ranked.funds.map((fund, index) => selectFields({
+          rank: offset + index + 1,
+          fund_code: fund.schemeCode,
+          fund_name: fund.schemeName,
+          amc: fund.amc,
+          category: fund.category,
+          score: toRatio(fund.score),
+          coverage: toRatio(fund.coverage),
+          breakdown: fund.components.map(component => ({
+            metric: component.metric,
+            window: component.window,
+            weight: component.weight,
+            value: formatMetric(component.metric, component.value),
+            normalized: toRatio(component.normalized),
+            contribution: toRatio(component.contribution),
+          })),
+        }, fields)),
+        pagination: pagination(offset + ranked.funds.length < ranked.totalFunds),
+      });
+    }
+
+    if (sort_by === 'consistency') {
+      if (asOf) {
+        return res.status(400).json({
+          success: false,
+          error: 'as_of cannot be combined with sort_by=consistency',
+        });
+      }
+
+      const { fields, error: fieldsError } = parseFields(req.query.fields, CONSISTENCY_RANK_FIELDS);
+      if (fieldsError) {
+        return res.status(400).json({
+          success: false,
+          error: fieldsError,
+        });
+      }
+
+      req.logger.info('Ranking funds by consistency', { category, limit, offset });
+
+      const ranked = await consistencyService.rankFundsByConsistency(
+        { category, limit, offset },
+        req.requestId
+      );
+
+      return res.json({
+        category,
+        as_of: null,
+        sorted_by: 'consistency',
+        windows: ranked.windows,
+        calendar_years: ranked.calendarYears,
+        total_funds: ranked.totalFunds,
+        excluded_funds: ranked.excluded.length,
+        showing: ranked.funds.length,
+        funds: ranked.funds.map((fund, index) => selectFields({
+          rank: offset + index + 1,
+          fund_code: fund.schemeCode,
+          fund_name: fund.schemeName,
+          amc: fund.amc,
+          category: fund.category,
+          average_rank: toRatio(fund.averageRank),
+          worst_rank: fund.worstRank,
+          top_quartile_share: toPercent(fund.topQuartileShare),
+          periods_ranked: fund.periods.length,
+          periods: fund.periods.map(period => ({
+            type: period.type,
+            period: period.period,
+            return: toPercent(period.value),
+            rank: period.rank,
+            of: period.of,
+            quartile: period.quartile,
+          })),
+        }, fields)),
+        pagination: pagination(offset + ranked.funds.length < ranked.totalFunds),
+      });
+    }
+
+    if (!windowParam) {
+      return res.status(400).json({
+        success: false,
+        error: `window is required (${config.analyticsWindows.join(', ')})`,
+      });
+    }
+
+    if (asOf && !DATE_PATTERN.test(asOf)) {
+      return res.status(400).json({
+        success: false,
+        error: 'as_of must be a date in YYYY-MM-DD format',
+      });
+    }
+
+    // Current rankings read stored analytics, so only precomputed windows are valid;
+    // as-of rankings are computed on demand and accept any window
+    const parsedWindow = parseWindow(windowParam);
+    if (!parsedWindow || (!asOf && !config.analyticsWindows.includes(parsedWindow.label))) {
       return res.status(400).json({
         success: false,
-        error: 'window is required (1Y, 3Y, 5Y, 10Y)',
+        error: `Invalid window. Must be one of: ${config.analyticsWindows.join(', ')}`,
       });
     }
+    const window = parsedWindow.label;
+    const suffix = window.toLowerCase();
 
-    const validWindows = ['1Y', '3Y', '5Y', '10Y'];
-    if (!validWindows.includes(window)) {
+    const { fields, error: fieldsError } = parseFields(req.query.fields, [
+      'rank',
+      'fund_code',
+      'fund_name',
+      'amc',
+      `median_return_${suffix}`,
+      `max_drawdown_${suffix}`,
+      ...(riskAdjustedMetrics[sort_by] ? [`${sort_by}_${suffix}`] : []),
+      'current_nav',
+      'last_updated',
+    ]);
+    if (fieldsError) {
       return res.status(400).json({
         success: false,
-        error: `Invalid window. Must be one of: ${validWindows.join(', ')}`,
+        error: fieldsError,
       });
     }
 
@@ -52,41 +418,317 @@ router.get('/rank', async (req, res, next) => {
       sort_by,
       window,
       limit,
+      offset,
+      as_of: asOf,
     });
 
-    const ranked = await fundService.rankFunds({
+    // One extra fund tells whether another page follows
+    const rankParams = {
       category,
       sortBy: sort_by,
       window,
-      limit: parseInt(limit, 10),
-    });
+      limit: limit + 1,
+      offset,
+    };
+    const ranked = asOf
+      ? await analyticsService.rankFundsAsOf({ ...rankParams, asOf }, req.requestId)
+      : await fundService.rankFunds(rankParams);
 
-    // Get total count for the category
-    const allFunds = await fundService.getFunds({ category });
+    const totalFunds = await fundService.countFunds({ category });
 
     // Format response as per requirements
-    const formattedFunds = ranked.map((fund, index) => ({
-      rank: index + 1,
-      fund_code: fund.scheme_code,
-      fund_name: fund.scheme_name,
-      amc: fund.amc,
-      [`median_return_${window.toLowerCase()}`]: fund.rolling_return_median 
-        ? parseFloat((parseFloat(fund.rolling_return_median) * 100).toFixed(1)) 
-        : null,
-      [`max_drawdown_${window.toLowerCase()}`]: fund.max_drawdown 
-        ? parseFloat((parseFloat(fund.max_drawdown) * 100).toFixed(1)) 
-        : null,
-      current_nav: fund.latest_nav || null,
-      last_updated: fund.latest_nav_date || null,
-    }));
+    const formattedFunds = ranked.slice(0, limit).map((fund, index) => {
+      const formatted = {
+        rank: offset + index + 1,
+        fund_code: fund.scheme_code,
+        fund_name: fund.scheme_name,
+        amc: fund.amc,
+        [`median_return_${suffix}`]: fund.rolling_return_median
+          ? parseFloat((parseFloat(fund.rolling_return_median) * 100).toFixed(1))
+          : null,
+        [`max_drawdown_${suffix}`]: fund.max_drawdown
+          ? parseFloat((parseFloat(fund.max_drawdown) * 100).toFixed(1))
+          : null,
+        current_nav: fund.latest_nav || null,
+        last_updated: fund.latest_nav_date || null,
+      };
+
+      // Include the sorted metric when ranking by a risk-adjusted measure
+      if (riskAdjustedMetrics[sort_by]) {
+        formatted[`${sort_by}_${suffix}`] = riskAdjustedMetrics[sort_by](fund[sort_by]);
+      }
+
+      return selectFields(formatted, fields);
+    });
 
     res.json({
       category: category,
       window: window,
+      as_of: asOf || null,
       sorted_by: sort_by,
-      total_funds: allFunds.length,
+      total_funds: totalFunds,
       showing: formattedFunds.length,
       funds: formattedFunds,
+      pagination: pagination(ranked.length > limit),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/compare
+ * 
+ * Compares funds side by side for one window: metadata, analytics,
+ * NAV series rebased to 100 on a common start date and the pairwise
+ * correlation of daily returns. Funds that are unknown or lack enough
+ * history are listed under errors instead of failing the request.
+ * 
+ * Query params:
+ * - codes: Comma-separated scheme codes (2 to 10)
+ * - window: Required, e.g. 3Y, 6M, 900D
+ */
+router.get('/compare', async (req, res, next) => {
+  try {
+    const { codes: codesParam, window: windowParam } = req.query;
+
+    if (codesParam !== undefined && typeof codesParam !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'codes must be a single comma-separated list (e.g. codes=119598,120505)',
+      });
+    }
+    const codes = [...new Set(
+      (codesParam || '').split(',').map(code => code.trim()).filter(Boolean)
+    )];
+    if (codes.length < 2 || codes.length > MAX_COMPARE_FUNDS) {
+      return res.status(400).json({
+        success: false,
+        error: `codes must list 2 to ${MAX_COMPARE_FUNDS} scheme codes (e.g. codes=119598,120505)`,
+      });
+    }
+
+    const parsedWindow = windowParam ? parseWindow(windowParam) : null;
+    if (!parsedWindow) {
+      return res.status(400).json({
+        success: false,
+        error: `window is required: a number followed by D, M or Y (e.g. ${config.analyticsWindows.join(', ')} or 900D)`,
+      });
+    }
+
+    req.logger.info('Comparing funds', { codes, window: parsedWindow.label });
+
+    const comparison = await compareService.compareFunds(codes, parsedWindow, req.requestId);
+
+    res.json({
+      success: true,
+      window: parsedWindow.label,
+      funds: comparison.funds.map(({ code, fund, analytics, source }) => ({
+        fund_code: code,
+        fund_name: fund.scheme_name,
+        category: fund.category,
+        amc: fund.amc,
+        data_availability: {
+          start_date: analytics.data_start_date,
+          end_date: analytics.data_end_date,
+        },
+        ...formatAnalyticsMetrics(analytics),
+        source,
+        computed_at: analytics.computed_at,
+      })),
+      errors: comparison.errors,
+      nav_series: comparison.navSeries
+        ? {
+          start_date: comparison.navSeries.startDate,
+          end_date: comparison.navSeries.endDate,
+          base: 100,
+          points: comparison.navSeries.points.map(point => ({
+            date: point.date,
+            ...Object.fromEntries(
+              Object.entries(point.values).map(([code, value]) => [code, toRatio(value)])
+            ),
+          })),
+        }
+        : null,
+      correlation: comparison.correlation
+        ? {
+          fund_codes: comparison.correlation.fundCodes,
+          matrix: comparison.correlation.matrix.map(row => row.map(toRatio)),
+          observations: comparison.correlation.observations,
+        }
+        : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /funds/screen
+ * 
+ * Screens funds by a filter expression over fund attributes and stored
+ * analytics, one result per fund and window. Metric values in the filter are
+ * decimals as stored (0.15 = 15%); the response reports percentages.
+ * 
+ * Body:
+ * - filter: Expression, e.g. "window=3Y AND cagr_median > 0.15 AND amc IN ('HDFC','SBI')";
+ *   omit to match every fund and window
+ * - sort: "cagr_median desc, max_drawdown" or an array of such keys
+ * - fields: Result fields to return, comma-separated or an array (default all)
+ * - limit: Page size (default 50, at most 500)
+ * - cursor: next_cursor from the previous page
+ */
+router.post('/screen', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const filterText = body.filter !== undefined && body.filter !== null ? body.filter : null;
+    const limit = body.limit !== undefined ? Number(body.limit) : SCREEN_PAGE_SIZE;
+
+    if (filterText !== null && (typeof filterText !== 'string' || filterText.length > MAX_FILTER_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `filter must be a string of at most ${MAX_FILTER_LENGTH} characters`,
+      });
+    }
+
+    let filter = null;
+    if (filterText !== null && filterText.trim() !== '') {
+      const parsed = parseFilterExpression(filterText);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid filter: ${parsed.error}`,
+        });
+      }
+      filter = parsed.tree;
+    }
+
+    const sort = parseSortKeys(body.sort);
+    if (sort.error) {
+      return res.status(400).json({
+        success: false,
+        error: sort.error,
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SCREEN_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_SCREEN_PAGE_SIZE}`,
+      });
+    }
+
+    // Cursors carry the result position and only apply to the same filter and sort
+    const cursorScope = ['screen', filterText, body.sort ?? null];
+    const { offset, error: cursorError } = parseOffsetCursor(body.cursor, cursorScope);
+    if (cursorError) {
+      return res.status(400).json({
+        success: false,
+        error: cursorError,
+      });
+    }
+
+    const { fields, error: fieldsError } = parseFields(body.fields, SCREEN_FIELDS);
+    if (fieldsError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldsError,
+      });
+    }
+
+    req.logger.info('Screening funds', {
+      filter_fields: filter ? listFilterFields(filter) : [],
+      sort: sort.keys.map(key => key.field),
+      limit,
+      offset,
+    });
+
+    const result = await screenDao.screen({ filter, sort: sort.keys, limit, offset });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        fields: screenDao.listScreenFields(),
+      });
+    }
+
+    res.json({
+      success: true,
+      filter: filterText,
+      sort: sort.keys.map(key => ({ field: key.field, direction: key.descending ? 'desc' : 'asc' })),
+      pagination: {
+        total: result.total,
+        limit,
+        next_cursor: offset + limit < result.total ? encodeOffsetCursor(cursorScope, offset + limit) : null,
+        has_more: offset + limit < result.total,
+      },
+      funds: result.rows.map(row => selectFields({
+        fund_code: row.scheme_code,
+        fund_name: row.scheme_name,
+        amc: row.amc,
+        category: row.category,
+        window: row.window_type,
+        data_availability: {
+          start_date: row.data_start_date,
+          end_date: row.data_end_date,
+        },
+        ...formatAnalyticsMetrics(row),
+        current_nav: row.latest_nav || null,
+        last_updated: row.latest_nav_date || null,
+      }, fields)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/search
+ * 
+ * Fuzzy fund search for autocomplete: tolerates typos, partial words and
+ * abbreviations such as "hdfc mid cap dir gr". Served from an in-process
+ * index rebuilt after each sync.
+ * 
+ * Query params:
+ * - q: Required search text
+ * - limit: Maximum results (default 10, at most 50)
+ */
+router.get('/search', async (req, res, next) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : SEARCH_RESULTS;
+
+    if (q === '' || q.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `q is required (up to ${MAX_SEARCH_QUERY_LENGTH} characters)`,
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_SEARCH_RESULTS}`,
+      });
+    }
+
+    req.logger.info('Searching funds', { q, limit });
+
+    const index = await searchService.getSearchIndex(req.requestId);
+    const results = searchService.searchFunds(index, q, limit);
+
+    res.json({
+      success: true,
+      query: q,
+      count: results.length,
+      index_built_at: index.builtAt,
+      data: results.map(({ fund, score }) => ({
+        scheme_code: fund.scheme_code,
+        scheme_name: fund.scheme_name,
+        amc: fund.amc,
+        category: fund.category,
+        score: toRatio(score),
+      })),
     });
   } catch (error) {
     next(error);
@@ -96,20 +738,55 @@ router.get('/rank', async (req, res, next) => {
 /**
  * GET /funds
  * 
- * Lists all funds with optional filtering.
+ * Lists funds with optional filtering, one keyset page at a time.
+ * 
+ * Query params:
+ * - category, amc: Optional substring filters
+ * - sort: Fund columns, "-" prefix for descending (default amc,category,scheme_name)
+ * - fields: Columns to return (default all)
+ * - limit: Funds per page (default 100, max 1000)
+ * - cursor: next_cursor from the previous page
  */
 router.get('/', async (req, res, next) => {
   try {
     const { category, amc } = req.query;
+    const columns = fundsDao.listColumns();
+
+    const list = parseListQuery(req.query, {
+      sortFields: columns,
+      defaultSort: 'amc,category,scheme_name',
+      key: 'scheme_code',
+      fields: columns,
+      defaultLimit: FUNDS_PAGE_SIZE,
+      maxLimit: MAX_FUNDS_PAGE_SIZE,
+    });
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        error: list.error,
+      });
+    }
 
-    req.logger.info('Fetching funds', { category, amc });
+    req.logger.info('Fetching funds', {
+      category,
+      amc,
+      sort: req.query.sort,
+      limit: list.limit,
+      cursor: Boolean(list.after),
+    });
 
-    const funds = await fundService.getFunds({ category, amc });
+    const page = await fundService.getFundsPage({ category, amc }, list);
 
     res.json({
       success: true,
-      count: funds.length,
-      data: funds,
+      count: page.funds.length,
+      data: page.funds.map(fund => selectFields(fund, list.fields)),
+      pagination: {
+        total: page.total,
+        limit: list.limit,
+        next_cursor: page.nextCursor,
+        has_more: page.hasMore,
+      },
     });
   } catch (error) {
     next(error);
@@ -146,108 +823,1308 @@ router.get('/:code', async (req, res, next) => {
 });
 
 /**
- * GET /funds/:code/analytics
+ * GET /funds/:code/nav
  * 
- * Gets precomputed analytics for a fund.
- * Returns response in the exact format specified in requirements.
+ * Gets the fund's NAV history. JSON responses are paginated; CSV
+ * (Accept: text/csv or format=csv) returns the whole range.
+ * 
+ * Query params:
+ * - from, to: Optional date range (YYYY-MM-DD)
+ * - frequency: daily (default), weekly or monthly (period-end NAVs)
+ * - rebase: Scale NAVs so the first one in the range equals this value (e.g. 100)
+ * - forward_fill: true to fill weekday holidays with the previous NAV
+ * - sort: date (default) or -date for newest first
+ * - fields: Point fields to return (date, nav, rebased_nav, filled)
+ * - limit: Points per page (default 1000, max 5000)
+ * - cursor: next_cursor from the previous page
+ * - format: json or csv (overrides the Accept header)
  */
-router.get('/:code/analytics', async (req, res, next) => {
+router.get('/:code/nav', async (req, res, next) => {
   try {
     const { code } = req.params;
-    const { window } = req.query;
+    const { from, to } = req.query;
+    const frequency = req.query.frequency || 'daily';
+    const forwardFill = req.query.forward_fill === 'true';
+    const rebase = req.query.rebase !== undefined ? Number(req.query.rebase) : null;
 
-    // Window is required as per spec
-    if (!window) {
+    if (req.query.format !== undefined && typeof req.query.format !== 'string') {
       return res.status(400).json({
         success: false,
-        error: 'window query parameter is required (1Y, 3Y, 5Y, 10Y)',
+        error: 'format must be json or csv',
       });
     }
+    const format = req.query.format
+      ? req.query.format.toLowerCase()
+      : (req.accepts(['application/json', 'text/csv']) === 'text/csv' ? 'csv' : 'json');
 
-    const validWindows = ['1Y', '3Y', '5Y', '10Y'];
-    if (!validWindows.includes(window)) {
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
       return res.status(400).json({
         success: false,
-        error: `Invalid window. Must be one of: ${validWindows.join(', ')}`,
+        error: 'from and to must be dates in YYYY-MM-DD format',
       });
     }
 
-    req.logger.info('Fetching fund analytics', { scheme_code: code, window });
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must be on or before to',
+      });
+    }
 
-    // Get fund details
-    const fund = await fundService.getFundByCode(code);
-    if (!fund) {
-      return res.status(404).json({
+    if (!ROLLING_STEPS.includes(frequency)) {
+      return res.status(400).json({
         success: false,
-        error: `Fund with code ${code} not found`,
+        error: `frequency must be one of: ${ROLLING_STEPS.join(', ')}`,
       });
     }
 
-    // Get analytics for specific window
-    const analytics = await fundService.getAnalytics(code, window);
-    if (!analytics) {
+    if (rebase !== null && (!Number.isFinite(rebase) || rebase <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'rebase must be a positive number',
+      });
+    }
+
+    const list = parseListQuery(req.query, {
+      sortFields: ['date'],
+      defaultSort: 'date',
+      key: 'date',
+      fields: [
+        'date',
+        'nav',
+        ...(rebase !== null ? ['rebased_nav'] : []),
+        ...(forwardFill ? ['filled'] : []),
+      ],
+      defaultLimit: NAV_PAGE_SIZE,
+      maxLimit: MAX_NAV_PAGE_SIZE,
+    });
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        error: list.error,
+      });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or csv',
+      });
+    }
+
+    req.logger.info('Fetching NAV history', {
+      scheme_code: code,
+      from,
+      to,
+      frequency,
+      rebase,
+      forward_fill: forwardFill,
+      format,
+    });
+
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
       return res.status(404).json({
         success: false,
-        error: `Analytics for fund ${code} with window ${window} not found`,
+        error: `Fund with code ${code} not found`,
       });
     }
 
-    // Get NAV data stats
-    const navHistory = await navHistoryDao.findAllByScheme(code);
-    const navCount = navHistory.length;
+    const series = await navHistoryService.getNavSeries(code, { from, to, frequency, forwardFill, rebase });
 
-    // Calculate rolling periods
-    const windowDays = { '1Y': 365, '3Y': 1095, '5Y': 1825, '10Y': 3650 };
-    const rollingPeriods = Math.max(0, navCount - windowDays[window]);
+    if (format === 'csv') {
+      const headers = ['date', 'nav'];
+      if (rebase !== null) headers.push('rebased_nav');
+      if (forwardFill) headers.push('filled');
+
+      const csv = toCsv(headers, series.map(point => [
+        point.date,
+        point.nav,
+        ...(rebase !== null ? [parseFloat(point.rebasedNav.toFixed(4))] : []),
+        ...(forwardFill ? [point.filled] : []),
+      ]));
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="nav-${code}-${frequency}.csv"`);
+      return res.send(csv);
+    }
+
+    const page = paginateItems(series.map(point => ({
+      date: point.date,
+      nav: point.nav,
+      ...(rebase !== null && { rebased_nav: parseFloat(point.rebasedNav.toFixed(4)) }),
+      ...(forwardFill && { filled: point.filled }),
+    })), list);
 
-    // Format response as per requirements
     res.json({
       fund_code: code,
       fund_name: fund.scheme_name,
-      category: fund.category,
-      amc: fund.amc,
-      window: window,
-      data_availability: {
+      frequency,
+      rebase,
+      forward_fill: forwardFill,
+      start_date: series.length > 0 ? series[0].date : null,
+      end_date: series.length > 0 ? series[series.length - 1].date : null,
+      pagination: {
+        total: page.total,
+        limit: list.limit,
+        next_cursor: page.nextCursor,
+        has_more: page.hasMore,
+      },
+      data: page.rows.map(point => selectFields(point, list.fields)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/:code/analytics
+ * 
+ * Gets analytics for a fund.
+ * Returns response in the exact format specified in requirements.
+ * 
+ * Query params:
+ * - window: Required, e.g. 1Y, 6M, 900D (non-precomputed windows are computed on demand)
+ * - as_of: Optional date (YYYY-MM-DD); analytics use only NAVs up to that date
+ */
+router.get('/:code/analytics', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const { window: windowParam, as_of: asOf } = req.query;
+
+    // Window is required as per spec
+    if (!windowParam) {
+      return res.status(400).json({
+        success: false,
+        error: `window query parameter is required (e.g. ${config.analyticsWindows.join(', ')} or 900D)`,
+      });
+    }
+
+    const parsedWindow = parseWindow(windowParam);
+    if (!parsedWindow) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window. Use a number followed by D, M or Y (e.g. 900D, 6M, 3Y)',
+      });
+    }
+    const window = parsedWindow.label;
+
+    if (asOf && !DATE_PATTERN.test(asOf)) {
+      return res.status(400).json({
+        success: false,
+        error: 'as_of must be a date in YYYY-MM-DD format',
+      });
+    }
+
+    // Stored analytics reflect the latest NAV, so as-of queries are always computed
+    const isPrecomputed = !asOf && config.analyticsWindows.includes(window);
+
+    req.logger.info('Fetching fund analytics', {
+      scheme_code: code,
+      window,
+      as_of: asOf,
+      precomputed: isPrecomputed,
+    });
+
+    // Get fund details
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${code} not found`,
+      });
+    }
+
+    // Get NAV data stats (only NAVs up to as_of, so there is no look-ahead)
+    const navHistory = await navHistoryDao.findAllByScheme(code, asOf || null);
+    const navCount = navHistory.length;
+
+    if (asOf && navCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `No NAV data for fund ${code} on or before ${asOf}`,
+      });
+    }
+    const totalDays = navCount > 0
+      ? Math.ceil((new Date(navHistory[navCount - 1].date) - new Date(navHistory[0].date)) / (1000 * 60 * 60 * 24))
+      : 0;
+
+    // Windows the fund's history does not (nearly) cover cannot be analyzed
+    const requiredDays = analyticsService.requiredHistoryDays(parsedWindow.days);
+    if (totalDays < requiredDays) {
+      return res.status(400).json({
+        success: false,
+        fund_code: code,
+        window,
+        error: 'Insufficient history',
+        available_history_days: totalDays,
+        required_days: requiredDays,
+      });
+    }
+
+    // Precomputed windows are read from the analytics table; others are computed and cached
+    const analytics = isPrecomputed
+      ? await fundService.getAnalytics(code, window)
+      : await analyticsService.getOnDemandAnalytics(code, window, req.requestId, { navHistory, asOf });
+    if (!analytics) {
+      return res.status(404).json({
+        success: false,
+        error: `Analytics for fund ${code} with window ${window} not found`,
+      });
+    }
+
+    // Calculate rolling periods
+    const rollingPeriods = Math.max(0, navCount - parsedWindow.days);
+
+    // Position within the category (kept for precomputed windows only)
+    const percentileRows = isPrecomputed
+      ? await categoryStatsService.getFundPercentiles(code, window)
+      : [];
+
+    // Format response as per requirements
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      category: fund.category,
+      amc: fund.amc,
+      window: window,
+      as_of: asOf || null,
+      data_availability: {
         start_date: analytics.data_start_date,
         end_date: analytics.data_end_date,
-        total_days: navHistory.length > 0 
-          ? Math.ceil((new Date(navHistory[navCount-1].date) - new Date(navHistory[0].date)) / (1000*60*60*24))
-          : 0,
+        total_days: totalDays,
         nav_data_points: navCount,
       },
       rolling_periods_analyzed: rollingPeriods,
+      ...formatAnalyticsMetrics(analytics),
+      category_percentile: percentileRows.length > 0
+        ? Object.fromEntries(percentileRows.map(row => [row.metric, parseFloat(row.percentile)]))
+        : null,
+      quartile: percentileRows.length > 0
+        ? Object.fromEntries(percentileRows.map(row => [row.metric, row.quartile]))
+        : null,
+      source: isPrecomputed ? 'precomputed' : 'on_demand',
+      computed_at: analytics.computed_at,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Validates the window, from and to query params shared by the history endpoints.
+ * Snapshots are only taken for precomputed windows.
+ * 
+ * @param {Object} query - Request query
+ * @returns {{error: string}|{window: string, from: string|null, to: string|null}} Parsed params or error
+ */
+function parseHistoryQuery(query) {
+  const { window: windowParam, from = null, to = null } = query;
+  const parsedWindow = windowParam ? parseWindow(windowParam) : null;
+
+  if (!parsedWindow || !config.analyticsWindows.includes(parsedWindow.label)) {
+    return { error: `window is required and must be one of: ${config.analyticsWindows.join(', ')}` };
+  }
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+
+  if (from && to && from > to) {
+    return { error: 'from must be on or before to' };
+  }
+
+  return { window: parsedWindow.label, from, to };
+}
+
+/**
+ * GET /funds/:code/analytics/history
+ * 
+ * Gets the dated analytics snapshots for a fund and window, oldest first.
+ * 
+ * Query params:
+ * - window: Required precomputed window (e.g. 1Y, 3Y)
+ * - from, to: Optional snapshot date range (YYYY-MM-DD)
+ * - sort, fields, limit (default 100, max 1000), cursor: as for /funds (sortable by date)
+ */
+router.get('/:code/analytics/history', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const params = parseHistoryQuery(req.query);
+
+    if (params.error) {
+      return res.status(400).json({
+        success: false,
+        error: params.error,
+      });
+    }
+
+    const list = parseListQuery(req.query, {
+      sortFields: ['date'],
+      defaultSort: 'date',
+      key: 'date',
+      fields: ANALYTICS_HISTORY_FIELDS,
+      defaultLimit: HISTORY_PAGE_SIZE,
+      maxLimit: MAX_HISTORY_PAGE_SIZE,
+    });
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        error: list.error,
+      });
+    }
+
+    req.logger.info('Fetching analytics history', { scheme_code: code, ...params });
+
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${code} not found`,
+      });
+    }
+
+    const snapshots = await snapshotService.getAnalyticsHistory(code, params.window, params);
+    const page = paginateItems(snapshots.map(snapshot => ({
+      date: snapshot.snapshot_date,
+      data_end_date: snapshot.data_end_date,
       rolling_returns: {
-        min: analytics.rolling_return_min 
-          ? parseFloat((parseFloat(analytics.rolling_return_min) * 100).toFixed(1)) 
-          : null,
-        max: analytics.rolling_return_max 
-          ? parseFloat((parseFloat(analytics.rolling_return_max) * 100).toFixed(1)) 
-          : null,
-        median: analytics.rolling_return_median 
-          ? parseFloat((parseFloat(analytics.rolling_return_median) * 100).toFixed(1)) 
-          : null,
-        p25: analytics.rolling_return_p25 
-          ? parseFloat((parseFloat(analytics.rolling_return_p25) * 100).toFixed(1)) 
-          : null,
-        p75: analytics.rolling_return_p75 
-          ? parseFloat((parseFloat(analytics.rolling_return_p75) * 100).toFixed(1)) 
-          : null,
+        min: toPercent(snapshot.rolling_return_min),
+        max: toPercent(snapshot.rolling_return_max),
+        median: toPercent(snapshot.rolling_return_median),
+        p25: toPercent(snapshot.rolling_return_p25),
+        p75: toPercent(snapshot.rolling_return_p75),
       },
-      max_drawdown: analytics.max_drawdown 
-        ? parseFloat((parseFloat(analytics.max_drawdown) * 100).toFixed(1)) 
-        : null,
-      cagr: {
-        min: analytics.cagr_min 
-          ? parseFloat((parseFloat(analytics.cagr_min) * 100).toFixed(1)) 
-          : null,
-        max: analytics.cagr_max 
-          ? parseFloat((parseFloat(analytics.cagr_max) * 100).toFixed(1)) 
-          : null,
-        median: analytics.cagr_median 
-          ? parseFloat((parseFloat(analytics.cagr_median) * 100).toFixed(1)) 
-          : null,
+      max_drawdown: toPercent(snapshot.max_drawdown),
+      cagr_median: toPercent(snapshot.cagr_median),
+      volatility: toPercent(snapshot.volatility),
+      sharpe_ratio: toRatio(snapshot.sharpe_ratio),
+      sortino_ratio: toRatio(snapshot.sortino_ratio),
+    })), list);
+
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      window: params.window,
+      total_snapshots: page.total,
+      snapshots: page.rows.map(snapshot => selectFields(snapshot, list.fields)),
+      pagination: {
+        total: page.total,
+        limit: list.limit,
+        next_cursor: page.nextCursor,
+        has_more: page.hasMore,
       },
-      computed_at: analytics.computed_at,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/:code/analytics/distribution
+ * 
+ * Gets the distribution of the fund's rolling returns for a window:
+ * moments, share of negative periods, percentiles and a histogram.
+ * 
+ * Query params:
+ * - window: Required, e.g. 1Y, 3Y, 900D
+ * - buckets: Number of equal-width histogram buckets (default: 20)
+ * - bucket_width: Bucket width in percentage points instead, e.g. 5
+ * - series: true to include the dated rolling-return series
+ * - max_points: Down-sample the series to at most this many points
+ */
+router.get('/:code/analytics/distribution', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const { defaultBuckets, maxBuckets, maxSeriesPoints } = config.returnDistribution;
+
+    const parsedWindow = req.query.window ? parseWindow(req.query.window) : null;
+    if (!parsedWindow) {
+      return res.status(400).json({
+        success: false,
+        error: `window is required: a number followed by D, M or Y (e.g. ${config.analyticsWindows.join(', ')} or 900D)`,
+      });
+    }
+
+    if (req.query.buckets !== undefined && req.query.bucket_width !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use either buckets or bucket_width, not both',
+      });
+    }
+
+    const buckets = req.query.buckets !== undefined ? Number(req.query.buckets) : defaultBuckets;
+    if (!Number.isInteger(buckets) || buckets < 1 || buckets > maxBuckets) {
+      return res.status(400).json({
+        success: false,
+        error: `buckets must be an integer between 1 and ${maxBuckets}`,
+      });
+    }
+
+    const bucketWidth = req.query.bucket_width !== undefined ? Number(req.query.bucket_width) : null;
+    if (bucketWidth !== null && (!Number.isFinite(bucketWidth) || bucketWidth < 0.1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'bucket_width must be at least 0.1 (percentage points)',
+      });
+    }
+
+    const includeSeries = req.query.series === 'true';
+    const maxPoints = req.query.max_points !== undefined ? Number(req.query.max_points) : null;
+    if (maxPoints !== null && (!Number.isInteger(maxPoints) || maxPoints < 2 || maxPoints > maxSeriesPoints)) {
+      return res.status(400).json({
+        success: false,
+        error: `max_points must be an integer between 2 and ${maxSeriesPoints}`,
+      });
+    }
+
+    req.logger.info('Fetching return distribution', {
+      scheme_code: code,
+      window: parsedWindow.label,
+      buckets: bucketWidth === null ? buckets : undefined,
+      bucket_width: bucketWidth,
+      series: includeSeries,
+      max_points: maxPoints,
+    });
+
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${code} not found`,
+      });
+    }
+
+    const distribution = await distributionService.getReturnDistribution(
+      code,
+      parsedWindow.label,
+      {
+        buckets,
+        bucketWidth: bucketWidth === null ? null : bucketWidth / 100,
+        maxPoints,
+      },
+      req.requestId
+    );
+
+    if (!distribution) {
+      return res.status(400).json({
+        success: false,
+        error: `Insufficient NAV history for ${parsedWindow.label} rolling returns`,
+      });
+    }
+
+    if (distribution.error) {
+      return res.status(400).json({ success: false, error: distribution.error });
+    }
+
+    const { percentiles } = distribution;
+
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      window: parsedWindow.label,
+      start_date: distribution.startDate,
+      end_date: distribution.endDate,
+      rolling_periods: distribution.count,
+      mean: toPercent(distribution.mean),
+      standard_deviation: toPercent(distribution.standardDeviation),
+      skewness: toRatio(distribution.skewness),
+      excess_kurtosis: toRatio(distribution.excessKurtosis),
+      negative_share: toPercent(distribution.negativeShare),
+      percentiles: {
+        min: toPercent(percentiles.min),
+        p5: toPercent(percentiles.p5),
+        p25: toPercent(percentiles.p25),
+        median: toPercent(percentiles.median),
+        p75: toPercent(percentiles.p75),
+        p95: toPercent(percentiles.p95),
+        max: toPercent(percentiles.max),
+      },
+      histogram: distribution.histogram.map(bucket => ({
+        from: toPercent(bucket.from),
+        to: toPercent(bucket.to),
+        count: bucket.count,
+        share: toPercent(bucket.share),
+      })),
+      ...(includeSeries && {
+        series: distribution.series.map(point => ({
+          date: point.date,
+          return: toPercent(point.value),
+        })),
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/:code/rank-history
+ * 
+ * Gets the fund's rank within its category on each snapshot date.
+ * 
+ * Query params:
+ * - window: Required precomputed window (e.g. 1Y, 3Y)
+ * - sort_by: Ranking metric, as in /funds/rank (default: median_return)
+ * - from, to: Optional snapshot date range (YYYY-MM-DD)
+ * - sort, fields, limit (default 100, max 1000), cursor: as for /funds (sortable by date)
+ */
+router.get('/:code/rank-history', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const { sort_by = 'median_return' } = req.query;
+    const params = parseHistoryQuery(req.query);
+
+    if (params.error) {
+      return res.status(400).json({
+        success: false,
+        error: params.error,
+      });
+    }
+
+    const list = parseListQuery(req.query, {
+      sortFields: ['date'],
+      defaultSort: 'date',
+      key: 'date',
+      fields: RANK_HISTORY_FIELDS,
+      defaultLimit: HISTORY_PAGE_SIZE,
+      maxLimit: MAX_HISTORY_PAGE_SIZE,
+    });
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        error: list.error,
+      });
+    }
+
+    req.logger.info('Fetching rank history', { scheme_code: code, sort_by, ...params });
+
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${code} not found`,
+      });
+    }
+
+    const history = await snapshotService.getRankHistory(fund, {
+      windowType: params.window,
+      sortBy: sort_by,
+      from: params.from,
+      to: params.to,
+    });
+    const page = paginateItems(history.map(row => ({
+      date: row.snapshot_date,
+      rank: row.rank_position,
+      total_funds: row.total_funds,
+      value: formatMetric(sort_by, row.metric_value),
+    })), list);
+
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      category: fund.category,
+      window: params.window,
+      sorted_by: sort_by,
+      history: page.rows.map(row => selectFields(row, list.fields)),
+      pagination: {
+        total: page.total,
+        limit: list.limit,
+        next_cursor: page.nextCursor,
+        has_more: page.hasMore,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/:code/rolling
+ * 
+ * Gets the dated rolling returns and CAGRs for a window, as used by the
+ * analytics, for drawing a rolling-return chart.
+ * 
+ * Query params:
+ * - window: Required, e.g. 1Y, 3Y, 900D
+ * - from, to: Optional range of rolling period end dates (YYYY-MM-DD)
+ * - step: daily (default), weekly or monthly (last point of each period)
+ * - overlays: Comma-separated category and/or benchmark
+ */
+router.get('/:code/rolling', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const { from, to } = req.query;
+    const step = req.query.step || 'daily';
+
+    if (req.query.overlays !== undefined && typeof req.query.overlays !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: `overlays must be a single comma-separated list of ${ROLLING_OVERLAYS.join(', ')}`,
+      });
+    }
+    const overlays = req.query.overlays
+      ? req.query.overlays.split(',').map(o => o.trim().toLowerCase()).filter(Boolean)
+      : [];
+
+    const parsedWindow = req.query.window ? parseWindow(req.query.window) : null;
+    if (!parsedWindow) {
+      return res.status(400).json({
+        success: false,
+        error: `window is required: a number followed by D, M or Y (e.g. ${config.analyticsWindows.join(', ')} or 900D)`,
+      });
+    }
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be dates in YYYY-MM-DD format',
+      });
+    }
+
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must be on or before to',
+      });
+    }
+
+    if (!ROLLING_STEPS.includes(step)) {
+      return res.status(400).json({
+        success: false,
+        error: `step must be one of: ${ROLLING_STEPS.join(', ')}`,
+      });
+    }
+
+    const unknownOverlays = overlays.filter(o => !ROLLING_OVERLAYS.includes(o));
+    if (unknownOverlays.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown overlays: ${unknownOverlays.join(', ')}. Use ${ROLLING_OVERLAYS.join(', ')}`,
+      });
+    }
+
+    req.logger.info('Fetching rolling series', {
+      scheme_code: code,
+      window: parsedWindow.label,
+      from,
+      to,
+      step,
+      overlays,
+    });
+
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${code} not found`,
+      });
+    }
+
+    const result = await rollingService.getRollingSeries(
+      fund,
+      parsedWindow,
+      {
+        from,
+        to,
+        step,
+        category: overlays.includes('category'),
+        benchmark: overlays.includes('benchmark'),
+      },
+      req.requestId
+    );
+
+    const formatValues = point => (point
+      ? { rolling_return: toPercent(point.rollingReturn), cagr: toPercent(point.cagr) }
+      : null);
+
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      category: fund.category,
+      window: parsedWindow.label,
+      step,
+      ...(overlays.includes('category') && { category_funds: result.categoryFunds }),
+      ...(overlays.includes('benchmark') && { benchmark: result.benchmark }),
+      count: result.series.length,
+      series: result.series.map(point => ({
+        date: point.date,
+        ...formatValues(point),
+        ...(overlays.includes('category') && {
+          category_median: point.category && {
+            ...formatValues(point.category),
+            funds: point.category.funds,
+          },
+        }),
+        ...(overlays.includes('benchmark') && { benchmark: formatValues(point.benchmark) }),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/:code/sip
+ * 
+ * Simulates a monthly SIP against NAV history.
+ * 
+ * Query params:
+ * - amount: Monthly installment (required)
+ * - day: Day of month for installments, 1-31 (default: 1)
+ * - start: First date YYYY-MM-DD (default: first NAV date)
+ * - end: Valuation date YYYY-MM-DD (default: latest NAV date)
+ */
+router.get('/:code/sip', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const { error, amounts, day, start, end } = parsePlanQuery(req.query, ['amount']);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const { amount } = amounts;
+
+    req.logger.info('Simulating SIP', { scheme_code: code, amount, day, start, end });
+
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${code} not found`,
+      });
+    }
+
+    const result = await sipService.simulateSchemeSip(code, {
+      amount,
+      day,
+      startDate: start,
+      endDate: end,
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `No NAV data for fund ${code} in the requested range`,
+      });
+    }
+
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      sip: {
+        amount,
+        day,
+        start_date: result.installments[0].navDate,
+        end_date: result.valuationDate,
+      },
+      installments_count: result.installments.length,
+      total_invested: toAmount(result.totalInvested),
+      current_value: toAmount(result.currentValue),
+      absolute_gain: toAmount(result.absoluteGain),
+      absolute_return: toPercent(result.absoluteReturn),
+      xirr: toPercent(result.xirr),
+      total_units: parseFloat(result.totalUnits.toFixed(4)),
+      valuation_nav: result.valuationNav,
+      installments: result.installments.map(i => ({
+        scheduled_date: i.scheduledDate,
+        nav_date: i.navDate,
+        nav: i.nav,
+        amount: toAmount(i.amount),
+        units: parseFloat(i.units.toFixed(4)),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/:code/swp
+ * 
+ * Simulates a monthly Systematic Withdrawal Plan: a lump sum invested at
+ * the start, then fixed monthly withdrawals from the following month until
+ * the end date or until the units run out.
+ * 
+ * Query params:
+ * - initial_amount: Lump sum invested (required)
+ * - amount: Monthly withdrawal (required)
+ * - day: Day of month for withdrawals, 1-31 (default: 1)
+ * - start: Investment date YYYY-MM-DD (default: first NAV date)
+ * - end: Valuation date YYYY-MM-DD (default: latest NAV date)
+ */
+router.get('/:code/swp', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const { error, amounts, day, start, end } = parsePlanQuery(req.query, ['initial_amount', 'amount']);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const { initial_amount: initialAmount, amount } = amounts;
+
+    req.logger.info('Simulating SWP', { scheme_code: code, initial_amount: initialAmount, amount, day, start, end });
+
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${code} not found`,
+      });
+    }
+
+    const result = await sipService.simulateSchemeSwp(code, {
+      initialAmount,
+      amount,
+      day,
+      startDate: start,
+      endDate: end,
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `No NAV data for fund ${code} in the requested range`,
+      });
+    }
+
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      swp: {
+        initial_amount: initialAmount,
+        amount,
+        day,
+        start_date: result.purchaseDate,
+        end_date: result.valuationDate,
+      },
+      purchase_nav: result.purchaseNav,
+      withdrawals_count: result.withdrawals.length,
+      total_withdrawn: toAmount(result.totalWithdrawn),
+      final_units: parseFloat(result.finalUnits.toFixed(4)),
+      final_value: toAmount(result.finalValue),
+      valuation_nav: result.valuationNav,
+      xirr: toPercent(result.xirr),
+      sustainability: {
+        depleted: result.depleted,
+        depletion_date: result.depletionDate,
+        months_sustained: result.monthsSustained,
+      },
+      withdrawals: result.withdrawals.map(w => ({
+        scheduled_date: w.scheduledDate,
+        nav_date: w.navDate,
+        nav: w.nav,
+        amount: toAmount(w.amount),
+        units: parseFloat(w.units.toFixed(4)),
+        units_balance: parseFloat(w.unitsBalance.toFixed(4)),
+        value: toAmount(w.value),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/:code/stp
+ * 
+ * Simulates a monthly Systematic Transfer Plan: a lump sum invested in this
+ * fund (typically debt), then fixed monthly transfers into target_code from
+ * the following month until the end date or until the units run out.
+ * 
+ * Query params:
+ * - target_code: Fund receiving the transfers (required)
+ * - initial_amount: Lump sum invested (required)
+ * - amount: Monthly transfer (required)
+ * - day: Day of month for transfers, 1-31 (default: 1)
+ * - start: Investment date YYYY-MM-DD (default: first date both funds have NAVs)
+ * - end: Valuation date YYYY-MM-DD (default: latest date both funds have NAVs)
+ */
+router.get('/:code/stp', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const { target_code: targetCode } = req.query;
+
+    if (!targetCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'target_code is required',
+      });
+    }
+
+    if (targetCode === code) {
+      return res.status(400).json({
+        success: false,
+        error: 'target_code must be a different fund',
+      });
+    }
+
+    const { error, amounts, day, start, end } = parsePlanQuery(req.query, ['initial_amount', 'amount']);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const { initial_amount: initialAmount, amount } = amounts;
+
+    req.logger.info('Simulating STP', {
+      scheme_code: code,
+      target_code: targetCode,
+      initial_amount: initialAmount,
+      amount,
+      day,
+      start,
+      end,
+    });
+
+    const [fund, targetFund] = await Promise.all([
+      fundService.getFundByCode(code),
+      fundService.getFundByCode(targetCode),
+    ]);
+    if (!fund || !targetFund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${fund ? targetCode : code} not found`,
+      });
+    }
+
+    const result = await sipService.simulateSchemeStp(code, targetCode, {
+      initialAmount,
+      amount,
+      day,
+      startDate: start,
+      endDate: end,
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `No NAV data for funds ${code} and ${targetCode} in the requested range`,
+      });
+    }
+
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      target_code: targetCode,
+      target_name: targetFund.scheme_name,
+      stp: {
+        initial_amount: initialAmount,
+        amount,
+        day,
+        start_date: result.purchaseDate,
+        end_date: result.valuationDate,
+      },
+      purchase_nav: result.purchaseNav,
+      transfers_count: result.transfers.length,
+      total_transferred: toAmount(result.totalTransferred),
+      source: {
+        units: parseFloat(result.source.units.toFixed(4)),
+        nav: result.source.nav,
+        value: toAmount(result.source.value),
+      },
+      target: {
+        units: parseFloat(result.target.units.toFixed(4)),
+        nav: result.target.nav,
+        value: toAmount(result.target.value),
+      },
+      final_value: toAmount(result.finalValue),
+      absolute_gain: toAmount(result.absoluteGain),
+      absolute_return: toPercent(result.absoluteReturn),
+      xirr: toPercent(result.xirr),
+      sustainability: {
+        depleted: result.depleted,
+        depletion_date: result.depletionDate,
+      },
+      transfers: result.transfers.map(t => ({
+        scheduled_date: t.scheduledDate,
+        nav_date: t.navDate,
+        source_nav: t.sourceNav,
+        amount: toAmount(t.amount),
+        source_units: parseFloat(t.sourceUnits.toFixed(4)),
+        target_nav_date: t.targetNavDate,
+        target_nav: t.targetNav,
+        target_units: parseFloat(t.targetUnits.toFixed(4)),
+        source_units_balance: parseFloat(t.sourceUnitsBalance.toFixed(4)),
+        target_units_balance: parseFloat(t.targetUnitsBalance.toFixed(4)),
+        source_value: toAmount(t.sourceValue),
+        target_value: toAmount(t.targetValue),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /funds/:code/projection
+ * 
+ * Projects a monthly SIP with a block-bootstrap Monte Carlo over the fund's
+ * historical monthly returns: p10/p50/p90 values at each year end and the
+ * probability of reaching the target. The same seed gives the same result.
+ * 
+ * Body:
+ * - monthly_amount: Monthly installment (required)
+ * - horizon_years: Years to project, up to config.projection.maxHorizonYears (required)
+ * - target: Goal amount (required)
+ * - initial_amount: Lump sum invested at the start (default: 0)
+ * - simulations: Number of paths (default: config.projection.defaultSimulations)
+ * - seed: Integer seed for reproducible results (default: random, returned in the response)
+ */
+router.post('/:code/projection', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const body = req.body || {};
+    const { maxHorizonYears, maxSimulations } = config.projection;
+
+    const monthlyAmount = Number(body.monthly_amount);
+    const horizonYears = Number(body.horizon_years);
+    const target = Number(body.target);
+    const initialAmount = body.initial_amount !== undefined ? Number(body.initial_amount) : 0;
+    const simulations = body.simulations !== undefined ? Number(body.simulations) : undefined;
+    const seed = body.seed !== undefined ? Number(body.seed) : undefined;
+
+    if (!Number.isFinite(monthlyAmount) || monthlyAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'monthly_amount is required and must be a positive number',
+      });
+    }
+
+    const months = Math.round(horizonYears * 12);
+    if (!Number.isFinite(horizonYears) || months < 1 || horizonYears > maxHorizonYears) {
+      return res.status(400).json({
+        success: false,
+        error: `horizon_years is required and must be between 1 month and ${maxHorizonYears} years`,
+      });
+    }
+
+    if (!Number.isFinite(target) || target <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'target is required and must be a positive number',
+      });
+    }
+
+    if (!Number.isFinite(initialAmount) || initialAmount < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'initial_amount must be zero or a positive number',
+      });
+    }
+
+    if (simulations !== undefined
+      && (!Number.isInteger(simulations) || simulations < 100 || simulations > maxSimulations)) {
+      return res.status(400).json({
+        success: false,
+        error: `simulations must be an integer between 100 and ${maxSimulations}`,
+      });
+    }
+
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+      return res.status(400).json({
+        success: false,
+        error: 'seed must be a non-negative 32-bit integer',
+      });
+    }
+
+    req.logger.info('Projecting SIP goal', {
+      scheme_code: code,
+      monthly_amount: monthlyAmount,
+      months,
+      target,
+      simulations,
+      seed,
+    });
+
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${code} not found`,
+      });
+    }
+
+    const result = await projectionService.projectSchemeGoal(
+      code,
+      { monthlyAmount, months, target, initialAmount },
+      { simulations, seed }
+    );
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        fund_code: code,
+        error: result.error,
+      });
+    }
+
+    const formatPoint = point => ({
+      month: point.month,
+      invested: toAmount(point.invested),
+      p10: toAmount(point.p10),
+      p50: toAmount(point.p50),
+      p90: toAmount(point.p90),
+    });
+
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      plan: {
+        monthly_amount: monthlyAmount,
+        initial_amount: initialAmount,
+        horizon_months: months,
+        target,
+      },
+      simulation: {
+        method: 'block_bootstrap',
+        simulations: result.simulations,
+        block_months: result.blockMonths,
+        seed: result.seed,
+        history_start: result.historyStart,
+        history_end: result.historyEnd,
+        history_months: result.historyMonths,
+      },
+      total_invested: toAmount(result.totalInvested),
+      probability_of_target: toPercent(result.probability),
+      final_value: formatPoint(result.final),
+      path: result.path.map(formatPoint),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/:code/returns
+ * 
+ * Gets trailing (1M/3M/6M/YTD/1Y/3Y/5Y) and calendar-year returns.
+ * Computed during the analytics phase of each sync.
+ */
+router.get('/:code/returns', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+
+    req.logger.info('Fetching fund returns', { scheme_code: code });
+
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${code} not found`,
+      });
+    }
+
+    const rows = await returnsService.getSchemeReturns(code);
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Returns for fund ${code} not found`,
+      });
+    }
+
+    const trailingRows = rows.filter(r => r.period_type === 'trailing');
+    const calendarRows = rows.filter(r => r.period_type === 'calendar_year');
+
+    const trailing = {};
+    for (const row of trailingRows) {
+      trailing[row.period] = {
+        return: toPercent(row.return_value),
+        annualized: Boolean(row.is_annualized),
+        start_date: row.start_date,
+      };
+    }
+
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      category: fund.category,
+      amc: fund.amc,
+      as_of: trailingRows.length > 0 ? trailingRows[0].end_date : null,
+      trailing,
+      calendar_year: calendarRows.map(row => ({
+        year: parseInt(row.period, 10),
+        return: toPercent(row.return_value),
+        partial: Boolean(row.is_partial),
+        start_date: row.start_date,
+        end_date: row.end_date,
+      })),
+      computed_at: rows[0].computed_at,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /funds/:code/drawdowns
+ * 
+ * Gets the deepest drawdown episodes with peak, trough and recovery dates.
+ * 
+ * Query params:
+ * - window: Restrict to the trailing window (e.g. 1Y, 6M, 900D); full history if omitted
+ * - limit: Number of episodes to return, deepest first (default: 5, max: 50)
+ */
+router.get('/:code/drawdowns', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const { window } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 5;
+
+    if (window && !parseWindow(window)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window. Use a number followed by D, M or Y (e.g. 900D, 6M, 3Y)',
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be an integer between 1 and 50',
+      });
+    }
+
+    req.logger.info('Fetching fund drawdowns', { scheme_code: code, window, limit });
+
+    const fund = await fundService.getFundByCode(code);
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        error: `Fund with code ${code} not found`,
+      });
+    }
+
+    const drawdowns = await analyticsService.getSchemeDrawdowns(code, {
+      windowType: window || null,
+      limit,
+    });
+
+    if (!drawdowns) {
+      return res.status(404).json({
+        success: false,
+        error: `Not enough NAV history for fund ${code}`,
+      });
+    }
+
+    res.json({
+      fund_code: code,
+      fund_name: fund.scheme_name,
+      window: window ? parseWindow(window).label : 'full_history',
+      period: {
+        start_date: drawdowns.startDate,
+        end_date: drawdowns.endDate,
+      },
+      total_episodes: drawdowns.totalEpisodes,
+      ulcer_index: toPercent(drawdowns.ulcerIndex),
+      calmar_ratio: toRatio(drawdowns.calmarRatio),
+      episodes: drawdowns.episodes.map(e => ({
+        peak_date: e.peakDate,
+        peak_nav: e.peakNav,
+        trough_date: e.troughDate,
+        trough_nav: e.troughNav,
+        recovery_date: e.recoveryDate,
+        depth: toPercent(e.depth),
+        days_to_trough: e.daysToTrough,
+        days_to_recover: e.daysToRecover,
+        status: e.isRecovered ? 'recovered' : 'open',
+      })),
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,486 @@
+/**
+ * Investors Router
+ *
+ * Handles the investor holdings ledger:
+ * - POST /investors/:id/transactions - Record a transaction
+ * - POST /investors/:id/transactions/import - Import transactions from CSV
+ * - GET /investors/:id/transactions - List transactions
+ * - GET /investors/:id/holdings - FIFO holdings with value, gains and XIRR
+ * - GET /investors/:id/capital-gains - Capital gains tax statement for a financial year
+ */
+
+import express, { Router } from 'express';
+import * as transactionService from '../services/transactionService.js';
+import * as capitalGainsService from '../services/capitalGainsService.js';
+import { toPercent, toAmount } from '../utils/format.js';
+import { toCsv } from '../utils/csv.js';
+import { toDateString } from '../utils/navSeries.js';
+import { parseListQuery, selectFields } from '../utils/pagination.js';
+
+const router = Router();
+
+// Investor IDs are client references such as CLIENT-0042
+const INVESTOR_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+// Page size for /investors/:id/transactions (default and upper limit)
+const TRANSACTIONS_PAGE_SIZE = 100;
+const MAX_TRANSACTIONS_PAGE_SIZE = 1000;
+
+// Fields of transaction list items (for fields=)
+const TRANSACTION_FIELDS = [
+  'id', 'date', 'type', 'scheme_code', 'scheme_name',
+  'amount', 'units', 'nav', 'counterpart_scheme_code', 'notes',
+];
+
+/**
+ * Rejects requests with a malformed investor ID
+ */
+router.param('id', (req, res, next, id) => {
+  if (!INVESTOR_ID_PATTERN.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Investor id must be 1-50 letters, digits, "-" or "_"',
+    });
+  }
+  next();
+});
+
+/**
+ * Formats a transactions table row for responses
+ *
+ * @param {Object} row - Transaction row
+ * @returns {Object} Response shape
+ */
+function formatTransaction(row) {
+  return {
+    id: row.id,
+    date: row.transaction_date,
+    type: row.transaction_type,
+    scheme_code: row.scheme_code,
+    scheme_name: row.scheme_name,
+    amount: parseFloat(row.amount),
+    units: parseFloat(row.units),
+    nav: parseFloat(row.nav),
+    counterpart_scheme_code: row.counterpart_scheme_code,
+    notes: row.notes,
+  };
+}
+
+/**
+ * Rounds units to the 4 decimals they are stored with
+ *
+ * @param {number|null} value - Units
+ * @returns {number|null} Rounded units or null
+ */
+function toUnits(value) {
+  if (value === null || value === undefined) return null;
+  return parseFloat(value.toFixed(4));
+}
+
+/**
+ * POST /investors/:id/transactions
+ *
+ * Records a transaction. Any two of amount, units and nav are enough;
+ * with only amount or units, the NAV on (or before) the date is used.
+ * A switch is stored as a switch_out of scheme_code and a switch_in
+ * of to_scheme_code for the same amount.
+ *
+ * Body:
+ * - date: YYYY-MM-DD
+ * - type: buy, sell, sip or switch
+ * - scheme_code: Fund
+ * - amount, units, nav: At least amount or units
+ * - to_scheme_code: Target fund (switch only)
+ * - notes: Optional
+ */
+router.post('/:id/transactions', async (req, res, next) => {
+  try {
+    const investorId = req.params.id;
+
+    req.logger.info('Recording transaction', {
+      investor_id: investorId,
+      type: req.body && req.body.type,
+      scheme_code: req.body && req.body.scheme_code,
+    });
+
+    const result = await transactionService.recordTransactions(investorId, [req.body], req.requestId);
+
+    if (result.errors && result.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transaction',
+        details: result.errors[0].errors,
+      });
+    }
+
+    if (result.oversold && result.oversold.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Redemption exceeds units held',
+        details: result.oversold,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.rows.map(row => ({
+        date: row.date,
+        type: row.type,
+        scheme_code: row.schemeCode,
+        amount: row.amount,
+        units: row.units,
+        nav: row.nav,
+        counterpart_scheme_code: row.counterpartSchemeCode,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /investors/:id/transactions/import
+ *
+ * Imports transactions from a CSV body (Content-Type: text/csv).
+ * Invalid lines are skipped and reported; if the valid lines would sell
+ * more units than held, nothing is imported.
+ *
+ * CSV columns: date, type, scheme_code, amount, units, nav, to_scheme_code, notes
+ */
+router.post(
+  '/:id/transactions/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res, next) => {
+    try {
+      const investorId = req.params.id;
+
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          error: 'CSV body is required (Content-Type: text/csv)',
+        });
+      }
+
+      req.logger.info('Importing transactions', { investor_id: investorId });
+
+      const summary = await transactionService.importTransactionsCsv(investorId, req.body, req.requestId);
+
+      if (summary.oversold.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Redemption exceeds units held; nothing was imported',
+          details: summary,
+        });
+      }
+
+      if (summary.imported === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No valid rows found. Expected columns: date, type, scheme_code, amount, units, nav',
+          details: summary,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: summary,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /investors/:id/transactions
+ *
+ * Lists an investor's transactions in date order, one keyset page at a time.
+ *
+ * Query params:
+ * - scheme_code: Optional fund filter
+ * - sort: date, scheme_code, amount, units or id, "-" prefix for descending (default date)
+ * - fields: Fields to return (default all)
+ * - limit: Transactions per page (default 100, max 1000)
+ * - cursor: next_cursor from the previous page
+ */
+router.get('/:id/transactions', async (req, res, next) => {
+  try {
+    const investorId = req.params.id;
+    const { scheme_code: schemeCode } = req.query;
+
+    const list = parseListQuery(req.query, {
+      sortFields: transactionService.listTransactionSortFields(),
+      defaultSort: 'date',
+      key: 'id',
+      fields: TRANSACTION_FIELDS,
+      defaultLimit: TRANSACTIONS_PAGE_SIZE,
+      maxLimit: MAX_TRANSACTIONS_PAGE_SIZE,
+    });
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        error: list.error,
+      });
+    }
+
+    req.logger.info('Fetching transactions', {
+      investor_id: investorId,
+      scheme_code: schemeCode,
+      sort: req.query.sort,
+      limit: list.limit,
+      cursor: Boolean(list.after),
+    });
+
+    const page = await transactionService.getTransactionsPage(investorId, { schemeCode }, list);
+
+    res.json({
+      success: true,
+      investor_id: investorId,
+      count: page.transactions.length,
+      data: page.transactions.map(row => selectFields(formatTransaction(row), list.fields)),
+      pagination: {
+        total: page.total,
+        limit: list.limit,
+        next_cursor: page.nextCursor,
+        has_more: page.hasMore,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /investors/:id/holdings
+ *
+ * Gets the investor's holdings: units, FIFO lots, cost, current value at the
+ * latest NAV, realised and unrealised gains, and XIRR per holding and overall.
+ */
+router.get('/:id/holdings', async (req, res, next) => {
+  try {
+    const investorId = req.params.id;
+
+    req.logger.info('Fetching holdings', { investor_id: investorId });
+
+    const result = await transactionService.getHoldings(investorId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `No transactions for investor ${investorId}`,
+      });
+    }
+
+    const { holdings, summary } = result;
+
+    res.json({
+      success: true,
+      investor_id: investorId,
+      valuation_date: summary.valuationDate,
+      summary: {
+        invested: toAmount(summary.invested),
+        redeemed: toAmount(summary.redeemed),
+        cost_basis: toAmount(summary.costBasis),
+        current_value: toAmount(summary.currentValue),
+        realised_gain: toAmount(summary.realisedGain),
+        unrealised_gain: toAmount(summary.unrealisedGain),
+        xirr: toPercent(summary.xirr),
+      },
+      holdings: holdings.map(h => ({
+        scheme_code: h.schemeCode,
+        scheme_name: h.schemeName,
+        units: toUnits(h.units),
+        average_cost: toAmount(h.averageCost),
+        cost_basis: toAmount(h.costBasis),
+        latest_nav: h.latestNav,
+        latest_nav_date: h.latestNavDate,
+        current_value: toAmount(h.currentValue),
+        invested: toAmount(h.invested),
+        redeemed: toAmount(h.redeemed),
+        realised_gain: toAmount(h.realisedGain),
+        unrealised_gain: toAmount(h.unrealisedGain),
+        xirr: toPercent(h.xirr),
+        lots: h.lots.map(lot => ({
+          purchase_date: lot.date,
+          type: lot.type,
+          units: toUnits(lot.units),
+          nav: lot.nav,
+          cost: toAmount(lot.cost),
+        })),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /investors/:id/capital-gains
+ *
+ * Gets the capital gains statement for a financial year: each FIFO-matched
+ * sale with its holding period, grandfathered cost where applicable and gain,
+ * then the short/long-term totals after loss set-off, LTCG exemption and tax.
+ * Sales of non-equity schemes are listed under excluded and are not taxed here.
+ *
+ * Query params:
+ * - fy: Financial year, e.g. 2024-25 (default: current)
+ * - format: json (default) or csv (one row per matched lot)
+ */
+router.get('/:id/capital-gains', async (req, res, next) => {
+  try {
+    const investorId = req.params.id;
+    const fyParam = req.query.fy || capitalGainsService.getFinancialYear(toDateString(new Date()));
+
+    if (req.query.format !== undefined && typeof req.query.format !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or csv',
+      });
+    }
+    const format = (req.query.format || 'json').toLowerCase();
+
+    const financialYear = capitalGainsService.parseFinancialYear(fyParam);
+    if (!financialYear) {
+      return res.status(400).json({
+        success: false,
+        error: 'fy must be a financial year such as 2024-25',
+      });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or csv',
+      });
+    }
+
+    req.logger.info('Fetching capital gains', {
+      investor_id: investorId,
+      financial_year: financialYear.label,
+      format,
+    });
+
+    const report = await capitalGainsService.getCapitalGainsReport(investorId, financialYear, req.requestId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: `No transactions for investor ${investorId}`,
+      });
+    }
+
+    const { gains, excluded, summary } = report;
+
+    if (format === 'csv') {
+      const csv = toCsv(
+        [
+          'scheme_code', 'scheme_name', 'purchase_date', 'sale_date', 'units', 'sale_value',
+          'actual_cost', 'fmv_31jan2018', 'cost_of_acquisition', 'gain', 'term', 'tax_rate', 'tax_treatment',
+        ],
+        [
+          ...gains.map(g => [
+            g.schemeCode,
+            g.schemeName,
+            g.purchaseDate,
+            g.saleDate,
+            toUnits(g.units),
+            toAmount(g.saleValue),
+            toAmount(g.actualCost),
+            toAmount(g.fairMarketValue),
+            toAmount(g.costOfAcquisition),
+            toAmount(g.gain),
+            g.term,
+            g.taxRate,
+            'equity',
+          ]),
+          ...excluded.map(e => [
+            e.schemeCode,
+            e.schemeName,
+            e.purchaseDate,
+            e.saleDate,
+            toUnits(e.units),
+            toAmount(e.saleValue),
+            toAmount(e.actualCost),
+            null,
+            null,
+            toAmount(e.gain),
+            null,
+            null,
+            'excluded_non_equity',
+          ]),
+        ]
+      );
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="capital-gains-${investorId}-FY${financialYear.label}.csv"`);
+      return res.send(csv);
+    }
+
+    res.json({
+      success: true,
+      investor_id: investorId,
+      financial_year: financialYear.label,
+      period: {
+        start_date: financialYear.startDate,
+        end_date: financialYear.endDate,
+      },
+      summary: {
+        short_term: {
+          gains: toAmount(summary.shortTerm.gains),
+          losses: toAmount(summary.shortTerm.losses),
+          net: toAmount(summary.shortTerm.net),
+        },
+        long_term: {
+          gains: toAmount(summary.longTerm.gains),
+          losses: toAmount(summary.longTerm.losses),
+          net: toAmount(summary.longTerm.net),
+        },
+        ltcg_exemption: toAmount(summary.ltcgExemption),
+        exemption_used: toAmount(summary.exemptionUsed),
+        taxable: summary.taxable.map(b => ({
+          term: b.term,
+          rate: b.rate,
+          amount: toAmount(b.amount),
+          tax: toAmount(b.tax),
+        })),
+        tax: toAmount(summary.tax),
+        cess: toAmount(summary.cess),
+        total_tax: toAmount(summary.totalTax),
+        carry_forward_loss: {
+          short_term: toAmount(summary.carryForwardLoss.shortTerm),
+          long_term: toAmount(summary.carryForwardLoss.longTerm),
+        },
+      },
+      count: gains.length,
+      gains: gains.map(g => ({
+        scheme_code: g.schemeCode,
+        scheme_name: g.schemeName,
+        purchase_date: g.purchaseDate,
+        sale_date: g.saleDate,
+        units: toUnits(g.units),
+        sale_value: toAmount(g.saleValue),
+        actual_cost: toAmount(g.actualCost),
+        fmv_31jan2018: toAmount(g.fairMarketValue),
+        cost_of_acquisition: toAmount(g.costOfAcquisition),
+        grandfathered: g.grandfathered,
+        term: g.term,
+        gain: toAmount(g.gain),
+        tax_rate: g.taxRate,
+      })),
+      excluded: excluded.map(e => ({
+        scheme_code: e.schemeCode,
+        scheme_name: e.schemeName,
+        category: e.category,
+        purchase_date: e.purchaseDate,
+        sale_date: e.saleDate,
+        units: toUnits(e.units),
+        sale_value: toAmount(e.saleValue),
+        actual_cost: toAmount(e.actualCost),
+        gain: toAmount(e.gain),
+        reason: 'Not an equity scheme (see config.capitalGainsTax.equityCategories)',
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
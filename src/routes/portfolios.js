@@ -0,0 +1,334 @@
+/**
+ * Portfolios Router
+ *
+ * Handles model portfolio endpoints:
+ * - GET /portfolios - List portfolios
+ * - POST /portfolios - Create a portfolio
+ * - GET /portfolios/:id - Get a portfolio with holdings
+ * - PUT /portfolios/:id - Replace a portfolio's details and holdings
+ * - DELETE /portfolios/:id - Delete a portfolio
+ * - GET /portfolios/:id/analytics - Analytics and per-fund contributions for a window
+ */
+
+import { Router } from 'express';
+import config from '../config/index.js';
+import * as portfolioService from '../services/portfolioService.js';
+import { parseListQuery, paginateItems, selectFields } from '../utils/pagination.js';
+import { parseWindow } from '../utils/analyticsWindow.js';
+import { toPercent, formatAnalyticsMetrics } from '../utils/format.js';
+
+const router = Router();
+
+// Page size for /portfolios (default and upper limit)
+const PORTFOLIOS_PAGE_SIZE = 100;
+const MAX_PORTFOLIOS_PAGE_SIZE = 1000;
+
+// Portfolio list fields that sort= accepts
+const PORTFOLIO_SORT_FIELDS = ['id', 'name', 'rebalance_frequency', 'holdings_count', 'created_at', 'updated_at'];
+
+/**
+ * Parses the :id route param
+ *
+ * @param {string} value - Raw param
+ * @returns {number|null} Portfolio ID or null if invalid
+ */
+function parsePortfolioId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Formats a portfolio record for responses
+ *
+ * @param {Object} portfolio - Portfolio with holdings (see portfolioService.getPortfolio)
+ * @returns {Object} Response shape
+ */
+function formatPortfolio(portfolio) {
+  return {
+    id: portfolio.id,
+    name: portfolio.name,
+    description: portfolio.description,
+    rebalance_frequency: portfolio.rebalance_frequency,
+    holdings: portfolio.holdings.map(h => ({
+      scheme_code: h.scheme_code,
+      scheme_name: h.scheme_name,
+      category: h.category,
+      amc: h.amc,
+      weight: parseFloat(h.weight),
+    })),
+    created_at: portfolio.created_at,
+    updated_at: portfolio.updated_at,
+  };
+}
+
+/**
+ * Validates a create/replace body, including that every fund is tracked
+ *
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} {portfolio} when valid, otherwise {error, details}
+ */
+async function validateBody(body) {
+  const { portfolio, errors } = portfolioService.validatePortfolio(body);
+  if (errors) {
+    return { error: 'Invalid portfolio', details: errors };
+  }
+
+  const unknown = await portfolioService.findUnknownSchemes(portfolio.holdings.map(h => h.schemeCode));
+  if (unknown.length > 0) {
+    return { error: 'Unknown scheme codes', details: unknown };
+  }
+
+  return { portfolio };
+}
+
+/**
+ * GET /portfolios
+ *
+ * Lists portfolios with their number of holdings.
+ *
+ * Query params:
+ * - sort: Portfolio fields, "-" prefix for descending (default id)
+ * - fields: Fields to return (default all)
+ * - limit: Portfolios per page (default 100, max 1000)
+ * - cursor: next_cursor from the previous page
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: PORTFOLIO_SORT_FIELDS,
+      defaultSort: 'id',
+      key: 'id',
+      fields: [...PORTFOLIO_SORT_FIELDS, 'description'],
+      defaultLimit: PORTFOLIOS_PAGE_SIZE,
+      maxLimit: MAX_PORTFOLIOS_PAGE_SIZE,
+    });
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        error: list.error,
+      });
+    }
+
+    req.logger.info('Fetching portfolios', { sort: req.query.sort, limit: list.limit });
+
+    const page = paginateItems(await portfolioService.listPortfolios(), list);
+
+    res.json({
+      success: true,
+      count: page.rows.length,
+      data: page.rows.map(portfolio => selectFields(portfolio, list.fields)),
+      pagination: {
+        total: page.total,
+        limit: list.limit,
+        next_cursor: page.nextCursor,
+        has_more: page.hasMore,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /portfolios
+ *
+ * Creates a portfolio.
+ *
+ * Body:
+ * - name: Required
+ * - description: Optional
+ * - rebalance_frequency: none, monthly, quarterly (default), half_yearly or annual
+ * - holdings: [{scheme_code, weight}] with weights summing to 1
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { portfolio, error, details } = await validateBody(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error, details });
+    }
+
+    req.logger.info('Creating portfolio', {
+      name: portfolio.name,
+      holdings: portfolio.holdings.length,
+    });
+
+    const created = await portfolioService.createPortfolio(portfolio);
+
+    res.status(201).json({
+      success: true,
+      data: formatPortfolio(created),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /portfolios/:id
+ *
+ * Gets a portfolio with its holdings.
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const id = parsePortfolioId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid portfolio id' });
+    }
+
+    const portfolio = await portfolioService.getPortfolio(id);
+    if (!portfolio) {
+      return res.status(404).json({ success: false, error: `Portfolio ${id} not found` });
+    }
+
+    res.json({
+      success: true,
+      data: formatPortfolio(portfolio),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /portfolios/:id
+ *
+ * Replaces a portfolio's details and holdings (same body as POST).
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const id = parsePortfolioId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid portfolio id' });
+    }
+
+    const { portfolio, error, details } = await validateBody(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error, details });
+    }
+
+    req.logger.info('Updating portfolio', {
+      portfolio_id: id,
+      holdings: portfolio.holdings.length,
+    });
+
+    const updated = await portfolioService.updatePortfolio(id, portfolio);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: `Portfolio ${id} not found` });
+    }
+
+    res.json({
+      success: true,
+      data: formatPortfolio(updated),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /portfolios/:id
+ *
+ * Deletes a portfolio and its holdings.
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parsePortfolioId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid portfolio id' });
+    }
+
+    req.logger.info('Deleting portfolio', { portfolio_id: id });
+
+    const deleted = await portfolioService.deletePortfolio(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `Portfolio ${id} not found` });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /portfolios/:id/analytics
+ *
+ * Synthesizes the portfolio NAV from its funds and returns the same
+ * analytics as GET /funds/:code/analytics, plus each fund's contribution
+ * to return and volatility over the window.
+ *
+ * Query params:
+ * - window: Required, e.g. 1Y, 3Y, 900D
+ */
+router.get('/:id/analytics', async (req, res, next) => {
+  try {
+    const id = parsePortfolioId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid portfolio id' });
+    }
+
+    const parsedWindow = req.query.window ? parseWindow(req.query.window) : null;
+    if (!parsedWindow) {
+      return res.status(400).json({
+        success: false,
+        error: `window is required: a number followed by D, M or Y (e.g. ${config.analyticsWindows.join(', ')} or 900D)`,
+      });
+    }
+
+    const portfolio = await portfolioService.getPortfolio(id);
+    if (!portfolio) {
+      return res.status(404).json({ success: false, error: `Portfolio ${id} not found` });
+    }
+
+    req.logger.info('Computing portfolio analytics', {
+      portfolio_id: id,
+      window: parsedWindow.label,
+    });
+
+    const result = await portfolioService.computePortfolioAnalytics(portfolio, parsedWindow, req.requestId);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        portfolio_id: id,
+        window: parsedWindow.label,
+        ...result,
+      });
+    }
+
+    const { analytics, contributions } = result;
+    const schemeNames = Object.fromEntries(portfolio.holdings.map(h => [h.scheme_code, h.scheme_name]));
+
+    res.json({
+      portfolio_id: id,
+      portfolio_name: portfolio.name,
+      rebalance_frequency: portfolio.rebalance_frequency,
+      window: parsedWindow.label,
+      data_availability: {
+        start_date: analytics.data_start_date,
+        end_date: analytics.data_end_date,
+        total_days: result.totalDays,
+        nav_data_points: result.navDataPoints,
+      },
+      ...formatAnalyticsMetrics(analytics),
+      contributions: {
+        start_date: contributions.startDate,
+        end_date: contributions.endDate,
+        total_return: toPercent(contributions.totalReturn),
+        volatility: toPercent(contributions.volatility),
+        holdings: contributions.holdings.map(h => ({
+          scheme_code: h.schemeCode,
+          scheme_name: schemeNames[h.schemeCode],
+          target_weight: toPercent(h.weight),
+          end_weight: toPercent(h.endWeight),
+          return_contribution: toPercent(h.returnContribution),
+          risk_contribution: toPercent(h.riskContribution),
+          risk_share: toPercent(h.riskShare),
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
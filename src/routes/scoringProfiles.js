@@ -0,0 +1,169 @@
+/**
+ * Scoring Profiles Router
+ *
+ * Handles the scoring profiles used by GET /funds/rank?profile=:
+ * - GET /scoring-profiles - List profiles with their metric weights
+ * - GET /scoring-profiles/:name - Get a profile
+ * - PUT /scoring-profiles/:name - Create or replace a profile
+ * - DELETE /scoring-profiles/:name - Delete a profile
+ */
+
+import { Router } from 'express';
+import * as scoringService from '../services/scoringService.js';
+import { parseListQuery, paginateItems, selectFields } from '../utils/pagination.js';
+
+const router = Router();
+
+// Page size for /scoring-profiles (default and upper limit)
+const PROFILES_PAGE_SIZE = 100;
+const MAX_PROFILES_PAGE_SIZE = 1000;
+
+// Profile fields (for fields=) and those sort= accepts
+const PROFILE_FIELDS = ['name', 'description', 'normalization', 'metrics', 'created_at', 'updated_at'];
+const PROFILE_SORT_FIELDS = ['name', 'normalization', 'created_at', 'updated_at'];
+
+/**
+ * Formats a profile for responses
+ *
+ * @param {Object} profile - Profile with metrics (see scoringService.getScoringProfile)
+ * @returns {Object} Response shape
+ */
+function formatProfile(profile) {
+  return {
+    name: profile.name,
+    description: profile.description,
+    normalization: profile.normalization,
+    metrics: profile.metrics,
+    created_at: profile.created_at,
+    updated_at: profile.updated_at,
+  };
+}
+
+/**
+ * GET /scoring-profiles
+ *
+ * Lists profiles with their metric weights.
+ *
+ * Query params:
+ * - sort: name, normalization, created_at or updated_at, "-" prefix for descending (default name)
+ * - fields: Fields to return (default all)
+ * - limit: Profiles per page (default 100, max 1000)
+ * - cursor: next_cursor from the previous page
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: PROFILE_SORT_FIELDS,
+      defaultSort: 'name',
+      key: 'name',
+      fields: PROFILE_FIELDS,
+      defaultLimit: PROFILES_PAGE_SIZE,
+      maxLimit: MAX_PROFILES_PAGE_SIZE,
+    });
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        error: list.error,
+      });
+    }
+
+    req.logger.info('Fetching scoring profiles', { sort: req.query.sort, limit: list.limit });
+
+    const profiles = await scoringService.listScoringProfiles();
+    const page = paginateItems(profiles.map(formatProfile), list);
+
+    res.json({
+      success: true,
+      count: page.rows.length,
+      data: page.rows.map(profile => selectFields(profile, list.fields)),
+      pagination: {
+        total: page.total,
+        limit: list.limit,
+        next_cursor: page.nextCursor,
+        has_more: page.hasMore,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /scoring-profiles/:name
+ *
+ * Gets a profile with its metric weights.
+ */
+router.get('/:name', async (req, res, next) => {
+  try {
+    const profile = await scoringService.getScoringProfile(req.params.name);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: `Scoring profile ${req.params.name} not found` });
+    }
+
+    res.json({
+      success: true,
+      data: formatProfile(profile),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /scoring-profiles/:name
+ *
+ * Creates or replaces a profile.
+ *
+ * Body:
+ * - description: Optional
+ * - normalization: zscore (default) or percentile
+ * - metrics: [{metric, window, weight}] with /funds/rank sort_by metrics,
+ *   precomputed windows and weights summing to 1
+ */
+router.put('/:name', async (req, res, next) => {
+  try {
+    const { profile, errors } = scoringService.validateScoringProfile({
+      ...req.body,
+      name: req.params.name,
+    });
+    if (errors) {
+      return res.status(400).json({ success: false, error: 'Invalid scoring profile', details: errors });
+    }
+
+    req.logger.info('Saving scoring profile', {
+      name: profile.name,
+      metrics: profile.metrics.length,
+    });
+
+    const { created, profile: saved } = await scoringService.saveScoringProfile(profile);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: formatProfile(saved),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /scoring-profiles/:name
+ *
+ * Deletes a profile.
+ */
+router.delete('/:name', async (req, res, next) => {
+  try {
+    req.logger.info('Deleting scoring profile', { name: req.params.name });
+
+    const deleted = await scoringService.deleteScoringProfile(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `Scoring profile ${req.params.name} not found` });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
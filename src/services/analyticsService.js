@@ -5,6 +5,11 @@
  * - Rolling returns (min, max, median, p25, p75)
  * - Max drawdown
  * - CAGR distribution
+ * - Risk-adjusted returns (volatility, downside deviation, Sharpe, Sortino)
+ * - Tail risk (historical, Gaussian and Cornish-Fisher VaR / CVaR)
+ * - Benchmark-relative metrics (beta, alpha, tracking error, information ratio, capture ratios)
+ * - Rolling SIP XIRR distribution (min, median, max)
+ * - Drawdown episodes, Ulcer Index and Calmar ratio
  * 
  * Handles:
  * - Missing NAV days (weekends/holidays)
@@ -13,6 +18,13 @@
 
 import { logger } from '../logger/index.js';
 import * as fundService from './fundService.js';
+import * as benchmarkService from './benchmarkService.js';
+import { fundsDao } from '../dao/index.js';
+import { calculateRollingSipXirrs } from './sipService.js';
+import { computeSchemeReturns } from './returnsService.js';
+import * as snapshotService from './snapshotService.js';
+import { parseWindow } from '../utils/analyticsWindow.js';
+import * as cache from '../utils/cache.js';
 import config from '../config/index.js';
 
 /**
@@ -87,10 +99,12 @@ function calculateReturn(startNav, endNav) {
 function calculateMaxDrawdown(navHistory) {
   if (navHistory.length < 2) return null;
   
-  let peak = navHistory[0].nav;
+  // NAVs from MySQL DECIMAL columns arrive as strings; compare numerically
+  let peak = parseFloat(navHistory[0].nav);
   let maxDrawdown = 0;
   
-  for (const { nav } of navHistory) {
+  for (const record of navHistory) {
+    const nav = parseFloat(record.nav);
     if (nav > peak) {
       peak = nav;
     }
@@ -105,47 +119,788 @@ function calculateMaxDrawdown(navHistory) {
 }
 
 /**
- * Calculates rolling returns for a given window
+ * Calendar days between two YYYY-MM-DD dates
  * 
- * For each day, calculates the return from windowDays ago to that day.
+ * @param {string} fromDate - Start date
+ * @param {string} toDate - End date
+ * @returns {number} Days
+ */
+function daysBetween(fromDate, toDate) {
+  return Math.round((new Date(toDate) - new Date(fromDate)) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Identifies every drawdown episode in a NAV series
+ * 
+ * An episode starts when NAV falls below its running peak and ends
+ * (recovers) on the first date NAV regains that peak. An episode
+ * still below its peak at the end of the series is open.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @returns {Array} Episodes in chronological order:
+ *   {peakDate, peakNav, troughDate, troughNav, recoveryDate, depth,
+ *    daysToTrough, daysToRecover, isRecovered}
+ */
+function calculateDrawdownEpisodes(navHistory) {
+  const episodes = [];
+  if (navHistory.length < 2) return episodes;
+  
+  let peakDate = navHistory[0].date;
+  let peakNav = parseFloat(navHistory[0].nav);
+  let episode = null;
+  
+  const closeEpisode = (recoveryDate) => {
+    episodes.push({
+      ...episode,
+      recoveryDate,
+      daysToTrough: daysBetween(episode.peakDate, episode.troughDate),
+      daysToRecover: recoveryDate ? daysBetween(episode.troughDate, recoveryDate) : null,
+      isRecovered: recoveryDate !== null,
+    });
+    episode = null;
+  };
+  
+  for (let i = 1; i < navHistory.length; i++) {
+    const { date } = navHistory[i];
+    const nav = parseFloat(navHistory[i].nav);
+    
+    if (nav >= peakNav) {
+      if (episode) closeEpisode(date);
+      peakDate = date;
+      peakNav = nav;
+      continue;
+    }
+    
+    const depth = (nav - peakNav) / peakNav;
+    if (!episode) {
+      episode = { peakDate, peakNav, troughDate: date, troughNav: nav, depth };
+    } else if (depth < episode.depth) {
+      episode.troughDate = date;
+      episode.troughNav = nav;
+      episode.depth = depth;
+    }
+  }
+  
+  if (episode) closeEpisode(null);
+  
+  return episodes;
+}
+
+/**
+ * Calculates the Ulcer Index
+ * 
+ * Root-mean-square of percentage drawdowns from the running peak, so it
+ * reflects both the depth and the duration of drawdowns.
+ * Formula: UI = sqrt(mean(drawdown_t^2))
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @returns {number} Ulcer Index as decimal
+ */
+function calculateUlcerIndex(navHistory) {
+  if (navHistory.length < 2) return null;
+  
+  let peak = parseFloat(navHistory[0].nav);
+  let sumSquares = 0;
+  
+  for (const record of navHistory) {
+    const nav = parseFloat(record.nav);
+    if (nav > peak) peak = nav;
+    sumSquares += ((nav - peak) / peak) ** 2;
+  }
+  
+  return Math.sqrt(sumSquares / navHistory.length);
+}
+
+/**
+ * Calculates the Calmar ratio
+ * 
+ * Formula: Calmar = CAGR / |deepest drawdown episode|
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @param {Array} episodes - Drawdown episodes (computed when omitted)
+ * @returns {number} Calmar ratio, or null without drawdowns
+ */
+function calculateCalmarRatio(navHistory, episodes = calculateDrawdownEpisodes(navHistory)) {
+  if (navHistory.length < 2 || episodes.length === 0) return null;
+  
+  const first = navHistory[0];
+  const last = navHistory[navHistory.length - 1];
+  const years = daysBetween(first.date, last.date) / 365;
+  const cagr = calculateCAGR(parseFloat(first.nav), parseFloat(last.nav), years);
+  const maxDepth = Math.min(...episodes.map(e => e.depth));
+  
+  if (cagr === null || maxDepth === 0) return null;
+  
+  return cagr / Math.abs(maxDepth);
+}
+
+/**
+ * Returns the trailing slice of NAV history covering the last windowDays
  * 
  * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
  * @param {number} windowDays - Window size in days
- * @returns {Array} Array of rolling returns
+ * @returns {Array} NAV records dated within the window ending at the latest NAV
  */
-function calculateRollingReturns(navHistory, windowDays) {
+function getTrailingWindow(navHistory, windowDays) {
+  if (navHistory.length === 0) return [];
+  
+  const windowStart = new Date(navHistory[navHistory.length - 1].date);
+  windowStart.setDate(windowStart.getDate() - windowDays);
+  const windowStartStr = windowStart.toISOString().split('T')[0];
+  
+  return navHistory.filter(nav => nav.date >= windowStartStr);
+}
+
+/**
+ * Calculates daily log returns from a series of NAV values
+ * 
+ * Formula: r = ln(NAV_t / NAV_t-1)
+ * Consecutive NAV records are treated as consecutive trading days,
+ * so weekend/holiday gaps do not produce extra zero-return days.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @returns {Array} Array of daily log returns
+ */
+function calculateDailyLogReturns(navHistory) {
   const returns = [];
   
-  // Create a date-indexed map for efficient lookups
-  const navByDate = new Map();
-  for (const nav of navHistory) {
-    navByDate.set(nav.date, nav.nav);
+  for (let i = 1; i < navHistory.length; i++) {
+    const previousNav = parseFloat(navHistory[i - 1].nav);
+    const currentNav = parseFloat(navHistory[i].nav);
+    
+    if (previousNav > 0 && currentNav > 0) {
+      returns.push(Math.log(currentNav / previousNav));
+    }
   }
   
-  // For each day, find the NAV windowDays ago and calculate return
-  for (let i = 0; i < navHistory.length; i++) {
-    const currentDate = new Date(navHistory[i].date);
-    const pastDate = new Date(currentDate);
-    pastDate.setDate(pastDate.getDate() - windowDays);
+  return returns;
+}
+
+/**
+ * Calculates the arithmetic mean
+ * 
+ * @param {Array} array - Array of numbers
+ * @returns {number} Mean value
+ */
+function calculateMean(array) {
+  if (array.length === 0) return null;
+  return array.reduce((sum, value) => sum + value, 0) / array.length;
+}
+
+/**
+ * Calculates sample standard deviation
+ * 
+ * @param {Array} array - Array of numbers
+ * @returns {number} Standard deviation
+ */
+function calculateStandardDeviation(array) {
+  if (array.length < 2) return null;
+  
+  const mean = calculateMean(array);
+  const squaredDiffs = array.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+  
+  return Math.sqrt(squaredDiffs / (array.length - 1));
+}
+
+/**
+ * Converts an annual rate into the equivalent per-period log return
+ * 
+ * @param {number} annualRate - Annual rate as decimal
+ * @param {number} periodsPerYear - Periods per year
+ * @returns {number} Per-period log return
+ */
+function toPeriodicLogRate(annualRate, periodsPerYear) {
+  return Math.log(1 + annualRate) / periodsPerYear;
+}
+
+/**
+ * Calculates annualized volatility of daily returns
+ * 
+ * Formula: Volatility = StdDev(daily returns) * sqrt(periods per year)
+ * 
+ * @param {Array} dailyReturns - Array of daily log returns
+ * @param {number} periodsPerYear - Trading days per year
+ * @returns {number} Annualized volatility as decimal
+ */
+function calculateAnnualizedVolatility(
+  dailyReturns,
+  periodsPerYear = config.riskMetrics.tradingDaysPerYear
+) {
+  const stdDev = calculateStandardDeviation(dailyReturns);
+  if (stdDev === null) return null;
+  return stdDev * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Calculates annualized downside deviation
+ * 
+ * Only returns below the target (the daily risk-free rate) contribute.
+ * Formula: DD = sqrt(mean(min(0, r - target)^2)) * sqrt(periods per year)
+ * 
+ * @param {Array} dailyReturns - Array of daily log returns
+ * @param {number} riskFreeRate - Annual risk-free rate as decimal
+ * @param {number} periodsPerYear - Trading days per year
+ * @returns {number} Annualized downside deviation as decimal
+ */
+function calculateDownsideDeviation(
+  dailyReturns,
+  riskFreeRate = config.riskMetrics.riskFreeRate,
+  periodsPerYear = config.riskMetrics.tradingDaysPerYear
+) {
+  if (dailyReturns.length < 2) return null;
+  
+  const target = toPeriodicLogRate(riskFreeRate, periodsPerYear);
+  const squaredShortfalls = dailyReturns.reduce((sum, value) => {
+    const shortfall = Math.min(0, value - target);
+    return sum + shortfall ** 2;
+  }, 0);
+  
+  return Math.sqrt(squaredShortfalls / dailyReturns.length) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Calculates annualized Sharpe ratio
+ * 
+ * Formula: Sharpe = (annualized mean return - Rf) / annualized volatility
+ * 
+ * @param {Array} dailyReturns - Array of daily log returns
+ * @param {number} riskFreeRate - Annual risk-free rate as decimal
+ * @param {number} periodsPerYear - Trading days per year
+ * @returns {number} Sharpe ratio
+ */
+function calculateSharpeRatio(
+  dailyReturns,
+  riskFreeRate = config.riskMetrics.riskFreeRate,
+  periodsPerYear = config.riskMetrics.tradingDaysPerYear
+) {
+  const volatility = calculateAnnualizedVolatility(dailyReturns, periodsPerYear);
+  if (!volatility) return null;
+  
+  const excessReturn = (calculateMean(dailyReturns)
+    - toPeriodicLogRate(riskFreeRate, periodsPerYear)) * periodsPerYear;
+  
+  return excessReturn / volatility;
+}
+
+/**
+ * Calculates annualized Sortino ratio
+ * 
+ * Formula: Sortino = (annualized mean return - Rf) / downside deviation
+ * 
+ * @param {Array} dailyReturns - Array of daily log returns
+ * @param {number} riskFreeRate - Annual risk-free rate as decimal
+ * @param {number} periodsPerYear - Trading days per year
+ * @returns {number} Sortino ratio
+ */
+function calculateSortinoRatio(
+  dailyReturns,
+  riskFreeRate = config.riskMetrics.riskFreeRate,
+  periodsPerYear = config.riskMetrics.tradingDaysPerYear
+) {
+  const downsideDeviation = calculateDownsideDeviation(dailyReturns, riskFreeRate, periodsPerYear);
+  if (!downsideDeviation) return null;
+  
+  const excessReturn = (calculateMean(dailyReturns)
+    - toPeriodicLogRate(riskFreeRate, periodsPerYear)) * periodsPerYear;
+  
+  return excessReturn / downsideDeviation;
+}
+
+// Confidence levels and minimum sample size for tail risk (VaR / CVaR)
+const TAIL_RISK_CONFIDENCE_LEVELS = [0.95, 0.99];
+const MIN_TAIL_RISK_OBSERVATIONS = 30;
+
+// Quantile steps used to average the parametric tail for expected shortfall
+const TAIL_INTEGRATION_STEPS = 1000;
+
+/**
+ * Calculates the inverse of the standard normal CDF (Acklam's approximation,
+ * relative error below 1.15e-9)
+ * 
+ * @param {number} p - Probability (0 < p < 1)
+ * @returns {number} z such that P(Z <= z) = p
+ */
+function inverseNormalCdf(p) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+  const pLow = 0.02425;
+  
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+      / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  
+  if (p > 1 - pLow) {
+    return -inverseNormalCdf(1 - p);
+  }
+  
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+    / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Calculates the skewness of a sample (third standardized moment)
+ * 
+ * @param {Array} array - Array of numbers
+ * @returns {number|null} Skewness or null if undefined
+ */
+function calculateSkewness(array) {
+  if (array.length < 3) return null;
+  
+  const mean = calculateMean(array);
+  const m2 = array.reduce((sum, value) => sum + (value - mean) ** 2, 0) / array.length;
+  const m3 = array.reduce((sum, value) => sum + (value - mean) ** 3, 0) / array.length;
+  if (m2 === 0) return null;
+  
+  return m3 / m2 ** 1.5;
+}
+
+/**
+ * Calculates the excess kurtosis of a sample (fourth standardized moment - 3)
+ * 
+ * @param {Array} array - Array of numbers
+ * @returns {number|null} Excess kurtosis (0 for a normal distribution) or null if undefined
+ */
+function calculateExcessKurtosis(array) {
+  if (array.length < 4) return null;
+  
+  const mean = calculateMean(array);
+  const m2 = array.reduce((sum, value) => sum + (value - mean) ** 2, 0) / array.length;
+  const m4 = array.reduce((sum, value) => sum + (value - mean) ** 4, 0) / array.length;
+  if (m2 === 0) return null;
+  
+  return m4 / m2 ** 2 - 3;
+}
+
+/**
+ * Adjusts a standard normal quantile for skewness and excess kurtosis
+ * 
+ * Formula (Cornish-Fisher):
+ * z_cf = z + (z² - 1)S/6 + (z³ - 3z)K/24 - (2z³ - 5z)S²/36
+ * The expansion is only reliable for moderate skewness and kurtosis.
+ * 
+ * @param {number} z - Standard normal quantile
+ * @param {number} skewness - Skewness (S)
+ * @param {number} excessKurtosis - Excess kurtosis (K)
+ * @returns {number} Adjusted quantile
+ */
+function cornishFisherQuantile(z, skewness, excessKurtosis) {
+  return z
+    + ((z ** 2 - 1) * skewness) / 6
+    + ((z ** 3 - 3 * z) * excessKurtosis) / 24
+    - ((2 * z ** 3 - 5 * z) * skewness ** 2) / 36;
+}
+
+/**
+ * Sums log returns over consecutive periods (overlapping), e.g. 21-day returns
+ * from daily returns
+ * 
+ * @param {Array} logReturns - Array of per-period log returns
+ * @param {number} periods - Periods per horizon
+ * @returns {Array} Overlapping horizon log returns
+ */
+function aggregateLogReturns(logReturns, periods) {
+  if (periods <= 1) return logReturns;
+  
+  const aggregated = [];
+  let sum = 0;
+  
+  for (let i = 0; i < logReturns.length; i++) {
+    sum += logReturns[i];
+    if (i >= periods) sum -= logReturns[i - periods];
+    if (i >= periods - 1) aggregated.push(sum);
+  }
+  
+  return aggregated;
+}
+
+/**
+ * Calculates historical VaR and CVaR from observed returns
+ * 
+ * VaR is the loss at the (1 - confidence) percentile of simple returns;
+ * CVaR (expected shortfall) is the average loss at or beyond it.
+ * 
+ * @param {Array} logReturns - Array of horizon log returns
+ * @param {number} confidence - Confidence level (e.g., 0.95)
+ * @returns {{valueAtRisk: number, expectedShortfall: number}|null} Losses as positive decimals
+ */
+function calculateHistoricalVaR(logReturns, confidence) {
+  if (logReturns.length < MIN_TAIL_RISK_OBSERVATIONS) return null;
+  
+  const sortedReturns = logReturns.map(r => Math.exp(r) - 1).sort((a, b) => a - b);
+  const cutoff = calculatePercentile(sortedReturns, (1 - confidence) * 100);
+  const tail = sortedReturns.filter(r => r <= cutoff);
+  
+  return {
+    valueAtRisk: -cutoff,
+    expectedShortfall: -calculateMean(tail),
+  };
+}
+
+/**
+ * Calculates parametric VaR and CVaR from the moments of daily log returns
+ * 
+ * Log returns over the horizon are modelled with mean μh and standard
+ * deviation σ√h (skewness S/√h and excess kurtosis K/h for Cornish-Fisher,
+ * assuming independent days). VaR is the loss at the (1 - confidence)
+ * quantile; CVaR averages the simple-return loss over all quantiles beyond it.
+ * 
+ * @param {Array} dailyReturns - Array of daily log returns
+ * @param {number} confidence - Confidence level (e.g., 0.95)
+ * @param {number} horizonDays - Horizon in trading days
+ * @param {Object} options - {cornishFisher}: adjust quantiles for skewness and kurtosis
+ * @returns {{valueAtRisk: number, expectedShortfall: number}|null} Losses as positive decimals
+ */
+function calculateParametricVaR(dailyReturns, confidence, horizonDays, { cornishFisher = false } = {}) {
+  if (dailyReturns.length < MIN_TAIL_RISK_OBSERVATIONS) return null;
+  
+  const mean = calculateMean(dailyReturns) * horizonDays;
+  const stdDev = calculateStandardDeviation(dailyReturns) * Math.sqrt(horizonDays);
+  const skewness = cornishFisher ? (calculateSkewness(dailyReturns) ?? 0) / Math.sqrt(horizonDays) : 0;
+  const excessKurtosis = cornishFisher ? (calculateExcessKurtosis(dailyReturns) ?? 0) / horizonDays : 0;
+  
+  const lossAt = (p) => {
+    const z = inverseNormalCdf(p);
+    const quantile = cornishFisher ? cornishFisherQuantile(z, skewness, excessKurtosis) : z;
+    return 1 - Math.exp(mean + stdDev * quantile);
+  };
+  
+  // Expected shortfall = average loss over tail probabilities (midpoint rule)
+  const tailProbability = 1 - confidence;
+  let tailLoss = 0;
+  for (let i = 0; i < TAIL_INTEGRATION_STEPS; i++) {
+    tailLoss += lossAt(((i + 0.5) / TAIL_INTEGRATION_STEPS) * tailProbability);
+  }
+  
+  return {
+    valueAtRisk: lossAt(tailProbability),
+    expectedShortfall: tailLoss / TAIL_INTEGRATION_STEPS,
+  };
+}
+
+/**
+ * Calculates tail risk for a window: historical, Gaussian and Cornish-Fisher
+ * VaR and CVaR at 95% and 99%, over 1 day and 1 month (a twelfth of the
+ * trading year, i.e. 21 days). Historical 1-month figures use overlapping
+ * 21-day returns.
+ * 
+ * @param {Array} dailyReturns - Array of daily log returns
+ * @param {number} periodsPerYear - Trading days per year
+ * @returns {Object} Analytics fields, e.g. historicalVar95Daily, gaussianCvar99Monthly,
+ *   returnSkewness, returnExcessKurtosis (null when there are too few returns)
+ */
+function calculateTailRisk(
+  dailyReturns,
+  periodsPerYear = config.riskMetrics.tradingDaysPerYear
+) {
+  const horizons = { Daily: 1, Monthly: Math.round(periodsPerYear / 12) };
+  const tailRisk = {};
+  
+  for (const [horizon, horizonDays] of Object.entries(horizons)) {
+    const horizonReturns = aggregateLogReturns(dailyReturns, horizonDays);
     
-    // Find the closest past date with NAV data (within 5 days tolerance)
-    let pastNav = null;
-    for (let offset = 0; offset <= 5; offset++) {
-      const checkDate = new Date(pastDate);
-      checkDate.setDate(checkDate.getDate() + offset);
-      const dateStr = checkDate.toISOString().split('T')[0];
+    for (const confidence of TAIL_RISK_CONFIDENCE_LEVELS) {
+      const level = Math.round(confidence * 100);
+      const variants = {
+        historical: calculateHistoricalVaR(horizonReturns, confidence),
+        gaussian: calculateParametricVaR(dailyReturns, confidence, horizonDays),
+        cornishFisher: calculateParametricVaR(dailyReturns, confidence, horizonDays, { cornishFisher: true }),
+      };
       
-      if (navByDate.has(dateStr)) {
-        pastNav = navByDate.get(dateStr);
-        break;
+      for (const [method, result] of Object.entries(variants)) {
+        tailRisk[`${method}Var${level}${horizon}`] = result ? result.valueAtRisk : null;
+        tailRisk[`${method}Cvar${level}${horizon}`] = result ? result.expectedShortfall : null;
       }
     }
+  }
+  
+  tailRisk.returnSkewness = calculateSkewness(dailyReturns);
+  tailRisk.returnExcessKurtosis = calculateExcessKurtosis(dailyReturns);
+  
+  return tailRisk;
+}
+
+/**
+ * Aligns fund and benchmark daily simple returns on common dates
+ * 
+ * Only dates present in both series are used, so returns always cover
+ * the same interval for the fund and the benchmark.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @param {Array} benchmarkLevels - Array of {date, level} objects
+ * @returns {Object} {fundReturns, benchmarkReturns} arrays of equal length
+ */
+function alignDailyReturns(navHistory, benchmarkLevels) {
+  const levelByDate = new Map();
+  for (const { date, level } of benchmarkLevels) {
+    levelByDate.set(date, parseFloat(level));
+  }
+  
+  const fundReturns = [];
+  const benchmarkReturns = [];
+  let previous = null;
+  
+  for (const { date, nav } of navHistory) {
+    if (!levelByDate.has(date)) continue;
     
-    if (pastNav !== null) {
-      const returnValue = calculateReturn(pastNav, navHistory[i].nav);
-      if (returnValue !== null) {
-        returns.push(returnValue);
-      }
+    const current = { nav: parseFloat(nav), level: levelByDate.get(date) };
+    if (previous && previous.nav > 0 && previous.level > 0) {
+      fundReturns.push(current.nav / previous.nav - 1);
+      benchmarkReturns.push(current.level / previous.level - 1);
+    }
+    previous = current;
+  }
+  
+  return { fundReturns, benchmarkReturns };
+}
+
+/**
+ * Calculates sample covariance of two equal-length series
+ * 
+ * @param {Array} x - First series
+ * @param {Array} y - Second series
+ * @returns {number} Covariance
+ */
+function calculateCovariance(x, y) {
+  if (x.length < 2 || x.length !== y.length) return null;
+  
+  const meanX = calculateMean(x);
+  const meanY = calculateMean(y);
+  let sum = 0;
+  for (let i = 0; i < x.length; i++) {
+    sum += (x[i] - meanX) * (y[i] - meanY);
+  }
+  
+  return sum / (x.length - 1);
+}
+
+/**
+ * Calculates beta of fund returns against benchmark returns
+ * 
+ * Formula: Beta = Cov(Rf, Rb) / Var(Rb)
+ * 
+ * @param {Array} fundReturns - Daily fund returns
+ * @param {Array} benchmarkReturns - Daily benchmark returns (aligned)
+ * @returns {number} Beta
+ */
+function calculateBeta(fundReturns, benchmarkReturns) {
+  const covariance = calculateCovariance(fundReturns, benchmarkReturns);
+  const benchmarkStdDev = calculateStandardDeviation(benchmarkReturns);
+  if (covariance === null || !benchmarkStdDev) return null;
+  return covariance / benchmarkStdDev ** 2;
+}
+
+/**
+ * Calculates annualized Jensen's alpha
+ * 
+ * Formula: Alpha = Rp - [Rf + Beta * (Rm - Rf)]
+ * where Rp and Rm are annualized mean daily returns.
+ * 
+ * @param {Array} fundReturns - Daily fund returns
+ * @param {Array} benchmarkReturns - Daily benchmark returns (aligned)
+ * @param {number} riskFreeRate - Annual risk-free rate as decimal
+ * @param {number} periodsPerYear - Trading days per year
+ * @returns {number} Annualized alpha as decimal
+ */
+function calculateJensensAlpha(
+  fundReturns,
+  benchmarkReturns,
+  riskFreeRate = config.riskMetrics.riskFreeRate,
+  periodsPerYear = config.riskMetrics.tradingDaysPerYear
+) {
+  const beta = calculateBeta(fundReturns, benchmarkReturns);
+  if (beta === null) return null;
+  
+  const fundReturn = calculateMean(fundReturns) * periodsPerYear;
+  const benchmarkReturn = calculateMean(benchmarkReturns) * periodsPerYear;
+  
+  return fundReturn - (riskFreeRate + beta * (benchmarkReturn - riskFreeRate));
+}
+
+/**
+ * Calculates annualized tracking error
+ * 
+ * Formula: TE = StdDev(Rf - Rb) * sqrt(periods per year)
+ * 
+ * @param {Array} fundReturns - Daily fund returns
+ * @param {Array} benchmarkReturns - Daily benchmark returns (aligned)
+ * @param {number} periodsPerYear - Trading days per year
+ * @returns {number} Tracking error as decimal
+ */
+function calculateTrackingError(
+  fundReturns,
+  benchmarkReturns,
+  periodsPerYear = config.riskMetrics.tradingDaysPerYear
+) {
+  const activeReturns = fundReturns.map((r, i) => r - benchmarkReturns[i]);
+  const stdDev = calculateStandardDeviation(activeReturns);
+  if (stdDev === null) return null;
+  return stdDev * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Calculates the information ratio
+ * 
+ * Formula: IR = annualized mean(Rf - Rb) / tracking error
+ * 
+ * @param {Array} fundReturns - Daily fund returns
+ * @param {Array} benchmarkReturns - Daily benchmark returns (aligned)
+ * @param {number} periodsPerYear - Trading days per year
+ * @returns {number} Information ratio
+ */
+function calculateInformationRatio(
+  fundReturns,
+  benchmarkReturns,
+  periodsPerYear = config.riskMetrics.tradingDaysPerYear
+) {
+  const trackingError = calculateTrackingError(fundReturns, benchmarkReturns, periodsPerYear);
+  if (!trackingError) return null;
+  
+  const activeReturns = fundReturns.map((r, i) => r - benchmarkReturns[i]);
+  return (calculateMean(activeReturns) * periodsPerYear) / trackingError;
+}
+
+/**
+ * Calculates up and down capture ratios
+ * 
+ * Compares the geometric average fund return to the geometric average
+ * benchmark return over periods when the benchmark was up (or down).
+ * A down capture below 1 means the fund fell less than the benchmark.
+ * 
+ * @param {Array} fundReturns - Daily fund returns
+ * @param {Array} benchmarkReturns - Daily benchmark returns (aligned)
+ * @returns {Object} {upCapture, downCapture} as decimals (1 = 100%)
+ */
+function calculateCaptureRatios(fundReturns, benchmarkReturns) {
+  const geometricMean = (returns) => {
+    const logSum = returns.reduce((sum, r) => sum + Math.log(1 + r), 0);
+    return Math.exp(logSum / returns.length) - 1;
+  };
+  
+  const captureFor = (predicate) => {
+    const indices = benchmarkReturns
+      .map((r, i) => (predicate(r) ? i : -1))
+      .filter(i => i >= 0);
+    if (indices.length === 0) return null;
+    
+    const benchmarkMean = geometricMean(indices.map(i => benchmarkReturns[i]));
+    if (benchmarkMean === 0) return null;
+    
+    return geometricMean(indices.map(i => fundReturns[i])) / benchmarkMean;
+  };
+  
+  return {
+    upCapture: captureFor(r => r > 0),
+    downCapture: captureFor(r => r < 0),
+  };
+}
+
+/**
+ * Computes all benchmark-relative metrics for a NAV window
+ * 
+ * @param {Array} navHistory - Fund NAVs for the window
+ * @param {Array} benchmarkLevels - Benchmark index levels
+ * @param {number} riskFreeRate - Annual risk-free rate as decimal
+ * @param {number} periodsPerYear - Trading days per year
+ * @returns {Object|null} Benchmark metrics or null if series do not overlap enough
+ */
+function computeBenchmarkMetrics(
+  navHistory,
+  benchmarkLevels,
+  riskFreeRate = config.riskMetrics.riskFreeRate,
+  periodsPerYear = config.riskMetrics.tradingDaysPerYear
+) {
+  const { fundReturns, benchmarkReturns } = alignDailyReturns(navHistory, benchmarkLevels);
+  if (fundReturns.length < 2) return null;
+  
+  const { upCapture, downCapture } = calculateCaptureRatios(fundReturns, benchmarkReturns);
+  
+  return {
+    beta: calculateBeta(fundReturns, benchmarkReturns),
+    alpha: calculateJensensAlpha(fundReturns, benchmarkReturns, riskFreeRate, periodsPerYear),
+    trackingError: calculateTrackingError(fundReturns, benchmarkReturns, periodsPerYear),
+    informationRatio: calculateInformationRatio(fundReturns, benchmarkReturns, periodsPerYear),
+    upCapture,
+    downCapture,
+  };
+}
+
+// A window start on a weekend/holiday is matched to the first NAV up to this many days later
+const NAV_GAP_TOLERANCE_DAYS = 5;
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Converts NAV dates (YYYY-MM-DD) to day numbers (whole days since the Unix epoch, UTC)
+ * so window arithmetic is integer math instead of Date objects per point.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @returns {Array<number>} Day number for each NAV
+ */
+function toDayNumbers(navHistory) {
+  const dayNumbers = new Array(navHistory.length);
+  for (let i = 0; i < navHistory.length; i++) {
+    dayNumbers[i] = Math.round(Date.parse(navHistory[i].date) / MS_PER_DAY);
+  }
+  return dayNumbers;
+}
+
+/**
+ * Finds, for each NAV, the NAV that starts its rolling window: the first NAV
+ * dated on or after (date - windowDays), within NAV_GAP_TOLERANCE_DAYS.
+ * 
+ * Both the window end and its target start date only move forward, so a single
+ * trailing pointer finds every start in O(n) (two-pointer scan).
+ * 
+ * @param {Array<number>} dayNumbers - Sorted day numbers (see toDayNumbers)
+ * @param {number} windowDays - Window size in days
+ * @returns {Int32Array} Start index for each NAV, or -1 if no NAV is within tolerance
+ */
+function findWindowStartIndices(dayNumbers, windowDays) {
+  const n = dayNumbers.length;
+  const starts = new Int32Array(n);
+  let j = 0;
+  
+  for (let i = 0; i < n; i++) {
+    const target = dayNumbers[i] - windowDays;
+    while (j < n && dayNumbers[j] < target) {
+      j++;
+    }
+    starts[i] = j < n && dayNumbers[j] <= target + NAV_GAP_TOLERANCE_DAYS ? j : -1;
+  }
+  
+  return starts;
+}
+
+/**
+ * Calculates rolling returns for a given window
+ * 
+ * For each day, calculates the return from windowDays ago to that day.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @param {number} windowDays - Window size in days
+ * @param {Array<number>} dayNumbers - Optional precomputed day numbers for navHistory
+ * @returns {Array} Array of rolling returns
+ */
+function calculateRollingReturns(navHistory, windowDays, dayNumbers = toDayNumbers(navHistory)) {
+  const starts = findWindowStartIndices(dayNumbers, Math.round(windowDays));
+  const returns = [];
+  
+  for (let i = 0; i < navHistory.length; i++) {
+    if (starts[i] < 0) continue;
+    
+    const returnValue = calculateReturn(navHistory[starts[i]].nav, navHistory[i].nav);
+    if (returnValue !== null) {
+      returns.push(returnValue);
     }
   }
   
@@ -157,63 +912,124 @@ function calculateRollingReturns(navHistory, windowDays) {
  * 
  * @param {Array} navHistory - Array of {date, nav} objects
  * @param {number} windowYears - Window size in years
+ * @param {Array<number>} dayNumbers - Optional precomputed day numbers for navHistory
  * @returns {Array} Array of rolling CAGRs
  */
-function calculateRollingCAGRs(navHistory, windowYears) {
-  const windowDays = windowYears * 365;
+function calculateRollingCAGRs(navHistory, windowYears, dayNumbers = toDayNumbers(navHistory)) {
+  const starts = findWindowStartIndices(dayNumbers, Math.round(windowYears * 365));
   const cagrs = [];
   
-  const navByDate = new Map();
-  for (const nav of navHistory) {
-    navByDate.set(nav.date, nav.nav);
-  }
-  
   for (let i = 0; i < navHistory.length; i++) {
-    const currentDate = new Date(navHistory[i].date);
-    const pastDate = new Date(currentDate);
-    pastDate.setDate(pastDate.getDate() - windowDays);
+    if (starts[i] < 0) continue;
     
-    // Find closest past date with NAV
-    let pastNav = null;
-    for (let offset = 0; offset <= 5; offset++) {
-      const checkDate = new Date(pastDate);
-      checkDate.setDate(checkDate.getDate() + offset);
-      const dateStr = checkDate.toISOString().split('T')[0];
-      
-      if (navByDate.has(dateStr)) {
-        pastNav = navByDate.get(dateStr);
-        break;
-      }
+    const cagr = calculateCAGR(navHistory[starts[i]].nav, navHistory[i].nav, windowYears);
+    if (cagr !== null) {
+      cagrs.push(cagr);
     }
+  }
+  
+  return cagrs;
+}
+
+/**
+ * Calculates dated rolling returns and CAGRs over one NAV series, using the
+ * same windows as calculateRollingReturns and calculateRollingCAGRs
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @param {Object} window - Parsed window {days, years} (see parseWindow)
+ * @param {Array<number>} dayNumbers - Optional precomputed day numbers for navHistory
+ * @returns {Array} Array of {date, rollingReturn, cagr} for each NAV ending a full window
+ *   (either value is null when only the other window is complete)
+ */
+function calculateRollingSeries(navHistory, { days, years }, dayNumbers = toDayNumbers(navHistory)) {
+  const returnStarts = findWindowStartIndices(dayNumbers, Math.round(days));
+  const cagrStarts = findWindowStartIndices(dayNumbers, Math.round(years * 365));
+  const series = [];
+  
+  for (let i = 0; i < navHistory.length; i++) {
+    const rollingReturn = returnStarts[i] < 0
+      ? null
+      : calculateReturn(navHistory[returnStarts[i]].nav, navHistory[i].nav);
+    const cagr = cagrStarts[i] < 0
+      ? null
+      : calculateCAGR(navHistory[cagrStarts[i]].nav, navHistory[i].nav, years);
     
-    if (pastNav !== null) {
-      const cagr = calculateCAGR(pastNav, navHistory[i].nav, windowYears);
-      if (cagr !== null) {
-        cagrs.push(cagr);
-      }
+    if (rollingReturn !== null || cagr !== null) {
+      series.push({ date: navHistory[i].date, rollingReturn, cagr });
     }
   }
   
-  return cagrs;
+  return series;
+}
+
+/**
+ * Calculates rolling returns and CAGRs for several windows over one NAV series.
+ * Dates are indexed once and shared by every window.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @param {Array<string>} windowTypes - Window labels (e.g., ['1Y', '3Y'])
+ * @returns {Object} Map of window label to {returns, cagrs}
+ */
+function calculateRollingWindows(navHistory, windowTypes) {
+  const dayNumbers = toDayNumbers(navHistory);
+  const results = {};
+  
+  for (const windowType of windowTypes) {
+    const { days, years } = parseWindow(windowType);
+    results[windowType] = {
+      returns: calculateRollingReturns(navHistory, days, dayNumbers),
+      cagrs: calculateRollingCAGRs(navHistory, years, dayNumbers),
+    };
+  }
+  
+  return results;
+}
+
+/**
+ * Days of NAV history a window needs before it can be analyzed
+ * (at least 90% of the window)
+ * 
+ * @param {number} windowDays - Window length in days
+ * @returns {number} Minimum history in days
+ */
+function requiredHistoryDays(windowDays) {
+  return Math.ceil(windowDays * 0.9);
 }
 
 /**
  * Computes analytics for a scheme for a specific window
  * 
  * @param {string} schemeCode - Scheme code
- * @param {string} windowType - Window type (1Y, 3Y, 5Y, 10Y)
+ * @param {string} windowType - Window label (e.g., 6M, 1Y, 3Y, 900D)
  * @param {string} requestId - Request ID for tracing
+ * @param {Object} options - Optional {benchmark, navHistory, rolling, asOf, sipXirr}
+ *   - benchmark: as returned by benchmarkService.getBenchmarkForScheme
+ *     (looked up when omitted; pass null to skip benchmark metrics)
+ *   - navHistory: already-loaded NAV history (loaded when omitted)
+ *   - rolling: {returns, cagrs} for this window from calculateRollingWindows
+ *     (computed from navHistory when omitted)
+ *   - asOf: compute as of this date (YYYY-MM-DD) using only NAVs and
+ *     benchmark levels up to it, so there is no look-ahead
+ *   - sipXirr: false skips the rolling SIP XIRRs (sip_xirr_* are then null),
+ *     the costliest block, for callers that only rank
  * @returns {Promise<Object|null>} Analytics object or null if insufficient data
  */
-async function computeSchemeAnalytics(schemeCode, windowType, requestId) {
+async function computeSchemeAnalytics(schemeCode, windowType, requestId, options = {}) {
   const startTime = Date.now();
   
-  // Get window in days and years
-  const windowDays = config.windowToDays[windowType];
-  const windowYears = parseInt(windowType.replace('Y', ''), 10);
+  // Get window in days, years and months
+  const window = parseWindow(windowType);
+  if (!window) {
+    throw new Error(`Invalid analytics window: ${windowType}`);
+  }
+  const { days: windowDays, years: windowYears, months: windowMonths } = window;
   
-  // Get all NAV history
-  const navHistory = await fundService.getAllNavHistory(schemeCode);
+  // Get all NAV history (up to the as-of date, if any)
+  const { asOf = null } = options;
+  let navHistory = options.navHistory || await fundService.getAllNavHistory(schemeCode, asOf);
+  if (asOf) {
+    navHistory = navHistory.filter(point => point.date <= asOf);
+  }
   
   if (!navHistory || navHistory.length === 0) {
     logger.warn('No NAV history for scheme', {
@@ -229,19 +1045,22 @@ async function computeSchemeAnalytics(schemeCode, windowType, requestId) {
   const lastDate = new Date(navHistory[navHistory.length - 1].date);
   const historyDays = (lastDate - firstDate) / (1000 * 60 * 60 * 24);
   
-  if (historyDays < windowDays * 0.9) { // Require at least 90% of window
+  if (historyDays < requiredHistoryDays(windowDays)) {
     logger.info('Insufficient history for window', {
       request_id: requestId,
       scheme_code: schemeCode,
       window: windowType,
       history_days: Math.round(historyDays),
-      required_days: windowDays,
+      required_days: requiredHistoryDays(windowDays),
     });
     return null;
   }
   
-  // Calculate rolling returns
-  const rollingReturns = calculateRollingReturns(navHistory, windowDays);
+  // Calculate rolling returns (dates are indexed once for returns and CAGRs)
+  const dayNumbers = options.rolling ? null : toDayNumbers(navHistory);
+  const rollingReturns = options.rolling
+    ? options.rolling.returns
+    : calculateRollingReturns(navHistory, windowDays, dayNumbers);
   
   if (rollingReturns.length === 0) {
     logger.warn('No rolling returns calculated', {
@@ -256,11 +1075,34 @@ async function computeSchemeAnalytics(schemeCode, windowType, requestId) {
   const sortedReturns = [...rollingReturns].sort((a, b) => a - b);
   
   // Calculate rolling CAGRs
-  const rollingCAGRs = calculateRollingCAGRs(navHistory, windowYears);
+  const rollingCAGRs = options.rolling
+    ? options.rolling.cagrs
+    : calculateRollingCAGRs(navHistory, windowYears, dayNumbers);
   const sortedCAGRs = [...rollingCAGRs].sort((a, b) => a - b);
   
-  // Calculate max drawdown (on full history up to window end)
-  const maxDrawdown = calculateMaxDrawdown(navHistory);
+  // Point-in-window metrics use the trailing window ending at the latest NAV
+  const { riskFreeRate, tradingDaysPerYear } = config.riskMetrics;
+  const windowNavs = getTrailingWindow(navHistory, windowDays);
+  const dailyReturns = calculateDailyLogReturns(windowNavs);
+  
+  // Drawdown metrics for the selected window
+  const maxDrawdown = calculateMaxDrawdown(windowNavs);
+  const drawdownEpisodes = calculateDrawdownEpisodes(windowNavs);
+  
+  // Benchmark-relative metrics for the same trailing window
+  let benchmark = options.benchmark !== undefined
+    ? options.benchmark
+    : await benchmarkService.getBenchmarkForScheme(schemeCode);
+  if (benchmark && asOf) {
+    benchmark = { ...benchmark, levels: benchmark.levels.filter(level => level.date <= asOf) };
+  }
+  const benchmarkMetrics = benchmark
+    ? computeBenchmarkMetrics(windowNavs, benchmark.levels, riskFreeRate, tradingDaysPerYear)
+    : null;
+  
+  // Rolling monthly SIPs lasting the window length
+  const sipXirrs = options.sipXirr === false ? [] : calculateRollingSipXirrs(navHistory, windowMonths);
+  const sortedSipXirrs = [...sipXirrs].sort((a, b) => a - b);
   
   const analytics = {
     rollingReturnMin: sortedReturns[0],
@@ -272,6 +1114,23 @@ async function computeSchemeAnalytics(schemeCode, windowType, requestId) {
     cagrMin: sortedCAGRs.length > 0 ? sortedCAGRs[0] : null,
     cagrMax: sortedCAGRs.length > 0 ? sortedCAGRs[sortedCAGRs.length - 1] : null,
     cagrMedian: sortedCAGRs.length > 0 ? calculatePercentile(sortedCAGRs, 50) : null,
+    volatility: calculateAnnualizedVolatility(dailyReturns, tradingDaysPerYear),
+    downsideDeviation: calculateDownsideDeviation(dailyReturns, riskFreeRate, tradingDaysPerYear),
+    sharpeRatio: calculateSharpeRatio(dailyReturns, riskFreeRate, tradingDaysPerYear),
+    sortinoRatio: calculateSortinoRatio(dailyReturns, riskFreeRate, tradingDaysPerYear),
+    ulcerIndex: calculateUlcerIndex(windowNavs),
+    calmarRatio: calculateCalmarRatio(windowNavs, drawdownEpisodes),
+    ...calculateTailRisk(dailyReturns, tradingDaysPerYear),
+    benchmarkCode: benchmarkMetrics ? benchmark.benchmarkCode : null,
+    beta: benchmarkMetrics?.beta ?? null,
+    alpha: benchmarkMetrics?.alpha ?? null,
+    trackingError: benchmarkMetrics?.trackingError ?? null,
+    informationRatio: benchmarkMetrics?.informationRatio ?? null,
+    upCapture: benchmarkMetrics?.upCapture ?? null,
+    downCapture: benchmarkMetrics?.downCapture ?? null,
+    sipXirrMin: sortedSipXirrs.length > 0 ? sortedSipXirrs[0] : null,
+    sipXirrMedian: sortedSipXirrs.length > 0 ? calculatePercentile(sortedSipXirrs, 50) : null,
+    sipXirrMax: sortedSipXirrs.length > 0 ? sortedSipXirrs[sortedSipXirrs.length - 1] : null,
     dataStartDate: navHistory[0].date,
     dataEndDate: navHistory[navHistory.length - 1].date,
   };
@@ -284,28 +1143,218 @@ async function computeSchemeAnalytics(schemeCode, windowType, requestId) {
     window: windowType,
     rolling_returns_count: rollingReturns.length,
     cagrs_count: rollingCAGRs.length,
+    sip_xirrs_count: sipXirrs.length,
     computation_time_ms: duration,
   });
   
   return analytics;
 }
 
+/**
+ * Converts a computed analytics object into the analytics table row shape
+ * (snake_case columns), so on-demand and precomputed results format the same way.
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @param {string} windowType - Window label
+ * @param {Object} analytics - Analytics object from computeSchemeAnalytics
+ * @returns {Object} Row-shaped analytics
+ */
+function toAnalyticsRow(schemeCode, windowType, analytics) {
+  const row = { scheme_code: schemeCode, window_type: windowType };
+  
+  for (const [key, value] of Object.entries(analytics)) {
+    row[key.replace(/([A-Z])/g, '_$1').toLowerCase()] = value;
+  }
+  
+  return row;
+}
+
+/**
+ * Computes analytics for a window that is not precomputed, or as of a past date.
+ * Results are cached in Redis keyed by the last NAV date used, so a sync
+ * that adds new NAVs naturally invalidates current results, while as-of
+ * results (whose NAVs never change) are shared by every as_of date that
+ * resolves to the same NAV date, e.g. a month-end falling on a weekend.
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @param {string} windowType - Canonical window label (e.g., 900D)
+ * @param {string} requestId - Request ID for tracing
+ * @param {Object} options - Optional {navHistory, asOf, sipXirr}
+ *   - navHistory: NAV history already loaded by the caller
+ *   - asOf: compute as of this date (YYYY-MM-DD)
+ *   - sipXirr: false skips the rolling SIP XIRRs (see computeSchemeAnalytics);
+ *     a cached full result is still used when there is one
+ * @returns {Promise<Object|null>} Row-shaped analytics (see toAnalyticsRow) plus end_nav
+ *   (the NAV on data_end_date, null when not resolved), or null if insufficient data
+ */
+async function getOnDemandAnalytics(schemeCode, windowType, requestId, options = {}) {
+  const { asOf = null, sipXirr = true } = options;
+  let navHistory = options.navHistory || null;
+  let endNav;
+  
+  if (navHistory) {
+    if (asOf) {
+      navHistory = navHistory.filter(point => point.date <= asOf);
+    }
+    if (navHistory.length === 0) return null;
+    endNav = navHistory[navHistory.length - 1];
+  } else {
+    // Resolve the last NAV date cheaply so cache hits skip loading history
+    endNav = asOf
+      ? await fundService.getNavOnOrBefore(schemeCode, asOf)
+      : { date: await fundService.getLatestNavDate(schemeCode) };
+    if (!endNav || !endNav.date) return null;
+  }
+  
+  const endDate = endNav.date;
+  const cacheKey = `analytics:${schemeCode}:${windowType}:${endDate}`;
+  const cacheKeys = sipXirr ? [cacheKey] : [cacheKey, `${cacheKey}:nosip`];
+  
+  for (const key of cacheKeys) {
+    const cached = await cache.getJson(key);
+    if (cached) {
+      logger.info('On-demand analytics served from cache', {
+        request_id: requestId,
+        scheme_code: schemeCode,
+        window: windowType,
+        as_of: asOf,
+      });
+      return { ...cached, end_nav: endNav.nav ?? cached.end_nav ?? null };
+    }
+  }
+  
+  if (!navHistory) {
+    navHistory = await fundService.getAllNavHistory(schemeCode, endDate);
+  }
+  
+  const analytics = await computeSchemeAnalytics(schemeCode, windowType, requestId, {
+    navHistory,
+    asOf: endDate,
+    sipXirr,
+  });
+  if (!analytics) return null;
+  
+  const row = {
+    ...toAnalyticsRow(schemeCode, windowType, analytics),
+    end_nav: navHistory[navHistory.length - 1].nav,
+    computed_at: new Date().toISOString(),
+  };
+  const ttlSeconds = asOf
+    ? config.analyticsCache.asOfTtlSeconds
+    : config.analyticsCache.ttlSeconds;
+  await cache.setJson(cacheKeys[cacheKeys.length - 1], row, ttlSeconds);
+  
+  return row;
+}
+
+/**
+ * Ranks funds in a category using analytics as of a past date.
+ * Mirrors fundsDao.rankByMetric: served from each fund's latest analytics
+ * snapshot taken by that date when there are any, otherwise computed (or read cached) per
+ * fund from NAVs up to the as-of date, without the SIP XIRRs ranking does not use.
+ * 
+ * @param {Object} params - {category, sortBy, window, limit, offset, asOf}
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Array>} Ranked funds in the rankByMetric row shape
+ */
+async function rankFundsAsOf({ category, sortBy, window, limit = 5, offset = 0, asOf }, requestId) {
+  const snapshotRanking = await snapshotService.rankFundsAsOf({
+    category, sortBy, window, limit, offset, asOf,
+  });
+  if (snapshotRanking) {
+    logger.info('As-of ranking served from snapshots', {
+      request_id: requestId,
+      category,
+      window,
+      as_of: asOf,
+    });
+    return snapshotRanking;
+  }
+  
+  const { column, ascending } = fundsDao.resolveRankSort(sortBy);
+  const funds = await fundService.getFunds({ category });
+  const ranked = [];
+  
+  for (const fund of funds) {
+    const analytics = await getOnDemandAnalytics(fund.scheme_code, window, requestId, { asOf, sipXirr: false });
+    if (!analytics || analytics[column] === null || analytics[column] === undefined) continue;
+    
+    ranked.push({
+      scheme_code: fund.scheme_code,
+      scheme_name: fund.scheme_name,
+      amc: fund.amc,
+      category: fund.category,
+      ...analytics,
+      latest_nav: analytics.end_nav,
+      latest_nav_date: analytics.data_end_date,
+    });
+  }
+  
+  ranked.sort((a, b) => (ascending
+    ? parseFloat(a[column]) - parseFloat(b[column])
+    : parseFloat(b[column]) - parseFloat(a[column]))
+    || a.scheme_code.localeCompare(b.scheme_code));
+  
+  const start = parseInt(offset, 10);
+  return ranked.slice(start, start + parseInt(limit, 10));
+}
+
+/**
+ * Gets the deepest drawdown episodes for a scheme
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @param {Object} options - {windowType: restrict to trailing window (optional), limit: top N}
+ * @returns {Promise<Object|null>} {episodes, ulcerIndex, calmarRatio, startDate, endDate} or null without data
+ */
+async function getSchemeDrawdowns(schemeCode, { windowType = null, limit = 5 } = {}) {
+  const navHistory = await fundService.getAllNavHistory(schemeCode);
+  if (!navHistory || navHistory.length < 2) return null;
+  
+  const series = windowType
+    ? getTrailingWindow(navHistory, parseWindow(windowType).days)
+    : navHistory;
+  const episodes = calculateDrawdownEpisodes(series);
+  
+  return {
+    startDate: series[0].date,
+    endDate: series[series.length - 1].date,
+    totalEpisodes: episodes.length,
+    episodes: [...episodes].sort((a, b) => a.depth - b.depth).slice(0, limit),
+    ulcerIndex: calculateUlcerIndex(series),
+    calmarRatio: calculateCalmarRatio(series, episodes),
+  };
+}
+
 /**
  * Computes and saves analytics for a scheme across all windows
  * 
  * @param {string} schemeCode - Scheme code
  * @param {string} requestId - Request ID for tracing
+ * @param {Object} options - Optional {navHistory, benchmark} already loaded by the caller
+ *   (benchmark as returned by benchmarkService.getBenchmarkForScheme)
  * @returns {Promise<Object>} Results per window
  */
-async function computeAllWindowsForScheme(schemeCode, requestId) {
+async function computeAllWindowsForScheme(schemeCode, requestId, options = {}) {
   const results = {};
   
+  // Load the NAV series and category benchmark once for all windows
+  const navHistory = options.navHistory || await fundService.getAllNavHistory(schemeCode);
+  const benchmark = options.benchmark !== undefined
+    ? options.benchmark
+    : await benchmarkService.getBenchmarkForScheme(schemeCode);
+  const rollingByWindow = calculateRollingWindows(navHistory, config.analyticsWindows);
+  
   for (const windowType of config.analyticsWindows) {
-    const analytics = await computeSchemeAnalytics(schemeCode, windowType, requestId);
+    const analytics = await computeSchemeAnalytics(schemeCode, windowType, requestId, {
+      benchmark,
+      navHistory,
+      rolling: rollingByWindow[windowType],
+    });
     
     if (analytics) {
-      // Save to database
+      // Save to database and keep a dated snapshot for history
       await fundService.upsertAnalytics(schemeCode, windowType, analytics);
+      await snapshotService.snapshotAnalytics(schemeCode, windowType);
       results[windowType] = { computed: true, analytics };
     } else {
       results[windowType] = { computed: false, reason: 'insufficient_data' };
@@ -318,7 +1367,7 @@ async function computeAllWindowsForScheme(schemeCode, requestId) {
 /**
  * Computes analytics for all schemes
  * 
- * @param {Array} schemes - Array of scheme objects
+ * @param {Array} schemes - Array of {schemeCode, category} objects
  * @param {string} requestId - Request ID for tracing
  * @param {Function} progressCallback - Optional progress callback
  * @returns {Promise<Object>} Summary of computation results
@@ -329,6 +1378,8 @@ async function computeAllAnalytics(schemes, requestId, progressCallback = null)
     total: schemes.length,
     computed: 0,
     skipped: 0,
+    returnsComputed: 0,
+    snapshotsPruned: 0,
     byWindow: {},
   };
   
@@ -343,13 +1394,24 @@ async function computeAllAnalytics(schemes, requestId, progressCallback = null)
     windows: config.analyticsWindows,
   });
   
+  // Benchmark levels are loaded once per category and shared by its schemes
+  const benchmarksByCategory = new Map();
+  
   for (let i = 0; i < schemes.length; i++) {
     const scheme = schemes[i];
     
     try {
+      // Each scheme's NAV series is loaded once and shared by all computations
+      const navHistory = await fundService.getAllNavHistory(scheme.schemeCode);
+      
+      if (!benchmarksByCategory.has(scheme.category)) {
+        benchmarksByCategory.set(scheme.category, await benchmarkService.getBenchmarkForCategory(scheme.category));
+      }
+      
       const schemeResults = await computeAllWindowsForScheme(
         scheme.schemeCode,
-        `${requestId}:${i}`
+        `${requestId}:${i}`,
+        { navHistory, benchmark: benchmarksByCategory.get(scheme.category) }
       );
       
       let anyComputed = false;
@@ -367,6 +1429,12 @@ async function computeAllAnalytics(schemes, requestId, progressCallback = null)
       } else {
         results.skipped++;
       }
+      
+      // Trailing and calendar-year point returns
+      const returnsResult = await computeSchemeReturns(scheme.schemeCode, `${requestId}:${i}`, { navHistory });
+      if (returnsResult.computed) {
+        results.returnsComputed++;
+      }
     } catch (error) {
       logger.error('Analytics computation failed for scheme', {
         request_id: requestId,
@@ -387,6 +1455,16 @@ async function computeAllAnalytics(schemes, requestId, progressCallback = null)
     }
   }
   
+  // Apply snapshot retention; a failure here should not fail the run
+  try {
+    results.snapshotsPruned = await snapshotService.pruneSnapshots(requestId);
+  } catch (error) {
+    logger.error('Analytics snapshot pruning failed', {
+      request_id: requestId,
+      error: error.message,
+    });
+  }
+  
   const duration = Date.now() - startTime;
   
   logger.info('Analytics computation completed', {
@@ -394,6 +1472,8 @@ async function computeAllAnalytics(schemes, requestId, progressCallback = null)
     total: results.total,
     computed: results.computed,
     skipped: results.skipped,
+    returns_computed: results.returnsComputed,
+    snapshots_pruned: results.snapshotsPruned,
     by_window: results.byWindow,
     duration_ms: duration,
   });
@@ -403,6 +1483,11 @@ async function computeAllAnalytics(schemes, requestId, progressCallback = null)
 
 export {
   computeSchemeAnalytics,
+  toAnalyticsRow,
+  getOnDemandAnalytics,
+  rankFundsAsOf,
+  requiredHistoryDays,
+  getSchemeDrawdowns,
   computeAllWindowsForScheme,
   computeAllAnalytics,
   calculatePercentile,
@@ -410,5 +1495,37 @@ export {
   calculateCAGR,
   calculateReturn,
   calculateMaxDrawdown,
+  toDayNumbers,
+  findWindowStartIndices,
   calculateRollingReturns,
+  calculateRollingCAGRs,
+  calculateRollingSeries,
+  calculateRollingWindows,
+  getTrailingWindow,
+  calculateDailyLogReturns,
+  calculateMean,
+  calculateStandardDeviation,
+  calculateAnnualizedVolatility,
+  calculateDownsideDeviation,
+  calculateSharpeRatio,
+  calculateSortinoRatio,
+  inverseNormalCdf,
+  calculateSkewness,
+  calculateExcessKurtosis,
+  cornishFisherQuantile,
+  aggregateLogReturns,
+  calculateHistoricalVaR,
+  calculateParametricVaR,
+  calculateTailRisk,
+  alignDailyReturns,
+  calculateCovariance,
+  calculateBeta,
+  calculateJensensAlpha,
+  calculateTrackingError,
+  calculateInformationRatio,
+  calculateCaptureRatios,
+  computeBenchmarkMetrics,
+  calculateDrawdownEpisodes,
+  calculateUlcerIndex,
+  calculateCalmarRatio,
 };
@@ -0,0 +1,166 @@
+/**
+ * Benchmark Service
+ * 
+ * Manages benchmark indices used for benchmark-relative analytics:
+ * - Maps fund categories to benchmarks (config.categoryBenchmarks)
+ * - Imports index levels from CSV
+ * - Loads the benchmark series for a scheme
+ */
+
+import config from '../config/index.js';
+import { logger } from '../logger/index.js';
+import { benchmarksDao, fundsDao } from '../dao/index.js';
+import { parseCsv, parseDateValue } from '../utils/csv.js';
+
+// Rows per INSERT statement when importing levels
+const IMPORT_BATCH_SIZE = 1000;
+
+// Accepted CSV column names for the index level
+const LEVEL_COLUMNS = ['close', 'level', 'value', 'nav', 'index value'];
+
+/**
+ * Resolves the benchmark code for a fund category
+ * 
+ * @param {string} category - Fund category (e.g., 'Mid Cap Direct Growth')
+ * @returns {string|null} Benchmark code or null if unmapped
+ */
+export function resolveBenchmarkCode(category) {
+  const name = (category || '').toLowerCase();
+
+  for (const [categoryKey, benchmarkCode] of Object.entries(config.categoryBenchmarks)) {
+    if (name.includes(categoryKey.toLowerCase())) {
+      return benchmarkCode;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parses benchmark index levels from CSV text
+ * 
+ * Expects a header row with a date column and a close/level column.
+ * Rows with unparseable dates or levels are skipped.
+ * 
+ * @param {string} csvText - CSV text
+ * @returns {Object} {levels: Array of {date, level} sorted by date, skipped: number}
+ */
+export function parseLevelsCsv(csvText) {
+  const rows = parseCsv(csvText);
+  const levels = [];
+  let skipped = 0;
+
+  for (const row of rows) {
+    const levelColumn = LEVEL_COLUMNS.find(column => row[column] !== undefined);
+    const date = parseDateValue(row.date);
+    const level = levelColumn ? parseFloat(row[levelColumn].replace(/,/g, '')) : NaN;
+
+    if (!date || !Number.isFinite(level) || level <= 0) {
+      skipped++;
+      continue;
+    }
+
+    levels.push({ date, level });
+  }
+
+  levels.sort((a, b) => a.date.localeCompare(b.date));
+
+  return { levels, skipped };
+}
+
+/**
+ * Imports benchmark index levels from CSV
+ * Creates or updates the benchmark record first. Idempotent on re-import.
+ * Nothing is written when the CSV has no valid rows (imported is then 0).
+ * 
+ * @param {Object} benchmark - Benchmark metadata {benchmarkCode, name}
+ * @param {string} csvText - CSV text with date and close columns
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} Import summary
+ */
+export async function importLevelsFromCsv(benchmark, csvText, requestId) {
+  const { levels, skipped } = parseLevelsCsv(csvText);
+
+  if (levels.length === 0) {
+    return {
+      benchmarkCode: benchmark.benchmarkCode,
+      imported: 0,
+      skipped,
+      rowsAffected: 0,
+      startDate: null,
+      endDate: null,
+    };
+  }
+
+  await benchmarksDao.upsert(benchmark);
+
+  let rowsAffected = 0;
+  for (let i = 0; i < levels.length; i += IMPORT_BATCH_SIZE) {
+    rowsAffected += await benchmarksDao.bulkUpsertLevels(
+      benchmark.benchmarkCode,
+      levels.slice(i, i + IMPORT_BATCH_SIZE)
+    );
+  }
+
+  const summary = {
+    benchmarkCode: benchmark.benchmarkCode,
+    imported: levels.length,
+    skipped,
+    rowsAffected,
+    startDate: levels[0].date,
+    endDate: levels[levels.length - 1].date,
+  };
+
+  logger.info('Benchmark levels imported', {
+    request_id: requestId,
+    benchmark_code: benchmark.benchmarkCode,
+    imported: summary.imported,
+    skipped: summary.skipped,
+  });
+
+  return summary;
+}
+
+/**
+ * Gets all benchmarks with their data ranges
+ * 
+ * @returns {Promise<Array>} Array of benchmark records
+ */
+export async function getBenchmarks() {
+  return benchmarksDao.findAll();
+}
+
+/**
+ * Loads the benchmark mapped to a fund category, with its index levels
+ * 
+ * @param {string} category - Fund category
+ * @returns {Promise<Object|null>} {benchmarkCode, name, levels} or null if unmapped/not loaded
+ */
+export async function getBenchmarkForCategory(category) {
+  const benchmarkCode = resolveBenchmarkCode(category);
+
+  if (!benchmarkCode) return null;
+
+  const benchmark = await benchmarksDao.findByCode(benchmarkCode);
+  if (!benchmark) return null;
+
+  const levels = await benchmarksDao.findLevelsByCode(benchmarkCode);
+  if (levels.length === 0) return null;
+
+  return {
+    benchmarkCode,
+    name: benchmark.name,
+    levels,
+  };
+}
+
+/**
+ * Loads the benchmark mapped to a scheme's category, with its index levels
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @returns {Promise<Object|null>} {benchmarkCode, name, levels} or null if unmapped/not loaded
+ */
+export async function getBenchmarkForScheme(schemeCode) {
+  const fund = await fundsDao.findByCode(schemeCode);
+  return getBenchmarkForCategory(fund?.category);
+}
@@ -0,0 +1,277 @@
+/**
+ * Capital Gains Service
+ *
+ * Capital gains statement per Indian financial year (April-March) for
+ * equity fund units, from FIFO-matched disposals of the transactions ledger:
+ * - Short term (STCG) if held 12 months or less, long term (LTCG) otherwise
+ * - Grandfathering: units bought on or before 31-Jan-2018 use
+ *   max(actual cost, min(NAV on 31-Jan-2018, sale value)) as cost
+ * - Loss set-off: short-term losses against short- then long-term gains,
+ *   long-term losses against long-term gains; the rest is carried forward
+ * - LTCG exemption, then tax at the rates in force on each sale date
+ *   (config.capitalGainsTax), plus cess
+ *
+ * Switches count as a sale of the source fund. Surcharge is not modelled.
+ * Sales of schemes outside config.capitalGainsTax.equityCategories are
+ * listed separately, without equity rates.
+ */
+
+import { logger } from '../logger/index.js';
+import * as fundService from './fundService.js';
+import { getLedger } from './transactionService.js';
+import { addMonths } from '../utils/navSeries.js';
+import config from '../config/index.js';
+
+/**
+ * Gets the financial year label for a date
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Financial year, e.g. 2024-25 for 2024-04-01 to 2025-03-31
+ */
+export function getFinancialYear(date) {
+  const year = parseInt(date.slice(0, 4), 10);
+  const startYear = date.slice(5) >= '04-01' ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Parses a financial year label
+ *
+ * @param {string} value - e.g. 2024-25 or FY2024-25
+ * @returns {Object|null} {label, startDate, endDate} or null if invalid
+ */
+export function parseFinancialYear(value) {
+  const match = String(value || '').trim().match(/^(?:FY)?(\d{4})-(\d{2})$/i);
+  if (!match) return null;
+
+  const startYear = parseInt(match[1], 10);
+  if ((startYear + 1) % 100 !== parseInt(match[2], 10)) return null;
+
+  return {
+    label: `${match[1]}-${match[2]}`,
+    startDate: `${startYear}-04-01`,
+    endDate: `${startYear + 1}-03-31`,
+  };
+}
+
+/**
+ * Tells whether a fund category is taxed as an equity fund
+ *
+ * @param {string} category - Fund category (e.g., 'Mid Cap Direct Growth')
+ * @param {Array<string>} equityCategories - Category keys (config.capitalGainsTax.equityCategories)
+ * @returns {boolean} True if the category contains one of the keys (case-insensitive)
+ */
+export function isEquityCategory(category, equityCategories = config.capitalGainsTax.equityCategories) {
+  const name = (category || '').toLowerCase();
+  return equityCategories.some(key => name.includes(key.toLowerCase()));
+}
+
+/**
+ * Finds the tax rates in force on a date
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Array} rates - Rate regimes sorted by effectiveFrom (config.capitalGainsTax.rates)
+ * @returns {Object} {effectiveFrom, stcgRate, ltcgRate, ltcgExemption}
+ */
+export function getTaxRates(date, rates = config.capitalGainsTax.rates) {
+  let current = rates[0];
+  for (const regime of rates) {
+    if (regime.effectiveFrom <= date) current = regime;
+  }
+  return current;
+}
+
+/**
+ * Classifies a FIFO disposal and calculates its taxable gain
+ *
+ * @param {Object} disposal - {schemeCode, date, purchaseDate, units, cost, proceeds}
+ * @param {number|null} grandfatheredNav - Scheme NAV on the grandfathering date, if any
+ * @param {Object} taxConfig - config.capitalGainsTax
+ * @returns {Object} {schemeCode, saleDate, purchaseDate, units, saleValue, actualCost,
+ *   fairMarketValue, costOfAcquisition, grandfathered, term, gain, taxRate}
+ */
+export function classifyDisposal(disposal, grandfatheredNav, taxConfig = config.capitalGainsTax) {
+  const longTerm = disposal.date > addMonths(disposal.purchaseDate, taxConfig.longTermMonths);
+  const rates = getTaxRates(disposal.date, taxConfig.rates);
+
+  let costOfAcquisition = disposal.cost;
+  let fairMarketValue = null;
+  const grandfathered = longTerm
+    && grandfatheredNav !== null
+    && disposal.purchaseDate <= taxConfig.grandfatheringDate;
+
+  if (grandfathered) {
+    fairMarketValue = grandfatheredNav * disposal.units;
+    costOfAcquisition = Math.max(disposal.cost, Math.min(fairMarketValue, disposal.proceeds));
+  }
+
+  return {
+    schemeCode: disposal.schemeCode,
+    saleDate: disposal.date,
+    purchaseDate: disposal.purchaseDate,
+    units: disposal.units,
+    saleValue: disposal.proceeds,
+    actualCost: disposal.cost,
+    fairMarketValue,
+    costOfAcquisition,
+    grandfathered,
+    term: longTerm ? 'long' : 'short',
+    gain: disposal.proceeds - costOfAcquisition,
+    taxRate: longTerm ? rates.ltcgRate : rates.stcgRate,
+  };
+}
+
+/**
+ * Applies a loss to gain buckets, highest tax rate first
+ *
+ * @param {Array} buckets - Gain buckets {rate, amount} (amounts reduced in place)
+ * @param {number} loss - Loss to set off (positive)
+ * @returns {number} Loss left over
+ */
+function setOff(buckets, loss) {
+  let remaining = loss;
+  for (const bucket of [...buckets].sort((a, b) => b.rate - a.rate)) {
+    const used = Math.min(bucket.amount, remaining);
+    bucket.amount -= used;
+    remaining -= used;
+  }
+  return remaining;
+}
+
+/**
+ * Calculates the tax for a financial year from its classified gains
+ *
+ * Gains are grouped by term and rate, losses of each term are set off against
+ * them (highest rate first, which favours the investor), the LTCG exemption in force at the end of the year is applied to long-term
+ * gains (highest rate first), and tax plus cess is charged on the rest.
+ *
+ * @param {Array} gains - Classified disposals (see classifyDisposal) within the year
+ * @param {string} yearEndDate - Last day of the financial year (YYYY-MM-DD)
+ * @param {Object} taxConfig - config.capitalGainsTax
+ * @returns {Object} {shortTerm, longTerm, ltcgExemption, exemptionUsed, taxable, tax, cess,
+ *   totalTax, carryForwardLoss}
+ */
+export function calculateTaxSummary(gains, yearEndDate, taxConfig = config.capitalGainsTax) {
+  const totals = {
+    short: { gains: 0, losses: 0 },
+    long: { gains: 0, losses: 0 },
+  };
+  const buckets = new Map();
+
+  for (const gain of gains) {
+    if (gain.gain < 0) {
+      totals[gain.term].losses -= gain.gain;
+      continue;
+    }
+
+    totals[gain.term].gains += gain.gain;
+    const key = `${gain.term}|${gain.taxRate}`;
+    if (!buckets.has(key)) buckets.set(key, { term: gain.term, rate: gain.taxRate, amount: 0 });
+    buckets.get(key).amount += gain.gain;
+  }
+
+  const shortBuckets = [...buckets.values()].filter(b => b.term === 'short');
+  const longBuckets = [...buckets.values()].filter(b => b.term === 'long');
+
+  // Long-term losses only offset long-term gains; short-term losses offset
+  // short-term gains, then whatever long-term gains remain
+  const longLossLeft = setOff(longBuckets, totals.long.losses);
+  const shortLossLeft = setOff(longBuckets, setOff(shortBuckets, totals.short.losses));
+
+  const { ltcgExemption } = getTaxRates(yearEndDate, taxConfig.rates);
+  const longTermGain = longBuckets.reduce((sum, b) => sum + b.amount, 0);
+  const exemptionUsed = Math.min(ltcgExemption, longTermGain);
+  setOff(longBuckets, exemptionUsed);
+
+  const taxable = [...shortBuckets, ...longBuckets]
+    .filter(b => b.amount > 0)
+    .map(b => ({ term: b.term, rate: b.rate, amount: b.amount, tax: b.amount * b.rate }));
+  const tax = taxable.reduce((sum, b) => sum + b.tax, 0);
+  const cess = tax * taxConfig.cessRate;
+
+  return {
+    shortTerm: { ...totals.short, net: totals.short.gains - totals.short.losses },
+    longTerm: { ...totals.long, net: totals.long.gains - totals.long.losses },
+    ltcgExemption,
+    exemptionUsed,
+    taxable,
+    tax,
+    cess,
+    totalTax: tax + cess,
+    carryForwardLoss: { shortTerm: shortLossLeft, longTerm: longLossLeft },
+  };
+}
+
+/**
+ * Builds an investor's capital gains statement for a financial year
+ *
+ * Only equity schemes are classified and taxed; sales of other schemes are
+ * returned in excluded with their plain gain (sale value less actual cost).
+ *
+ * @param {string} investorId - Investor ID
+ * @param {Object} financialYear - {label, startDate, endDate} from parseFinancialYear
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object|null>} {financialYear, gains, excluded, summary} or null if no
+ *   transactions; excluded entries are {schemeCode, schemeName, category, saleDate,
+ *   purchaseDate, units, saleValue, actualCost, gain}
+ */
+export async function getCapitalGainsReport(investorId, financialYear, requestId) {
+  const ledger = await getLedger(investorId);
+  if (!ledger) return null;
+
+  const taxConfig = config.capitalGainsTax;
+  const disposals = Object.values(ledger.holdings)
+    .flatMap(holding => holding.disposals)
+    .filter(d => d.date >= financialYear.startDate && d.date <= financialYear.endDate)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.purchaseDate.localeCompare(b.purchaseDate));
+
+  const funds = {};
+  for (const schemeCode of new Set(disposals.map(d => d.schemeCode))) {
+    funds[schemeCode] = await fundService.getFundByCode(schemeCode);
+  }
+  const isEquity = schemeCode => isEquityCategory(funds[schemeCode]?.category, taxConfig.equityCategories);
+  const schemeName = schemeCode => (funds[schemeCode] ? funds[schemeCode].scheme_name : null);
+  const equityDisposals = disposals.filter(d => isEquity(d.schemeCode));
+
+  // NAV on the grandfathering date, only for schemes with units bought by then
+  const grandfatheredNavs = {};
+  for (const schemeCode of new Set(equityDisposals.map(d => d.schemeCode))) {
+    const needsGrandfathering = equityDisposals.some(
+      d => d.schemeCode === schemeCode && d.purchaseDate <= taxConfig.grandfatheringDate
+    );
+    const point = needsGrandfathering
+      ? await fundService.getNavOnOrBefore(schemeCode, taxConfig.grandfatheringDate)
+      : null;
+    grandfatheredNavs[schemeCode] = point ? parseFloat(point.nav) : null;
+  }
+
+  const gains = equityDisposals.map(disposal => ({
+    ...classifyDisposal(disposal, grandfatheredNavs[disposal.schemeCode], taxConfig),
+    schemeName: schemeName(disposal.schemeCode),
+  }));
+  const excluded = disposals
+    .filter(d => !isEquity(d.schemeCode))
+    .map(d => ({
+      schemeCode: d.schemeCode,
+      schemeName: schemeName(d.schemeCode),
+      category: funds[d.schemeCode]?.category ?? null,
+      saleDate: d.date,
+      purchaseDate: d.purchaseDate,
+      units: d.units,
+      saleValue: d.proceeds,
+      actualCost: d.cost,
+      gain: d.proceeds - d.cost,
+    }));
+  const summary = calculateTaxSummary(gains, financialYear.endDate, taxConfig);
+
+  logger.info('Capital gains computed', {
+    request_id: requestId,
+    investor_id: investorId,
+    financial_year: financialYear.label,
+    disposals: gains.length,
+    excluded: excluded.length,
+    total_tax: summary.totalTax,
+  });
+
+  return { financialYear, gains, excluded, summary };
+}
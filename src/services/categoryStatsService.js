@@ -0,0 +1,188 @@
+/**
+ * Category Stats Service
+ *
+ * Places each fund within its category, per window, for every ranking metric
+ * (the /funds/rank sort_by values):
+ * - Category aggregates: count, mean, median, quartiles, min, max
+ * - Fund percentile rank (0-100, higher is better) and quartile (1 = top 25%)
+ *
+ * Rebuilt from the stored analytics after every analytics run.
+ */
+
+import { logger } from '../logger/index.js';
+import { analyticsDao, categoryStatsDao, fundsDao } from '../dao/index.js';
+import { calculatePercentile, calculateMean } from './analyticsService.js';
+
+/**
+ * Calculates the distribution of a metric across funds
+ *
+ * @param {Array<number>} values - Metric values (nulls already removed)
+ * @returns {Object|null} {count, mean, median, p25, p75, min, max} or null if empty
+ */
+export function calculateMetricStats(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+
+  return {
+    count: sorted.length,
+    mean: calculateMean(sorted),
+    median: calculatePercentile(sorted, 50),
+    p25: calculatePercentile(sorted, 25),
+    p75: calculatePercentile(sorted, 75),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Converts a percentile rank into a quartile (1 = top 25%, 4 = bottom 25%)
+ *
+ * @param {number} percentile - Percentile rank (0-100, higher is better)
+ * @returns {number} Quartile 1-4
+ */
+export function percentileToQuartile(percentile) {
+  if (percentile >= 75) return 1;
+  if (percentile >= 50) return 2;
+  if (percentile >= 25) return 3;
+  return 4;
+}
+
+/**
+ * Calculates each fund's percentile rank within a group.
+ *
+ * Percentile = (funds ranked worse + half of the funds tied, itself included) / total * 100,
+ * so the order is symmetric: with 4 funds the ranks are 87.5, 62.5, 37.5 and 12.5,
+ * and a lone fund sits at 50.
+ *
+ * @param {Array} entries - Array of {schemeCode, value}
+ * @param {boolean} ascending - True when lower values are better (e.g., volatility)
+ * @returns {Array} Array of {schemeCode, percentile, quartile}
+ */
+export function calculatePercentileRanks(entries, ascending = false) {
+  const n = entries.length;
+
+  return entries.map(entry => {
+    let worse = 0;
+    let tied = 0;
+
+    for (const other of entries) {
+      if (other.value === entry.value) {
+        tied++;
+      } else if (ascending ? other.value > entry.value : other.value < entry.value) {
+        worse++;
+      }
+    }
+
+    const percentile = parseFloat((((worse + 0.5 * tied) / n) * 100).toFixed(2));
+    return {
+      schemeCode: entry.schemeCode,
+      percentile,
+      quartile: percentileToQuartile(percentile),
+    };
+  });
+}
+
+/**
+ * Builds category stats and fund percentiles from analytics rows
+ *
+ * @param {Array} rows - Analytics rows with a category field (see analyticsDao.findAllWithCategory)
+ * @returns {Object} {stats, percentiles} ready for categoryStatsDao.replaceAll
+ */
+export function buildCategoryStats(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row.category}|${row.window_type}`;
+    if (!groups.has(key)) {
+      groups.set(key, { category: row.category, windowType: row.window_type, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  }
+
+  const stats = [];
+  const percentiles = [];
+
+  for (const { category, windowType, rows: groupRows } of groups.values()) {
+    for (const metric of fundsDao.listRankMetrics()) {
+      const { column } = fundsDao.resolveRankSort(metric);
+      const entries = groupRows
+        .filter(row => row[column] !== null && row[column] !== undefined)
+        .map(row => ({ schemeCode: row.scheme_code, value: parseFloat(row[column]) }));
+
+      const metricStats = calculateMetricStats(entries.map(e => e.value));
+      if (!metricStats) continue;
+
+      stats.push({ category, windowType, metric, ...metricStats });
+
+      for (const rank of calculatePercentileRanks(entries, fundsDao.resolveRankSort(metric).ascending)) {
+        percentiles.push({ ...rank, category, windowType, metric });
+      }
+    }
+  }
+
+  return { stats, percentiles };
+}
+
+/**
+ * Recomputes and stores category stats and fund percentiles
+ *
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} {stats, percentiles} row counts
+ */
+export async function computeCategoryStats(requestId) {
+  const startTime = Date.now();
+  const rows = await analyticsDao.findAllWithCategory();
+  const { stats, percentiles } = buildCategoryStats(rows);
+
+  const written = await categoryStatsDao.replaceAll(stats, percentiles);
+
+  logger.info('Category stats computed', {
+    request_id: requestId,
+    analytics_rows: rows.length,
+    stats_rows: written.stats,
+    percentile_rows: written.percentiles,
+    duration_ms: Date.now() - startTime,
+  });
+
+  return written;
+}
+
+/**
+ * Resolves a category name: an exact (case-insensitive) match wins,
+ * otherwise a unique partial match (e.g., "mid cap" -> "Mid Cap Direct Growth").
+ *
+ * @param {string} name - Category name or fragment
+ * @returns {Promise<Object>} {category} when resolved, otherwise {matches} (empty if none)
+ */
+export async function resolveCategory(name) {
+  const categories = await categoryStatsDao.findCategories();
+  const needle = name.trim().toLowerCase();
+
+  const exact = categories.find(c => c.toLowerCase() === needle);
+  if (exact) return { category: exact };
+
+  const matches = categories.filter(c => c.toLowerCase().includes(needle));
+  return matches.length === 1 ? { category: matches[0] } : { matches };
+}
+
+/**
+ * Gets the stored stats for a category
+ *
+ * @param {string} category - Exact category name
+ * @param {string|null} windowType - Optional window label
+ * @returns {Promise<Array>} category_stats rows
+ */
+export async function getCategoryStats(category, windowType = null) {
+  return categoryStatsDao.findByCategory(category, windowType);
+}
+
+/**
+ * Gets a fund's percentile ranks for a window
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {string} windowType - Window label
+ * @returns {Promise<Array>} category_percentiles rows (one per metric)
+ */
+export async function getFundPercentiles(schemeCode, windowType) {
+  return categoryStatsDao.findPercentiles(schemeCode, windowType);
+}
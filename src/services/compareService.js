@@ -0,0 +1,223 @@
+/**
+ * Compare Service
+ *
+ * Puts several funds side by side for one analytics window:
+ * - Analytics for each fund (precomputed or computed on demand)
+ * - NAV series rebased to 100 on a common start date
+ * - Pairwise correlation of daily returns over the window
+ *
+ * Funds that are unknown or lack history for the window are reported
+ * individually and left out of the series and correlations.
+ */
+
+import { logger } from '../logger/index.js';
+import * as fundService from './fundService.js';
+import {
+  getOnDemandAnalytics,
+  calculateDailyLogReturns,
+  calculateCovariance,
+  calculateStandardDeviation,
+  requiredHistoryDays,
+} from './analyticsService.js';
+import { addDays } from '../utils/navSeries.js';
+import config from '../config/index.js';
+
+/**
+ * Aligns NAV series on the dates present in every series
+ *
+ * @param {Object} seriesByCode - Map of scheme code to NAV history [{date, nav}] (sorted by date)
+ * @param {string} startDate - First date to include (YYYY-MM-DD)
+ * @param {string} endDate - Last date to include (YYYY-MM-DD)
+ * @returns {Object} {dates, navs} where navs maps scheme code to NAVs on those dates
+ */
+export function alignNavSeries(seriesByCode, startDate, endDate) {
+  const codes = Object.keys(seriesByCode);
+  const navsByDate = new Map();
+
+  for (const code of codes) {
+    for (const point of seriesByCode[code]) {
+      if (point.date < startDate || point.date > endDate) continue;
+      if (!navsByDate.has(point.date)) navsByDate.set(point.date, {});
+      navsByDate.get(point.date)[code] = parseFloat(point.nav);
+    }
+  }
+
+  const dates = [...navsByDate.keys()]
+    .filter(date => Object.keys(navsByDate.get(date)).length === codes.length)
+    .sort();
+
+  const navs = {};
+  for (const code of codes) {
+    navs[code] = dates.map(date => navsByDate.get(date)[code]);
+  }
+
+  return { dates, navs };
+}
+
+/**
+ * Rebases aligned NAV series to 100 on their first date
+ *
+ * @param {Object} aligned - {dates, navs} from alignNavSeries
+ * @returns {Array} Points of {date, values: {code: level}}
+ */
+export function rebaseNavSeries({ dates, navs }) {
+  return dates.map((date, i) => {
+    const values = {};
+    for (const [code, series] of Object.entries(navs)) {
+      values[code] = (series[i] / series[0]) * 100;
+    }
+    return { date, values };
+  });
+}
+
+/**
+ * Calculates the Pearson correlation of two equal-length series
+ *
+ * @param {Array} x - First series
+ * @param {Array} y - Second series
+ * @returns {number|null} Correlation (-1 to 1) or null if undefined
+ */
+export function calculateCorrelation(x, y) {
+  const covariance = calculateCovariance(x, y);
+  const stdDevX = calculateStandardDeviation(x);
+  const stdDevY = calculateStandardDeviation(y);
+  if (covariance === null || !stdDevX || !stdDevY) return null;
+
+  return covariance / (stdDevX * stdDevY);
+}
+
+/**
+ * Calculates the pairwise correlation matrix of daily returns
+ *
+ * @param {Object} aligned - {dates, navs} from alignNavSeries
+ * @returns {Object} {fundCodes, matrix, observations} with matrix rows/columns in fundCodes order
+ */
+export function calculateCorrelationMatrix({ dates, navs }) {
+  const fundCodes = Object.keys(navs);
+  const returns = {};
+
+  for (const code of fundCodes) {
+    returns[code] = calculateDailyLogReturns(
+      dates.map((date, i) => ({ date, nav: navs[code][i] }))
+    );
+  }
+
+  const matrix = fundCodes.map(rowCode => fundCodes.map(columnCode => (
+    rowCode === columnCode
+      ? 1
+      : calculateCorrelation(returns[rowCode], returns[columnCode])
+  )));
+
+  return {
+    fundCodes,
+    matrix,
+    observations: Math.max(0, dates.length - 1),
+  };
+}
+
+/**
+ * Loads a fund, its NAV history and its analytics for a window
+ *
+ * @param {string} code - Scheme code
+ * @param {Object} window - Parsed window (see parseWindow)
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} {fund, navHistory, analytics, source} or {error, ...details}
+ */
+async function loadFundForComparison(code, window, requestId) {
+  const fund = await fundService.getFundByCode(code);
+  if (!fund) {
+    return { error: 'Fund not found' };
+  }
+
+  const navHistory = await fundService.getAllNavHistory(code);
+  const totalDays = navHistory.length > 0
+    ? Math.ceil((new Date(navHistory[navHistory.length - 1].date) - new Date(navHistory[0].date)) / (1000 * 60 * 60 * 24))
+    : 0;
+
+  const requiredDays = requiredHistoryDays(window.days);
+  if (totalDays < requiredDays) {
+    return {
+      error: 'Insufficient history',
+      available_history_days: totalDays,
+      required_days: requiredDays,
+    };
+  }
+
+  const isPrecomputed = config.analyticsWindows.includes(window.label);
+  const analytics = isPrecomputed
+    ? await fundService.getAnalytics(code, window.label)
+    : await getOnDemandAnalytics(code, window.label, requestId, { navHistory });
+  if (!analytics) {
+    return { error: 'Analytics not available' };
+  }
+
+  return {
+    fund,
+    navHistory,
+    analytics,
+    source: isPrecomputed ? 'precomputed' : 'on_demand',
+  };
+}
+
+/**
+ * Compares funds over a window
+ *
+ * The comparison period ends on the latest NAV date shared by all funds and
+ * starts one window length earlier; series and correlations use the dates
+ * on which every compared fund has a NAV.
+ *
+ * @param {Array<string>} codes - Scheme codes
+ * @param {Object} window - Parsed window (see parseWindow)
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} {funds, errors, navSeries, correlation}
+ *   navSeries and correlation are null when fewer than two funds can be compared
+ */
+export async function compareFunds(codes, window, requestId) {
+  const funds = [];
+  const errors = [];
+
+  for (const code of codes) {
+    const result = await loadFundForComparison(code, window, requestId);
+    if (result.error) {
+      errors.push({ fund_code: code, ...result });
+    } else {
+      funds.push({ code, ...result });
+    }
+  }
+
+  let navSeries = null;
+  let correlation = null;
+
+  if (funds.length >= 2) {
+    const endDate = funds
+      .map(f => f.navHistory[f.navHistory.length - 1].date)
+      .reduce((earliest, date) => (date < earliest ? date : earliest));
+    const startDate = addDays(endDate, -window.days);
+
+    const aligned = alignNavSeries(
+      Object.fromEntries(funds.map(f => [f.code, f.navHistory])),
+      startDate,
+      endDate
+    );
+
+    if (aligned.dates.length >= 2) {
+      navSeries = {
+        startDate: aligned.dates[0],
+        endDate: aligned.dates[aligned.dates.length - 1],
+        points: rebaseNavSeries(aligned),
+      };
+      correlation = calculateCorrelationMatrix(aligned);
+    }
+  }
+
+  logger.info('Funds compared', {
+    request_id: requestId,
+    window: window.label,
+    requested: codes.length,
+    compared: funds.length,
+    failed: errors.length,
+    common_dates: navSeries ? navSeries.points.length : 0,
+  });
+
+  return { funds, errors, navSeries, correlation };
+}
@@ -0,0 +1,165 @@
+/**
+ * Consistency Service
+ *
+ * Ranks funds by how consistently they place within their category rather
+ * than by one window. Each period is ranked separately within the category:
+ * - Analytics windows 1Y/3Y/5Y/10Y, by median rolling return
+ * - Complete calendar years, by the year's return
+ * A fund's consistency is summarized as its average rank, worst rank and the
+ * share of periods it spent in the category's top quartile.
+ */
+
+import { logger } from '../logger/index.js';
+import { analyticsDao, returnsDao } from '../dao/index.js';
+import { calculateMean } from './analyticsService.js';
+import { calculatePercentileRanks } from './categoryStatsService.js';
+import config from '../config/index.js';
+
+// Analytics windows ranked for consistency (those not precomputed are skipped)
+const CONSISTENCY_WINDOWS = ['1Y', '3Y', '5Y', '10Y'];
+
+/**
+ * Ranks funds within one period (1 = best; tied funds share the best rank)
+ *
+ * @param {Array} entries - Array of {schemeCode, value} (higher is better)
+ * @returns {Array} Array of {schemeCode, value, rank, of, quartile}
+ */
+export function rankPeriod(entries) {
+  const quartiles = new Map(
+    calculatePercentileRanks(entries).map(rank => [rank.schemeCode, rank.quartile])
+  );
+
+  return entries.map(entry => ({
+    schemeCode: entry.schemeCode,
+    value: entry.value,
+    rank: 1 + entries.filter(other => other.value > entry.value).length,
+    of: entries.length,
+    quartile: quartiles.get(entry.schemeCode),
+  }));
+}
+
+/**
+ * Groups analytics windows and calendar years into per-category periods
+ *
+ * @param {Array} analyticsRows - Analytics rows with category, scheme_name and amc fields
+ * @param {Array} calendarRows - Calendar-year rows (see returnsDao.findCalendarYearsByCategory)
+ * @returns {Object} {periods, funds}: periods as {category, type, period, entries: [{schemeCode, value}]}
+ *   (windows first, then years oldest first); funds maps scheme code to {schemeName, amc, category}
+ */
+export function buildConsistencyPeriods(analyticsRows, calendarRows) {
+  const periods = new Map();
+  const funds = new Map();
+
+  const add = (row, type, period, value) => {
+    if (value === null || value === undefined) return;
+
+    const key = `${row.category}|${type}|${period}`;
+    if (!periods.has(key)) {
+      periods.set(key, { category: row.category, type, period, entries: [] });
+    }
+    periods.get(key).entries.push({ schemeCode: row.scheme_code, value: parseFloat(value) });
+
+    if (!funds.has(row.scheme_code)) {
+      funds.set(row.scheme_code, { schemeName: row.scheme_name, amc: row.amc, category: row.category });
+    }
+  };
+
+  for (const row of analyticsRows) {
+    add(row, 'window', row.window_type, row.rolling_return_median);
+  }
+  for (const row of calendarRows) {
+    add(row, 'calendar_year', row.period, row.return_value);
+  }
+
+  const order = (period) => (period.type === 'window'
+    ? CONSISTENCY_WINDOWS.indexOf(period.period)
+    : CONSISTENCY_WINDOWS.length + parseInt(period.period, 10));
+
+  return {
+    periods: [...periods.values()].sort((a, b) => order(a) - order(b)),
+    funds,
+  };
+}
+
+/**
+ * Summarizes each fund's ranks across periods and orders funds by consistency
+ *
+ * Funds are ordered by share of periods in the top quartile (descending),
+ * then average rank, then worst rank.
+ *
+ * @param {Array} periods - Periods from buildConsistencyPeriods
+ * @param {number} minPeriods - Ranked periods a fund needs to be included
+ * @returns {Object} {funds, excluded}: funds as {schemeCode, averageRank, worstRank,
+ *   topQuartileShare, periods: [{type, period, value, rank, of, quartile}]}; excluded
+ *   lists scheme codes ranked in fewer than minPeriods periods
+ */
+export function calculateConsistency(periods, minPeriods) {
+  const byFund = new Map();
+
+  for (const { type, period, entries } of periods) {
+    for (const ranked of rankPeriod(entries)) {
+      if (!byFund.has(ranked.schemeCode)) byFund.set(ranked.schemeCode, []);
+      const { schemeCode, ...placing } = ranked;
+      byFund.get(schemeCode).push({ type, period, ...placing });
+    }
+  }
+
+  const funds = [];
+  const excluded = [];
+
+  for (const [schemeCode, placings] of byFund) {
+    if (placings.length < minPeriods) {
+      excluded.push(schemeCode);
+      continue;
+    }
+
+    const ranks = placings.map(p => p.rank);
+    funds.push({
+      schemeCode,
+      averageRank: calculateMean(ranks),
+      worstRank: Math.max(...ranks),
+      topQuartileShare: placings.filter(p => p.quartile === 1).length / placings.length,
+      periods: placings,
+    });
+  }
+
+  funds.sort((a, b) => b.topQuartileShare - a.topQuartileShare
+    || a.averageRank - b.averageRank
+    || a.worstRank - b.worstRank
+    || a.schemeCode.localeCompare(b.schemeCode));
+
+  return { funds, excluded };
+}
+
+/**
+ * Ranks a category's funds by consistency across windows and calendar years
+ *
+ * @param {Object} params - {category, limit, offset}
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} {funds (most consistent first, limit from offset, with schemeName,
+ *   amc and category), totalFunds, excluded, windows, calendarYears}
+ */
+export async function rankFundsByConsistency({ category, limit = 5, offset = 0 }, requestId) {
+  const windows = CONSISTENCY_WINDOWS.filter(window => config.analyticsWindows.includes(window));
+  const analyticsRows = await analyticsDao.findByCategoryAndWindows(category, windows);
+  const calendarRows = await returnsDao.findCalendarYearsByCategory(category);
+
+  const { periods, funds: fundInfo } = buildConsistencyPeriods(analyticsRows, calendarRows);
+  const { funds, excluded } = calculateConsistency(periods, config.consistency.minPeriods);
+
+  logger.info('Funds ranked by consistency', {
+    request_id: requestId,
+    category,
+    periods: periods.length,
+    ranked: funds.length,
+    excluded: excluded.length,
+  });
+
+  return {
+    funds: funds.slice(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10)).map(fund => ({ ...fund, ...fundInfo.get(fund.schemeCode) })),
+    totalFunds: funds.length,
+    excluded,
+    windows,
+    calendarYears: [...new Set(calendarRows.map(row => row.period))].sort(),
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Distribution Service
+ *
+ * Shape of a fund's rolling returns for one window, beyond the
+ * p25/median/p75 summary stored with the analytics:
+ * - Mean, standard deviation, skewness and excess kurtosis
+ * - Share of rolling periods with a negative return
+ * - Histogram with a fixed number of buckets or a fixed bucket width
+ * - The dated rolling-return series, optionally down-sampled for charts
+ */
+
+import { logger } from '../logger/index.js';
+import * as fundService from './fundService.js';
+import {
+  calculateRollingSeries,
+  calculatePercentile,
+  calculateMean,
+  calculateStandardDeviation,
+  calculateSkewness,
+  calculateExcessKurtosis,
+} from './analyticsService.js';
+import { parseWindow } from '../utils/analyticsWindow.js';
+import config from '../config/index.js';
+
+/**
+ * Builds a histogram of values
+ *
+ * With bucketWidth, bucket edges are multiples of the width (e.g. -10%, -5%, 0%);
+ * otherwise the range min..max is split into `buckets` equal buckets. Buckets
+ * include their lower edge; the last bucket also includes the maximum.
+ *
+ * @param {Array} values - Array of numbers
+ * @param {Object} options - {buckets} or {bucketWidth}
+ * @returns {Array} Array of {from, to, count, share}
+ */
+export function calculateHistogram(values, { buckets = 20, bucketWidth = null } = {}) {
+  if (values.length === 0) return [];
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  let lower;
+  let width;
+  let count;
+
+  if (bucketWidth) {
+    lower = Math.floor(min / bucketWidth) * bucketWidth;
+    width = bucketWidth;
+    count = Math.max(1, Math.floor((max - lower) / bucketWidth) + 1);
+  } else {
+    lower = min;
+    width = max > min ? (max - min) / buckets : 1;
+    count = max > min ? buckets : 1;
+  }
+
+  const counts = new Array(count).fill(0);
+  for (const value of values) {
+    const index = Math.min(count - 1, Math.floor((value - lower) / width));
+    counts[index]++;
+  }
+
+  return counts.map((bucketCount, i) => ({
+    from: lower + i * width,
+    to: lower + (i + 1) * width,
+    count: bucketCount,
+    share: bucketCount / values.length,
+  }));
+}
+
+/**
+ * Down-samples a series to at most maxPoints by taking evenly spaced points,
+ * always keeping the first and last
+ *
+ * @param {Array} series - Array of points
+ * @param {number|null} maxPoints - Maximum points (null keeps the full series)
+ * @returns {Array} Down-sampled series
+ */
+export function downsampleSeries(series, maxPoints) {
+  if (!maxPoints || series.length <= maxPoints) return series;
+  if (maxPoints === 1) return [series[series.length - 1]];
+
+  const step = (series.length - 1) / (maxPoints - 1);
+  const sampled = [];
+  for (let i = 0; i < maxPoints; i++) {
+    sampled.push(series[Math.round(i * step)]);
+  }
+  return sampled;
+}
+
+/**
+ * Summarizes the shape of a set of returns
+ *
+ * @param {Array} returns - Rolling returns (decimals)
+ * @param {Object} histogramOptions - {buckets} or {bucketWidth} (see calculateHistogram)
+ * @returns {Object} {count, mean, standardDeviation, skewness, excessKurtosis,
+ *   negativeShare, percentiles, histogram}
+ */
+export function calculateReturnDistribution(returns, histogramOptions = {}) {
+  const sorted = [...returns].sort((a, b) => a - b);
+  const negatives = returns.filter(value => value < 0).length;
+
+  return {
+    count: returns.length,
+    mean: calculateMean(returns),
+    standardDeviation: calculateStandardDeviation(returns),
+    skewness: calculateSkewness(returns),
+    excessKurtosis: calculateExcessKurtosis(returns),
+    negativeShare: returns.length > 0 ? negatives / returns.length : null,
+    percentiles: {
+      min: sorted.length > 0 ? sorted[0] : null,
+      p5: calculatePercentile(sorted, 5),
+      p25: calculatePercentile(sorted, 25),
+      median: calculatePercentile(sorted, 50),
+      p75: calculatePercentile(sorted, 75),
+      p95: calculatePercentile(sorted, 95),
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    },
+    histogram: calculateHistogram(returns, histogramOptions),
+  };
+}
+
+/**
+ * Gets the rolling-return distribution of a scheme for a window
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {string} windowType - Window label (e.g., 1Y, 3Y, 900D)
+ * @param {Object} options - {buckets, bucketWidth, maxPoints}
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object|null>} Distribution with {startDate, endDate, series},
+ *   {error} if bucketWidth gives too many buckets, or null if the history is
+ *   shorter than the window
+ */
+export async function getReturnDistribution(schemeCode, windowType, options, requestId) {
+  const navHistory = await fundService.getAllNavHistory(schemeCode);
+  const series = calculateRollingSeries(navHistory, parseWindow(windowType))
+    .filter(point => point.rollingReturn !== null)
+    .map(point => ({ date: point.date, value: point.rollingReturn }));
+  if (series.length === 0) return null;
+
+  const distribution = calculateReturnDistribution(
+    series.map(point => point.value),
+    { buckets: options.buckets, bucketWidth: options.bucketWidth }
+  );
+
+  const { maxBuckets } = config.returnDistribution;
+  if (distribution.histogram.length > maxBuckets) {
+    return {
+      error: `bucket_width gives ${distribution.histogram.length} buckets; at most ${maxBuckets} are allowed`,
+    };
+  }
+
+  logger.info('Return distribution computed', {
+    request_id: requestId,
+    scheme_code: schemeCode,
+    window: windowType,
+    rolling_returns_count: series.length,
+  });
+
+  return {
+    ...distribution,
+    startDate: series[0].date,
+    endDate: series[series.length - 1].date,
+    series: downsampleSeries(series, options.maxPoints),
+  };
+}
@@ -6,6 +6,8 @@
  */
 
 import { fundsDao, navHistoryDao, analyticsDao } from '../dao/index.js';
+import { toKeysetPage } from '../utils/pagination.js';
+import config from '../config/index.js';
 
 /**
  * Upserts a fund record (insert or update on duplicate)
@@ -54,10 +56,22 @@ export async function getNavHistory(schemeCode, startDate, endDate) {
  * Gets all NAV history for a scheme
  * 
  * @param {string} schemeCode - Scheme code
+ * @param {string|null} endDate - Optional last date to include (YYYY-MM-DD)
  * @returns {Promise<Array>} Array of {date, nav} objects
  */
-export async function getAllNavHistory(schemeCode) {
-  return navHistoryDao.findAllByScheme(schemeCode);
+export async function getAllNavHistory(schemeCode, endDate = null) {
+  return navHistoryDao.findAllByScheme(schemeCode, endDate);
+}
+
+/**
+ * Gets the last NAV on or before a date
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} {date, nav} or null
+ */
+export async function getNavOnOrBefore(schemeCode, date) {
+  return navHistoryDao.findLatestOnOrBefore(schemeCode, date);
 }
 
 /**
@@ -70,6 +84,31 @@ export async function getFunds(filters = {}) {
   return fundsDao.findAll(filters);
 }
 
+/**
+ * Gets one page of funds with optional filters
+ * 
+ * @param {Object} filters - Optional filters {category, amc}
+ * @param {Object} list - {limit, sort, after} from parseListQuery
+ * @returns {Promise<Object>} {funds, total, hasMore, nextCursor}
+ */
+export async function getFundsPage(filters, list) {
+  const rows = await fundsDao.findPage(filters, list);
+  const { rows: funds, hasMore, nextCursor } = toKeysetPage(rows, list);
+  const total = await fundsDao.count(filters);
+
+  return { funds, total, hasMore, nextCursor };
+}
+
+/**
+ * Counts funds with optional filters
+ * 
+ * @param {Object} filters - Optional filters {category, amc}
+ * @returns {Promise<number>} Number of funds
+ */
+export async function countFunds(filters = {}) {
+  return fundsDao.count(filters);
+}
+
 /**
  * Gets a single fund by scheme code with latest NAV
  * 
@@ -84,7 +123,7 @@ export async function getFundByCode(schemeCode) {
  * Saves or updates analytics for a scheme
  * 
  * @param {string} schemeCode - Scheme code
- * @param {string} windowType - Window type (1Y, 3Y, 5Y, 10Y)
+ * @param {string} windowType - Window label (e.g., 6M, 1Y, 3Y)
  * @param {Object} analytics - Analytics data
  * @returns {Promise<void>}
  */
@@ -103,7 +142,7 @@ export async function getAnalytics(schemeCode, windowType = null) {
   if (windowType) {
     return analyticsDao.findBySchemeAndWindow(schemeCode, windowType);
   }
-  return analyticsDao.findAllByScheme(schemeCode);
+  return analyticsDao.findAllByScheme(schemeCode, config.analyticsWindows);
 }
 
 /**
@@ -112,8 +151,8 @@ export async function getAnalytics(schemeCode, windowType = null) {
  * @param {Object} params - Query parameters
  * @returns {Promise<Array>} Ranked funds
  */
-export async function rankFunds({ category, sortBy, window, limit = 5 }) {
-  return fundsDao.rankByMetric({ category, sortBy, window, limit });
+export async function rankFunds({ category, sortBy, window, limit = 5, offset = 0 }) {
+  return fundsDao.rankByMetric({ category, sortBy, window, limit, offset });
 }
 
 /**
@@ -0,0 +1,58 @@
+/**
+ * NAV History Service
+ *
+ * Raw NAV series for a date range, optionally:
+ * - Forward-filled over market holidays (weekdays without a NAV)
+ * - Resampled to weekly or monthly period-end NAVs
+ * - Rebased so the first NAV in the range equals a base value (e.g. 100)
+ */
+
+import * as fundService from './fundService.js';
+import { forwardFillWeekdays, samplePeriodEnds } from '../utils/navSeries.js';
+
+// Bounds used when the request leaves one end of the range open
+const EARLIEST_DATE = '1900-01-01';
+const LATEST_DATE = '9999-12-31';
+
+/**
+ * Transforms a NAV series for output
+ *
+ * Forward-filling happens before resampling, so a week or month ending on a
+ * holiday reports the carried-forward NAV on its last weekday.
+ *
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @param {Object} options - {frequency, forwardFill, rebase}
+ * @returns {Array} Array of {date, nav, rebasedNav, filled}
+ */
+export function transformNavSeries(navHistory, { frequency = 'daily', forwardFill = false, rebase = null } = {}) {
+  const filled = forwardFill ? forwardFillWeekdays(navHistory) : navHistory;
+  const sampled = samplePeriodEnds(filled, frequency);
+  const baseNav = sampled.length > 0 ? parseFloat(sampled[0].nav) : null;
+
+  return sampled.map(point => {
+    const nav = parseFloat(point.nav);
+    return {
+      date: point.date,
+      nav,
+      rebasedNav: rebase !== null ? (nav / baseNav) * rebase : null,
+      filled: point.filled === true,
+    };
+  });
+}
+
+/**
+ * Gets a scheme's NAV series for a date range
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {Object} options - {from, to, frequency, forwardFill, rebase}; from/to default to the full history
+ * @returns {Promise<Array>} Transformed series (see transformNavSeries)
+ */
+export async function getNavSeries(schemeCode, options = {}) {
+  const navHistory = await fundService.getNavHistory(
+    schemeCode,
+    options.from || EARLIEST_DATE,
+    options.to || LATEST_DATE
+  );
+
+  return transformNavSeries(navHistory, options);
+}
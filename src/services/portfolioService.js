@@ -0,0 +1,403 @@
+/**
+ * Portfolio Service
+ *
+ * Model portfolios of tracked funds with target weights:
+ * - CRUD with validation (weights must sum to 1)
+ * - Portfolio NAV synthesized from the funds' NAV history, starting at 100
+ *   on the first date every fund has a NAV and rebalanced to the target
+ *   weights on the first NAV date of each rebalancing period
+ * - Analytics from the same pipeline as single schemes (computeSchemeAnalytics)
+ * - Per-fund contribution to return and to volatility over the window
+ */
+
+import { logger } from '../logger/index.js';
+import * as fundService from './fundService.js';
+import {
+  computeSchemeAnalytics,
+  toAnalyticsRow,
+  calculateCovariance,
+  requiredHistoryDays,
+} from './analyticsService.js';
+import { alignNavSeries } from './compareService.js';
+import { portfoliosDao } from '../dao/index.js';
+import { addDays, findNavIndexOnOrAfter } from '../utils/navSeries.js';
+import config from '../config/index.js';
+
+// Months per rebalancing period (null = buy and hold)
+const REBALANCE_FREQUENCIES = {
+  none: null,
+  monthly: 1,
+  quarterly: 3,
+  half_yearly: 6,
+  annual: 12,
+};
+
+// Allowed difference between the sum of weights and 1
+const WEIGHT_TOLERANCE = 0.0001;
+
+// Synthetic portfolio NAV on its first date
+const PORTFOLIO_BASE_NAV = 100;
+
+/**
+ * Lists the supported rebalancing frequencies
+ *
+ * @returns {Array<string>} Frequency names
+ */
+export function listRebalanceFrequencies() {
+  return Object.keys(REBALANCE_FREQUENCIES);
+}
+
+/**
+ * Validates a portfolio request body
+ *
+ * @param {Object} input - {name, description, rebalance_frequency, holdings: [{scheme_code, weight}]}
+ * @returns {Object} {portfolio} in DAO shape when valid, otherwise {errors}
+ */
+export function validatePortfolio(input) {
+  const errors = [];
+  const {
+    name,
+    description = null,
+    rebalance_frequency: rebalanceFrequency = 'quarterly',
+    holdings,
+  } = input || {};
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    errors.push('name is required (up to 100 characters)');
+  }
+
+  if (description !== null && (typeof description !== 'string' || description.length > 500)) {
+    errors.push('description must be a string of up to 500 characters');
+  }
+
+  if (!(rebalanceFrequency in REBALANCE_FREQUENCIES)) {
+    errors.push(`rebalance_frequency must be one of: ${listRebalanceFrequencies().join(', ')}`);
+  }
+
+  if (!Array.isArray(holdings) || holdings.length === 0) {
+    errors.push('holdings must be a non-empty array of {scheme_code, weight}');
+    return { errors };
+  }
+
+  const seen = new Set();
+  let totalWeight = 0;
+
+  for (const holding of holdings) {
+    const schemeCode = holding && holding.scheme_code !== undefined ? String(holding.scheme_code) : '';
+    const weight = holding ? holding.weight : undefined;
+
+    if (schemeCode === '') {
+      errors.push('each holding needs a scheme_code');
+      continue;
+    }
+    if (seen.has(schemeCode)) {
+      errors.push(`duplicate holding: ${schemeCode}`);
+    }
+    seen.add(schemeCode);
+
+    if (typeof weight !== 'number' || !(weight > 0) || weight > 1) {
+      errors.push(`weight for ${schemeCode} must be a number greater than 0 and at most 1`);
+    } else {
+      totalWeight += weight;
+    }
+  }
+
+  if (errors.length === 0 && Math.abs(totalWeight - 1) > WEIGHT_TOLERANCE) {
+    errors.push(`weights must sum to 1 (got ${parseFloat(totalWeight.toFixed(6))})`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    portfolio: {
+      name: name.trim(),
+      description,
+      rebalanceFrequency,
+      holdings: holdings.map(h => ({ schemeCode: String(h.scheme_code), weight: h.weight })),
+    },
+  };
+}
+
+/**
+ * Identifies the rebalancing period a date falls in
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} months - Months per period
+ * @returns {string} Period key, e.g. 2024-1 for the second quarter of 2024
+ */
+export function getRebalancePeriod(date, months) {
+  const year = date.slice(0, 4);
+  const monthIndex = parseInt(date.slice(5, 7), 10) - 1;
+  return `${year}-${Math.floor(monthIndex / months)}`;
+}
+
+/**
+ * Synthesizes a portfolio NAV from aligned fund NAVs
+ *
+ * Units are bought at the target weights on the first date. Between
+ * rebalances the holdings drift with the market; on the first date of each
+ * new rebalancing period they are reset to the target weights at that
+ * day's NAVs.
+ *
+ * @param {Object} aligned - {dates, navs} from alignNavSeries
+ * @param {Object} weights - Map of scheme code to target weight
+ * @param {string} rebalanceFrequency - One of listRebalanceFrequencies()
+ * @returns {Object} {navHistory: [{date, nav}], units: [{code: units}]} (units held at each date's close)
+ */
+export function synthesizePortfolioNav({ dates, navs }, weights, rebalanceFrequency) {
+  const codes = Object.keys(weights);
+  const months = REBALANCE_FREQUENCIES[rebalanceFrequency];
+  const navHistory = [];
+  const units = [];
+
+  const buyAtTargets = (value, i) => Object.fromEntries(
+    codes.map(code => [code, (weights[code] * value) / navs[code][i]])
+  );
+
+  let held = buyAtTargets(PORTFOLIO_BASE_NAV, 0);
+  navHistory.push({ date: dates[0], nav: PORTFOLIO_BASE_NAV });
+  units.push(held);
+
+  for (let i = 1; i < dates.length; i++) {
+    const value = codes.reduce((sum, code) => sum + held[code] * navs[code][i], 0);
+
+    if (months && getRebalancePeriod(dates[i], months) !== getRebalancePeriod(dates[i - 1], months)) {
+      held = buyAtTargets(value, i);
+    }
+
+    navHistory.push({ date: dates[i], nav: value });
+    units.push(held);
+  }
+
+  return { navHistory, units };
+}
+
+/**
+ * Calculates each fund's contribution to portfolio return and volatility
+ *
+ * Return contribution is the fund's gain over the period (units held times
+ * NAV change, day by day) divided by the portfolio value at the start, so the
+ * contributions add up to the portfolio return.
+ *
+ * Risk contribution uses the Euler decomposition of volatility at the target
+ * weights: RC_i = w_i * (Σw)_i / σ_p, annualized. Contributions add up to the
+ * portfolio volatility and riskShare (RC_i / σ_p) adds up to 1.
+ *
+ * @param {Object} aligned - {dates, navs} from alignNavSeries
+ * @param {Object} synthesized - {navHistory, units} from synthesizePortfolioNav
+ * @param {Object} weights - Map of scheme code to target weight
+ * @param {number} startIndex - Index of the first date of the period
+ * @param {number} periodsPerYear - Trading days per year
+ * @returns {Object} {totalReturn, volatility, holdings: [{schemeCode, weight, endWeight,
+ *   returnContribution, riskContribution, riskShare}]}
+ */
+export function calculateContributions(
+  { dates, navs },
+  { navHistory, units },
+  weights,
+  startIndex,
+  periodsPerYear = config.riskMetrics.tradingDaysPerYear
+) {
+  const codes = Object.keys(weights);
+  const endIndex = dates.length - 1;
+  const startValue = navHistory[startIndex].nav;
+  const endValue = navHistory[endIndex].nav;
+
+  // Daily log returns of each fund over the period
+  const returns = {};
+  for (const code of codes) {
+    returns[code] = [];
+    for (let i = startIndex + 1; i <= endIndex; i++) {
+      returns[code].push(Math.log(navs[code][i] / navs[code][i - 1]));
+    }
+  }
+
+  // Σw: covariance of each fund with the target-weighted portfolio
+  const marginal = Object.fromEntries(codes.map(code => [
+    code,
+    codes.reduce((sum, other) => sum + weights[other] * (calculateCovariance(returns[code], returns[other]) ?? 0), 0),
+  ]));
+  const variance = codes.reduce((sum, code) => sum + weights[code] * marginal[code], 0);
+  const dailyVolatility = variance > 0 ? Math.sqrt(variance) : null;
+
+  const holdings = codes.map(code => {
+    let gain = 0;
+    for (let i = startIndex + 1; i <= endIndex; i++) {
+      gain += units[i - 1][code] * (navs[code][i] - navs[code][i - 1]);
+    }
+
+    const riskContribution = dailyVolatility
+      ? ((weights[code] * marginal[code]) / dailyVolatility) * Math.sqrt(periodsPerYear)
+      : null;
+
+    return {
+      schemeCode: code,
+      weight: weights[code],
+      endWeight: (units[endIndex][code] * navs[code][endIndex]) / endValue,
+      returnContribution: gain / startValue,
+      riskContribution,
+      riskShare: dailyVolatility ? (weights[code] * marginal[code]) / variance : null,
+    };
+  });
+
+  return {
+    totalReturn: endValue / startValue - 1,
+    volatility: dailyVolatility ? dailyVolatility * Math.sqrt(periodsPerYear) : null,
+    holdings,
+  };
+}
+
+/**
+ * Finds scheme codes that are not tracked funds
+ *
+ * @param {Array<string>} schemeCodes - Scheme codes
+ * @returns {Promise<Array<string>>} Unknown scheme codes
+ */
+export async function findUnknownSchemes(schemeCodes) {
+  const unknown = [];
+  for (const code of schemeCodes) {
+    if (!await fundService.getFundByCode(code)) unknown.push(code);
+  }
+  return unknown;
+}
+
+/**
+ * Lists all portfolios
+ *
+ * @returns {Promise<Array>} Portfolio records with holdings_count
+ */
+export async function listPortfolios() {
+  return portfoliosDao.findAll();
+}
+
+/**
+ * Gets a portfolio with its holdings
+ *
+ * @param {number} id - Portfolio ID
+ * @returns {Promise<Object|null>} Portfolio record with holdings, or null
+ */
+export async function getPortfolio(id) {
+  const portfolio = await portfoliosDao.findById(id);
+  if (!portfolio) return null;
+
+  return { ...portfolio, holdings: await portfoliosDao.findHoldings(id) };
+}
+
+/**
+ * Creates a portfolio
+ *
+ * @param {Object} portfolio - Validated portfolio (see validatePortfolio)
+ * @returns {Promise<Object>} Created portfolio with holdings
+ */
+export async function createPortfolio(portfolio) {
+  const id = await portfoliosDao.create(portfolio);
+  return getPortfolio(id);
+}
+
+/**
+ * Replaces a portfolio's details and holdings
+ *
+ * @param {number} id - Portfolio ID
+ * @param {Object} portfolio - Validated portfolio (see validatePortfolio)
+ * @returns {Promise<Object|null>} Updated portfolio, or null if not found
+ */
+export async function updatePortfolio(id, portfolio) {
+  const updated = await portfoliosDao.update(id, portfolio);
+  return updated ? getPortfolio(id) : null;
+}
+
+/**
+ * Deletes a portfolio
+ *
+ * @param {number} id - Portfolio ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deletePortfolio(id) {
+  return portfoliosDao.remove(id);
+}
+
+/**
+ * Computes analytics and contributions for a portfolio over a window
+ *
+ * @param {Object} portfolio - Portfolio with holdings (see getPortfolio)
+ * @param {Object} window - Parsed window (see parseWindow)
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} {analytics, contributions, navDataPoints, totalDays} (analytics row-shaped,
+ *   see toAnalyticsRow), or {error, ...details} when history is insufficient
+ */
+export async function computePortfolioAnalytics(portfolio, window, requestId) {
+  const startTime = Date.now();
+  const weights = Object.fromEntries(
+    portfolio.holdings.map(h => [h.scheme_code, parseFloat(h.weight)])
+  );
+
+  const seriesByCode = {};
+  for (const code of Object.keys(weights)) {
+    seriesByCode[code] = await fundService.getAllNavHistory(code);
+  }
+
+  const histories = Object.values(seriesByCode);
+  if (histories.some(history => history.length === 0)) {
+    return { error: 'No common NAV history for the portfolio funds' };
+  }
+
+  // Common history runs from the latest first NAV to the earliest last NAV
+  const startDate = histories.map(h => h[0].date).reduce((a, b) => (a > b ? a : b));
+  const endDate = histories.map(h => h[h.length - 1].date).reduce((a, b) => (a < b ? a : b));
+  const aligned = alignNavSeries(seriesByCode, startDate, endDate);
+
+  if (aligned.dates.length < 2) {
+    return { error: 'No common NAV history for the portfolio funds' };
+  }
+
+  const synthesized = synthesizePortfolioNav(aligned, weights, portfolio.rebalance_frequency);
+  const { navHistory } = synthesized;
+  const totalDays = Math.ceil(
+    (new Date(navHistory[navHistory.length - 1].date) - new Date(navHistory[0].date)) / (1000 * 60 * 60 * 24)
+  );
+
+  const requiredDays = requiredHistoryDays(window.days);
+  if (totalDays < requiredDays) {
+    return {
+      error: 'Insufficient history',
+      available_history_days: totalDays,
+      required_days: requiredDays,
+    };
+  }
+
+  const portfolioKey = `portfolio:${portfolio.id}`;
+  const analytics = await computeSchemeAnalytics(portfolioKey, window.label, requestId, {
+    navHistory,
+    benchmark: null,
+  });
+
+  if (!analytics) {
+    return { error: 'Insufficient history' };
+  }
+
+  const windowStart = addDays(navHistory[navHistory.length - 1].date, -window.days);
+  const startIndex = findNavIndexOnOrAfter(navHistory, windowStart);
+  const contributions = calculateContributions(aligned, synthesized, weights, startIndex);
+
+  logger.info('Portfolio analytics computed', {
+    request_id: requestId,
+    portfolio_id: portfolio.id,
+    window: window.label,
+    holdings: portfolio.holdings.length,
+    nav_data_points: navHistory.length,
+    duration_ms: Date.now() - startTime,
+  });
+
+  return {
+    analytics: toAnalyticsRow(portfolioKey, window.label, analytics),
+    contributions: {
+      startDate: navHistory[startIndex].date,
+      endDate: navHistory[navHistory.length - 1].date,
+      ...contributions,
+    },
+    navDataPoints: navHistory.length,
+    totalDays,
+  };
+}
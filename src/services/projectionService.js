@@ -0,0 +1,166 @@
+/**
+ * Projection Service
+ *
+ * Monte Carlo projection of a monthly SIP towards a target amount:
+ * - Monthly returns from month-end NAVs in nav_history
+ * - Circular block bootstrap: blocks of consecutive monthly returns are
+ *   drawn at random, so each path keeps the fund's short-run return patterns
+ * - Percentiles (p10/p50/p90) of the projected value at each year end
+ *   and the probability of reaching the target
+ *
+ * Paths are generated from a seeded RNG, so a seed replays the same result.
+ */
+
+import * as fundService from './fundService.js';
+import { calculatePercentile } from './analyticsService.js';
+import { createRandom, randomSeed } from '../utils/random.js';
+import config from '../config/index.js';
+
+// Percentiles reported for each point of the projection
+const PROJECTION_PERCENTILES = [10, 50, 90];
+
+/**
+ * Calculates simple returns between month-end NAVs
+ *
+ * The last month in the history is dropped as it is usually incomplete.
+ *
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @returns {Array} Monthly returns (decimals), oldest first
+ */
+export function calculateMonthlyReturns(navHistory) {
+  const monthEnds = [];
+
+  for (const point of navHistory) {
+    const month = point.date.slice(0, 7);
+    const nav = parseFloat(point.nav);
+    const last = monthEnds[monthEnds.length - 1];
+
+    if (last && last.month === month) last.nav = nav;
+    else monthEnds.push({ month, nav });
+  }
+
+  monthEnds.pop();
+
+  const returns = [];
+  for (let i = 1; i < monthEnds.length; i++) {
+    returns.push(monthEnds[i].nav / monthEnds[i - 1].nav - 1);
+  }
+  return returns;
+}
+
+/**
+ * Draws a return sequence by circular block bootstrap
+ *
+ * @param {Array} returns - Historical monthly returns
+ * @param {number} months - Length of the sequence
+ * @param {number} blockMonths - Consecutive returns per block
+ * @param {Function} random - Uniform RNG in [0, 1)
+ * @returns {Array} Simulated monthly returns
+ */
+export function blockBootstrap(returns, months, blockMonths, random) {
+  const sequence = [];
+  const blockLength = Math.max(1, Math.min(blockMonths, returns.length));
+
+  while (sequence.length < months) {
+    const start = Math.floor(random() * returns.length);
+    for (let i = 0; i < blockLength && sequence.length < months; i++) {
+      sequence.push(returns[(start + i) % returns.length]);
+    }
+  }
+
+  return sequence;
+}
+
+/**
+ * Runs the Monte Carlo projection of a monthly SIP
+ *
+ * Each month the installment is invested at the start and the whole value
+ * then earns that month's simulated return.
+ *
+ * @param {Array} monthlyReturns - Historical monthly returns (see calculateMonthlyReturns)
+ * @param {Object} plan - {monthlyAmount, months, target, initialAmount}
+ * @param {Object} options - {simulations, blockMonths, seed}
+ * @returns {Object} {path, final, probability, totalInvested}; path has {month, invested, p10, p50, p90}
+ */
+export function simulateGoal(monthlyReturns, plan, options) {
+  const { monthlyAmount, months, target, initialAmount = 0 } = plan;
+  const { simulations, blockMonths, seed } = options;
+  const random = createRandom(seed);
+
+  // Year ends plus the final month, where percentiles are reported
+  const checkpoints = [];
+  for (let month = 12; month < months; month += 12) checkpoints.push(month);
+  checkpoints.push(months);
+
+  const valuesAt = checkpoints.map(() => new Float64Array(simulations));
+  let reached = 0;
+
+  for (let s = 0; s < simulations; s++) {
+    const returns = blockBootstrap(monthlyReturns, months, blockMonths, random);
+    let value = initialAmount;
+    let checkpoint = 0;
+
+    for (let month = 1; month <= months; month++) {
+      value = (value + monthlyAmount) * (1 + returns[month - 1]);
+      if (month === checkpoints[checkpoint]) {
+        valuesAt[checkpoint][s] = value;
+        checkpoint++;
+      }
+    }
+
+    if (value >= target) reached++;
+  }
+
+  const path = checkpoints.map((month, i) => {
+    const sorted = valuesAt[i].sort();
+    const point = {
+      month,
+      invested: initialAmount + monthlyAmount * month,
+    };
+    for (const p of PROJECTION_PERCENTILES) {
+      point[`p${p}`] = calculatePercentile(sorted, p);
+    }
+    return point;
+  });
+
+  return {
+    path,
+    final: path[path.length - 1],
+    probability: reached / simulations,
+    totalInvested: initialAmount + monthlyAmount * months,
+  };
+}
+
+/**
+ * Projects a monthly SIP in a scheme using its stored NAV history
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {Object} plan - {monthlyAmount, months, target, initialAmount}
+ * @param {Object} options - {simulations, seed}; seed is random if omitted
+ * @returns {Promise<Object>} Projection with {seed, simulations, blockMonths,
+ *   historyMonths, historyStart, historyEnd}, or {error} if history is too short
+ */
+export async function projectSchemeGoal(schemeCode, plan, options = {}) {
+  const navHistory = await fundService.getAllNavHistory(schemeCode);
+  const monthlyReturns = calculateMonthlyReturns(navHistory);
+  const { minHistoryMonths, blockMonths } = config.projection;
+
+  if (monthlyReturns.length < minHistoryMonths) {
+    return {
+      error: `At least ${minHistoryMonths} months of NAV history are needed, found ${monthlyReturns.length}`,
+    };
+  }
+
+  const seed = options.seed ?? randomSeed();
+  const simulations = options.simulations || config.projection.defaultSimulations;
+
+  return {
+    ...simulateGoal(monthlyReturns, plan, { simulations, blockMonths, seed }),
+    seed,
+    simulations,
+    blockMonths,
+    historyMonths: monthlyReturns.length,
+    historyStart: navHistory[0].date,
+    historyEnd: navHistory[navHistory.length - 1].date,
+  };
+}
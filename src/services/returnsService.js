@@ -0,0 +1,220 @@
+/**
+ * Returns Service
+ * 
+ * Computes factsheet-style point returns for mutual funds:
+ * - Trailing returns (1M, 3M, 6M, YTD, 1Y, 3Y, 5Y) as of the latest NAV date,
+ *   annualized (CAGR) for periods longer than one year
+ * - Calendar-year returns (partial first and current years are flagged)
+ * 
+ * Results are persisted in the fund_returns table during the analytics phase.
+ */
+
+import { logger } from '../logger/index.js';
+import * as fundService from './fundService.js';
+import { returnsDao } from '../dao/index.js';
+import { addMonths, findNavIndexOnOrBefore } from '../utils/navSeries.js';
+
+// Trailing periods in months (YTD is handled separately)
+const TRAILING_PERIODS = {
+  '1M': 1,
+  '3M': 3,
+  '6M': 6,
+  'YTD': null,
+  '1Y': 12,
+  '3Y': 36,
+  '5Y': 60,
+};
+
+/**
+ * Calculates a point return between two NAV records
+ * 
+ * @param {Object} start - Start NAV record {date, nav}
+ * @param {Object} end - End NAV record {date, nav}
+ * @param {number} months - Period length in months (annualized when > 12)
+ * @returns {Object} {returnValue, isAnnualized}
+ */
+function calculatePointReturn(start, end, months) {
+  const startNav = parseFloat(start.nav);
+  const endNav = parseFloat(end.nav);
+  const isAnnualized = months !== null && months > 12;
+
+  const returnValue = isAnnualized
+    ? Math.pow(endNav / startNav, 12 / months) - 1
+    : endNav / startNav - 1;
+
+  return { returnValue, isAnnualized };
+}
+
+/**
+ * Calculates trailing returns as of the latest NAV date
+ * 
+ * The start NAV is the last NAV on or before the period start date.
+ * Periods longer than the available history are reported as null.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @returns {Array} Array of {period, returnValue, startDate, endDate, startNav, endNav, isAnnualized}
+ */
+function calculateTrailingReturns(navHistory) {
+  if (navHistory.length < 2) return [];
+
+  const end = navHistory[navHistory.length - 1];
+  const results = [];
+
+  for (const [period, months] of Object.entries(TRAILING_PERIODS)) {
+    const periodStart = period === 'YTD'
+      ? `${Number(end.date.slice(0, 4)) - 1}-12-31`
+      : addMonths(end.date, -months);
+
+    // Require history reaching back to the period start
+    const startIndex = navHistory[0].date <= periodStart
+      ? findNavIndexOnOrBefore(navHistory, periodStart)
+      : -1;
+
+    if (startIndex === -1) {
+      results.push({
+        period,
+        returnValue: null,
+        startDate: null,
+        endDate: end.date,
+        startNav: null,
+        endNav: parseFloat(end.nav),
+        isAnnualized: months !== null && months > 12,
+      });
+      continue;
+    }
+
+    const start = navHistory[startIndex];
+    const { returnValue, isAnnualized } = calculatePointReturn(start, end, months);
+
+    results.push({
+      period,
+      returnValue,
+      startDate: start.date,
+      endDate: end.date,
+      startNav: parseFloat(start.nav),
+      endNav: parseFloat(end.nav),
+      isAnnualized,
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Calculates calendar-year returns
+ * 
+ * Each year runs from the last NAV of the previous year to the last NAV
+ * of the year. The first year starts at the first NAV and the current
+ * year ends at the latest NAV; both are flagged as partial.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @returns {Array} Array of {year, returnValue, startDate, endDate, startNav, endNav, isPartial}
+ */
+function calculateCalendarYearReturns(navHistory) {
+  if (navHistory.length < 2) return [];
+
+  const firstYear = Number(navHistory[0].date.slice(0, 4));
+  const lastYear = Number(navHistory[navHistory.length - 1].date.slice(0, 4));
+  const results = [];
+
+  for (let year = firstYear; year <= lastYear; year++) {
+    const previousYearEnd = findNavIndexOnOrBefore(navHistory, `${year - 1}-12-31`);
+    const startIndex = previousYearEnd === -1 ? 0 : previousYearEnd;
+    const endIndex = findNavIndexOnOrBefore(navHistory, `${year}-12-31`);
+
+    if (endIndex <= startIndex) continue;
+
+    const start = navHistory[startIndex];
+    const end = navHistory[endIndex];
+    const { returnValue } = calculatePointReturn(start, end, 12);
+
+    results.push({
+      year,
+      returnValue,
+      startDate: start.date,
+      endDate: end.date,
+      startNav: parseFloat(start.nav),
+      endNav: parseFloat(end.nav),
+      isPartial: previousYearEnd === -1 || year === lastYear,
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Computes and saves trailing and calendar-year returns for a scheme
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @param {string} requestId - Request ID for tracing
+ * @param {Object} options - Optional {navHistory} already loaded by the caller
+ * @returns {Promise<Object>} {computed, trailing, calendarYears}
+ */
+async function computeSchemeReturns(schemeCode, requestId, options = {}) {
+  const navHistory = options.navHistory || await fundService.getAllNavHistory(schemeCode);
+
+  const trailing = calculateTrailingReturns(navHistory);
+  const calendarYears = calculateCalendarYearReturns(navHistory);
+
+  if (trailing.length === 0) {
+    logger.warn('Insufficient NAV history for point returns', {
+      request_id: requestId,
+      scheme_code: schemeCode,
+    });
+    return { computed: false, trailing: 0, calendarYears: 0 };
+  }
+
+  const rows = [
+    ...trailing.map(r => ({
+      periodType: 'trailing',
+      period: r.period,
+      returnValue: r.returnValue,
+      startDate: r.startDate,
+      endDate: r.endDate,
+      startNav: r.startNav,
+      endNav: r.endNav,
+      isAnnualized: r.isAnnualized,
+      isPartial: false,
+    })),
+    ...calendarYears.map(r => ({
+      periodType: 'calendar_year',
+      period: String(r.year),
+      returnValue: r.returnValue,
+      startDate: r.startDate,
+      endDate: r.endDate,
+      startNav: r.startNav,
+      endNav: r.endNav,
+      isAnnualized: false,
+      isPartial: r.isPartial,
+    })),
+  ];
+
+  await returnsDao.bulkUpsert(schemeCode, rows);
+
+  logger.info('Point returns computed for scheme', {
+    request_id: requestId,
+    scheme_code: schemeCode,
+    trailing_periods: trailing.length,
+    calendar_years: calendarYears.length,
+  });
+
+  return { computed: true, trailing: trailing.length, calendarYears: calendarYears.length };
+}
+
+/**
+ * Gets stored point returns for a scheme
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @returns {Promise<Array>} Array of fund_returns records
+ */
+async function getSchemeReturns(schemeCode) {
+  return returnsDao.findByScheme(schemeCode);
+}
+
+export {
+  TRAILING_PERIODS,
+  calculateTrailingReturns,
+  calculateCalendarYearReturns,
+  computeSchemeReturns,
+  getSchemeReturns,
+};
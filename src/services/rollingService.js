@@ -0,0 +1,132 @@
+/**
+ * Rolling Series Service
+ *
+ * Dated rolling returns and CAGRs for charting, as computed by the analytics
+ * (calculateRollingSeries), with optional overlays on the same dates:
+ * - Category median: median across the fund's category peers that have a
+ *   value on the date (the fund included)
+ * - Benchmark: the category benchmark's rolling values, taken on the last
+ *   benchmark date on or before each fund date
+ */
+
+import { logger } from '../logger/index.js';
+import * as fundService from './fundService.js';
+import * as benchmarkService from './benchmarkService.js';
+import { calculateRollingSeries, calculateMedian } from './analyticsService.js';
+import { findNavIndexOnOrBefore, samplePeriodEnds } from '../utils/navSeries.js';
+
+/**
+ * Calculates the median rolling return and CAGR across several series on given dates
+ *
+ * @param {Array<Map>} seriesMaps - One Map of date to {rollingReturn, cagr} per fund
+ * @param {Array<string>} dates - Dates to compute the median on
+ * @returns {Array} Array of {date, rollingReturn, cagr, funds} (values null if no fund has one)
+ */
+export function calculateMedianSeries(seriesMaps, dates) {
+  return dates.map(date => {
+    const returns = [];
+    const cagrs = [];
+
+    for (const seriesMap of seriesMaps) {
+      const point = seriesMap.get(date);
+      if (!point) continue;
+      if (point.rollingReturn !== null) returns.push(point.rollingReturn);
+      if (point.cagr !== null) cagrs.push(point.cagr);
+    }
+
+    return {
+      date,
+      rollingReturn: returns.length > 0 ? calculateMedian(returns) : null,
+      cagr: cagrs.length > 0 ? calculateMedian(cagrs) : null,
+      funds: returns.length,
+    };
+  });
+}
+
+/**
+ * Builds a Map of date to rolling point for a scheme
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {Object} window - Parsed window (see parseWindow)
+ * @returns {Promise<Map>} Date to {rollingReturn, cagr}
+ */
+async function loadRollingMap(schemeCode, window) {
+  const navHistory = await fundService.getAllNavHistory(schemeCode);
+  return new Map(calculateRollingSeries(navHistory, window).map(point => [point.date, point]));
+}
+
+/**
+ * Gets a fund's rolling-return series with optional overlays
+ *
+ * @param {Object} fund - Fund record (scheme_code, category)
+ * @param {Object} window - Parsed window (see parseWindow)
+ * @param {Object} options - {from, to, step, category, benchmark}
+ *   - from, to: Optional date range (YYYY-MM-DD) for the rolling period end dates
+ *   - step: daily, weekly or monthly
+ *   - category, benchmark: true to add that overlay
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} {series, categoryFunds, benchmark}; series points are
+ *   {date, rollingReturn, cagr, category, benchmark}
+ */
+export async function getRollingSeries(fund, window, options, requestId) {
+  const { from = null, to = null, step = 'daily' } = options;
+
+  const navHistory = await fundService.getAllNavHistory(fund.scheme_code);
+  const fullSeries = calculateRollingSeries(navHistory, window);
+  const series = samplePeriodEnds(
+    fullSeries.filter(point => (!from || point.date >= from) && (!to || point.date <= to)),
+    step
+  );
+  const dates = series.map(point => point.date);
+
+  let categoryOverlay = null;
+  let categoryFunds = null;
+  if (options.category && fund.category) {
+    const peers = await fundService.getFunds({ category: fund.category });
+    const seriesMaps = [];
+    for (const peer of peers) {
+      seriesMaps.push(peer.scheme_code === fund.scheme_code
+        ? new Map(fullSeries.map(point => [point.date, point]))
+        : await loadRollingMap(peer.scheme_code, window));
+    }
+    categoryOverlay = calculateMedianSeries(seriesMaps, dates);
+    categoryFunds = peers.length;
+  }
+
+  let benchmarkOverlay = null;
+  let benchmarkInfo = null;
+  if (options.benchmark) {
+    const benchmark = await benchmarkService.getBenchmarkForScheme(fund.scheme_code);
+    if (benchmark) {
+      const levels = benchmark.levels.map(level => ({ date: level.date, nav: level.level }));
+      const benchmarkSeries = calculateRollingSeries(levels, window);
+      benchmarkOverlay = dates.map(date => {
+        const index = findNavIndexOnOrBefore(benchmarkSeries, date);
+        return index === -1 ? null : benchmarkSeries[index];
+      });
+      benchmarkInfo = { code: benchmark.benchmarkCode, name: benchmark.name };
+    }
+  }
+
+  logger.info('Rolling series computed', {
+    request_id: requestId,
+    scheme_code: fund.scheme_code,
+    window: window.label,
+    step,
+    points: series.length,
+    category_funds: categoryFunds,
+    benchmark_code: benchmarkInfo ? benchmarkInfo.code : null,
+  });
+
+  return {
+    series: series.map((point, i) => ({
+      date: point.date,
+      rollingReturn: point.rollingReturn,
+      cagr: point.cagr,
+      category: categoryOverlay ? categoryOverlay[i] : null,
+      benchmark: benchmarkOverlay ? benchmarkOverlay[i] : null,
+    })),
+    categoryFunds,
+    benchmark: benchmarkInfo,
+  };
+}
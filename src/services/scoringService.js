@@ -0,0 +1,325 @@
+/**
+ * Scoring Service
+ *
+ * Composite fund scores from stored scoring profiles. A profile weights
+ * several ranking metrics (the /funds/rank sort_by names) across windows,
+ * e.g. 3Y max drawdown 25% + 5Y Sortino ratio 20% + ...
+ *
+ * Each metric is normalized within the fund's category before weighting:
+ * - zscore: standard deviations from the category mean
+ * - percentile: category percentile rank (0-100, see calculatePercentileRanks)
+ * Lower-is-better metrics (volatility, downside deviation) are inverted, so
+ * a higher score is always better. A fund's score is the weighted mean over
+ * the metrics it has values for; funds covering too little of the profile's
+ * weight are left unscored.
+ */
+
+import { logger } from '../logger/index.js';
+import { analyticsDao, fundsDao, scoringProfilesDao } from '../dao/index.js';
+import { calculateMean, calculateStandardDeviation } from './analyticsService.js';
+import { calculatePercentileRanks } from './categoryStatsService.js';
+import { parseWindow } from '../utils/analyticsWindow.js';
+import config from '../config/index.js';
+
+const NORMALIZATIONS = ['zscore', 'percentile'];
+
+// Profile names are used in URLs (?profile=, /scoring-profiles/:name)
+const PROFILE_NAME_PATTERN = /^[a-z0-9_-]{1,50}$/;
+
+// Allowed difference between the sum of weights and 1
+const WEIGHT_TOLERANCE = 0.0001;
+
+/**
+ * Lists the supported normalizations
+ *
+ * @returns {Array<string>} Normalization names
+ */
+export function listNormalizations() {
+  return [...NORMALIZATIONS];
+}
+
+/**
+ * Validates a scoring profile request body
+ *
+ * Windows must be precomputed, since scores read stored analytics.
+ *
+ * @param {Object} input - {name, description, normalization, metrics: [{metric, window, weight}]}
+ * @returns {Object} {profile} in DAO shape when valid, otherwise {errors}
+ */
+export function validateScoringProfile(input) {
+  const errors = [];
+  const {
+    name,
+    description = null,
+    normalization = 'zscore',
+    metrics,
+  } = input || {};
+  const rankMetrics = fundsDao.listRankMetrics();
+
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    errors.push('name must be 1-50 lowercase letters, digits, hyphens or underscores');
+  }
+
+  if (description !== null && (typeof description !== 'string' || description.length > 500)) {
+    errors.push('description must be a string of up to 500 characters');
+  }
+
+  if (!NORMALIZATIONS.includes(normalization)) {
+    errors.push(`normalization must be one of: ${listNormalizations().join(', ')}`);
+  }
+
+  if (!Array.isArray(metrics) || metrics.length === 0) {
+    errors.push('metrics must be a non-empty array of {metric, window, weight}');
+    return { errors };
+  }
+
+  const seen = new Set();
+  const validated = [];
+  let totalWeight = 0;
+
+  for (const entry of metrics) {
+    const { metric, window: windowLabel, weight } = entry || {};
+    const window = parseWindow(windowLabel);
+
+    if (!rankMetrics.includes(metric)) {
+      errors.push(`metric must be one of: ${rankMetrics.join(', ')} (got ${metric})`);
+      continue;
+    }
+    if (!window || !config.analyticsWindows.includes(window.label)) {
+      errors.push(`window for ${metric} must be one of: ${config.analyticsWindows.join(', ')}`);
+      continue;
+    }
+
+    const key = `${metric}|${window.label}`;
+    if (seen.has(key)) {
+      errors.push(`duplicate metric: ${metric} ${window.label}`);
+    }
+    seen.add(key);
+
+    if (typeof weight !== 'number' || !(weight > 0) || weight > 1) {
+      errors.push(`weight for ${metric} ${window.label} must be a number greater than 0 and at most 1`);
+    } else {
+      totalWeight += weight;
+      validated.push({ metric, window: window.label, weight });
+    }
+  }
+
+  if (errors.length === 0 && Math.abs(totalWeight - 1) > WEIGHT_TOLERANCE) {
+    errors.push(`weights must sum to 1 (got ${parseFloat(totalWeight.toFixed(6))})`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    profile: {
+      name,
+      description,
+      normalization,
+      metrics: validated,
+    },
+  };
+}
+
+/**
+ * Normalizes one metric across a group of funds
+ *
+ * Z-scores are 0 for every fund when the group has fewer than two funds
+ * or no spread.
+ *
+ * @param {Array} entries - Array of {schemeCode, value}
+ * @param {boolean} ascending - True when lower values are better (e.g., volatility)
+ * @param {string} normalization - zscore or percentile
+ * @returns {Map} Scheme code to normalized value (higher is better)
+ */
+export function normalizeMetric(entries, ascending, normalization) {
+  if (normalization === 'percentile') {
+    return new Map(
+      calculatePercentileRanks(entries, ascending).map(rank => [rank.schemeCode, rank.percentile])
+    );
+  }
+
+  const values = entries.map(entry => entry.value);
+  const mean = calculateMean(values);
+  const standardDeviation = calculateStandardDeviation(values);
+  const direction = ascending ? -1 : 1;
+
+  return new Map(entries.map(entry => [
+    entry.schemeCode,
+    standardDeviation ? (direction * (entry.value - mean)) / standardDeviation : 0,
+  ]));
+}
+
+/**
+ * Scores funds with a profile, normalizing within each category
+ *
+ * @param {Array} rows - Analytics rows with category, scheme_name and amc fields
+ * @param {Object} profile - {normalization, metrics: [{metric, window, weight}]}
+ * @param {number} minCoverage - Share of the profile's weight a fund needs values for (0-1)
+ * @returns {Object} {scores, unscored}: scores sorted best first as
+ *   {schemeCode, schemeName, amc, category, score, coverage, components}, each component
+ *   {metric, window, weight, value, normalized, contribution}; unscored lists the scheme
+ *   codes below minCoverage
+ */
+export function calculateProfileScores(rows, profile, minCoverage) {
+  const funds = new Map();
+  for (const row of rows) {
+    if (!funds.has(row.scheme_code)) {
+      funds.set(row.scheme_code, {
+        schemeCode: row.scheme_code,
+        schemeName: row.scheme_name,
+        amc: row.amc,
+        category: row.category,
+        windows: new Map(),
+      });
+    }
+    funds.get(row.scheme_code).windows.set(row.window_type, row);
+  }
+
+  const categories = new Map();
+  for (const fund of funds.values()) {
+    if (!categories.has(fund.category)) categories.set(fund.category, []);
+    categories.get(fund.category).push(fund);
+  }
+
+  const scores = [];
+  const unscored = [];
+
+  for (const categoryFunds of categories.values()) {
+    const normalized = profile.metrics.map(({ metric, window }) => {
+      const { column, ascending } = fundsDao.resolveRankSort(metric);
+      const entries = [];
+      for (const fund of categoryFunds) {
+        const row = fund.windows.get(window);
+        if (row && row[column] !== null && row[column] !== undefined) {
+          entries.push({ schemeCode: fund.schemeCode, value: parseFloat(row[column]) });
+        }
+      }
+      return {
+        values: new Map(entries.map(entry => [entry.schemeCode, entry.value])),
+        normalized: normalizeMetric(entries, ascending, profile.normalization),
+      };
+    });
+
+    for (const fund of categoryFunds) {
+      let coverage = 0;
+      let weightedSum = 0;
+
+      const components = profile.metrics.map(({ metric, window, weight }, i) => {
+        const value = normalized[i].values.has(fund.schemeCode) ? normalized[i].values.get(fund.schemeCode) : null;
+        const score = value !== null ? normalized[i].normalized.get(fund.schemeCode) : null;
+        if (score !== null) {
+          coverage += weight;
+          weightedSum += weight * score;
+        }
+        return {
+          metric,
+          window,
+          weight,
+          value,
+          normalized: score,
+          contribution: score !== null ? weight * score : null,
+        };
+      });
+
+      if (coverage < minCoverage - WEIGHT_TOLERANCE || coverage === 0) {
+        unscored.push(fund.schemeCode);
+        continue;
+      }
+
+      scores.push({
+        schemeCode: fund.schemeCode,
+        schemeName: fund.schemeName,
+        amc: fund.amc,
+        category: fund.category,
+        score: weightedSum / coverage,
+        coverage,
+        components,
+      });
+    }
+  }
+
+  scores.sort((a, b) => b.score - a.score || a.schemeCode.localeCompare(b.schemeCode));
+
+  return { scores, unscored };
+}
+
+/**
+ * Gets a profile with its metric weights
+ *
+ * @param {string} name - Profile name
+ * @returns {Promise<Object|null>} Profile record with metrics [{metric, window, weight}], or null
+ */
+export async function getScoringProfile(name) {
+  const profile = await scoringProfilesDao.findByName(name);
+  if (!profile) return null;
+
+  const metrics = await scoringProfilesDao.findMetrics(profile.id);
+  return {
+    ...profile,
+    metrics: metrics.map(m => ({ metric: m.metric, window: m.window_type, weight: parseFloat(m.weight) })),
+  };
+}
+
+/**
+ * Lists all profiles with their metric weights
+ *
+ * @returns {Promise<Array>} Profiles (see getScoringProfile)
+ */
+export async function listScoringProfiles() {
+  const profiles = await scoringProfilesDao.findAll();
+  const withMetrics = [];
+  for (const profile of profiles) {
+    withMetrics.push(await getScoringProfile(profile.name));
+  }
+  return withMetrics;
+}
+
+/**
+ * Creates or replaces a profile
+ *
+ * @param {Object} profile - Validated profile (see validateScoringProfile)
+ * @returns {Promise<Object>} {created, profile}
+ */
+export async function saveScoringProfile(profile) {
+  const created = await scoringProfilesDao.upsert(profile);
+  return { created, profile: await getScoringProfile(profile.name) };
+}
+
+/**
+ * Deletes a profile
+ *
+ * @param {string} name - Profile name
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteScoringProfile(name) {
+  return scoringProfilesDao.remove(name);
+}
+
+/**
+ * Ranks a category's funds by a profile's composite score
+ *
+ * @param {Object} params - {category, profile, limit, offset}; profile as returned by getScoringProfile
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} {funds (best first, limit from offset), totalFunds, unscored}
+ */
+export async function rankFundsByProfile({ category, profile, limit = 5, offset = 0 }, requestId) {
+  const windows = [...new Set(profile.metrics.map(m => m.window))];
+  const rows = await analyticsDao.findByCategoryAndWindows(category, windows);
+  const { scores, unscored } = calculateProfileScores(rows, profile, config.scoring.minWeightCoverage);
+
+  logger.info('Funds scored by profile', {
+    request_id: requestId,
+    category,
+    profile: profile.name,
+    scored: scores.length,
+    unscored: unscored.length,
+  });
+
+  return {
+    funds: scores.slice(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10)),
+    totalFunds: scores.length,
+    unscored,
+  };
+}
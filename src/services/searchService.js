@@ -0,0 +1,243 @@
+/**
+ * Search Service
+ *
+ * Fuzzy fund search over scheme name, AMC and category for autocomplete
+ * (GET /funds/search). Funds are held in an in-process inverted index that
+ * is built on first use and rebuilt after each sync.
+ *
+ * Matching:
+ * - Text is lower-cased and split into alphanumeric tokens; adjacent tokens
+ *   are also indexed joined ("mid cap" -> "midcap"), so either spelling matches
+ * - Common abbreviations in the query are expanded ("dir" -> "direct")
+ * - Each query token must match a fund token exactly, as a prefix (for the
+ *   word being typed) or within a small edit distance (typos)
+ * - Funds are ranked by the mean match quality of the query tokens
+ */
+
+import { logger } from '../logger/index.js';
+import { fundsDao } from '../dao/index.js';
+
+// Query abbreviations and the token each one stands for
+const ABBREVIATIONS = {
+  dir: 'direct',
+  drct: 'direct',
+  gr: 'growth',
+  gro: 'growth',
+  grw: 'growth',
+  reg: 'regular',
+  div: 'dividend',
+  pru: 'prudential',
+  opp: 'opportunities',
+  opps: 'opportunities',
+  sc: 'smallcap',
+  mc: 'midcap',
+  lc: 'largecap',
+  mf: 'fund',
+};
+
+// Match quality by kind (edit-distance matches lose TYPO_PENALTY per edit)
+const EXACT_SCORE = 1;
+const PREFIX_SCORE = 0.8;
+const TYPO_SCORE = 0.7;
+const TYPO_PENALTY = 0.15;
+
+// Shortest query token matched as a prefix or with typos
+const MIN_PREFIX_LENGTH = 2;
+const MIN_TYPO_LENGTH = 4;
+
+let searchIndex = null;
+let indexBuild = null;
+
+/**
+ * Splits text into lower-case alphanumeric tokens
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Tokenizes a query and expands abbreviations
+ *
+ * @param {string} query - Search text (e.g., "hdfc mid cap dir gr")
+ * @returns {Array<string>} Distinct query tokens
+ */
+export function parseQuery(query) {
+  return [...new Set(tokenize(query).map(token => ABBREVIATIONS[token] || token))];
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Distances above this return Infinity early
+ * @returns {number} Edit distance, or Infinity if above maxDistance
+ */
+export function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      if (value < rowMin) rowMin = value;
+    }
+
+    if (rowMin > maxDistance) return Infinity;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length] <= maxDistance ? row[b.length] : Infinity;
+}
+
+/**
+ * Scores how well a query token matches an indexed token
+ *
+ * @param {string} queryToken - Query token
+ * @param {string} token - Indexed token
+ * @returns {number} Match quality (0 = no match, 1 = exact)
+ */
+export function matchToken(queryToken, token) {
+  if (queryToken === token) return EXACT_SCORE;
+
+  if (queryToken.length >= MIN_PREFIX_LENGTH && token.startsWith(queryToken)) {
+    return PREFIX_SCORE;
+  }
+
+  if (queryToken.length >= MIN_TYPO_LENGTH) {
+    const maxDistance = queryToken.length >= 8 ? 2 : 1;
+    const distance = editDistance(queryToken, token, maxDistance);
+    if (distance !== Infinity) return TYPO_SCORE - TYPO_PENALTY * (distance - 1);
+
+    // Typo in the word being typed: compare with the token's start
+    if (token.length > queryToken.length
+      && editDistance(queryToken, token.slice(0, queryToken.length), maxDistance) !== Infinity) {
+      return TYPO_SCORE - TYPO_PENALTY;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Builds the inverted index for a list of funds
+ *
+ * @param {Array} funds - Fund records (scheme_code, scheme_name, amc, category)
+ * @returns {Object} {funds, postings: Map of token to Set of fund positions, builtAt}
+ */
+export function buildSearchIndex(funds) {
+  const postings = new Map();
+
+  funds.forEach((fund, position) => {
+    const tokens = [
+      ...tokenize(fund.scheme_name),
+      ...tokenize(fund.amc),
+      ...tokenize(fund.category),
+    ];
+    const joined = tokens.slice(1).map((token, i) => tokens[i] + token);
+
+    for (const token of [...tokens, ...joined, String(fund.scheme_code)]) {
+      if (!postings.has(token)) postings.set(token, new Set());
+      postings.get(token).add(position);
+    }
+  });
+
+  return { funds, postings, builtAt: new Date().toISOString() };
+}
+
+/**
+ * Searches an index
+ *
+ * Every query token must match; ties are broken by shorter scheme name.
+ *
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum results
+ * @returns {Array} Array of {fund, score} (score 0-1), best first
+ */
+export function searchFunds(index, query, limit = 10) {
+  const queryTokens = parseQuery(query);
+  if (queryTokens.length === 0) return [];
+
+  let totals = null;
+
+  for (const queryToken of queryTokens) {
+    const best = new Map();
+    for (const [token, positions] of index.postings) {
+      const score = matchToken(queryToken, token);
+      if (score === 0) continue;
+      for (const position of positions) {
+        if ((best.get(position) || 0) < score) best.set(position, score);
+      }
+    }
+
+    if (totals === null) {
+      totals = best;
+    } else {
+      for (const [position, total] of totals) {
+        if (best.has(position)) totals.set(position, total + best.get(position));
+        else totals.delete(position);
+      }
+    }
+    if (totals.size === 0) return [];
+  }
+
+  return [...totals]
+    .map(([position, total]) => ({ fund: index.funds[position], score: total / queryTokens.length }))
+    .sort((a, b) => b.score - a.score
+      || a.fund.scheme_name.length - b.fund.scheme_name.length
+      || a.fund.scheme_name.localeCompare(b.fund.scheme_name))
+    .slice(0, limit);
+}
+
+/**
+ * Rebuilds the in-process index from the funds table
+ *
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} The new index
+ */
+export async function rebuildSearchIndex(requestId) {
+  const startTime = Date.now();
+  const funds = await fundsDao.findAll();
+  searchIndex = buildSearchIndex(funds);
+
+  logger.info('Fund search index built', {
+    request_id: requestId,
+    funds: funds.length,
+    tokens: searchIndex.postings.size,
+    duration_ms: Date.now() - startTime,
+  });
+
+  return searchIndex;
+}
+
+/**
+ * Gets the index, building it on first use (concurrent callers share one build)
+ *
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} Index from buildSearchIndex
+ */
+export async function getSearchIndex(requestId) {
+  if (searchIndex) return searchIndex;
+
+  if (!indexBuild) {
+    indexBuild = rebuildSearchIndex(requestId).finally(() => {
+      indexBuild = null;
+    });
+  }
+  return indexBuild;
+}
@@ -0,0 +1,392 @@
+/**
+ * SIP Service
+ * 
+ * Replays monthly systematic plans against NAV history:
+ * - SIP (investment) simulation with invested amount, current value and XIRR
+ * - SWP (withdrawal) simulation with unit balance and when the corpus runs out
+ * - STP (transfer) simulation moving a lump sum from one fund to another
+ * - Rolling SIP XIRR distribution for analytics windows
+ * 
+ * Installment dates that fall on weekends/holidays are shifted to the
+ * next available NAV date.
+ */
+
+import * as fundService from './fundService.js';
+import { calculateXIRR } from '../utils/xirr.js';
+import {
+  addDays,
+  addMonths,
+  dateForDayOfMonth,
+  findNavIndexOnOrAfter,
+  findNavIndexOnOrBefore,
+} from '../utils/navSeries.js';
+
+/**
+ * Builds the monthly installment schedule for a systematic plan
+ * 
+ * Installments are scheduled on `day` of each month from startDate to endDate
+ * (inclusive) and executed at the NAV of the scheduled date or the next NAV date.
+ * The schedule ends when no NAV date remains between a scheduled date and endDate.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @param {Object} schedule - {day, startDate, endDate}
+ * @returns {Array} Array of {scheduledDate, navDate, nav}
+ */
+export function buildInstallmentSchedule(navHistory, { day = 1, startDate, endDate }) {
+  const schedule = [];
+  const [startYear, startMonth] = startDate.split('-').map(Number);
+  let monthOffset = 0;
+  let scheduledDate = dateForDayOfMonth(startYear, startMonth - 1, day);
+
+  if (scheduledDate < startDate) {
+    monthOffset = 1;
+    scheduledDate = dateForDayOfMonth(startYear, startMonth - 1 + monthOffset, day);
+  }
+
+  while (scheduledDate <= endDate) {
+    const navIndex = findNavIndexOnOrAfter(navHistory, scheduledDate);
+    if (navIndex === -1 || navHistory[navIndex].date > endDate) break;
+
+    const { date: navDate, nav } = navHistory[navIndex];
+    schedule.push({ scheduledDate, navDate, nav: parseFloat(nav) });
+
+    monthOffset++;
+    scheduledDate = dateForDayOfMonth(startYear, startMonth - 1 + monthOffset, day);
+  }
+
+  return schedule;
+}
+
+/**
+ * Simulates a monthly SIP over NAV history
+ * 
+ * Installments follow buildInstallmentSchedule.
+ * Holdings are valued at the last NAV on or before endDate.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @param {Object} plan - SIP plan {amount, day, startDate, endDate}
+ * @returns {Object|null} Simulation result, or null if no installment could be executed
+ */
+export function simulateSip(navHistory, { amount, day = 1, startDate, endDate }) {
+  if (navHistory.length === 0) return null;
+
+  let totalUnits = 0;
+
+  const installments = buildInstallmentSchedule(navHistory, { day, startDate, endDate })
+    .map(({ scheduledDate, navDate, nav }) => {
+      const units = amount / nav;
+      totalUnits += units;
+      return { scheduledDate, navDate, nav, amount, units };
+    });
+
+  if (installments.length === 0) return null;
+
+  const valuationIndex = findNavIndexOnOrBefore(navHistory, endDate);
+  const valuationDate = navHistory[valuationIndex].date;
+  const valuationNav = parseFloat(navHistory[valuationIndex].nav);
+
+  const totalInvested = amount * installments.length;
+  const currentValue = totalUnits * valuationNav;
+
+  const cashFlows = installments.map(i => ({ date: i.navDate, amount: -i.amount }));
+  cashFlows.push({ date: valuationDate, amount: currentValue });
+
+  return {
+    installments,
+    totalInvested,
+    totalUnits,
+    currentValue,
+    absoluteGain: currentValue - totalInvested,
+    absoluteReturn: (currentValue - totalInvested) / totalInvested,
+    valuationDate,
+    valuationNav,
+    xirr: calculateXIRR(cashFlows),
+  };
+}
+
+/**
+ * Finds the first installment date of a withdrawal/transfer plan:
+ * the 1st of the month after the lump sum purchase
+ * 
+ * @param {string} purchaseDate - Lump sum NAV date
+ * @returns {string} Schedule start date
+ */
+function firstMonthAfter(purchaseDate) {
+  return addMonths(`${purchaseDate.slice(0, 8)}01`, 1);
+}
+
+/**
+ * Simulates a monthly Systematic Withdrawal Plan (SWP) over NAV history
+ * 
+ * The lump sum is invested at the NAV on (or after) startDate. Withdrawals
+ * follow buildInstallmentSchedule from the month after the purchase. When a
+ * withdrawal needs more units than are left, the remaining units are redeemed
+ * and the plan ends: that NAV date is the depletion date.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @param {Object} plan - SWP plan {initialAmount, amount, day, startDate, endDate}
+ * @returns {Object|null} Simulation result, or null if the lump sum could not be invested
+ */
+export function simulateSwp(navHistory, { initialAmount, amount, day = 1, startDate, endDate }) {
+  const purchaseIndex = findNavIndexOnOrAfter(navHistory, startDate);
+  if (purchaseIndex === -1 || navHistory[purchaseIndex].date > endDate) return null;
+
+  const purchaseDate = navHistory[purchaseIndex].date;
+  const purchaseNav = parseFloat(navHistory[purchaseIndex].nav);
+  let unitsBalance = initialAmount / purchaseNav;
+  let depletionDate = null;
+  const withdrawals = [];
+
+  const schedule = buildInstallmentSchedule(navHistory, {
+    day,
+    startDate: firstMonthAfter(purchaseDate),
+    endDate,
+  });
+
+  for (const { scheduledDate, navDate, nav } of schedule) {
+    let units = amount / nav;
+    if (units >= unitsBalance) {
+      units = unitsBalance;
+      depletionDate = navDate;
+    }
+    unitsBalance -= units;
+
+    withdrawals.push({
+      scheduledDate,
+      navDate,
+      nav,
+      amount: units * nav,
+      units,
+      unitsBalance,
+      value: unitsBalance * nav,
+    });
+
+    if (depletionDate) break;
+  }
+
+  const valuationIndex = findNavIndexOnOrBefore(navHistory, endDate);
+  const valuationDate = navHistory[valuationIndex].date;
+  const valuationNav = parseFloat(navHistory[valuationIndex].nav);
+  const finalValue = unitsBalance * valuationNav;
+  const totalWithdrawn = withdrawals.reduce((sum, w) => sum + w.amount, 0);
+
+  const cashFlows = [
+    { date: purchaseDate, amount: -initialAmount },
+    ...withdrawals.map(w => ({ date: w.navDate, amount: w.amount })),
+  ];
+  if (finalValue > 0) cashFlows.push({ date: valuationDate, amount: finalValue });
+
+  return {
+    purchaseDate,
+    purchaseNav,
+    withdrawals,
+    totalWithdrawn,
+    finalUnits: unitsBalance,
+    finalValue,
+    valuationDate,
+    valuationNav,
+    depleted: depletionDate !== null,
+    depletionDate,
+    // Full withdrawals paid before the corpus ran out (or up to endDate)
+    monthsSustained: withdrawals.filter(w => Math.abs(w.amount - amount) < 1e-6).length,
+    xirr: calculateXIRR(cashFlows),
+  };
+}
+
+/**
+ * Simulates a monthly Systematic Transfer Plan (STP) over two NAV histories
+ * 
+ * The lump sum is invested in the source fund at the NAV on (or after)
+ * startDate. Each month from the next, `amount` is redeemed from the source
+ * (buildInstallmentSchedule on the source NAVs) and invested in the target at
+ * its NAV on or after the redemption date. The last transfer moves whatever
+ * is left in the source.
+ * 
+ * @param {Array} sourceHistory - Source fund {date, nav} objects (sorted by date)
+ * @param {Array} targetHistory - Target fund {date, nav} objects (sorted by date)
+ * @param {Object} plan - STP plan {initialAmount, amount, day, startDate, endDate}
+ * @returns {Object|null} Simulation result, or null if the lump sum could not be invested
+ */
+export function simulateStp(sourceHistory, targetHistory, { initialAmount, amount, day = 1, startDate, endDate }) {
+  const purchaseIndex = findNavIndexOnOrAfter(sourceHistory, startDate);
+  if (purchaseIndex === -1 || sourceHistory[purchaseIndex].date > endDate) return null;
+
+  const purchaseDate = sourceHistory[purchaseIndex].date;
+  const purchaseNav = parseFloat(sourceHistory[purchaseIndex].nav);
+  let sourceUnits = initialAmount / purchaseNav;
+  let targetUnits = 0;
+  let depletionDate = null;
+  const transfers = [];
+
+  const schedule = buildInstallmentSchedule(sourceHistory, {
+    day,
+    startDate: firstMonthAfter(purchaseDate),
+    endDate,
+  });
+
+  for (const { scheduledDate, navDate, nav } of schedule) {
+    const targetIndex = findNavIndexOnOrAfter(targetHistory, navDate);
+    if (targetIndex === -1 || targetHistory[targetIndex].date > endDate) break;
+
+    let units = amount / nav;
+    if (units >= sourceUnits) {
+      units = sourceUnits;
+      depletionDate = navDate;
+    }
+    sourceUnits -= units;
+
+    const transferAmount = units * nav;
+    const targetNav = parseFloat(targetHistory[targetIndex].nav);
+    const boughtUnits = transferAmount / targetNav;
+    targetUnits += boughtUnits;
+
+    transfers.push({
+      scheduledDate,
+      navDate,
+      sourceNav: nav,
+      amount: transferAmount,
+      sourceUnits: units,
+      targetNavDate: targetHistory[targetIndex].date,
+      targetNav,
+      targetUnits: boughtUnits,
+      sourceUnitsBalance: sourceUnits,
+      targetUnitsBalance: targetUnits,
+      sourceValue: sourceUnits * nav,
+      targetValue: targetUnits * targetNav,
+    });
+
+    if (depletionDate) break;
+  }
+
+  const sourceIndex = findNavIndexOnOrBefore(sourceHistory, endDate);
+  const sourceNav = parseFloat(sourceHistory[sourceIndex].nav);
+  const targetIndex = findNavIndexOnOrBefore(targetHistory, endDate);
+  const targetNav = targetIndex === -1 ? 0 : parseFloat(targetHistory[targetIndex].nav);
+
+  const sourceValue = sourceUnits * sourceNav;
+  const targetValue = targetUnits * targetNav;
+  const finalValue = sourceValue + targetValue;
+  const valuationDate = targetIndex === -1 || sourceHistory[sourceIndex].date > targetHistory[targetIndex].date
+    ? sourceHistory[sourceIndex].date
+    : targetHistory[targetIndex].date;
+
+  return {
+    purchaseDate,
+    purchaseNav,
+    transfers,
+    totalTransferred: transfers.reduce((sum, t) => sum + t.amount, 0),
+    source: { units: sourceUnits, nav: sourceNav, value: sourceValue },
+    target: { units: targetUnits, nav: targetNav, value: targetValue },
+    finalValue,
+    absoluteGain: finalValue - initialAmount,
+    absoluteReturn: (finalValue - initialAmount) / initialAmount,
+    valuationDate,
+    depleted: depletionDate !== null,
+    depletionDate,
+    xirr: calculateXIRR([
+      { date: purchaseDate, amount: -initialAmount },
+      { date: valuationDate, amount: finalValue },
+    ]),
+  };
+}
+
+/**
+ * Calculates XIRRs of rolling monthly SIPs of a fixed duration
+ * 
+ * A new SIP starts on the 1st of every month with full history available,
+ * runs for windowMonths installments and is valued at the end of its window.
+ * 
+ * @param {Array} navHistory - Array of {date, nav} objects (sorted by date)
+ * @param {number} windowMonths - SIP duration in months
+ * @returns {Array} Array of XIRRs (decimals)
+ */
+export function calculateRollingSipXirrs(navHistory, windowMonths) {
+  if (navHistory.length === 0) return [];
+
+  const firstDate = navHistory[0].date;
+  const lastDate = navHistory[navHistory.length - 1].date;
+  const xirrs = [];
+
+  // First 1st-of-month on or after the first NAV date
+  let startDate = firstDate.endsWith('-01') ? firstDate : addMonths(`${firstDate.slice(0, 8)}01`, 1);
+
+  while (true) {
+    const endDate = addDays(addMonths(startDate, windowMonths), -1);
+    if (endDate > lastDate) break;
+
+    const result = simulateSip(navHistory, { amount: 1, day: 1, startDate, endDate });
+    if (result && result.xirr !== null) {
+      xirrs.push(result.xirr);
+    }
+
+    startDate = addMonths(startDate, 1);
+  }
+
+  return xirrs;
+}
+
+/**
+ * Runs a SIP simulation for a scheme using its stored NAV history
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @param {Object} plan - SIP plan {amount, day, startDate, endDate}; dates default to the NAV range
+ * @returns {Promise<Object|null>} Simulation result or null if no NAV data in range
+ */
+export async function simulateSchemeSip(schemeCode, plan) {
+  const navHistory = await fundService.getAllNavHistory(schemeCode);
+  if (navHistory.length === 0) return null;
+
+  return simulateSip(navHistory, {
+    ...plan,
+    startDate: plan.startDate || navHistory[0].date,
+    endDate: plan.endDate || navHistory[navHistory.length - 1].date,
+  });
+}
+
+/**
+ * Runs an SWP simulation for a scheme using its stored NAV history
+ * 
+ * @param {string} schemeCode - Scheme code
+ * @param {Object} plan - SWP plan {initialAmount, amount, day, startDate, endDate};
+ *   dates default to the NAV range
+ * @returns {Promise<Object|null>} Simulation result or null if no NAV data in range
+ */
+export async function simulateSchemeSwp(schemeCode, plan) {
+  const navHistory = await fundService.getAllNavHistory(schemeCode);
+  if (navHistory.length === 0) return null;
+
+  return simulateSwp(navHistory, {
+    ...plan,
+    startDate: plan.startDate || navHistory[0].date,
+    endDate: plan.endDate || navHistory[navHistory.length - 1].date,
+  });
+}
+
+/**
+ * Runs an STP simulation between two schemes using their stored NAV history
+ * 
+ * @param {string} sourceCode - Scheme the lump sum is invested in (e.g. a debt fund)
+ * @param {string} targetCode - Scheme receiving the transfers
+ * @param {Object} plan - STP plan {initialAmount, amount, day, startDate, endDate};
+ *   dates default to the range where both funds have NAVs
+ * @returns {Promise<Object|null>} Simulation result or null if no NAV data in range
+ */
+export async function simulateSchemeStp(sourceCode, targetCode, plan) {
+  const [sourceHistory, targetHistory] = await Promise.all([
+    fundService.getAllNavHistory(sourceCode),
+    fundService.getAllNavHistory(targetCode),
+  ]);
+  if (sourceHistory.length === 0 || targetHistory.length === 0) return null;
+
+  const commonStart = sourceHistory[0].date > targetHistory[0].date
+    ? sourceHistory[0].date
+    : targetHistory[0].date;
+  const sourceEnd = sourceHistory[sourceHistory.length - 1].date;
+  const targetEnd = targetHistory[targetHistory.length - 1].date;
+
+  return simulateStp(sourceHistory, targetHistory, {
+    ...plan,
+    startDate: plan.startDate || commonStart,
+    endDate: plan.endDate || (sourceEnd < targetEnd ? sourceEnd : targetEnd),
+  });
+}
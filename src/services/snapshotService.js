@@ -0,0 +1,205 @@
+/**
+ * Snapshot Service
+ *
+ * Keeps dated snapshots of precomputed analytics so changes over time can be
+ * queried, instead of only the latest overwrite-in-place analytics row:
+ * - Analytics history for a fund and window
+ * - Category rank history for a fund
+ * - Category rankings as of a snapshot date
+ *
+ * Retention (config.analyticsSnapshots):
+ * - Daily snapshots are kept for dailyRetentionDays
+ * - After that only the last snapshot of each month is kept, up to monthlyRetentionDays
+ */
+
+import { logger } from '../logger/index.js';
+import { analyticsSnapshotsDao, fundsDao } from '../dao/index.js';
+import { addDays, addMonths, toDateString } from '../utils/navSeries.js';
+import config from '../config/index.js';
+
+/**
+ * Snapshots the stored analytics for a scheme and window as of today
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {string} windowType - Window label
+ * @param {string} snapshotDate - Snapshot date (YYYY-MM-DD), defaults to today
+ * @returns {Promise<Object>} Result with affectedRows
+ */
+export async function snapshotAnalytics(schemeCode, windowType, snapshotDate = toDateString(new Date())) {
+  return analyticsSnapshotsDao.snapshotFromAnalytics(schemeCode, windowType, snapshotDate);
+}
+
+/**
+ * Gets the analytics snapshots for a scheme and window, oldest first
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {string} windowType - Window label
+ * @param {Object} range - Optional {from, to} (YYYY-MM-DD)
+ * @returns {Promise<Array>} Snapshot rows
+ */
+export async function getAnalyticsHistory(schemeCode, windowType, range = {}) {
+  return analyticsSnapshotsDao.findBySchemeAndWindow(schemeCode, windowType, range);
+}
+
+/**
+ * Calculates a scheme's rank among its peers on each snapshot date
+ *
+ * Funds with equal values share a rank (1 = best), as in SQL RANK().
+ *
+ * @param {Array} rows - Rows of {snapshot_date, scheme_code, metric_value}
+ * @param {string} schemeCode - Scheme to rank
+ * @param {boolean} ascending - True when lower values rank first
+ * @returns {Array} Rows of {snapshot_date, rank_position, total_funds, metric_value}, oldest first
+ */
+export function calculateRankHistory(rows, schemeCode, ascending) {
+  const dates = new Map();
+  for (const row of rows) {
+    if (!dates.has(row.snapshot_date)) dates.set(row.snapshot_date, []);
+    dates.get(row.snapshot_date).push(row);
+  }
+
+  const history = [];
+  for (const [snapshotDate, peers] of dates) {
+    const own = peers.find(peer => peer.scheme_code === schemeCode);
+    if (!own) continue;
+
+    const value = parseFloat(own.metric_value);
+    const better = peers.filter(peer => (ascending
+      ? parseFloat(peer.metric_value) < value
+      : parseFloat(peer.metric_value) > value)).length;
+
+    history.push({
+      snapshot_date: snapshotDate,
+      rank_position: better + 1,
+      total_funds: peers.length,
+      metric_value: own.metric_value,
+    });
+  }
+
+  return history.sort((a, b) => a.snapshot_date.localeCompare(b.snapshot_date));
+}
+
+/**
+ * Gets a fund's rank within its category on each snapshot date
+ *
+ * Peers are matched on category the same way as /funds/rank.
+ *
+ * @param {Object} fund - Fund record (scheme_code, category)
+ * @param {Object} params - {windowType, sortBy, from, to}
+ * @returns {Promise<Array>} Rows of {snapshot_date, rank_position, total_funds, metric_value}
+ */
+export async function getRankHistory(fund, { windowType, sortBy, from = null, to = null }) {
+  const { column, ascending } = fundsDao.resolveRankSort(sortBy);
+
+  const rows = await analyticsSnapshotsDao.findCategoryMetricHistory({
+    schemeCode: fund.scheme_code,
+    category: fund.category,
+    windowType,
+    sortColumn: column,
+    from,
+    to,
+  });
+
+  return calculateRankHistory(rows, fund.scheme_code, ascending);
+}
+
+/**
+ * Ranks a category's funds by a metric as snapshotted on or before a date
+ *
+ * Each fund is ranked by its latest snapshot taken by the as-of date, so
+ * weekends and days thinned out by retention use the previous snapshot.
+ *
+ * @param {Object} params - {category, sortBy, window, limit, offset, asOf}
+ * @returns {Promise<Array|null>} Ranked funds in the fundsDao.rankByMetric row shape,
+ *   or null if the category has no snapshots for the window by that date
+ */
+export async function rankFundsAsOf({ category, sortBy, window, limit, offset, asOf }) {
+  const snapshots = await analyticsSnapshotsDao.countByCategoryAsOf({
+    category,
+    windowType: window,
+    asOf,
+  });
+  if (snapshots === 0) return null;
+
+  const { column, ascending } = fundsDao.resolveRankSort(sortBy);
+
+  return analyticsSnapshotsDao.rankByMetricAsOf({
+    category,
+    windowType: window,
+    asOf,
+    sortColumn: column,
+    ascending,
+    limit,
+    offset,
+  });
+}
+
+/**
+ * Calculates the retention cutoff dates relative to a day
+ *
+ * @param {string} today - Reference date (YYYY-MM-DD)
+ * @param {Object} retention - {dailyRetentionDays, monthlyRetentionDays}
+ * @returns {{dailyCutoff: string, monthlyCutoff: string}} Cutoff dates (YYYY-MM-DD)
+ */
+export function calculateRetentionCutoffs(today, { dailyRetentionDays, monthlyRetentionDays }) {
+  return {
+    dailyCutoff: addDays(today, -dailyRetentionDays),
+    monthlyCutoff: addDays(today, -Math.max(monthlyRetentionDays, dailyRetentionDays)),
+  };
+}
+
+/**
+ * Selects the snapshots the retention policy deletes:
+ * - snapshots before dailyCutoff unless they are the last snapshot of
+ *   their calendar month for their scheme and window
+ * - snapshots before monthlyCutoff outright
+ *
+ * Month-ends are judged among the given snapshots, so pass every snapshot
+ * of each month that is before dailyCutoff.
+ *
+ * @param {Array} snapshots - Rows of {id, scheme_code, window_type, snapshot_date}
+ * @param {Object} cutoffs - {dailyCutoff, monthlyCutoff} dates (YYYY-MM-DD)
+ * @returns {Array<number>} IDs of the snapshots to delete
+ */
+export function selectSnapshotsToPrune(snapshots, { dailyCutoff, monthlyCutoff }) {
+  const monthKey = snapshot => `${snapshot.scheme_code}|${snapshot.window_type}|${snapshot.snapshot_date.slice(0, 7)}`;
+  const monthEnds = new Map();
+
+  for (const snapshot of snapshots) {
+    const key = monthKey(snapshot);
+    if (!monthEnds.has(key) || snapshot.snapshot_date > monthEnds.get(key)) {
+      monthEnds.set(key, snapshot.snapshot_date);
+    }
+  }
+
+  return snapshots
+    .filter(snapshot => snapshot.snapshot_date < monthlyCutoff
+      || (snapshot.snapshot_date < dailyCutoff && monthEnds.get(monthKey(snapshot)) !== snapshot.snapshot_date))
+    .map(snapshot => snapshot.id);
+}
+
+/**
+ * Deletes snapshots that fall outside the retention policy
+ *
+ * @param {string} requestId - Request ID for tracing
+ * @param {string} today - Reference date (YYYY-MM-DD), defaults to today
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+export async function pruneSnapshots(requestId, today = toDateString(new Date())) {
+  const cutoffs = calculateRetentionCutoffs(today, config.analyticsSnapshots);
+
+  // Candidates run to the end of the cutoff's month so its month-end is known
+  const candidatesBefore = addMonths(`${cutoffs.dailyCutoff.slice(0, 7)}-01`, 1);
+  let deleted = await analyticsSnapshotsDao.deleteBefore(cutoffs.monthlyCutoff);
+  const candidates = await analyticsSnapshotsDao.findPruneCandidates(candidatesBefore);
+  deleted += await analyticsSnapshotsDao.deleteByIds(selectSnapshotsToPrune(candidates, cutoffs));
+
+  logger.info('Analytics snapshots pruned', {
+    request_id: requestId,
+    daily_cutoff: cutoffs.dailyCutoff,
+    monthly_cutoff: cutoffs.monthlyCutoff,
+    deleted,
+  });
+
+  return deleted;
+}
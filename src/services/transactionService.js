@@ -0,0 +1,567 @@
+/**
+ * Transaction Service
+ *
+ * Investor holdings ledger built from recorded transactions:
+ * - Record single transactions or import them from CSV
+ * - FIFO lots per holding: buys, SIPs and switch-ins add lots;
+ *   sells and switch-outs consume the oldest lots first
+ * - Realised gains (per disposal), unrealised gains and current value
+ *   at the latest NAV from fundsDao.findByCode
+ * - XIRR per holding and across the investor's portfolio
+ *
+ * Any two of amount, units and NAV determine the third; when only the
+ * amount or units are given, the NAV on (or before) the transaction
+ * date is read from nav_history.
+ */
+
+import { logger } from '../logger/index.js';
+import * as fundService from './fundService.js';
+import { transactionsDao } from '../dao/index.js';
+import { parseCsv, parseDateValue } from '../utils/csv.js';
+import { toKeysetPage } from '../utils/pagination.js';
+import { calculateXIRR } from '../utils/xirr.js';
+
+// Transaction types that add units and those that redeem them
+const INFLOW_TYPES = ['buy', 'sip', 'switch_in'];
+const OUTFLOW_TYPES = ['sell', 'switch_out'];
+
+// Types accepted from clients; a switch is stored as switch_out + switch_in
+const INPUT_TYPES = ['buy', 'sell', 'sip', 'switch'];
+
+// Units below this are treated as zero (units are stored to 4 decimals)
+const UNITS_TOLERANCE = 0.0001;
+
+/**
+ * Rounds a value to a number of decimal places
+ *
+ * @param {number} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Parses an optional positive number
+ *
+ * @param {*} value - Raw value (number or numeric string, may contain commas)
+ * @returns {number|null|undefined} Number, null if absent, undefined if invalid
+ */
+function parseOptionalAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Validates a transaction request (JSON body or CSV row)
+ *
+ * @param {Object} input - {date, type, scheme_code, amount, units, nav, to_scheme_code, notes}
+ * @returns {Object} {transaction} when valid, otherwise {errors}
+ */
+export function normalizeTransaction(input) {
+  const errors = [];
+  const source = input || {};
+  const date = parseDateValue(source.date);
+  const type = String(source.type || '').trim().toLowerCase();
+  const schemeCode = String(source.scheme_code || '').trim();
+  const toSchemeCode = String(source.to_scheme_code || '').trim() || null;
+  const amount = parseOptionalAmount(source.amount);
+  const units = parseOptionalAmount(source.units);
+  const nav = parseOptionalAmount(source.nav);
+
+  if (!date) errors.push('date is required (YYYY-MM-DD, DD-MM-YYYY or DD-Mon-YYYY)');
+  if (!INPUT_TYPES.includes(type)) errors.push(`type must be one of: ${INPUT_TYPES.join(', ')}`);
+  if (!schemeCode) errors.push('scheme_code is required');
+
+  if (amount === undefined || units === undefined || nav === undefined) {
+    errors.push('amount, units and nav must be positive numbers when given');
+  } else if (amount === null && units === null) {
+    errors.push('amount or units is required');
+  }
+
+  if (type === 'switch') {
+    if (!toSchemeCode) errors.push('to_scheme_code is required for a switch');
+    else if (toSchemeCode === schemeCode) errors.push('to_scheme_code must differ from scheme_code');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    transaction: {
+      date,
+      type,
+      schemeCode,
+      toSchemeCode: type === 'switch' ? toSchemeCode : null,
+      amount,
+      units,
+      nav,
+      notes: source.notes ? String(source.notes).slice(0, 255) : null,
+    },
+  };
+}
+
+/**
+ * Fills in amount, units and NAV from whichever are given
+ *
+ * @param {Object} values - {amount, units, nav} (null when not given)
+ * @param {number|null} marketNav - NAV on the transaction date, used when nav is not given
+ * @returns {Object|null} {amount, units, nav}, or null if undetermined
+ */
+export function completeAmounts({ amount, units, nav }, marketNav = null) {
+  const price = nav || (amount && units ? amount / units : marketNav);
+  if (!price) return null;
+
+  return {
+    amount: round(amount ?? units * price, 2),
+    units: round(units ?? amount / price, 4),
+    nav: round(price, 4),
+  };
+}
+
+/**
+ * Looks up the NAV on or before a date
+ *
+ * @param {string} schemeCode - Scheme code
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<number|null>} NAV or null if none
+ */
+async function getMarketNav(schemeCode, date) {
+  const point = await fundService.getNavOnOrBefore(schemeCode, date);
+  return point ? parseFloat(point.nav) : null;
+}
+
+/**
+ * Turns a validated transaction into ledger rows (two rows for a switch)
+ *
+ * @param {Object} transaction - Transaction from normalizeTransaction
+ * @returns {Promise<Object>} {rows} or {error}
+ */
+async function resolveTransaction(transaction) {
+  const { date, type, schemeCode, toSchemeCode, notes } = transaction;
+
+  const needsNav = !transaction.nav && !(transaction.amount && transaction.units);
+  const marketNav = needsNav ? await getMarketNav(schemeCode, date) : null;
+  const values = completeAmounts(transaction, marketNav);
+  if (!values) {
+    return { error: `No NAV for ${schemeCode} on or before ${date}; give the nav` };
+  }
+
+  if (type !== 'switch') {
+    return { rows: [{ schemeCode, type, date, ...values, counterpartSchemeCode: null, notes }] };
+  }
+
+  // Switch proceeds are reinvested in full at the target fund's NAV
+  const targetNav = await getMarketNav(toSchemeCode, date);
+  if (!targetNav) {
+    return { error: `No NAV for ${toSchemeCode} on or before ${date}` };
+  }
+
+  return {
+    rows: [
+      { schemeCode, type: 'switch_out', date, ...values, counterpartSchemeCode: toSchemeCode, notes },
+      {
+        schemeCode: toSchemeCode,
+        type: 'switch_in',
+        date,
+        ...completeAmounts({ amount: values.amount, units: null, nav: targetNav }),
+        counterpartSchemeCode: schemeCode,
+        notes,
+      },
+    ],
+  };
+}
+
+/**
+ * Converts a transactions table row to a ledger row
+ *
+ * @param {Object} row - transactions row
+ * @returns {Object} {id, schemeCode, schemeName, type, date, amount, units, nav}
+ */
+function fromTransactionRow(row) {
+  return {
+    id: row.id,
+    schemeCode: row.scheme_code,
+    schemeName: row.scheme_name,
+    type: row.transaction_type,
+    date: row.transaction_date,
+    amount: parseFloat(row.amount),
+    units: parseFloat(row.units),
+    nav: parseFloat(row.nav),
+  };
+}
+
+/**
+ * Replays transactions into FIFO holdings
+ *
+ * Each redemption consumes the oldest lots first. A disposal records the
+ * units taken from one lot, their cost and their share of the sale
+ * proceeds, so gains can be split by purchase date.
+ *
+ * @param {Array} rows - Ledger rows in date order ({schemeCode, type, date, amount, units, nav})
+ * @returns {Object} {holdings, oversold} where holdings maps scheme code to
+ *   {schemeCode, units, costBasis, invested, redeemed, realisedGain, lots, disposals, cashFlows}
+ *   and oversold lists redemptions of more units than were held
+ */
+export function buildLedger(rows) {
+  const holdings = {};
+  const oversold = [];
+
+  for (const row of rows) {
+    if (!holdings[row.schemeCode]) {
+      holdings[row.schemeCode] = {
+        schemeCode: row.schemeCode,
+        units: 0,
+        costBasis: 0,
+        invested: 0,
+        redeemed: 0,
+        realisedGain: 0,
+        lots: [],
+        disposals: [],
+        cashFlows: [],
+      };
+    }
+    const holding = holdings[row.schemeCode];
+
+    if (INFLOW_TYPES.includes(row.type)) {
+      holding.lots.push({ date: row.date, units: row.units, nav: row.nav, cost: row.amount, type: row.type });
+      holding.units += row.units;
+      holding.costBasis += row.amount;
+      holding.invested += row.amount;
+      holding.cashFlows.push({ date: row.date, amount: -row.amount });
+      continue;
+    }
+
+    if (!OUTFLOW_TYPES.includes(row.type)) continue;
+
+    if (row.units > holding.units + UNITS_TOLERANCE) {
+      oversold.push({
+        schemeCode: row.schemeCode,
+        date: row.date,
+        units: row.units,
+        available: round(holding.units, 4),
+      });
+      continue;
+    }
+
+    const proceedsPerUnit = row.amount / row.units;
+    let remaining = row.units;
+
+    while (remaining > UNITS_TOLERANCE && holding.lots.length > 0) {
+      const lot = holding.lots[0];
+      const taken = Math.min(lot.units, remaining);
+      const cost = lot.cost * (taken / lot.units);
+      const proceeds = taken * proceedsPerUnit;
+
+      holding.disposals.push({
+        schemeCode: row.schemeCode,
+        date: row.date,
+        type: row.type,
+        purchaseDate: lot.date,
+        units: taken,
+        cost,
+        proceeds,
+        gain: proceeds - cost,
+      });
+      holding.realisedGain += proceeds - cost;
+      holding.costBasis -= cost;
+
+      lot.units -= taken;
+      lot.cost -= cost;
+      remaining -= taken;
+      if (lot.units <= UNITS_TOLERANCE) holding.lots.shift();
+    }
+
+    holding.units = Math.max(0, holding.units - row.units);
+    if (holding.units <= UNITS_TOLERANCE) {
+      holding.units = 0;
+      holding.costBasis = 0;
+      holding.lots = [];
+    }
+    holding.redeemed += row.amount;
+    holding.cashFlows.push({ date: row.date, amount: row.amount });
+  }
+
+  return { holdings, oversold };
+}
+
+/**
+ * Values FIFO holdings at the latest NAVs and calculates gains and XIRR
+ *
+ * @param {Object} holdings - Holdings from buildLedger
+ * @param {Object} funds - Map of scheme code to fund record (fundsDao.findByCode:
+ *   scheme_name, latest_nav, latest_nav_date)
+ * @returns {Object} {holdings: Array, summary} with per-holding and portfolio value, gains and XIRR
+ */
+export function valueHoldings(holdings, funds) {
+  const portfolioFlows = [];
+  const summary = {
+    invested: 0,
+    redeemed: 0,
+    costBasis: 0,
+    currentValue: 0,
+    realisedGain: 0,
+    unrealisedGain: 0,
+    valuationDate: null,
+  };
+
+  const valued = Object.values(holdings).map(holding => {
+    const fund = funds[holding.schemeCode] || {};
+    const latestNav = fund.latest_nav !== undefined && fund.latest_nav !== null
+      ? parseFloat(fund.latest_nav)
+      : null;
+    const latestNavDate = fund.latest_nav_date || null;
+
+    const currentValue = latestNav !== null ? holding.units * latestNav : null;
+    const unrealisedGain = currentValue !== null ? currentValue - holding.costBasis : null;
+
+    const cashFlows = [...holding.cashFlows];
+    if (holding.units > 0 && currentValue !== null) {
+      cashFlows.push({ date: latestNavDate, amount: currentValue });
+    }
+    portfolioFlows.push(...cashFlows);
+
+    summary.invested += holding.invested;
+    summary.redeemed += holding.redeemed;
+    summary.costBasis += holding.costBasis;
+    summary.currentValue += currentValue ?? 0;
+    summary.realisedGain += holding.realisedGain;
+    summary.unrealisedGain += unrealisedGain ?? 0;
+    if (latestNavDate && holding.units > 0 && (!summary.valuationDate || latestNavDate > summary.valuationDate)) {
+      summary.valuationDate = latestNavDate;
+    }
+
+    return {
+      schemeCode: holding.schemeCode,
+      schemeName: fund.scheme_name || null,
+      units: holding.units,
+      costBasis: holding.costBasis,
+      averageCost: holding.units > 0 ? holding.costBasis / holding.units : null,
+      latestNav,
+      latestNavDate,
+      currentValue,
+      invested: holding.invested,
+      redeemed: holding.redeemed,
+      realisedGain: holding.realisedGain,
+      unrealisedGain,
+      xirr: calculateXIRR(cashFlows),
+      lots: holding.lots,
+      disposals: holding.disposals,
+    };
+  });
+
+  summary.xirr = calculateXIRR(portfolioFlows);
+
+  return { holdings: valued, summary };
+}
+
+/**
+ * Validates and resolves new transactions
+ *
+ * @param {Array} inputs - Transaction requests
+ * @returns {Promise<Object>} {rows, errors} where errors is [{index, errors}]
+ *   for inputs that were rejected
+ */
+async function prepareTransactions(inputs) {
+  const rows = [];
+  const errors = [];
+  const knownFunds = new Map();
+
+  const isKnownFund = async (code) => {
+    if (!knownFunds.has(code)) {
+      knownFunds.set(code, Boolean(await fundService.getFundByCode(code)));
+    }
+    return knownFunds.get(code);
+  };
+
+  for (let index = 0; index < inputs.length; index++) {
+    const { transaction, errors: inputErrors } = normalizeTransaction(inputs[index]);
+    if (inputErrors) {
+      errors.push({ index, errors: inputErrors });
+      continue;
+    }
+
+    const unknown = [];
+    for (const code of [transaction.schemeCode, transaction.toSchemeCode].filter(Boolean)) {
+      if (!await isKnownFund(code)) unknown.push(`Unknown scheme code: ${code}`);
+    }
+    if (unknown.length > 0) {
+      errors.push({ index, errors: unknown });
+      continue;
+    }
+
+    const resolved = await resolveTransaction(transaction);
+    if (resolved.error) {
+      errors.push({ index, errors: [resolved.error] });
+      continue;
+    }
+    rows.push(...resolved.rows);
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Finds the redemptions that would exceed holdings once new transactions
+ * are added to an investor's ledger
+ *
+ * @param {Array} existingRows - Stored transaction rows in ledger order
+ * @param {Array} rows - New transactions (see resolveTransaction)
+ * @returns {Array} Oversold redemptions (see buildLedger)
+ */
+export function findOversold(existingRows, rows) {
+  const combined = [...existingRows.map(fromTransactionRow), ...rows]
+    .map((row, order) => ({ row, order }))
+    .sort((a, b) => a.row.date.localeCompare(b.row.date) || a.order - b.order)
+    .map(({ row }) => row);
+
+  return buildLedger(combined).oversold;
+}
+
+/**
+ * Stores new transactions unless they would oversell a holding. The ledger
+ * is checked and written under the investor's lock (see transactionsDao.insertMany).
+ *
+ * @param {string} investorId - Investor ID
+ * @param {Array} rows - New transactions
+ * @returns {Promise<Array>} Oversold redemptions; empty when the rows were stored
+ */
+async function storeTransactions(investorId, rows) {
+  const { rejected } = await transactionsDao.insertMany(
+    investorId,
+    rows,
+    existingRows => findOversold(existingRows, rows)
+  );
+  return rejected;
+}
+
+/**
+ * Records transactions for an investor. Nothing is stored if any
+ * transaction is invalid or would sell more units than are held.
+ *
+ * @param {string} investorId - Investor ID
+ * @param {Array} inputs - Transaction requests
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} {rows} stored, or {errors, oversold} when rejected
+ */
+export async function recordTransactions(investorId, inputs, requestId) {
+  const { rows, errors } = await prepareTransactions(inputs);
+  if (errors.length > 0) {
+    // Nothing is stored, so the oversell report needs no lock
+    const existingRows = await transactionsDao.findByInvestor(investorId);
+    return { errors, oversold: findOversold(existingRows, rows) };
+  }
+
+  const oversold = await storeTransactions(investorId, rows);
+  if (oversold.length > 0) {
+    return { errors, oversold };
+  }
+
+  logger.info('Transactions recorded', {
+    request_id: requestId,
+    investor_id: investorId,
+    transactions: rows.length,
+  });
+
+  return { rows };
+}
+
+/**
+ * Imports transactions from CSV. Invalid lines are skipped and reported;
+ * the valid ones are stored unless they would oversell a holding.
+ *
+ * CSV columns: date, type, scheme_code, amount, units, nav, to_scheme_code, notes
+ *
+ * @param {string} investorId - Investor ID
+ * @param {string} csvText - CSV text with a header row
+ * @param {string} requestId - Request ID for tracing
+ * @returns {Promise<Object>} {imported, skipped, errors: [{line, errors}], oversold}
+ */
+export async function importTransactionsCsv(investorId, csvText, requestId) {
+  const inputs = parseCsv(csvText);
+  const { rows, errors } = await prepareTransactions(inputs);
+
+  // Line 1 is the header
+  const lineErrors = errors.map(({ index, errors: messages }) => ({ line: index + 2, errors: messages }));
+
+  const oversold = await storeTransactions(investorId, rows);
+  if (oversold.length > 0) {
+    return { imported: 0, skipped: inputs.length, errors: lineErrors, oversold };
+  }
+
+  logger.info('Transactions imported', {
+    request_id: requestId,
+    investor_id: investorId,
+    lines: inputs.length,
+    imported: rows.length,
+    skipped: errors.length,
+  });
+
+  return {
+    imported: inputs.length - errors.length,
+    skipped: errors.length,
+    errors: lineErrors,
+    oversold,
+  };
+}
+
+/**
+ * Lists the fields transaction pages can be sorted by
+ *
+ * @returns {Array<string>} Sort field names
+ */
+export function listTransactionSortFields() {
+  return transactionsDao.listSortFields();
+}
+
+/**
+ * Gets one page of an investor's transactions
+ *
+ * @param {string} investorId - Investor ID
+ * @param {Object} filters - Optional {schemeCode}
+ * @param {Object} list - {limit, sort, after} from parseListQuery
+ * @returns {Promise<Object>} {transactions, total, hasMore, nextCursor}
+ */
+export async function getTransactionsPage(investorId, filters, list) {
+  const rows = await transactionsDao.findPageByInvestor(investorId, filters, list);
+  const { rows: transactions, hasMore, nextCursor } = toKeysetPage(rows, list, { date: 'transaction_date' });
+  const total = await transactionsDao.countByInvestor(investorId, filters);
+
+  return { transactions, total, hasMore, nextCursor };
+}
+
+/**
+ * Replays an investor's recorded transactions into FIFO holdings
+ *
+ * @param {string} investorId - Investor ID
+ * @returns {Promise<Object|null>} {holdings, oversold} (see buildLedger) or null if no transactions
+ */
+export async function getLedger(investorId) {
+  const rows = (await transactionsDao.findByInvestor(investorId)).map(fromTransactionRow);
+  if (rows.length === 0) return null;
+
+  return buildLedger(rows);
+}
+
+/**
+ * Builds an investor's holdings, valued at the latest NAVs
+ *
+ * @param {string} investorId - Investor ID
+ * @returns {Promise<Object|null>} {holdings, summary} (see valueHoldings) or null if no transactions
+ */
+export async function getHoldings(investorId) {
+  const ledger = await getLedger(investorId);
+  if (!ledger) return null;
+
+  const { holdings } = ledger;
+
+  const funds = {};
+  for (const schemeCode of Object.keys(holdings)) {
+    funds[schemeCode] = await fundService.getFundByCode(schemeCode);
+  }
+
+  return valueHoldings(holdings, funds);
+}
@@ -0,0 +1,84 @@
+/**
+ * Analytics Window Parsing
+ *
+ * Windows are written as a count followed by a unit:
+ * - D: calendar days (e.g., 900D)
+ * - M: months (e.g., 6M)
+ * - Y: years (e.g., 3Y)
+ *
+ * Months and years are converted to calendar days using a 365-day year,
+ * matching the original 1Y = 365 / 10Y = 3650 mapping.
+ */
+
+const WINDOW_PATTERN = /^(\d{1,5})([DMY])$/;
+
+const DAYS_PER_YEAR = 365;
+
+/**
+ * Parses a window label into its canonical form and length.
+ *
+ * @param {string} window - Window label (e.g., '6M', '3y', '900D')
+ * @returns {{label: string, unit: string, count: number, days: number, years: number, months: number}|null}
+ *   Parsed window or null if the label is not valid
+ */
+function parseWindow(window) {
+  if (typeof window !== 'string') {
+    return null;
+  }
+
+  const match = window.trim().toUpperCase().match(WINDOW_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const count = parseInt(match[1], 10);
+  const unit = match[2];
+  if (count <= 0) {
+    return null;
+  }
+
+  let days;
+  if (unit === 'D') {
+    days = count;
+  } else if (unit === 'M') {
+    days = Math.round((count * DAYS_PER_YEAR) / 12);
+  } else {
+    days = count * DAYS_PER_YEAR;
+  }
+
+  return {
+    label: `${count}${unit}`,
+    unit,
+    count,
+    days,
+    years: days / DAYS_PER_YEAR,
+    months: unit === 'M' ? count : unit === 'Y' ? count * 12 : Math.round((days * 12) / DAYS_PER_YEAR),
+  };
+}
+
+/**
+ * Parses a comma-separated window list (e.g., from ANALYTICS_WINDOWS).
+ * Invalid and duplicate entries are dropped; the result is sorted by length.
+ *
+ * @param {string} list - Comma-separated window labels
+ * @returns {Array<string>} Canonical window labels, shortest first
+ */
+function parseWindowList(list) {
+  const windows = new Map();
+
+  for (const entry of String(list || '').split(',')) {
+    const parsed = parseWindow(entry);
+    if (parsed && !windows.has(parsed.label)) {
+      windows.set(parsed.label, parsed.days);
+    }
+  }
+
+  return [...windows.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .map(([label]) => label);
+}
+
+export {
+  parseWindow,
+  parseWindowList,
+};
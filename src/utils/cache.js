@@ -0,0 +1,93 @@
+/**
+ * Redis JSON Cache
+ *
+ * Small read-through cache for values that are expensive to compute
+ * (e.g., analytics for windows that are not precomputed).
+ *
+ * Fails open: if Redis is slow or unavailable, reads miss and writes are
+ * skipped so callers fall back to computing the value.
+ */
+
+import { getRedisClient, isUpstashRedis } from './redis.js';
+import config from '../config/index.js';
+import { logger } from '../logger/index.js';
+
+// Redis key prefix for cached values
+const KEY_PREFIX = 'cache:';
+
+// Give up on Redis after this long and treat the call as a miss
+const OPERATION_TIMEOUT_MS = 500;
+
+/**
+ * Builds the full Redis key.
+ * ioredis applies config.redis.keyPrefix itself; Upstash does not.
+ */
+function buildKey(key) {
+  return isUpstashRedis()
+    ? `${config.redis.keyPrefix}${KEY_PREFIX}${key}`
+    : `${KEY_PREFIX}${key}`;
+}
+
+/**
+ * Rejects if the operation does not settle within OPERATION_TIMEOUT_MS
+ */
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Redis cache timeout')), OPERATION_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Reads a cached JSON value
+ *
+ * @param {string} key - Cache key (without prefix)
+ * @returns {Promise<*|null>} Cached value or null on miss/error
+ */
+async function getJson(key) {
+  try {
+    const redis = getRedisClient();
+    const value = await withTimeout(redis.get(buildKey(key)));
+
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    // Upstash deserializes JSON automatically
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    logger.warn('Cache read failed', { key, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Writes a JSON value with an expiry
+ *
+ * @param {string} key - Cache key (without prefix)
+ * @param {*} value - JSON-serializable value
+ * @param {number} ttlSeconds - Time to live in seconds
+ * @returns {Promise<boolean>} True if the value was stored
+ */
+async function setJson(key, value, ttlSeconds) {
+  try {
+    const redis = getRedisClient();
+    const payload = JSON.stringify(value);
+
+    if (isUpstashRedis()) {
+      await withTimeout(redis.set(buildKey(key), payload, { ex: ttlSeconds }));
+    } else {
+      await withTimeout(redis.set(buildKey(key), payload, 'EX', ttlSeconds));
+    }
+    return true;
+  } catch (error) {
+    logger.warn('Cache write failed', { key, error: error.message });
+    return false;
+  }
+}
+
+export {
+  getJson,
+  setJson,
+};
@@ -0,0 +1,159 @@
+/**
+ * CSV Utilities
+ * 
+ * Minimal CSV parsing for data imports (benchmark levels, etc.)
+ * and CSV output for reports.
+ * Handles quoted fields, escaped quotes and CRLF line endings.
+ */
+
+const MONTHS = {
+  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12',
+};
+
+/**
+ * Splits a single CSV line into fields
+ * 
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Field values
+ */
+function parseLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Parses CSV text into an array of row objects
+ * Header names are trimmed and lowercased to make lookups predictable.
+ * 
+ * @param {string} text - CSV text with a header row
+ * @returns {Array<Object>} Array of row objects keyed by header
+ */
+function parseCsv(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+
+  if (lines.length === 0) return [];
+
+  const headers = parseLine(lines[0]).map(h => h.toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const values = parseLine(line);
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index] !== undefined ? values[index] : '';
+    });
+    return row;
+  });
+}
+
+/**
+ * Builds a YYYY-MM-DD date, checking that it exists on the calendar
+ * 
+ * @param {string|number} year - Year
+ * @param {string|number} month - Month (1-12)
+ * @param {string|number} day - Day of month
+ * @returns {string|null} Date in YYYY-MM-DD format or null for dates such as 2024-02-31
+ */
+function toCalendarDate(year, month, day) {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+
+  return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+/**
+ * Normalizes a date from common CSV formats to YYYY-MM-DD
+ * 
+ * Supported formats:
+ * - YYYY-MM-DD
+ * - DD-MM-YYYY / DD/MM/YYYY
+ * - DD-Mon-YYYY / DD Mon YYYY (e.g., 01-Jan-2024, as in NSE index exports)
+ * 
+ * @param {string} value - Date string
+ * @returns {string|null} Date in YYYY-MM-DD format or null if unparseable or not a real date
+ */
+function parseDateValue(value) {
+  const str = String(value || '').trim();
+  let match;
+
+  if ((match = str.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    return toCalendarDate(match[1], match[2], match[3]);
+  }
+
+  if ((match = str.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/))) {
+    return toCalendarDate(match[3], match[2], match[1]);
+  }
+
+  if ((match = str.match(/^(\d{1,2})[-\s]([A-Za-z]{3})[A-Za-z]*[-\s](\d{4})$/))) {
+    const month = MONTHS[match[2].toLowerCase()];
+    if (!month) return null;
+    return toCalendarDate(match[3], month, match[1]);
+  }
+
+  return null;
+}
+
+/**
+ * Formats a value as a CSV field, quoting it when needed
+ * 
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Builds CSV text from a header row and data rows
+ * 
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Rows of field values in header order
+ * @returns {string} CSV text (CRLF line endings)
+ */
+function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(row => row.map(formatField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+export {
+  parseCsv,
+  parseDateValue,
+  toCsv,
+};
@@ -0,0 +1,280 @@
+/**
+ * Filter Expression Parser
+ *
+ * Parses the screening filter language of POST /funds/screen into a syntax
+ * tree. The parser only checks syntax; field names are resolved against a
+ * whitelist when the tree is compiled to SQL (see screenDao).
+ *
+ * Grammar (keywords are case-insensitive):
+ *   expression := term (OR term)*
+ *   term       := factor (AND factor)*
+ *   factor     := NOT factor | '(' expression ')' | predicate
+ *   predicate  := field op value
+ *               | field [NOT] IN '(' value (',' value)* ')'
+ *               | field [NOT] BETWEEN value AND value
+ *               | field [NOT] LIKE value
+ *               | field IS [NOT] NULL
+ *   op         := = | != | <> | < | <= | > | >=
+ *   value      := number | 'quoted string' | bare word (e.g. 3Y)
+ *
+ * Quotes inside strings are escaped by doubling them ('Kotak''s').
+ *
+ * Example: window=3Y AND cagr_median > 0.15 AND amc IN ('HDFC','SBI')
+ */
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN'];
+
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/;
+const WORD_PATTERN = /^[A-Za-z0-9_]+/;
+
+/**
+ * Splits an expression into tokens
+ *
+ * Tokens are {type, value, position} with type one of: number, string,
+ * word, keyword, operator, punct.
+ *
+ * @param {string} text - Filter expression
+ * @returns {Array} Tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: 'punct', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    const operator = ['<=', '>=', '!=', '<>', '=', '<', '>'].find(op => rest.startsWith(op));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    if (char === '\'') {
+      let value = '';
+      let j = i + 1;
+      while (j < text.length) {
+        if (text[j] === '\'') {
+          if (text[j + 1] === '\'') {
+            value += '\'';
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += text[j];
+        j++;
+      }
+      if (j >= text.length) {
+        throw new Error(`Unterminated string starting at position ${i + 1}`);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    // Numbers directly followed by letters (3Y, 900D) are bare words
+    const number = rest.match(NUMBER_PATTERN);
+    if (number && !/^[A-Za-z_]/.test(rest.slice(number[0].length))) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = rest.match(WORD_PATTERN);
+    if (word) {
+      const upper = word[0].toUpperCase();
+      tokens.push(KEYWORDS.includes(upper)
+        ? { type: 'keyword', value: upper, position: i }
+        : { type: 'word', value: word[0], position: i });
+      i += word[0].length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${char}' at position ${i + 1}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser over a token list
+ *
+ * @param {Array} tokens - Tokens from tokenize
+ * @returns {Object} Syntax tree
+ */
+function parseTokens(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `'${token.value}' at position ${token.position + 1}` : 'end of expression');
+  const isKeyword = (keyword) => peek() && peek().type === 'keyword' && peek().value === keyword;
+  const isPunct = (punct) => peek() && peek().type === 'punct' && peek().value === punct;
+
+  const expectKeyword = (keyword) => {
+    if (!isKeyword(keyword)) throw new Error(`Expected ${keyword} but found ${describe(peek())}`);
+    index++;
+  };
+  const expectPunct = (punct) => {
+    if (!isPunct(punct)) throw new Error(`Expected '${punct}' but found ${describe(peek())}`);
+    index++;
+  };
+
+  const parseValue = () => {
+    const token = peek();
+    if (!token || !['number', 'string', 'word'].includes(token.type)) {
+      throw new Error(`Expected a value but found ${describe(token)}`);
+    }
+    index++;
+    return token.value;
+  };
+
+  const parsePredicate = () => {
+    const fieldToken = peek();
+    if (!fieldToken || fieldToken.type !== 'word') {
+      throw new Error(`Expected a field name but found ${describe(fieldToken)}`);
+    }
+    index++;
+    const field = fieldToken.value.toLowerCase();
+
+    const next = peek();
+    if (next && next.type === 'operator') {
+      index++;
+      return { type: 'compare', field, operator: next.value === '<>' ? '!=' : next.value, value: parseValue() };
+    }
+
+    if (isKeyword('IS')) {
+      index++;
+      const negated = isKeyword('NOT');
+      if (negated) index++;
+      expectKeyword('NULL');
+      return { type: 'null', field, negated };
+    }
+
+    const negated = isKeyword('NOT');
+    if (negated) index++;
+
+    if (isKeyword('IN')) {
+      index++;
+      expectPunct('(');
+      const values = [parseValue()];
+      while (isPunct(',')) {
+        index++;
+        values.push(parseValue());
+      }
+      expectPunct(')');
+      return { type: 'in', field, negated, values };
+    }
+
+    if (isKeyword('BETWEEN')) {
+      index++;
+      const low = parseValue();
+      expectKeyword('AND');
+      return { type: 'between', field, negated, low, high: parseValue() };
+    }
+
+    if (isKeyword('LIKE')) {
+      index++;
+      return { type: 'like', field, negated, value: parseValue() };
+    }
+
+    throw new Error(`Expected a comparison after '${fieldToken.value}' but found ${describe(peek())}`);
+  };
+
+  let parseExpression;
+
+  const parseFactor = () => {
+    if (isKeyword('NOT')) {
+      index++;
+      return { type: 'not', operand: parseFactor() };
+    }
+    if (isPunct('(')) {
+      index++;
+      const inner = parseExpression();
+      expectPunct(')');
+      return inner;
+    }
+    return parsePredicate();
+  };
+
+  const parseTerm = () => {
+    const operands = [parseFactor()];
+    while (isKeyword('AND')) {
+      index++;
+      operands.push(parseFactor());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  };
+
+  parseExpression = () => {
+    const operands = [parseTerm()];
+    while (isKeyword('OR')) {
+      index++;
+      operands.push(parseTerm());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  };
+
+  const tree = parseExpression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())}`);
+  }
+  return tree;
+}
+
+/**
+ * Parses a filter expression
+ *
+ * Nodes: {type: 'and'|'or', operands}, {type: 'not', operand},
+ * {type: 'compare', field, operator, value}, {type: 'in', field, negated, values},
+ * {type: 'between', field, negated, low, high}, {type: 'like', field, negated, value},
+ * {type: 'null', field, negated}. Field names are lower-cased.
+ *
+ * @param {string} text - Filter expression
+ * @returns {{tree: Object}|{error: string}} Syntax tree, or a syntax error message
+ */
+function parseFilterExpression(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { error: 'Filter expression is empty' };
+  }
+
+  try {
+    return { tree: parseTokens(tokenize(text)) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Lists the field names referenced in a syntax tree
+ *
+ * @param {Object} tree - Syntax tree from parseFilterExpression
+ * @returns {Array<string>} Distinct field names
+ */
+function listFilterFields(tree) {
+  const fields = new Set();
+  const visit = (node) => {
+    if (node.operands) node.operands.forEach(visit);
+    else if (node.operand) visit(node.operand);
+    else fields.add(node.field);
+  };
+  visit(tree);
+  return [...fields];
+}
+
+export {
+  parseFilterExpression,
+  listFilterFields,
+};
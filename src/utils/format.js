@@ -0,0 +1,161 @@
+/**
+ * Response Formatting Helpers
+ * 
+ * Analytics are stored as decimals (0.125 = 12.5%) and formatted
+ * for API responses here.
+ */
+
+import config from '../config/index.js';
+
+// Ranking metrics reported as ratios; all other ranking metrics are percentages
+const RATIO_METRICS = ['sharpe_ratio', 'sortino_ratio'];
+
+/**
+ * Formats a decimal metric as a percentage rounded to 1 decimal place
+ * 
+ * @param {string|number|null} value - Decimal value (e.g., 0.125)
+ * @returns {number|null} Percentage (e.g., 12.5) or null
+ */
+function toPercent(value) {
+  if (value === null || value === undefined) return null;
+  return parseFloat((parseFloat(value) * 100).toFixed(1));
+}
+
+/**
+ * Formats a ratio metric rounded to 2 decimal places
+ * 
+ * @param {string|number|null} value - Ratio value
+ * @returns {number|null} Rounded ratio or null
+ */
+function toRatio(value) {
+  if (value === null || value === undefined) return null;
+  return parseFloat(parseFloat(value).toFixed(2));
+}
+
+/**
+ * Rounds a currency amount to 2 decimal places
+ * 
+ * @param {number|null} value - Amount
+ * @returns {number|null} Rounded amount or null
+ */
+function toAmount(value) {
+  if (value === null || value === undefined) return null;
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Formats a ranking metric (a /funds/rank sort_by name) for output
+ * 
+ * @param {string} metric - Metric name (e.g., median_return, sharpe_ratio)
+ * @param {string|number|null} value - Stored decimal value
+ * @returns {number|null} Percentage or ratio
+ */
+function formatMetric(metric, value) {
+  return RATIO_METRICS.includes(metric) ? toRatio(value) : toPercent(value);
+}
+
+/**
+ * Formats the tail risk columns of an analytics row as the `risk` block:
+ * VaR and CVaR (percent loss) per method, horizon and confidence level.
+ * 
+ * @param {Object} analytics - Analytics row
+ * @returns {Object} {historical, gaussian, cornish_fisher, skewness, excess_kurtosis}
+ */
+function formatTailRisk(analytics) {
+  const risk = {};
+
+  for (const method of ['historical', 'gaussian', 'cornish_fisher']) {
+    risk[method] = {};
+    for (const [horizon, suffix] of [['1d', 'daily'], ['1m', 'monthly']]) {
+      risk[method][horizon] = {
+        var_95: toPercent(analytics[`${method}_var95_${suffix}`]),
+        var_99: toPercent(analytics[`${method}_var99_${suffix}`]),
+        cvar_95: toPercent(analytics[`${method}_cvar95_${suffix}`]),
+        cvar_99: toPercent(analytics[`${method}_cvar99_${suffix}`]),
+      };
+    }
+  }
+
+  risk.skewness = toRatio(analytics.return_skewness);
+  risk.excess_kurtosis = toRatio(analytics.return_excess_kurtosis);
+
+  return risk;
+}
+
+/**
+ * Formats the metric blocks of an analytics row (decimals as percentages,
+ * ratios rounded), shared by the fund, compare and portfolio endpoints.
+ * 
+ * @param {Object} analytics - Analytics row
+ * @returns {Object} {rolling_returns, max_drawdown, cagr, risk_adjusted, risk, benchmark, sip_xirr}
+ */
+function formatAnalyticsMetrics(analytics) {
+  return {
+    rolling_returns: {
+      min: analytics.rolling_return_min 
+        ? parseFloat((parseFloat(analytics.rolling_return_min) * 100).toFixed(1)) 
+        : null,
+      max: analytics.rolling_return_max 
+        ? parseFloat((parseFloat(analytics.rolling_return_max) * 100).toFixed(1)) 
+        : null,
+      median: analytics.rolling_return_median 
+        ? parseFloat((parseFloat(analytics.rolling_return_median) * 100).toFixed(1)) 
+        : null,
+      p25: analytics.rolling_return_p25 
+        ? parseFloat((parseFloat(analytics.rolling_return_p25) * 100).toFixed(1)) 
+        : null,
+      p75: analytics.rolling_return_p75 
+        ? parseFloat((parseFloat(analytics.rolling_return_p75) * 100).toFixed(1)) 
+        : null,
+    },
+    max_drawdown: analytics.max_drawdown 
+      ? parseFloat((parseFloat(analytics.max_drawdown) * 100).toFixed(1)) 
+      : null,
+    cagr: {
+      min: analytics.cagr_min 
+        ? parseFloat((parseFloat(analytics.cagr_min) * 100).toFixed(1)) 
+        : null,
+      max: analytics.cagr_max 
+        ? parseFloat((parseFloat(analytics.cagr_max) * 100).toFixed(1)) 
+        : null,
+      median: analytics.cagr_median 
+        ? parseFloat((parseFloat(analytics.cagr_median) * 100).toFixed(1)) 
+        : null,
+    },
+    risk_adjusted: {
+      volatility: toPercent(analytics.volatility),
+      downside_deviation: toPercent(analytics.downside_deviation),
+      sharpe_ratio: toRatio(analytics.sharpe_ratio),
+      sortino_ratio: toRatio(analytics.sortino_ratio),
+      ulcer_index: toPercent(analytics.ulcer_index),
+      calmar_ratio: toRatio(analytics.calmar_ratio),
+      risk_free_rate: toPercent(config.riskMetrics.riskFreeRate),
+    },
+    risk: formatTailRisk(analytics),
+    benchmark: analytics.benchmark_code
+      ? {
+        code: analytics.benchmark_code,
+        beta: toRatio(analytics.beta),
+        alpha: toPercent(analytics.alpha),
+        tracking_error: toPercent(analytics.tracking_error),
+        information_ratio: toRatio(analytics.information_ratio),
+        up_capture: toPercent(analytics.up_capture),
+        down_capture: toPercent(analytics.down_capture),
+      }
+      : null,
+    sip_xirr: {
+      min: toPercent(analytics.sip_xirr_min),
+      median: toPercent(analytics.sip_xirr_median),
+      max: toPercent(analytics.sip_xirr_max),
+    },
+  };
+}
+
+export {
+  toPercent,
+  toRatio,
+  toAmount,
+  formatMetric,
+  formatTailRisk,
+  formatAnalyticsMetrics,
+};
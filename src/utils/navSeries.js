@@ -0,0 +1,177 @@
+/**
+ * NAV Series Helpers
+ * 
+ * Date arithmetic, NAV lookups and resampling shared by simulators and series endpoints.
+ * NAV history is an array of {date: 'YYYY-MM-DD', nav} sorted by date ascending.
+ * 
+ * Holiday rule: a scheduled date without a NAV (weekend/market holiday)
+ * is shifted forward to the next available NAV date.
+ */
+
+/**
+ * Formats a Date as YYYY-MM-DD (UTC)
+ * 
+ * @param {Date} date - Date object
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Builds a YYYY-MM-DD date for a day of month, clamped to the month length
+ * (e.g., day 31 in February becomes the 28th/29th)
+ * 
+ * @param {number} year - Full year
+ * @param {number} monthIndex - Month (0-11, may overflow into following years)
+ * @param {number} day - Day of month (1-31)
+ * @returns {string} Date string
+ */
+function dateForDayOfMonth(year, monthIndex, day) {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay))));
+}
+
+/**
+ * Adds months to a YYYY-MM-DD date, keeping the day of month where possible
+ * 
+ * @param {string} dateStr - Date string
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} Date string
+ */
+function addMonths(dateStr, months) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return dateForDayOfMonth(year, month - 1 + months, day);
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date
+ * 
+ * @param {string} dateStr - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date string
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+/**
+ * Finds the index of the first NAV dated on or after the given date
+ * 
+ * @param {Array} navHistory - Sorted NAV history
+ * @param {string} dateStr - Date string
+ * @returns {number} Index, or -1 if no NAV exists on/after the date
+ */
+function findNavIndexOnOrAfter(navHistory, dateStr) {
+  let low = 0;
+  let high = navHistory.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (navHistory[mid].date < dateStr) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low < navHistory.length ? low : -1;
+}
+
+/**
+ * Finds the index of the last NAV dated on or before the given date
+ * 
+ * @param {Array} navHistory - Sorted NAV history
+ * @param {string} dateStr - Date string
+ * @returns {number} Index, or -1 if no NAV exists on/before the date
+ */
+function findNavIndexOnOrBefore(navHistory, dateStr) {
+  const index = findNavIndexOnOrAfter(navHistory, dateStr);
+
+  if (index === -1) return navHistory.length - 1;
+  if (navHistory[index].date === dateStr) return index;
+  return index - 1;
+}
+
+/**
+ * Gets the Monday of the week a date falls in
+ * 
+ * @param {string} dateStr - Date string
+ * @returns {string} Monday (YYYY-MM-DD)
+ */
+function weekStart(dateStr) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return toDateString(d);
+}
+
+/**
+ * Samples a dated series at period ends, keeping the last point of each
+ * Monday-Sunday week or calendar month
+ * 
+ * @param {Array} series - Array of {date, ...} (sorted by date)
+ * @param {string} frequency - daily, weekly or monthly
+ * @returns {Array} Sampled series (the input itself for daily)
+ */
+function samplePeriodEnds(series, frequency) {
+  if (frequency === 'daily') return series;
+
+  const periodOf = frequency === 'weekly' ? weekStart : dateStr => dateStr.slice(0, 7);
+  const sampled = [];
+
+  for (const point of series) {
+    const last = sampled[sampled.length - 1];
+    if (last && periodOf(last.date) === periodOf(point.date)) {
+      sampled[sampled.length - 1] = point;
+    } else {
+      sampled.push(point);
+    }
+  }
+
+  return sampled;
+}
+
+/**
+ * Fills weekdays without a NAV (market holidays) with the previous NAV
+ * 
+ * @param {Array} navHistory - Sorted NAV history
+ * @returns {Array} NAV history with a point for every weekday between the
+ *   first and last NAV; filled points have `filled: true`
+ */
+function forwardFillWeekdays(navHistory) {
+  if (navHistory.length === 0) return [];
+
+  const filled = [];
+  const lastDate = navHistory[navHistory.length - 1].date;
+  let index = 0;
+  let previous = null;
+
+  for (let date = navHistory[0].date; date <= lastDate; date = addDays(date, 1)) {
+    if (index < navHistory.length && navHistory[index].date === date) {
+      previous = navHistory[index];
+      filled.push(previous);
+      index++;
+      continue;
+    }
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      filled.push({ date, nav: previous.nav, filled: true });
+    }
+  }
+
+  return filled;
+}
+
+export {
+  toDateString,
+  dateForDayOfMonth,
+  addMonths,
+  addDays,
+  findNavIndexOnOrAfter,
+  findNavIndexOnOrBefore,
+  samplePeriodEnds,
+  forwardFillWeekdays,
+};
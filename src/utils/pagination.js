@@ -0,0 +1,309 @@
+/**
+ * Pagination Utilities
+ *
+ * Query conventions shared by list endpoints:
+ * - limit: Items per page (each route sets its default and maximum)
+ * - cursor: The next_cursor of the previous page
+ * - sort: Comma-separated fields, descending when prefixed with "-"
+ *   (e.g. sort=amc,-updated_at); the list's key field is always the final tie-breaker
+ * - fields: Comma-separated fields to return
+ *
+ * Database-backed lists page by keyset: the cursor carries the sort values of
+ * the last item and the next page seeks past them, so a page costs the same
+ * however deep it is and rows added meanwhile do not shift later pages.
+ * Short lists loaded whole are paged the same way in memory. Computed lists
+ * (rankings, screens) use a cursor that carries the position instead. Cursors are opaque base64url JSON and are rejected when
+ * used with a different sort or query than the one that issued them.
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Encodes a cursor payload
+ *
+ * @param {Object} payload - Cursor contents
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor
+ *
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} Cursor contents, or null if malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses a limit query param
+ *
+ * @param {string|undefined} value - Raw limit
+ * @param {number} defaultLimit - Limit when not given
+ * @param {number} maxLimit - Largest limit accepted
+ * @returns {Object} {limit}, or {error} if invalid
+ */
+export function parseLimit(value, defaultLimit, maxLimit) {
+  if (value === undefined || value === '') return { limit: defaultLimit };
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    return { error: `limit must be an integer between 1 and ${maxLimit}` };
+  }
+
+  return { limit };
+}
+
+/**
+ * Parses a sort query param, appending the key field as tie-breaker
+ *
+ * @param {string|undefined} value - Raw sort (e.g. "amc,-updated_at")
+ * @param {Object} options - {fields: sortable field names, defaultSort, key}
+ * @returns {Object} {sort: Array of {field, descending}}, or {error} if invalid
+ */
+export function parseSort(value, { fields, defaultSort, key }) {
+  const text = value === undefined || value === '' ? defaultSort : String(value);
+  const sort = [];
+
+  for (const item of text.split(',').map(part => part.trim())) {
+    const descending = item.startsWith('-');
+    const field = descending ? item.slice(1) : item;
+
+    if (!fields.includes(field)) {
+      return { error: `Invalid sort field '${field}'. Must be one of: ${fields.join(', ')}` };
+    }
+    if (sort.some(entry => entry.field === field)) {
+      return { error: `Sort field '${field}' is repeated` };
+    }
+    sort.push({ field, descending });
+  }
+
+  if (!sort.some(entry => entry.field === key)) {
+    sort.push({ field: key, descending: false });
+  }
+
+  return { sort };
+}
+
+/**
+ * Parses a fields (projection) query param
+ *
+ * @param {string|undefined} value - Raw fields (e.g. "scheme_code,scheme_name")
+ * @param {Array<string>} fields - Field names that can be returned
+ * @returns {Object} {fields: Array or null for all fields}, or {error} if invalid
+ */
+export function parseFields(value, fields) {
+  if (value === undefined || value === '') return { fields: null };
+
+  const selected = [...new Set(String(value).split(',').map(part => part.trim()).filter(Boolean))];
+  const unknown = selected.filter(field => !fields.includes(field));
+
+  if (selected.length === 0 || unknown.length > 0) {
+    return { error: `Invalid fields: ${unknown.join(', ') || value}. Must be from: ${fields.join(', ')}` };
+  }
+
+  return { fields: selected };
+}
+
+/**
+ * Describes a sort for binding cursors to it (e.g. "amc,-updated_at,scheme_code")
+ *
+ * @param {Array} sort - Sort from parseSort
+ * @returns {string} Sort signature
+ */
+function sortSignature(sort) {
+  return sort.map(({ field, descending }) => (descending ? `-${field}` : field)).join(',');
+}
+
+/**
+ * Parses the limit, cursor, sort and fields params of a keyset-paginated list
+ *
+ * @param {Object} query - Request query
+ * @param {Object} spec - {sortFields, defaultSort, key, fields, defaultLimit, maxLimit}
+ * @returns {Object} {limit, sort, after: sort values to seek past or null, fields},
+ *   or {error} if invalid
+ */
+export function parseListQuery(query, spec) {
+  const { limit, error: limitError } = parseLimit(query.limit, spec.defaultLimit, spec.maxLimit);
+  if (limitError) return { error: limitError };
+
+  const { sort, error: sortError } = parseSort(query.sort, {
+    fields: spec.sortFields,
+    defaultSort: spec.defaultSort,
+    key: spec.key,
+  });
+  if (sortError) return { error: sortError };
+
+  const { fields, error: fieldsError } = parseFields(query.fields, spec.fields);
+  if (fieldsError) return { error: fieldsError };
+
+  let after = null;
+  if (query.cursor !== undefined && query.cursor !== '') {
+    const payload = decodeCursor(query.cursor);
+    if (!payload || payload.s !== sortSignature(sort)
+      || !Array.isArray(payload.k) || payload.k.length !== sort.length) {
+      return { error: 'cursor is invalid or was issued for a different sort' };
+    }
+    after = payload.k;
+  }
+
+  return { limit, sort, after, fields };
+}
+
+/**
+ * Builds the seek condition and ORDER BY for a keyset page
+ *
+ * The condition expands (a, b, key) > (?, ?, ?) so each column can have its
+ * own direction. Nullable columns must be given as COALESCE(column, '').
+ *
+ * @param {Array} sort - Sort from parseSort
+ * @param {Array|null} after - Sort values to seek past (from the cursor)
+ * @param {Object} columns - Sort field name → SQL expression
+ * @returns {Object} {where: SQL condition or null, params, orderBy}
+ */
+export function buildKeysetClause(sort, after, columns) {
+  const orderBy = sort
+    .map(({ field, descending }) => `${columns[field]} ${descending ? 'DESC' : 'ASC'}`)
+    .join(', ');
+
+  if (!after) return { where: null, params: [], orderBy };
+
+  const branches = [];
+  const params = [];
+
+  sort.forEach(({ field, descending }, i) => {
+    const terms = sort.slice(0, i).map(previous => `${columns[previous.field]} = ?`);
+    terms.push(`${columns[field]} ${descending ? '<' : '>'} ?`);
+    branches.push(`(${terms.join(' AND ')})`);
+    params.push(...after.slice(0, i + 1));
+  });
+
+  return { where: `(${branches.join(' OR ')})`, params, orderBy };
+}
+
+/**
+ * Cuts a keyset page from rows fetched with limit + 1
+ *
+ * @param {Array} rows - Rows in sort order, at most limit + 1
+ * @param {Object} list - {limit, sort} from parseListQuery
+ * @param {Object} rowKeys - Sort field name → row property, where they differ
+ * @returns {Object} {rows: the page, hasMore, nextCursor: cursor for the next page or null}
+ */
+export function toKeysetPage(rows, { limit, sort }, rowKeys = {}) {
+  const page = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  const last = page[page.length - 1];
+
+  return {
+    rows: page,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor({ s: sortSignature(sort), k: sort.map(({ field }) => last[rowKeys[field] || field] ?? '') })
+      : null,
+  };
+}
+
+/**
+ * Orders two sort values the way the keyset cursor compares them
+ *
+ * @param {*} a - Value (null treated as '')
+ * @param {*} b - Value (null treated as '')
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const left = a ?? '';
+  const right = b ?? '';
+
+  if (typeof left === 'number' && typeof right === 'number') return left - right;
+  return String(left) < String(right) ? -1 : String(left) > String(right) ? 1 : 0;
+}
+
+/**
+ * Cuts a keyset page from a list held in memory
+ *
+ * For short lists (portfolios, benchmarks, profiles) loaded whole: they take
+ * the same limit, cursor and sort params as database-backed lists.
+ *
+ * @param {Array} items - All items
+ * @param {Object} list - {limit, sort, after} from parseListQuery
+ * @returns {Object} {rows: the page, total, hasMore, nextCursor}
+ */
+export function paginateItems(items, list) {
+  const compare = (a, b) => {
+    for (let i = 0; i < list.sort.length; i++) {
+      const { descending } = list.sort[i];
+      const order = compareValues(a[i], b[i]);
+      if (order !== 0) return descending ? -order : order;
+    }
+    return 0;
+  };
+
+  const keyed = items
+    .map(item => ({ item, key: list.sort.map(({ field }) => item[field]) }))
+    .sort((a, b) => compare(a.key, b.key));
+  const remaining = list.after ? keyed.filter(({ key }) => compare(key, list.after) > 0) : keyed;
+
+  return {
+    ...toKeysetPage(remaining.slice(0, list.limit + 1).map(({ item }) => item), list),
+    total: items.length,
+  };
+}
+
+/**
+ * Digests the query a positional cursor belongs to
+ *
+ * @param {*} scope - Anything identifying the list (JSON-serializable)
+ * @returns {string} Short digest
+ */
+function scopeDigest(scope) {
+  return createHash('sha1').update(JSON.stringify(scope)).digest('base64url').slice(0, 12);
+}
+
+/**
+ * Encodes a cursor for the item at a position of an in-memory list
+ *
+ * @param {*} scope - Anything identifying the list (e.g. its query params)
+ * @param {number} offset - Position of the next page's first item
+ * @returns {string} Opaque cursor
+ */
+export function encodeOffsetCursor(scope, offset) {
+  return encodeCursor({ s: scopeDigest(scope), o: offset });
+}
+
+/**
+ * Parses a positional cursor
+ *
+ * @param {string|undefined} cursor - Raw cursor
+ * @param {*} scope - The same scope given to encodeOffsetCursor
+ * @returns {Object} {offset} (0 without a cursor), or {error} if invalid
+ */
+export function parseOffsetCursor(cursor, scope) {
+  if (cursor === undefined || cursor === '') return { offset: 0 };
+
+  const payload = decodeCursor(cursor);
+  if (!payload || payload.s !== scopeDigest(scope) || !Number.isInteger(payload.o) || payload.o < 0) {
+    return { error: 'cursor is invalid or was issued for a different query' };
+  }
+
+  return { offset: payload.o };
+}
+
+/**
+ * Picks the requested fields of a response item
+ *
+ * @param {Object} item - Response item
+ * @param {Array<string>|null} fields - Fields to keep (null keeps all)
+ * @returns {Object} Projected item
+ */
+export function selectFields(item, fields) {
+  if (!fields) return item;
+  return Object.fromEntries(fields.map(field => [field, item[field] ?? null]));
+}
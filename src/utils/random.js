@@ -0,0 +1,38 @@
+/**
+ * Seeded Random Numbers
+ *
+ * Small deterministic PRNG (mulberry32) so simulations can be replayed
+ * from a seed. Not suitable for anything security related.
+ */
+
+/**
+ * Creates a random number generator from a 32-bit seed
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning uniform numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a random seed for callers that did not supply one
+ *
+ * @returns {number} Integer seed in [0, 2^31)
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 2147483648);
+}
+
+export {
+  createRandom,
+  randomSeed,
+};
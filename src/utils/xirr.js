@@ -0,0 +1,107 @@
+/**
+ * XIRR Calculation
+ * 
+ * Computes the annualized internal rate of return for irregular cash flows,
+ * matching the spreadsheet XIRR convention (365-day year, actual day counts).
+ * 
+ * Convention: investments are negative amounts, redemptions/current value positive.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-7;
+
+/**
+ * Net present value of cash flows at a given annual rate
+ * 
+ * @param {Array} flows - Array of {years, amount} (years since first cash flow)
+ * @param {number} rate - Annual rate as decimal
+ * @returns {number} NPV
+ */
+function npv(flows, rate) {
+  return flows.reduce((sum, { years, amount }) => sum + amount / Math.pow(1 + rate, years), 0);
+}
+
+/**
+ * Derivative of NPV with respect to rate
+ * 
+ * @param {Array} flows - Array of {years, amount}
+ * @param {number} rate - Annual rate as decimal
+ * @returns {number} dNPV/drate
+ */
+function npvDerivative(flows, rate) {
+  return flows.reduce(
+    (sum, { years, amount }) => sum - (years * amount) / Math.pow(1 + rate, years + 1),
+    0
+  );
+}
+
+/**
+ * Calculates XIRR for a series of dated cash flows
+ * 
+ * Uses Newton-Raphson from the given guess and falls back to bisection
+ * when Newton does not converge.
+ * 
+ * @param {Array} cashFlows - Array of {date: 'YYYY-MM-DD', amount: number}
+ * @param {number} guess - Initial rate guess (default 0.1)
+ * @returns {number|null} Annualized rate as decimal, or null if it cannot be solved
+ */
+function calculateXIRR(cashFlows, guess = 0.1) {
+  if (!cashFlows || cashFlows.length < 2) return null;
+
+  const hasPositive = cashFlows.some(cf => cf.amount > 0);
+  const hasNegative = cashFlows.some(cf => cf.amount < 0);
+  if (!hasPositive || !hasNegative) return null;
+
+  const sorted = [...cashFlows].sort((a, b) => a.date.localeCompare(b.date));
+  const firstDate = new Date(sorted[0].date);
+  const flows = sorted.map(cf => ({
+    years: (new Date(cf.date) - firstDate) / MS_PER_DAY / 365,
+    amount: cf.amount,
+  }));
+
+  // Newton-Raphson
+  let rate = guess;
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const value = npv(flows, rate);
+    const derivative = npvDerivative(flows, rate);
+    if (!Number.isFinite(value) || !Number.isFinite(derivative) || derivative === 0) break;
+
+    const nextRate = rate - value / derivative;
+    if (nextRate <= -1 || !Number.isFinite(nextRate)) break;
+
+    if (Math.abs(nextRate - rate) < TOLERANCE) {
+      return nextRate;
+    }
+    rate = nextRate;
+  }
+
+  // Bisection fallback over a wide bracket
+  let low = -0.9999;
+  let high = 100;
+  let lowValue = npv(flows, low);
+  const highValue = npv(flows, high);
+  if (!Number.isFinite(lowValue) || lowValue * highValue > 0) return null;
+
+  for (let i = 0; i < MAX_ITERATIONS * 10; i++) {
+    const mid = (low + high) / 2;
+    const midValue = npv(flows, mid);
+
+    if (Math.abs(midValue) < TOLERANCE || (high - low) / 2 < TOLERANCE) {
+      return mid;
+    }
+
+    if (midValue * lowValue < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      lowValue = midValue;
+    }
+  }
+
+  return null;
+}
+
+export {
+  calculateXIRR,
+};
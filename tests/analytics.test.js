@@ -11,7 +11,35 @@ import {
   calculateCAGR,
   calculateReturn,
   calculateMaxDrawdown,
+  calculateDailyLogReturns,
+  calculateStandardDeviation,
+  calculateAnnualizedVolatility,
+  calculateDownsideDeviation,
+  calculateSharpeRatio,
+  calculateSortinoRatio,
+  inverseNormalCdf,
+  cornishFisherQuantile,
+  aggregateLogReturns,
+  calculateHistoricalVaR,
+  calculateParametricVaR,
+  calculateTailRisk,
+  calculateDrawdownEpisodes,
+  calculateUlcerIndex,
+  calculateCalmarRatio,
+  toAnalyticsRow,
+  computeSchemeAnalytics,
+  calculateRollingReturns,
+  calculateRollingCAGRs,
+  calculateRollingWindows,
+  calculateRollingSeries,
+  requiredHistoryDays,
 } from '../src/services/analyticsService.js';
+import { parseWindow, parseWindowList } from '../src/utils/analyticsWindow.js';
+import {
+  referenceRollingReturns,
+  referenceRollingCAGRs,
+  generateNavSeries,
+} from './helpers/rollingReference.js';
 
 describe('Analytics Calculations', () => {
   describe('calculateReturn', () => {
@@ -128,6 +156,103 @@ describe('Analytics Calculations', () => {
     });
   });
 
+  describe('calculateMaxDrawdown with DECIMAL strings', () => {
+    it('should compare NAVs numerically', () => {
+      // As strings, '9.5000' > '10.0000' would wrongly become the peak
+      const navHistory = [
+        { date: '2023-01-01', nav: '9.5000' },
+        { date: '2023-01-02', nav: '10.0000' },
+        { date: '2023-01-03', nav: '8.0000' },
+      ];
+
+      expect(calculateMaxDrawdown(navHistory)).toBeCloseTo(-0.2, 8);
+    });
+  });
+
+  describe('calculateDrawdownEpisodes', () => {
+    const navHistory = [
+      { date: '2023-01-01', nav: 100 },
+      { date: '2023-01-05', nav: 90 },  // -10%
+      { date: '2023-01-10', nav: 101 }, // recovered, new peak
+      { date: '2023-01-20', nav: 80.8 }, // -20%
+      { date: '2023-01-25', nav: 95 },
+    ];
+
+    it('should record each episode with dates and durations', () => {
+      const episodes = calculateDrawdownEpisodes(navHistory);
+
+      expect(episodes).toHaveLength(2);
+      expect(episodes[0]).toMatchObject({
+        peakDate: '2023-01-01',
+        troughDate: '2023-01-05',
+        recoveryDate: '2023-01-10',
+        daysToTrough: 4,
+        daysToRecover: 5,
+        isRecovered: true,
+      });
+      expect(episodes[0].depth).toBeCloseTo(-0.1, 8);
+    });
+
+    it('should leave the last episode open when not recovered', () => {
+      const episodes = calculateDrawdownEpisodes(navHistory);
+
+      expect(episodes[1]).toMatchObject({
+        peakDate: '2023-01-10',
+        troughDate: '2023-01-20',
+        recoveryDate: null,
+        daysToRecover: null,
+        isRecovered: false,
+      });
+      expect(episodes[1].depth).toBeCloseTo(-0.2, 8);
+    });
+
+    it('should return no episodes for constantly rising NAV', () => {
+      const rising = [
+        { date: '2023-01-01', nav: 100 },
+        { date: '2023-01-02', nav: 101 },
+      ];
+      expect(calculateDrawdownEpisodes(rising)).toEqual([]);
+    });
+  });
+
+  describe('calculateUlcerIndex', () => {
+    it('should be the RMS of drawdowns from the running peak', () => {
+      const navHistory = [
+        { date: '2023-01-01', nav: 100 },
+        { date: '2023-01-02', nav: 90 },  // -10%
+        { date: '2023-01-03', nav: 80 },  // -20%
+        { date: '2023-01-04', nav: 100 }, // 0%
+      ];
+
+      const result = calculateUlcerIndex(navHistory);
+
+      expect(result).toBeCloseTo(Math.sqrt((0.01 + 0.04) / 4), 8);
+    });
+  });
+
+  describe('calculateCalmarRatio', () => {
+    it('should divide CAGR by the deepest drawdown', () => {
+      const navHistory = [
+        { date: '2022-01-01', nav: 100 },
+        { date: '2022-06-01', nav: 80 }, // -20%
+        { date: '2023-01-01', nav: 110 },
+      ];
+
+      const result = calculateCalmarRatio(navHistory);
+
+      // 365 days → CAGR 10%; 0.10 / 0.20
+      expect(result).toBeCloseTo(0.5, 6);
+    });
+
+    it('should return null without any drawdown', () => {
+      const rising = [
+        { date: '2022-01-01', nav: 100 },
+        { date: '2023-01-01', nav: 110 },
+      ];
+      expect(calculateCalmarRatio(rising)).toBeNull();
+    });
+  });
+
   describe('calculatePercentile', () => {
     it('should calculate median (50th percentile) correctly', () => {
       const sorted = [10, 20, 30, 40, 50];
@@ -186,6 +311,359 @@ describe('Analytics Calculations', () => {
   });
 });
 
+describe('Risk-Adjusted Metrics', () => {
+  describe('calculateDailyLogReturns', () => {
+    it('should compute log returns between consecutive NAVs', () => {
+      const navHistory = [
+        { date: '2023-01-02', nav: '100.0000' },
+        { date: '2023-01-03', nav: '110.0000' },
+        { date: '2023-01-06', nav: '99.0000' }, // gap over holidays
+      ];
+
+      const result = calculateDailyLogReturns(navHistory);
+
+      expect(result).toHaveLength(2);
+      expect(result[0]).toBeCloseTo(Math.log(1.1), 8);
+      expect(result[1]).toBeCloseTo(Math.log(0.9), 8);
+    });
+  });
+
+  describe('calculateStandardDeviation', () => {
+    it('should calculate sample standard deviation', () => {
+      // Mean 5, squared diffs sum 32, n-1 = 7
+      const result = calculateStandardDeviation([2, 4, 4, 4, 5, 5, 7, 9]);
+
+      expect(result).toBeCloseTo(Math.sqrt(32 / 7), 8);
+    });
+
+    it('should return null for fewer than two values', () => {
+      expect(calculateStandardDeviation([0.01])).toBeNull();
+    });
+  });
+
+  describe('calculateAnnualizedVolatility', () => {
+    it('should scale daily standard deviation by sqrt(252)', () => {
+      const dailyReturns = [0.01, -0.01, 0.01, -0.01];
+      const dailyStdDev = calculateStandardDeviation(dailyReturns);
+
+      const result = calculateAnnualizedVolatility(dailyReturns, 252);
+
+      expect(result).toBeCloseTo(dailyStdDev * Math.sqrt(252), 8);
+    });
+  });
+
+  describe('calculateDownsideDeviation', () => {
+    it('should only penalize returns below the target', () => {
+      // Zero risk-free rate: only the two -0.02 days count
+      const dailyReturns = [0.02, -0.02, 0.03, -0.02];
+
+      const result = calculateDownsideDeviation(dailyReturns, 0, 252);
+
+      const expected = Math.sqrt((0.02 ** 2 + 0.02 ** 2) / 4) * Math.sqrt(252);
+      expect(result).toBeCloseTo(expected, 8);
+    });
+
+    it('should be zero when no return falls below the target', () => {
+      const result = calculateDownsideDeviation([0.01, 0.02, 0.015], 0, 252);
+      expect(result).toBe(0);
+    });
+  });
+
+  describe('calculateSharpeRatio', () => {
+    it('should match manual annualized excess return over volatility', () => {
+      const dailyReturns = [0.01, -0.005, 0.007, 0.002, -0.003];
+      const riskFreeRate = 0.06;
+      const mean = dailyReturns.reduce((a, b) => a + b, 0) / dailyReturns.length;
+      const dailyRf = Math.log(1 + riskFreeRate) / 252;
+      const volatility = calculateStandardDeviation(dailyReturns) * Math.sqrt(252);
+
+      const result = calculateSharpeRatio(dailyReturns, riskFreeRate, 252);
+
+      expect(result).toBeCloseTo(((mean - dailyRf) * 252) / volatility, 8);
+    });
+
+    it('should return null when volatility is zero', () => {
+      const result = calculateSharpeRatio([0.001, 0.001, 0.001], 0.06, 252);
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('calculateSortinoRatio', () => {
+    it('should exceed Sharpe ratio when losses are rare', () => {
+      const dailyReturns = [0.01, 0.012, -0.002, 0.008, 0.011, 0.009];
+
+      const sharpe = calculateSharpeRatio(dailyReturns, 0, 252);
+      const sortino = calculateSortinoRatio(dailyReturns, 0, 252);
+
+      expect(sortino).toBeGreaterThan(sharpe);
+    });
+
+    it('should return null when there is no downside', () => {
+      const result = calculateSortinoRatio([0.01, 0.02, 0.015], 0, 252);
+      expect(result).toBeNull();
+    });
+  });
+});
+
+describe('Tail Risk', () => {
+  // Symmetric daily log returns of ±1% (mean 0)
+  const alternatingReturns = Array.from({ length: 100 }, (_, i) => (i % 2 === 0 ? 0.01 : -0.01));
+
+  describe('inverseNormalCdf', () => {
+    it('should match standard normal quantiles', () => {
+      expect(inverseNormalCdf(0.5)).toBeCloseTo(0, 8);
+      expect(inverseNormalCdf(0.975)).toBeCloseTo(1.959964, 5);
+      expect(inverseNormalCdf(0.05)).toBeCloseTo(-1.644854, 5);
+      expect(inverseNormalCdf(0.01)).toBeCloseTo(-2.326348, 5);
+    });
+  });
+
+  describe('cornishFisherQuantile', () => {
+    it('should equal the normal quantile without skewness or kurtosis', () => {
+      expect(cornishFisherQuantile(-1.645, 0, 0)).toBe(-1.645);
+    });
+
+    it('should push the left tail out for negative skew and fat tails', () => {
+      expect(cornishFisherQuantile(-1.645, -0.5, 0)).toBeLessThan(-1.645);
+      expect(cornishFisherQuantile(-2.326, 0, 3)).toBeLessThan(-2.326);
+    });
+  });
+
+  describe('aggregateLogReturns', () => {
+    it('should sum overlapping periods', () => {
+      expect(aggregateLogReturns([1, 2, 3, 4], 2)).toEqual([3, 5, 7]);
+      expect(aggregateLogReturns([1, 2, 3], 1)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('calculateHistoricalVaR', () => {
+    it('should use the empirical percentile and average the tail', () => {
+      // Simple returns -5.0% .. +4.9% in 0.1% steps
+      const logReturns = Array.from({ length: 100 }, (_, i) => Math.log(1 + (i - 50) / 1000));
+
+      const result = calculateHistoricalVaR(logReturns, 0.95);
+
+      // 5th percentile interpolates between -4.6% and -4.5%
+      expect(result.valueAtRisk).toBeCloseTo(0.04505, 8);
+      // Tail is -5.0% .. -4.6%
+      expect(result.expectedShortfall).toBeCloseTo(0.048, 8);
+    });
+
+    it('should return null with too few returns', () => {
+      expect(calculateHistoricalVaR([0.01, -0.01], 0.95)).toBeNull();
+    });
+  });
+
+  describe('calculateParametricVaR', () => {
+    it('should match the Gaussian quantile', () => {
+      const result = calculateParametricVaR(alternatingReturns, 0.95, 1);
+      const stdDev = calculateStandardDeviation(alternatingReturns);
+
+      expect(result.valueAtRisk).toBeCloseTo(1 - Math.exp(-1.644854 * stdDev), 6);
+      // Normal expected shortfall: σ·φ(z)/α ≈ 2.06 · σ
+      expect(result.expectedShortfall).toBeCloseTo(stdDev * 2.0627, 3);
+      expect(result.expectedShortfall).toBeGreaterThan(result.valueAtRisk);
+    });
+
+    it('should scale with the square root of the horizon', () => {
+      const daily = calculateParametricVaR(alternatingReturns, 0.99, 1);
+      const monthly = calculateParametricVaR(alternatingReturns, 0.99, 21);
+      const stdDev = calculateStandardDeviation(alternatingReturns);
+
+      expect(daily.valueAtRisk).toBeCloseTo(1 - Math.exp(-2.326348 * stdDev), 6);
+      expect(monthly.valueAtRisk).toBeCloseTo(1 - Math.exp(-2.326348 * stdDev * Math.sqrt(21)), 6);
+    });
+
+    it('should report a larger Cornish-Fisher loss for crash-prone returns', () => {
+      // Small steady gains with occasional sharp losses (negative skew)
+      const dailyReturns = Array.from({ length: 250 }, (_, i) => (i % 10 === 0 ? -0.02 : 0.003));
+
+      const gaussian = calculateParametricVaR(dailyReturns, 0.99, 1);
+      const cornishFisher = calculateParametricVaR(dailyReturns, 0.99, 1, { cornishFisher: true });
+
+      expect(cornishFisher.valueAtRisk).toBeGreaterThan(gaussian.valueAtRisk);
+      expect(cornishFisher.expectedShortfall).toBeGreaterThan(gaussian.expectedShortfall);
+    });
+  });
+
+  describe('calculateTailRisk', () => {
+    it('should return every method, confidence level and horizon', () => {
+      const result = calculateTailRisk(alternatingReturns, 252);
+
+      expect(Object.keys(result)).toHaveLength(26);
+      expect(result.historicalVar95Daily).toBeCloseTo(1 - Math.exp(-0.01), 8);
+      expect(result.gaussianCvar99Monthly).toBeGreaterThan(result.gaussianCvar99Daily);
+      expect(result.cornishFisherVar95Monthly).not.toBeNull();
+      expect(result.returnSkewness).toBeCloseTo(0, 8);
+    });
+
+    it('should return nulls when there are too few returns', () => {
+      const result = calculateTailRisk([0.01, -0.02, 0.005], 252);
+
+      expect(result.historicalVar95Daily).toBeNull();
+      expect(result.gaussianCvar95Monthly).toBeNull();
+    });
+  });
+});
+
+describe('Rolling Return Engine', () => {
+  it('should match the start NAV on the first date within 5 days of the window start', () => {
+    const navHistory = [
+      { date: '2024-01-01', nav: '100.0000' },
+      // 2024-01-06/07 is a weekend
+      { date: '2024-01-05', nav: '104.0000' },
+      { date: '2024-01-08', nav: '105.0000' },
+      { date: '2024-01-13', nav: '110.0000' },
+      { date: '2024-01-15', nav: '115.5000' },
+    ];
+
+    const returns = calculateRollingReturns(navHistory, 7);
+
+    // 01-05 <- 01-01 (12-29 missing), 01-08 <- 01-01, 01-13 <- 01-08 (01-06 missing), 01-15 <- 01-08
+    expect(returns).toHaveLength(4);
+    expect(returns[0]).toBeCloseTo(0.04, 10);
+    expect(returns[1]).toBeCloseTo(0.05, 10);
+    expect(returns[2]).toBeCloseTo(110 / 105 - 1, 10);
+    expect(returns[3]).toBeCloseTo(0.1, 10);
+  });
+
+  it('should skip dates whose window start falls in a gap longer than 5 days', () => {
+    const navHistory = [
+      { date: '2024-01-01', nav: '100.0000' },
+      { date: '2024-01-20', nav: '120.0000' },
+    ];
+
+    expect(calculateRollingReturns(navHistory, 10)).toEqual([]);
+  });
+
+  describe('equivalence with the original implementation', () => {
+    const navHistory = generateNavSeries(12, 7);
+
+    it.each([183, 365, 900, 1095, 3650])('should produce identical %i-day rolling returns', (days) => {
+      expect(calculateRollingReturns(navHistory, days)).toEqual(referenceRollingReturns(navHistory, days));
+    });
+
+    it.each([1, 3, 5, 10])('should produce identical %iY rolling CAGRs', (years) => {
+      expect(calculateRollingCAGRs(navHistory, years)).toEqual(referenceRollingCAGRs(navHistory, years));
+    });
+
+    it('should compute all windows in one call with the same results', () => {
+      const byWindow = calculateRollingWindows(navHistory, ['1Y', '900D', '5Y']);
+
+      expect(byWindow['1Y'].returns).toEqual(referenceRollingReturns(navHistory, 365));
+      expect(byWindow['900D'].returns).toEqual(referenceRollingReturns(navHistory, 900));
+      expect(byWindow['5Y'].cagrs).toEqual(referenceRollingCAGRs(navHistory, 5));
+    });
+
+    it('should give the same values with dates in calculateRollingSeries', () => {
+      const series = calculateRollingSeries(navHistory, parseWindow('3Y'));
+
+      expect(series.map(p => p.rollingReturn).filter(v => v !== null))
+        .toEqual(referenceRollingReturns(navHistory, parseWindow('3Y').days));
+      expect(series.map(p => p.cagr).filter(v => v !== null))
+        .toEqual(referenceRollingCAGRs(navHistory, 3));
+      expect(series[series.length - 1].date).toBe(navHistory[navHistory.length - 1].date);
+    });
+  });
+});
+
+describe('Analytics Windows', () => {
+  describe('parseWindow', () => {
+    it('should convert years, months and days to calendar days', () => {
+      expect(parseWindow('10Y').days).toBe(3650);
+      expect(parseWindow('6M').days).toBe(183);
+      expect(parseWindow('900D').days).toBe(900);
+    });
+
+    it('should normalize labels and derive SIP months', () => {
+      const window = parseWindow(' 7y ');
+
+      expect(window.label).toBe('7Y');
+      expect(window.years).toBe(7);
+      expect(window.months).toBe(84);
+      expect(parseWindow('900D').months).toBe(30);
+    });
+
+    it('should reject malformed or zero-length windows', () => {
+      expect(parseWindow('3W')).toBeNull();
+      expect(parseWindow('Y3')).toBeNull();
+      expect(parseWindow('0D')).toBeNull();
+      expect(parseWindow(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseWindowList', () => {
+    it('should drop invalid and duplicate entries and sort by length', () => {
+      expect(parseWindowList('5Y, 6M,bad,1y,1Y,900D')).toEqual(['6M', '1Y', '900D', '5Y']);
+    });
+  });
+
+  describe('toAnalyticsRow', () => {
+    it('should map computed analytics to table column names', () => {
+      const row = toAnalyticsRow('119551', '900D', {
+        rollingReturnMedian: 0.12,
+        sipXirrMax: 0.2,
+        dataStartDate: '2020-01-01',
+      });
+
+      expect(row).toEqual({
+        scheme_code: '119551',
+        window_type: '900D',
+        rolling_return_median: 0.12,
+        sip_xirr_max: 0.2,
+        data_start_date: '2020-01-01',
+      });
+    });
+  });
+});
+
+describe('requiredHistoryDays', () => {
+  it('should require 90% of the window, rounded up to whole days', () => {
+    expect(requiredHistoryDays(365)).toBe(329);
+    expect(requiredHistoryDays(900)).toBe(810);
+  });
+});
+
+describe('Point-in-time analytics', () => {
+  // Two years of daily NAVs: steady growth, then a crash after 2021-06-30
+  const navHistory = [];
+  const day = new Date(Date.UTC(2020, 0, 1));
+  let nav = 100;
+  while (day <= new Date(Date.UTC(2021, 11, 31))) {
+    const date = day.toISOString().slice(0, 10);
+    nav *= date > '2021-06-30' ? 0.995 : 1.0005;
+    navHistory.push({ date, nav: nav.toFixed(4) });
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  it('should ignore NAVs after the as-of date', async () => {
+    const asOf = '2021-06-30';
+    const options = { benchmark: null };
+
+    const asOfResult = await computeSchemeAnalytics('TEST', '1Y', 'test', {
+      ...options, navHistory, asOf,
+    });
+    const truncatedResult = await computeSchemeAnalytics('TEST', '1Y', 'test', {
+      ...options, navHistory: navHistory.filter(p => p.date <= asOf),
+    });
+
+    expect(asOfResult.dataEndDate).toBe(asOf);
+    expect(asOfResult).toEqual(truncatedResult);
+    // The later crash is not visible as of the earlier date
+    expect(asOfResult.maxDrawdown).toBe(0);
+  });
+
+  it('should skip only the SIP XIRRs when ranking does not need them', async () => {
+    const options = { benchmark: null, navHistory, asOf: '2021-06-30' };
+
+    const full = await computeSchemeAnalytics('TEST', '1Y', 'test', options);
+    const withoutSip = await computeSchemeAnalytics('TEST', '1Y', 'test', { ...options, sipXirr: false });
+
+    expect(full.sipXirrMedian).not.toBeNull();
+    expect(withoutSip).toEqual({ ...full, sipXirrMin: null, sipXirrMedian: null, sipXirrMax: null });
+  });
+});
+
 describe('Manual Verification Examples', () => {
   describe('Rolling Returns Calculation', () => {
     it('should match manually calculated 1-year return', () => {
@@ -0,0 +1,149 @@
+/**
+ * Benchmark Analytics Tests
+ * 
+ * Tests for benchmark CSV parsing, category mapping and
+ * benchmark-relative metrics (beta, alpha, tracking error, capture ratios).
+ */
+
+import {
+  alignDailyReturns,
+  calculateBeta,
+  calculateJensensAlpha,
+  calculateTrackingError,
+  calculateInformationRatio,
+  calculateCaptureRatios,
+  computeBenchmarkMetrics,
+} from '../src/services/analyticsService.js';
+import { parseLevelsCsv, resolveBenchmarkCode } from '../src/services/benchmarkService.js';
+
+describe('Benchmark CSV Import', () => {
+  it('should parse NSE-style CSV with quoted, comma-grouped values', () => {
+    const csv = [
+      'Date,Open,High,Low,Close',
+      '"02-Jan-2024","17,000.10","17,100.00","16,950.00","17,050.25"',
+      '"01-Jan-2024","16,900.00","17,010.00","16,880.00","16,990.50"',
+    ].join('\r\n');
+
+    const { levels, skipped } = parseLevelsCsv(csv);
+
+    expect(skipped).toBe(0);
+    expect(levels).toEqual([
+      { date: '2024-01-01', level: 16990.5 },
+      { date: '2024-01-02', level: 17050.25 },
+    ]);
+  });
+
+  it('should accept ISO dates and a level column, skipping bad rows', () => {
+    const csv = 'date,level\n2024-01-01,100\nnot-a-date,101\n2024-01-03,abc\n2024-01-04,102\n';
+
+    const { levels, skipped } = parseLevelsCsv(csv);
+
+    expect(levels.map(l => l.date)).toEqual(['2024-01-01', '2024-01-04']);
+    expect(skipped).toBe(2);
+  });
+
+  it('should skip dates that do not exist on the calendar', () => {
+    const csv = 'date,close\n2024-02-29,100\n2024-02-31,101\n45-13-2024,102\n31-Apr-2024,103\n01/03/2024,104\n';
+
+    const { levels, skipped } = parseLevelsCsv(csv);
+
+    expect(levels.map(l => l.date)).toEqual(['2024-02-29', '2024-03-01']);
+    expect(skipped).toBe(3);
+  });
+});
+
+describe('Category Benchmark Mapping', () => {
+  it('should map categories case-insensitively', () => {
+    expect(resolveBenchmarkCode('Mid Cap Direct Growth')).toBe('NIFTY_MIDCAP_150_TRI');
+    expect(resolveBenchmarkCode('Equity Scheme - Small Cap Fund')).toBe('NIFTY_SMALLCAP_250_TRI');
+  });
+
+  it('should return null for unmapped categories', () => {
+    expect(resolveBenchmarkCode('Liquid Fund')).toBeNull();
+    expect(resolveBenchmarkCode(null)).toBeNull();
+  });
+});
+
+describe('Benchmark-Relative Metrics', () => {
+  const benchmarkReturns = [0.01, -0.02, 0.015, -0.005, 0.02, -0.01];
+
+  describe('alignDailyReturns', () => {
+    it('should only use dates present in both series', () => {
+      const navHistory = [
+        { date: '2024-01-01', nav: '100' },
+        { date: '2024-01-02', nav: '102' },
+        { date: '2024-01-03', nav: '101' }, // no benchmark level
+        { date: '2024-01-04', nav: '103.02' },
+      ];
+      const levels = [
+        { date: '2024-01-01', level: '1000' },
+        { date: '2024-01-02', level: '1010' },
+        { date: '2024-01-04', level: '1030.2' },
+      ];
+
+      const { fundReturns, benchmarkReturns: aligned } = alignDailyReturns(navHistory, levels);
+
+      expect(fundReturns).toHaveLength(2);
+      expect(fundReturns[0]).toBeCloseTo(0.02, 8);
+      expect(fundReturns[1]).toBeCloseTo(0.01, 8);
+      expect(aligned[0]).toBeCloseTo(0.01, 8);
+      expect(aligned[1]).toBeCloseTo(0.02, 8);
+    });
+  });
+
+  describe('calculateBeta', () => {
+    it('should be 1.5 for a fund that moves 1.5x the benchmark', () => {
+      const fundReturns = benchmarkReturns.map(r => r * 1.5);
+      expect(calculateBeta(fundReturns, benchmarkReturns)).toBeCloseTo(1.5, 8);
+    });
+  });
+
+  describe('calculateJensensAlpha', () => {
+    it('should equal the constant daily outperformance, annualized', () => {
+      const fundReturns = benchmarkReturns.map(r => r + 0.0001);
+
+      const alpha = calculateJensensAlpha(fundReturns, benchmarkReturns, 0.06, 252);
+
+      // Beta is 1, so alpha = mean difference * 252
+      expect(alpha).toBeCloseTo(0.0001 * 252, 8);
+    });
+  });
+
+  describe('calculateTrackingError and calculateInformationRatio', () => {
+    it('should be zero tracking error for an index replica', () => {
+      expect(calculateTrackingError(benchmarkReturns, benchmarkReturns, 252)).toBe(0);
+      expect(calculateInformationRatio(benchmarkReturns, benchmarkReturns, 252)).toBeNull();
+    });
+
+    it('should annualize the standard deviation of active returns', () => {
+      const active = [0.001, -0.001, 0.001, -0.001, 0.001, -0.001];
+      const fundReturns = benchmarkReturns.map((r, i) => r + active[i]);
+      const activeStdDev = Math.sqrt(
+        active.reduce((sum, a) => sum + a ** 2, 0) / (active.length - 1)
+      );
+
+      const result = calculateTrackingError(fundReturns, benchmarkReturns, 252);
+
+      expect(result).toBeCloseTo(activeStdDev * Math.sqrt(252), 8);
+    });
+  });
+
+  describe('calculateCaptureRatios', () => {
+    it('should report 50% up and down capture for a half-beta fund', () => {
+      const fundReturns = [0.01, -0.01, 0.01, -0.01];
+      const benchmark = [0.02, -0.02, 0.02, -0.02];
+
+      const { upCapture, downCapture } = calculateCaptureRatios(fundReturns, benchmark);
+
+      expect(upCapture).toBeCloseTo(0.5, 8);
+      expect(downCapture).toBeCloseTo(0.01 / 0.02, 8);
+    });
+  });
+
+  describe('computeBenchmarkMetrics', () => {
+    it('should return null without overlapping data', () => {
+      const navHistory = [{ date: '2024-01-01', nav: 100 }, { date: '2024-01-02', nav: 101 }];
+      expect(computeBenchmarkMetrics(navHistory, [])).toBeNull();
+    });
+  });
+});
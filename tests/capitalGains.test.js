@@ -0,0 +1,217 @@
+/**
+ * Capital Gains Tests
+ *
+ * Tests for financial years, the 12-month holding rule, grandfathering,
+ * loss set-off, LTCG exemption and the CSV statement output.
+ */
+
+import {
+  getFinancialYear,
+  parseFinancialYear,
+  getTaxRates,
+  classifyDisposal,
+  calculateTaxSummary,
+  isEquityCategory,
+} from '../src/services/capitalGainsService.js';
+import { buildLedger } from '../src/services/transactionService.js';
+import { toCsv } from '../src/utils/csv.js';
+
+const taxConfig = {
+  longTermMonths: 12,
+  grandfatheringDate: '2018-01-31',
+  cessRate: 0.04,
+  rates: [
+    { effectiveFrom: '2008-04-01', stcgRate: 0.15, ltcgRate: 0, ltcgExemption: 0 },
+    { effectiveFrom: '2018-04-01', stcgRate: 0.15, ltcgRate: 0.10, ltcgExemption: 100000 },
+    { effectiveFrom: '2024-07-23', stcgRate: 0.20, ltcgRate: 0.125, ltcgExemption: 125000 },
+  ],
+};
+
+const disposal = (overrides) => ({
+  schemeCode: '119598',
+  date: '2024-09-02',
+  purchaseDate: '2022-05-10',
+  units: 100,
+  cost: 10000,
+  proceeds: 15000,
+  ...overrides,
+});
+
+describe('Financial years', () => {
+  it('should start the year on 1 April', () => {
+    expect(getFinancialYear('2024-03-31')).toBe('2023-24');
+    expect(getFinancialYear('2024-04-01')).toBe('2024-25');
+    expect(getFinancialYear('1999-12-31')).toBe('1999-00');
+  });
+
+  it('should parse financial year labels', () => {
+    expect(parseFinancialYear('2024-25')).toEqual({
+      label: '2024-25',
+      startDate: '2024-04-01',
+      endDate: '2025-03-31',
+    });
+    expect(parseFinancialYear('FY2023-24').label).toBe('2023-24');
+    expect(parseFinancialYear('2024-26')).toBeNull();
+    expect(parseFinancialYear('2024')).toBeNull();
+    expect(parseFinancialYear(undefined)).toBeNull();
+  });
+
+  it('should pick the rates in force on a date', () => {
+    expect(getTaxRates('2024-07-22', taxConfig.rates).ltcgRate).toBe(0.10);
+    expect(getTaxRates('2024-07-23', taxConfig.rates).ltcgRate).toBe(0.125);
+    expect(getTaxRates('2017-06-01', taxConfig.rates).ltcgRate).toBe(0);
+  });
+});
+
+describe('isEquityCategory', () => {
+  it('should match configured equity categories case-insensitively', () => {
+    const equityCategories = ['Equity', 'Mid Cap', 'ELSS'];
+
+    expect(isEquityCategory('Mid Cap Direct Growth', equityCategories)).toBe(true);
+    expect(isEquityCategory('Equity Scheme - Small Cap Fund', equityCategories)).toBe(true);
+    expect(isEquityCategory('elss', equityCategories)).toBe(true);
+  });
+
+  it('should not treat debt or unknown categories as equity', () => {
+    expect(isEquityCategory('Debt Scheme - Liquid Fund')).toBe(false);
+    expect(isEquityCategory(null)).toBe(false);
+  });
+});
+
+describe('classifyDisposal', () => {
+  it('should treat units held exactly 12 months as short term', () => {
+    const atTwelveMonths = classifyDisposal(
+      disposal({ purchaseDate: '2023-09-02', date: '2024-09-02' }), null, taxConfig
+    );
+    const dayAfter = classifyDisposal(
+      disposal({ purchaseDate: '2023-09-02', date: '2024-09-03' }), null, taxConfig
+    );
+
+    expect(atTwelveMonths.term).toBe('short');
+    expect(atTwelveMonths.taxRate).toBe(0.20);
+    expect(dayAfter.term).toBe('long');
+    expect(dayAfter.taxRate).toBe(0.125);
+  });
+
+  it('should use the 31-Jan-2018 value when above cost', () => {
+    const result = classifyDisposal(
+      disposal({ purchaseDate: '2016-01-04', cost: 10000, proceeds: 20000 }), 150, taxConfig
+    );
+
+    expect(result.grandfathered).toBe(true);
+    expect(result.fairMarketValue).toBe(15000);
+    expect(result.costOfAcquisition).toBe(15000);
+    expect(result.gain).toBe(5000);
+  });
+
+  it('should cap the grandfathered value at the sale value', () => {
+    const result = classifyDisposal(
+      disposal({ purchaseDate: '2016-01-04', cost: 10000, proceeds: 12000 }), 150, taxConfig
+    );
+
+    expect(result.costOfAcquisition).toBe(12000);
+    expect(result.gain).toBe(0);
+  });
+
+  it('should keep actual cost when it is higher', () => {
+    const result = classifyDisposal(
+      disposal({ purchaseDate: '2016-01-04', cost: 16000, proceeds: 14000 }), 150, taxConfig
+    );
+
+    expect(result.costOfAcquisition).toBe(16000);
+    expect(result.gain).toBe(-2000);
+  });
+
+  it('should not grandfather units bought after the cut-off', () => {
+    const result = classifyDisposal(
+      disposal({ purchaseDate: '2018-02-01' }), 150, taxConfig
+    );
+
+    expect(result.grandfathered).toBe(false);
+    expect(result.fairMarketValue).toBeNull();
+    expect(result.costOfAcquisition).toBe(10000);
+  });
+});
+
+describe('calculateTaxSummary', () => {
+  const gain = (term, amount, taxRate) => ({ term, gain: amount, taxRate });
+
+  it('should apply the exemption and cess to long-term gains', () => {
+    const summary = calculateTaxSummary([gain('long', 200000, 0.125)], '2025-03-31', taxConfig);
+
+    expect(summary.exemptionUsed).toBe(125000);
+    expect(summary.tax).toBeCloseTo(9375, 6);
+    expect(summary.cess).toBeCloseTo(375, 6);
+    expect(summary.totalTax).toBeCloseTo(9750, 6);
+  });
+
+  it('should set short-term losses against short- then long-term gains', () => {
+    const summary = calculateTaxSummary([
+      gain('short', 10000, 0.20),
+      gain('short', -30000, 0.20),
+      gain('long', 150000, 0.125),
+    ], '2025-03-31', taxConfig);
+
+    expect(summary.shortTerm).toEqual({ gains: 10000, losses: 30000, net: -20000 });
+    // 150000 - 20000 = 130000, less 125000 exemption
+    expect(summary.taxable).toEqual([{ term: 'long', rate: 0.125, amount: 5000, tax: 625 }]);
+    expect(summary.carryForwardLoss).toEqual({ shortTerm: 0, longTerm: 0 });
+  });
+
+  it('should not set long-term losses against short-term gains', () => {
+    const summary = calculateTaxSummary([
+      gain('short', 10000, 0.20),
+      gain('long', -40000, 0.125),
+    ], '2025-03-31', taxConfig);
+
+    expect(summary.tax).toBeCloseTo(2000, 6);
+    expect(summary.carryForwardLoss.longTerm).toBe(40000);
+  });
+
+  it('should set losses against the higher rate first', () => {
+    // Sales either side of 23-Jul-2024 in FY 2024-25
+    const summary = calculateTaxSummary([
+      gain('short', 10000, 0.15),
+      gain('short', 10000, 0.20),
+      gain('short', -5000, 0.20),
+      gain('short', -8000, 0.15),
+    ], '2025-03-31', taxConfig);
+
+    expect(summary.taxable).toEqual([{ term: 'short', rate: 0.15, amount: 7000, tax: 1050 }]);
+  });
+});
+
+describe('Capital gains from the FIFO ledger', () => {
+  it('should match sales to the oldest lots first', () => {
+    const { holdings } = buildLedger([
+      { date: '2017-06-01', type: 'buy', schemeCode: '119598', amount: 10000, units: 100, nav: 100 },
+      { date: '2024-01-15', type: 'buy', schemeCode: '119598', amount: 20000, units: 100, nav: 200 },
+      { date: '2024-10-01', type: 'sell', schemeCode: '119598', amount: 37500, units: 150, nav: 250 },
+    ]);
+
+    const gains = holdings['119598'].disposals.map(d => classifyDisposal(d, 120, taxConfig));
+
+    expect(gains.map(g => [g.purchaseDate, g.units, g.term])).toEqual([
+      ['2017-06-01', 100, 'long'],
+      ['2024-01-15', 50, 'short'],
+    ]);
+    expect(gains[0].costOfAcquisition).toBe(12000);
+    expect(gains[0].gain).toBe(13000);
+    expect(gains[1].gain).toBe(2500);
+  });
+});
+
+describe('toCsv', () => {
+  it('should quote fields with commas, quotes and line breaks', () => {
+    const csv = toCsv(['code', 'name', 'gain'], [
+      ['119598', 'Fund, Direct "Growth"', 12.5],
+      ['120503', null, -3],
+    ]);
+
+    expect(csv).toBe(
+      'code,name,gain\r\n'
+      + '119598,"Fund, Direct ""Growth""",12.5\r\n'
+      + '120503,,-3\r\n'
+    );
+  });
+});
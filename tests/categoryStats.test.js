@@ -0,0 +1,149 @@
+/**
+ * Category Stats Tests
+ * 
+ * Tests for category aggregates, percentile ranks and quartiles.
+ */
+
+import {
+  calculateMetricStats,
+  calculatePercentileRanks,
+  percentileToQuartile,
+  buildCategoryStats,
+} from '../src/services/categoryStatsService.js';
+import { listRankMetrics, resolveRankSort } from '../src/dao/fundsDao.js';
+
+describe('calculateMetricStats', () => {
+  it('should compute mean, median and quartiles', () => {
+    const stats = calculateMetricStats([0.3, 0.1, 0.2, 0.4, 0.5]);
+
+    expect(stats.count).toBe(5);
+    expect(stats.mean).toBeCloseTo(0.3, 10);
+    expect(stats.median).toBeCloseTo(0.3, 10);
+    expect(stats.p25).toBeCloseTo(0.2, 10);
+    expect(stats.p75).toBeCloseTo(0.4, 10);
+    expect(stats.min).toBe(0.1);
+    expect(stats.max).toBe(0.5);
+  });
+
+  it('should return null for an empty category', () => {
+    expect(calculateMetricStats([])).toBeNull();
+  });
+});
+
+describe('calculatePercentileRanks', () => {
+  const entries = [
+    { schemeCode: 'A', value: 0.10 },
+    { schemeCode: 'B', value: 0.25 },
+    { schemeCode: 'C', value: 0.15 },
+    { schemeCode: 'D', value: 0.05 },
+  ];
+
+  it('should rank higher values better by default', () => {
+    const ranks = Object.fromEntries(
+      calculatePercentileRanks(entries).map(r => [r.schemeCode, r])
+    );
+
+    expect(ranks.B).toEqual({ schemeCode: 'B', percentile: 87.5, quartile: 1 });
+    expect(ranks.C.percentile).toBe(62.5);
+    expect(ranks.A.percentile).toBe(37.5);
+    expect(ranks.D).toEqual({ schemeCode: 'D', percentile: 12.5, quartile: 4 });
+  });
+
+  it('should rank lower values better for ascending metrics', () => {
+    const ranks = Object.fromEntries(
+      calculatePercentileRanks(entries, true).map(r => [r.schemeCode, r.percentile])
+    );
+
+    expect(ranks.D).toBe(87.5);
+    expect(ranks.B).toBe(12.5);
+  });
+
+  it('should give tied funds the same percentile', () => {
+    const ranks = calculatePercentileRanks([
+      { schemeCode: 'A', value: 0.1 },
+      { schemeCode: 'B', value: 0.1 },
+    ]);
+
+    expect(ranks[0].percentile).toBe(50);
+    expect(ranks[1].percentile).toBe(50);
+  });
+});
+
+describe('percentileToQuartile', () => {
+  it('should map percentile bands to quartiles with 1 as the top', () => {
+    expect(percentileToQuartile(100)).toBe(1);
+    expect(percentileToQuartile(75)).toBe(1);
+    expect(percentileToQuartile(74.99)).toBe(2);
+    expect(percentileToQuartile(50)).toBe(2);
+    expect(percentileToQuartile(25)).toBe(3);
+    expect(percentileToQuartile(0)).toBe(4);
+  });
+});
+
+describe('buildCategoryStats', () => {
+  it('should group by category and window and skip missing metrics', () => {
+    const rows = [
+      { scheme_code: 'A', category: 'Mid Cap', window_type: '1Y', rolling_return_median: '0.2000', sharpe_ratio: null },
+      { scheme_code: 'B', category: 'Mid Cap', window_type: '1Y', rolling_return_median: '0.1000', sharpe_ratio: '1.2000' },
+      { scheme_code: 'C', category: 'Small Cap', window_type: '1Y', rolling_return_median: '0.3000', sharpe_ratio: null },
+    ];
+
+    const { stats, percentiles } = buildCategoryStats(rows);
+
+    const midCapReturn = stats.find(s => s.category === 'Mid Cap' && s.metric === 'median_return');
+    expect(midCapReturn.count).toBe(2);
+    expect(midCapReturn.mean).toBeCloseTo(0.15, 10);
+
+    const midCapSharpe = stats.find(s => s.category === 'Mid Cap' && s.metric === 'sharpe_ratio');
+    expect(midCapSharpe.count).toBe(1);
+    expect(stats.find(s => s.category === 'Small Cap' && s.metric === 'sharpe_ratio')).toBeUndefined();
+
+    const fundA = percentiles.find(p => p.schemeCode === 'A' && p.metric === 'median_return');
+    expect(fundA).toMatchObject({ category: 'Mid Cap', windowType: '1Y', percentile: 75, quartile: 1 });
+  });
+
+  it('should rank the shallowest (least negative) drawdown best and the lowest volatility best', () => {
+    const rows = [
+      { scheme_code: 'A', category: 'Mid Cap', window_type: '3Y', max_drawdown: '-0.5000', volatility: '0.3000' },
+      { scheme_code: 'B', category: 'Mid Cap', window_type: '3Y', max_drawdown: '-0.1000', volatility: '0.1000' },
+    ];
+
+    const { percentiles } = buildCategoryStats(rows);
+    const rank = (schemeCode, metric) => percentiles.find(p => p.schemeCode === schemeCode && p.metric === metric);
+
+    expect(rank('B', 'max_drawdown')).toMatchObject({ percentile: 75, quartile: 1 });
+    expect(rank('A', 'max_drawdown')).toMatchObject({ percentile: 25, quartile: 3 });
+    expect(rank('B', 'volatility')).toMatchObject({ percentile: 75, quartile: 1 });
+    expect(rank('A', 'volatility')).toMatchObject({ percentile: 25, quartile: 3 });
+  });
+
+  it('should order percentiles the way rankByMetric orders funds', () => {
+    const rows = ['A', 'B', 'C'].map((schemeCode, i) => ({
+      scheme_code: schemeCode,
+      category: 'Mid Cap',
+      window_type: '3Y',
+      rolling_return_median: String(0.1 * (i + 1)),
+      max_drawdown: String(-0.1 * (i + 1)),
+      cagr_median: String(0.1 * (i + 1)),
+      volatility: String(0.1 * (i + 1)),
+      downside_deviation: String(0.1 * (i + 1)),
+      sharpe_ratio: String(i + 1),
+      sortino_ratio: String(i + 1),
+    }));
+    const { percentiles } = buildCategoryStats(rows);
+
+    for (const metric of listRankMetrics()) {
+      // Same ORDER BY as rankByMetric: the metric column in the resolved direction
+      const { column, ascending } = resolveRankSort(metric);
+      const ranked = [...rows]
+        .sort((a, b) => (ascending ? a[column] - b[column] : b[column] - a[column]))
+        .map(row => row.scheme_code);
+      const byPercentile = percentiles
+        .filter(p => p.metric === metric)
+        .sort((a, b) => b.percentile - a.percentile)
+        .map(p => p.schemeCode);
+
+      expect(byPercentile).toEqual(ranked);
+    }
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Fund Comparison Tests
+ * 
+ * Tests for NAV series alignment, rebasing and return correlations.
+ */
+
+import {
+  alignNavSeries,
+  rebaseNavSeries,
+  calculateCorrelation,
+  calculateCorrelationMatrix,
+} from '../src/services/compareService.js';
+
+describe('alignNavSeries', () => {
+  it('should keep only dates present in every series within the range', () => {
+    const aligned = alignNavSeries({
+      A: [
+        { date: '2024-01-01', nav: '10' },
+        { date: '2024-01-02', nav: '11' },
+        { date: '2024-01-03', nav: '12' },
+        { date: '2024-01-05', nav: '13' },
+      ],
+      B: [
+        { date: '2024-01-02', nav: '50' },
+        { date: '2024-01-03', nav: '55' },
+        { date: '2024-01-04', nav: '60' },
+        { date: '2024-01-05', nav: '65' },
+      ],
+    }, '2024-01-01', '2024-01-04');
+
+    expect(aligned.dates).toEqual(['2024-01-02', '2024-01-03']);
+    expect(aligned.navs).toEqual({ A: [11, 12], B: [50, 55] });
+  });
+});
+
+describe('rebaseNavSeries', () => {
+  it('should start every series at 100', () => {
+    const points = rebaseNavSeries({
+      dates: ['2024-01-02', '2024-01-03'],
+      navs: { A: [20, 25], B: [50, 45] },
+    });
+
+    expect(points[0]).toEqual({ date: '2024-01-02', values: { A: 100, B: 100 } });
+    expect(points[1].values.A).toBeCloseTo(125, 10);
+    expect(points[1].values.B).toBeCloseTo(90, 10);
+  });
+});
+
+describe('calculateCorrelation', () => {
+  it('should be 1 for proportional series and -1 for opposite ones', () => {
+    expect(calculateCorrelation([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1, 10);
+    expect(calculateCorrelation([1, 2, 3, 4], [4, 3, 2, 1])).toBeCloseTo(-1, 10);
+  });
+
+  it('should return null when a series is flat', () => {
+    expect(calculateCorrelation([1, 1, 1], [1, 2, 3])).toBeNull();
+  });
+});
+
+describe('calculateCorrelationMatrix', () => {
+  it('should build a symmetric matrix of daily return correlations', () => {
+    const { fundCodes, matrix, observations } = calculateCorrelationMatrix({
+      dates: ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'],
+      navs: {
+        A: [100, 102, 101, 104, 103],
+        // Same daily moves as A at a different NAV level
+        B: [50, 51, 50.5, 52, 51.5],
+        // Moves against A
+        C: [100, 98, 99, 96, 97],
+      },
+    });
+
+    expect(fundCodes).toEqual(['A', 'B', 'C']);
+    expect(observations).toBe(4);
+    expect(matrix[0][0]).toBe(1);
+    expect(matrix[0][1]).toBeCloseTo(1, 6);
+    expect(matrix[0][2]).toBeLessThan(-0.9);
+    expect(matrix[2][0]).toBe(matrix[0][2]);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Consistency Ranking Tests
+ *
+ * Tests for per-period category ranks and the cross-period consistency summary.
+ */
+
+import {
+  rankPeriod,
+  buildConsistencyPeriods,
+  calculateConsistency,
+} from '../src/services/consistencyService.js';
+
+describe('rankPeriod', () => {
+  it('should rank highest first with ties sharing the best rank', () => {
+    const ranked = rankPeriod([
+      { schemeCode: 'A', value: 0.1 },
+      { schemeCode: 'B', value: 0.3 },
+      { schemeCode: 'C', value: 0.1 },
+      { schemeCode: 'D', value: 0.2 },
+    ]);
+
+    expect(ranked.map(r => [r.schemeCode, r.rank, r.quartile])).toEqual([
+      ['A', 3, 3],
+      ['B', 1, 1],
+      ['C', 3, 3],
+      ['D', 2, 2],
+    ]);
+    expect(ranked[0].of).toBe(4);
+  });
+});
+
+describe('buildConsistencyPeriods', () => {
+  it('should group by category and order windows before calendar years', () => {
+    const fund = (code, category) => ({ scheme_code: code, scheme_name: `Fund ${code}`, amc: 'AMC', category });
+
+    const { periods, funds } = buildConsistencyPeriods(
+      [
+        { ...fund('A', 'Mid Cap'), window_type: '5Y', rolling_return_median: '0.15' },
+        { ...fund('A', 'Mid Cap'), window_type: '1Y', rolling_return_median: '0.20' },
+        { ...fund('B', 'Mid Cap'), window_type: '1Y', rolling_return_median: null },
+      ],
+      [
+        { ...fund('A', 'Mid Cap'), period: '2022', return_value: '-0.05' },
+        { ...fund('A', 'Mid Cap'), period: '2021', return_value: '0.40' },
+        { ...fund('C', 'Small Cap'), period: '2021', return_value: '0.60' },
+      ]
+    );
+
+    expect(periods.map(p => `${p.category} ${p.period}`)).toEqual([
+      'Mid Cap 1Y', 'Mid Cap 5Y', 'Mid Cap 2021', 'Small Cap 2021', 'Mid Cap 2022',
+    ]);
+    expect(periods[0].entries).toEqual([{ schemeCode: 'A', value: 0.2 }]);
+    expect(funds.has('B')).toBe(false);
+    expect(funds.get('C')).toEqual({ schemeName: 'Fund C', amc: 'AMC', category: 'Small Cap' });
+  });
+});
+
+describe('calculateConsistency', () => {
+  // A is second every period; B alternates between first and last
+  const periods = ['1Y', '3Y', '2021', '2022'].map((period, i) => ({
+    category: 'Mid Cap',
+    type: period.endsWith('Y') ? 'window' : 'calendar_year',
+    period,
+    entries: [
+      { schemeCode: 'A', value: 0.2 },
+      { schemeCode: 'B', value: i % 2 === 0 ? 0.3 : 0.0 },
+      { schemeCode: 'C', value: 0.1 },
+      { schemeCode: 'D', value: i % 2 === 0 ? 0.0 : 0.3 },
+    ],
+  }));
+
+  it('should summarize average rank, worst rank and top-quartile share', () => {
+    const { funds } = calculateConsistency(periods, 3);
+    const a = funds.find(f => f.schemeCode === 'A');
+    const b = funds.find(f => f.schemeCode === 'B');
+
+    expect(a).toMatchObject({ averageRank: 2, worstRank: 2, topQuartileShare: 0 });
+    expect(b).toMatchObject({ averageRank: 2.5, worstRank: 4, topQuartileShare: 0.5 });
+    expect(a.periods[2]).toEqual({ type: 'calendar_year', period: '2021', value: 0.2, rank: 2, of: 4, quartile: 2 });
+  });
+
+  it('should order by top-quartile share, then average and worst rank', () => {
+    const { funds } = calculateConsistency(periods, 3);
+
+    expect(funds.map(f => f.schemeCode)).toEqual(['B', 'D', 'A', 'C']);
+  });
+
+  it('should exclude funds ranked in too few periods', () => {
+    const { funds, excluded } = calculateConsistency(periods.slice(0, 2), 3);
+
+    expect(funds).toEqual([]);
+    expect(excluded).toEqual(['A', 'B', 'C', 'D']);
+  });
+});
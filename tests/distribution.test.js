@@ -0,0 +1,73 @@
+/**
+ * Return Distribution Tests
+ *
+ * Tests for histograms, down-sampling and the distribution shape summary.
+ */
+
+import {
+  calculateHistogram,
+  downsampleSeries,
+  calculateReturnDistribution,
+} from '../src/services/distributionService.js';
+
+describe('calculateHistogram', () => {
+  it('should split the range into equal buckets including the maximum', () => {
+    const histogram = calculateHistogram([0, 1, 2, 3, 4, 5, 6, 7, 8, 10], { buckets: 5 });
+
+    expect(histogram.map(b => b.count)).toEqual([2, 2, 2, 2, 2]);
+    expect(histogram[0]).toMatchObject({ from: 0, to: 2, share: 0.2 });
+    expect(histogram[4].to).toBe(10);
+  });
+
+  it('should align fixed-width buckets to multiples of the width', () => {
+    const histogram = calculateHistogram([-0.07, -0.01, 0, 0.04, 0.12], { bucketWidth: 0.05 });
+
+    expect(histogram.map(b => [Math.round(b.from * 100), b.count])).toEqual([
+      [-10, 1],
+      [-5, 1],
+      [0, 2],
+      [5, 0],
+      [10, 1],
+    ]);
+  });
+
+  it('should use one bucket when all values are equal', () => {
+    expect(calculateHistogram([0.1, 0.1, 0.1], { buckets: 10 })).toEqual([
+      { from: 0.1, to: 1.1, count: 3, share: 1 },
+    ]);
+  });
+});
+
+describe('downsampleSeries', () => {
+  it('should keep the first and last points and space the rest evenly', () => {
+    const series = Array.from({ length: 101 }, (_, i) => i);
+
+    expect(downsampleSeries(series, 5)).toEqual([0, 25, 50, 75, 100]);
+    expect(downsampleSeries(series, null)).toBe(series);
+    expect(downsampleSeries(series, 500)).toBe(series);
+  });
+});
+
+describe('calculateReturnDistribution', () => {
+  it('should report negative share and a right skew', () => {
+    const returns = [-0.05, -0.02, 0.01, 0.02, 0.03, 0.04, 0.05, 0.40];
+
+    const distribution = calculateReturnDistribution(returns, { buckets: 4 });
+
+    expect(distribution.count).toBe(8);
+    expect(distribution.negativeShare).toBe(0.25);
+    expect(distribution.skewness).toBeGreaterThan(1);
+    expect(distribution.excessKurtosis).toBeGreaterThan(0);
+    expect(distribution.percentiles.min).toBe(-0.05);
+    expect(distribution.percentiles.max).toBe(0.40);
+    expect(distribution.histogram.reduce((sum, b) => sum + b.count, 0)).toBe(8);
+  });
+
+  it('should give zero skewness for a symmetric distribution', () => {
+    const distribution = calculateReturnDistribution([-0.2, -0.1, 0, 0.1, 0.2]);
+
+    expect(distribution.skewness).toBeCloseTo(0, 10);
+    expect(distribution.mean).toBeCloseTo(0, 10);
+    expect(distribution.percentiles.median).toBe(0);
+  });
+});
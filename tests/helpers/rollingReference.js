@@ -0,0 +1,111 @@
+/**
+ * Rolling Return Reference Helpers
+ * 
+ * The original Map + day-offset search implementations of rolling returns
+ * and CAGRs, kept as a reference for equivalence tests and benchmarks of the
+ * linear-time engine in analyticsService, plus a synthetic NAV series generator.
+ */
+
+import { calculateReturn, calculateCAGR } from '../../src/services/analyticsService.js';
+
+/**
+ * Finds the NAV dated windowDays before navHistory[i] (within 5 days forward)
+ * using the original Date-per-offset search
+ */
+function findPastNav(navByDate, date, windowDays) {
+  const pastDate = new Date(date);
+  pastDate.setDate(pastDate.getDate() - windowDays);
+
+  for (let offset = 0; offset <= 5; offset++) {
+    const checkDate = new Date(pastDate);
+    checkDate.setDate(checkDate.getDate() + offset);
+    const dateStr = checkDate.toISOString().split('T')[0];
+
+    if (navByDate.has(dateStr)) {
+      return navByDate.get(dateStr);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Original rolling return implementation
+ */
+export function referenceRollingReturns(navHistory, windowDays) {
+  const navByDate = new Map(navHistory.map(nav => [nav.date, nav.nav]));
+  const returns = [];
+
+  for (const point of navHistory) {
+    const pastNav = findPastNav(navByDate, point.date, windowDays);
+    if (pastNav !== null) {
+      const returnValue = calculateReturn(pastNav, point.nav);
+      if (returnValue !== null) returns.push(returnValue);
+    }
+  }
+
+  return returns;
+}
+
+/**
+ * Original rolling CAGR implementation
+ */
+export function referenceRollingCAGRs(navHistory, windowYears) {
+  const navByDate = new Map(navHistory.map(nav => [nav.date, nav.nav]));
+  const cagrs = [];
+
+  for (const point of navHistory) {
+    const pastNav = findPastNav(navByDate, point.date, windowYears * 365);
+    if (pastNav !== null) {
+      const cagr = calculateCAGR(pastNav, point.nav, windowYears);
+      if (cagr !== null) cagrs.push(cagr);
+    }
+  }
+
+  return cagrs;
+}
+
+/**
+ * Generates a deterministic business-day NAV series with random market holidays
+ * and occasional multi-day gaps (longer than the 5-day lookup tolerance).
+ * 
+ * @param {number} years - Length of the series in years
+ * @param {number} seed - Seed for the pseudo-random generator
+ * @returns {Array} Array of {date, nav} objects with NAVs as DECIMAL-style strings
+ */
+export function generateNavSeries(years, seed = 42) {
+  // mulberry32
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const series = [];
+  const day = new Date(Date.UTC(2004, 0, 1));
+  const end = new Date(Date.UTC(2004 + years, 0, 1));
+  let nav = 10;
+
+  while (day < end) {
+    const weekday = day.getUTCDay();
+    const roll = random();
+
+    if (roll < 0.002) {
+      // Data outage: skip a week and a half
+      day.setUTCDate(day.getUTCDate() + 10);
+      continue;
+    }
+
+    if (weekday !== 0 && weekday !== 6 && roll > 0.04) {
+      nav *= 1 + (random() - 0.48) * 0.03;
+      series.push({ date: day.toISOString().slice(0, 10), nav: nav.toFixed(4) });
+    }
+
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  return series;
+}
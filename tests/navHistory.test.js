@@ -0,0 +1,87 @@
+/**
+ * NAV History Tests
+ *
+ * Tests for period-end resampling, holiday forward-filling and rebasing
+ * of NAV series.
+ */
+
+import { samplePeriodEnds, forwardFillWeekdays } from '../src/utils/navSeries.js';
+import { transformNavSeries } from '../src/services/navHistoryService.js';
+
+describe('samplePeriodEnds', () => {
+  const series = [
+    { date: '2024-01-29', rollingReturn: 0.1 }, // Monday
+    { date: '2024-01-31', rollingReturn: 0.2 },
+    { date: '2024-02-02', rollingReturn: 0.3 }, // Friday, same week
+    { date: '2024-02-05', rollingReturn: 0.4 }, // Next Monday
+    { date: '2024-02-29', rollingReturn: 0.5 },
+  ];
+
+  it('should keep every point for daily', () => {
+    expect(samplePeriodEnds(series, 'daily')).toBe(series);
+  });
+
+  it('should keep the last point of each Monday-Sunday week', () => {
+    expect(samplePeriodEnds(series, 'weekly').map(p => p.date)).toEqual(['2024-02-02', '2024-02-05', '2024-02-29']);
+  });
+
+  it('should keep the last point of each month', () => {
+    expect(samplePeriodEnds(series, 'monthly').map(p => p.date)).toEqual(['2024-01-31', '2024-02-29']);
+  });
+});
+
+describe('forwardFillWeekdays', () => {
+  it('should fill weekday holidays but not weekends', () => {
+    const filled = forwardFillWeekdays([
+      { date: '2024-03-22', nav: '10.0000' }, // Friday
+      { date: '2024-03-26', nav: '11.0000' }, // Monday 25th was a holiday
+    ]);
+
+    expect(filled).toEqual([
+      { date: '2024-03-22', nav: '10.0000' },
+      { date: '2024-03-25', nav: '10.0000', filled: true },
+      { date: '2024-03-26', nav: '11.0000' },
+    ]);
+  });
+
+  it('should return an empty series unchanged', () => {
+    expect(forwardFillWeekdays([])).toEqual([]);
+  });
+});
+
+describe('transformNavSeries', () => {
+  const navHistory = [
+    { date: '2024-01-30', nav: '50.0000' },
+    { date: '2024-02-01', nav: '52.0000' }, // 31st Jan missing
+    { date: '2024-02-28', nav: '55.0000' },
+    { date: '2024-03-01', nav: '60.0000' },
+  ];
+
+  it('should rebase to the first NAV in the range', () => {
+    const series = transformNavSeries(navHistory, { rebase: 100 });
+
+    [100, 104, 110, 120].forEach((value, i) => expect(series[i].rebasedNav).toBeCloseTo(value, 10));
+    expect(series[0]).toEqual({ date: '2024-01-30', nav: 50, rebasedNav: 100, filled: false });
+  });
+
+  it('should use period-end NAVs for monthly frequency', () => {
+    const series = transformNavSeries(navHistory, { frequency: 'monthly' });
+
+    expect(series.map(p => [p.date, p.nav])).toEqual([
+      ['2024-01-30', 50],
+      ['2024-02-28', 55],
+      ['2024-03-01', 60],
+    ]);
+  });
+
+  it('should end a month on its last weekday when forward-filling', () => {
+    const series = transformNavSeries(navHistory, { frequency: 'monthly', forwardFill: true, rebase: 100 });
+
+    expect(series.map(p => [p.date, p.nav, p.filled])).toEqual([
+      ['2024-01-31', 50, true],
+      ['2024-02-29', 55, true],
+      ['2024-03-01', 60, false],
+    ]);
+    expect(series[0].rebasedNav).toBe(100);
+  });
+});
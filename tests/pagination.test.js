@@ -0,0 +1,142 @@
+/**
+ * Pagination Tests
+ *
+ * Tests for the list query conventions: sort, fields and limit parsing,
+ * keyset cursors and their SQL seek conditions, and positional cursors.
+ */
+
+import {
+  parseSort,
+  parseFields,
+  parseListQuery,
+  buildKeysetClause,
+  toKeysetPage,
+  paginateItems,
+  encodeOffsetCursor,
+  parseOffsetCursor,
+  selectFields,
+} from '../src/utils/pagination.js';
+
+const SPEC = {
+  sortFields: ['scheme_code', 'amc', 'scheme_name'],
+  defaultSort: 'amc',
+  key: 'scheme_code',
+  fields: ['scheme_code', 'amc', 'scheme_name'],
+  defaultLimit: 2,
+  maxLimit: 10,
+};
+
+describe('parseSort', () => {
+  it('should append the key field as the final tie-breaker', () => {
+    const options = { fields: SPEC.sortFields, defaultSort: 'amc', key: 'scheme_code' };
+
+    expect(parseSort('-amc', options).sort).toEqual([
+      { field: 'amc', descending: true },
+      { field: 'scheme_code', descending: false },
+    ]);
+    expect(parseSort('-scheme_code', options).sort).toEqual([{ field: 'scheme_code', descending: true }]);
+    expect(parseSort(undefined, options).sort[0]).toEqual({ field: 'amc', descending: false });
+  });
+
+  it('should reject unknown and repeated fields', () => {
+    const options = { fields: SPEC.sortFields, defaultSort: 'amc', key: 'scheme_code' };
+
+    expect(parseSort('nav', options).error).toMatch(/Invalid sort field 'nav'/);
+    expect(parseSort('amc,-amc', options).error).toBe('Sort field \'amc\' is repeated');
+  });
+});
+
+describe('parseFields', () => {
+  it('should return null for all fields and reject unknown ones', () => {
+    expect(parseFields(undefined, SPEC.fields).fields).toBeNull();
+    expect(parseFields('amc, scheme_code,amc', SPEC.fields).fields).toEqual(['amc', 'scheme_code']);
+    expect(parseFields('amc,nav', SPEC.fields).error).toMatch(/Invalid fields: nav/);
+  });
+});
+
+describe('buildKeysetClause', () => {
+  it('should expand the seek condition with per-column directions', () => {
+    const sort = [
+      { field: 'amc', descending: true },
+      { field: 'scheme_code', descending: false },
+    ];
+    const clause = buildKeysetClause(sort, ['HDFC', '100'], { amc: 'amc', scheme_code: 'scheme_code' });
+
+    expect(clause.orderBy).toBe('amc DESC, scheme_code ASC');
+    expect(clause.where).toBe('((amc < ?) OR (amc = ? AND scheme_code > ?))');
+    expect(clause.params).toEqual(['HDFC', 'HDFC', '100']);
+  });
+
+  it('should omit the condition on the first page', () => {
+    const clause = buildKeysetClause([{ field: 'amc', descending: false }], null, { amc: 'amc' });
+
+    expect(clause.where).toBeNull();
+    expect(clause.params).toEqual([]);
+  });
+});
+
+describe('keyset cursors', () => {
+  const funds = [
+    { scheme_code: '3', amc: 'SBI', scheme_name: 'C' },
+    { scheme_code: '1', amc: 'HDFC', scheme_name: 'A' },
+    { scheme_code: '4', amc: 'HDFC', scheme_name: 'D' },
+    { scheme_code: '2', amc: 'Axis', scheme_name: 'B' },
+    { scheme_code: '5', amc: null, scheme_name: 'E' },
+  ];
+
+  it('should walk an in-memory list page by page without gaps or repeats', () => {
+    const seen = [];
+    let query = { sort: 'amc' };
+
+    for (;;) {
+      const list = parseListQuery(query, SPEC);
+      const page = paginateItems(funds, list);
+
+      expect(page.total).toBe(5);
+      seen.push(...page.rows.map(fund => fund.scheme_code));
+      if (!page.hasMore) break;
+      query = { sort: 'amc', cursor: page.nextCursor };
+    }
+
+    expect(seen).toEqual(['5', '2', '1', '4', '3']);
+  });
+
+  it('should reject a cursor used with a different sort', () => {
+    const first = paginateItems(funds, parseListQuery({ sort: 'amc' }, SPEC));
+
+    expect(parseListQuery({ sort: '-amc', cursor: first.nextCursor }, SPEC).error)
+      .toBe('cursor is invalid or was issued for a different sort');
+    expect(parseListQuery({ cursor: 'not-a-cursor' }, SPEC).error).toBeDefined();
+  });
+
+  it('should read cursor values from renamed row properties', () => {
+    const list = parseListQuery({ sort: 'amc', limit: '1' }, SPEC);
+    const page = toKeysetPage([{ code: '1', amc: 'HDFC' }, { code: '2', amc: 'SBI' }], list, { scheme_code: 'code' });
+
+    expect(parseListQuery({ sort: 'amc', cursor: page.nextCursor }, SPEC).after).toEqual(['HDFC', '1']);
+  });
+
+  it('should validate the limit', () => {
+    expect(parseListQuery({}, SPEC).limit).toBe(2);
+    expect(parseListQuery({ limit: '11' }, SPEC).error).toBe('limit must be an integer between 1 and 10');
+    expect(parseListQuery({ limit: '1.5' }, SPEC).error).toBeDefined();
+  });
+});
+
+describe('positional cursors', () => {
+  it('should round-trip the offset for the same scope only', () => {
+    const cursor = encodeOffsetCursor(['rank', 'Mid Cap', 'median_return'], 25);
+
+    expect(parseOffsetCursor(cursor, ['rank', 'Mid Cap', 'median_return'])).toEqual({ offset: 25 });
+    expect(parseOffsetCursor(cursor, ['rank', 'Small Cap', 'median_return']).error)
+      .toBe('cursor is invalid or was issued for a different query');
+    expect(parseOffsetCursor(undefined, [])).toEqual({ offset: 0 });
+  });
+});
+
+describe('selectFields', () => {
+  it('should keep the requested fields in order', () => {
+    expect(selectFields({ a: 1, b: 2, c: 3 }, ['c', 'a'])).toEqual({ c: 3, a: 1 });
+    expect(selectFields({ a: 1 }, null)).toEqual({ a: 1 });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Portfolio Tests
+ * 
+ * Tests for portfolio validation, NAV synthesis with rebalancing
+ * and per-fund return/risk contributions.
+ */
+
+import {
+  validatePortfolio,
+  getRebalancePeriod,
+  synthesizePortfolioNav,
+  calculateContributions,
+} from '../src/services/portfolioService.js';
+
+describe('validatePortfolio', () => {
+  const holdings = [
+    { scheme_code: '100', weight: 0.6 },
+    { scheme_code: '200', weight: 0.4 },
+  ];
+
+  it('should accept a valid portfolio and default to quarterly rebalancing', () => {
+    const { portfolio, errors } = validatePortfolio({ name: ' Balanced ', holdings });
+
+    expect(errors).toBeUndefined();
+    expect(portfolio).toEqual({
+      name: 'Balanced',
+      description: null,
+      rebalanceFrequency: 'quarterly',
+      holdings: [
+        { schemeCode: '100', weight: 0.6 },
+        { schemeCode: '200', weight: 0.4 },
+      ],
+    });
+  });
+
+  it('should reject weights that do not sum to 1', () => {
+    const { errors } = validatePortfolio({
+      name: 'Off',
+      holdings: [{ scheme_code: '100', weight: 0.5 }, { scheme_code: '200', weight: 0.4 }],
+    });
+
+    expect(errors).toEqual(['weights must sum to 1 (got 0.9)']);
+  });
+
+  it('should report missing names, unknown frequencies and duplicate funds', () => {
+    const { errors } = validatePortfolio({
+      rebalance_frequency: 'weekly',
+      holdings: [{ scheme_code: '100', weight: 0.5 }, { scheme_code: '100', weight: 0.5 }],
+    });
+
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toMatch(/name/);
+    expect(errors[1]).toMatch(/rebalance_frequency/);
+    expect(errors[2]).toBe('duplicate holding: 100');
+  });
+});
+
+describe('getRebalancePeriod', () => {
+  it('should group dates by calendar period', () => {
+    expect(getRebalancePeriod('2024-03-28', 3)).toBe(getRebalancePeriod('2024-01-02', 3));
+    expect(getRebalancePeriod('2024-04-01', 3)).not.toBe(getRebalancePeriod('2024-03-28', 3));
+    expect(getRebalancePeriod('2024-12-31', 12)).not.toBe(getRebalancePeriod('2025-01-01', 12));
+  });
+});
+
+describe('synthesizePortfolioNav', () => {
+  // Fund A doubles in January then is flat; fund B is flat
+  const aligned = {
+    dates: ['2024-01-01', '2024-01-31', '2024-02-01', '2024-02-29'],
+    navs: { A: [10, 20, 20, 22], B: [50, 50, 50, 50] },
+  };
+  const weights = { A: 0.5, B: 0.5 };
+
+  it('should let weights drift when buying and holding', () => {
+    const { navHistory } = synthesizePortfolioNav(aligned, weights, 'none');
+
+    expect(navHistory.map(p => p.nav)).toEqual([100, 150, 150, expect.closeTo(160, 10)]);
+  });
+
+  it('should reset to target weights at the start of each period', () => {
+    const { navHistory, units } = synthesizePortfolioNav(aligned, weights, 'monthly');
+
+    // Rebalanced on 2024-02-01 at 75/75, so A's 10% gain adds 7.5
+    expect(navHistory[3].nav).toBeCloseTo(157.5, 10);
+    expect(units[2].A * 20).toBeCloseTo(75, 10);
+    expect(units[2].B * 50).toBeCloseTo(75, 10);
+  });
+});
+
+describe('calculateContributions', () => {
+  const aligned = {
+    dates: ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'],
+    navs: { A: [100, 102, 101, 104, 103], B: [50, 50.5, 50.2, 50.4, 50.9] },
+  };
+  const weights = { A: 0.7, B: 0.3 };
+
+  it('should split return and volatility across funds', () => {
+    const synthesized = synthesizePortfolioNav(aligned, weights, 'none');
+    const result = calculateContributions(aligned, synthesized, weights, 0, 252);
+
+    const returnSum = result.holdings.reduce((sum, h) => sum + h.returnContribution, 0);
+    const riskSum = result.holdings.reduce((sum, h) => sum + h.riskContribution, 0);
+    const shareSum = result.holdings.reduce((sum, h) => sum + h.riskShare, 0);
+    const endWeightSum = result.holdings.reduce((sum, h) => sum + h.endWeight, 0);
+
+    expect(returnSum).toBeCloseTo(result.totalReturn, 10);
+    expect(riskSum).toBeCloseTo(result.volatility, 10);
+    expect(shareSum).toBeCloseTo(1, 10);
+    expect(endWeightSum).toBeCloseTo(1, 10);
+    // A gained 3% at 70%: 2.1% of the portfolio
+    expect(result.holdings[0].returnContribution).toBeCloseTo(0.021, 10);
+  });
+});
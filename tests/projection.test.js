@@ -0,0 +1,116 @@
+/**
+ * Projection Tests
+ *
+ * Tests for the seeded RNG, month-end returns, block bootstrap
+ * and the Monte Carlo SIP goal projection.
+ */
+
+import { createRandom } from '../src/utils/random.js';
+import {
+  calculateMonthlyReturns,
+  blockBootstrap,
+  simulateGoal,
+} from '../src/services/projectionService.js';
+
+describe('createRandom', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const c = createRandom(43);
+
+    const seqA = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(seqA);
+    expect(Array.from({ length: 5 }, c)).not.toEqual(seqA);
+  });
+
+  it('should return numbers in [0, 1)', () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe('calculateMonthlyReturns', () => {
+  it('should use the last NAV of each month and drop the current month', () => {
+    const returns = calculateMonthlyReturns([
+      { date: '2024-01-02', nav: '90' },
+      { date: '2024-01-31', nav: '100' },
+      { date: '2024-02-15', nav: '104' },
+      { date: '2024-02-29', nav: '110' },
+      { date: '2024-03-28', nav: '99' },
+      { date: '2024-04-03', nav: '120' },
+    ]);
+
+    expect(returns).toHaveLength(2);
+    expect(returns[0]).toBeCloseTo(0.10, 10);
+    expect(returns[1]).toBeCloseTo(-0.10, 10);
+  });
+});
+
+describe('blockBootstrap', () => {
+  it('should draw consecutive returns, wrapping around the history', () => {
+    const returns = [0, 1, 2, 3, 4];
+    // Always start at the last return
+    const sequence = blockBootstrap(returns, 7, 3, () => 0.99);
+
+    expect(sequence).toEqual([4, 0, 1, 4, 0, 1, 4]);
+  });
+});
+
+describe('simulateGoal', () => {
+  const history = Array.from({ length: 60 }, (_, i) => (i % 3 === 0 ? -0.02 : 0.02));
+  const options = { simulations: 500, blockMonths: 12, seed: 2024 };
+
+  it('should be reproducible with a seed', () => {
+    const plan = { monthlyAmount: 10000, months: 60, target: 700000 };
+
+    expect(simulateGoal(history, plan, options)).toEqual(simulateGoal(history, plan, options));
+    expect(simulateGoal(history, plan, { ...options, seed: 1 }))
+      .not.toEqual(simulateGoal(history, plan, options));
+  });
+
+  it('should report year-end and final percentiles in order', () => {
+    const result = simulateGoal(history, { monthlyAmount: 1000, months: 30, target: 1 }, options);
+
+    expect(result.path.map(p => p.month)).toEqual([12, 24, 30]);
+    expect(result.path.map(p => p.invested)).toEqual([12000, 24000, 30000]);
+    for (const point of result.path) {
+      expect(point.p10).toBeLessThanOrEqual(point.p50);
+      expect(point.p50).toBeLessThanOrEqual(point.p90);
+    }
+    expect(result.final).toBe(result.path[2]);
+    expect(result.probability).toBe(1);
+  });
+
+  it('should compound a constant return exactly', () => {
+    const flat = Array.from({ length: 36 }, () => 0.01);
+    const result = simulateGoal(flat, {
+      monthlyAmount: 100,
+      months: 12,
+      target: 1300,
+      initialAmount: 1000,
+    }, options);
+
+    // Lump sum grows 12 months; installment k grows (13 - k) months
+    let expected = 1000 * Math.pow(1.01, 12);
+    for (let k = 1; k <= 12; k++) expected += 100 * Math.pow(1.01, 13 - k);
+
+    expect(result.final.p10).toBeCloseTo(expected, 6);
+    expect(result.final.p90).toBeCloseTo(expected, 6);
+    expect(result.totalInvested).toBe(2200);
+    expect(result.probability).toBe(1);
+  });
+
+  it('should estimate the probability of reaching the target', () => {
+    const plan = { monthlyAmount: 10000, months: 60 };
+    const { final } = simulateGoal(history, { ...plan, target: 1 }, options);
+
+    const atMedian = simulateGoal(history, { ...plan, target: final.p50 }, options);
+    expect(atMedian.probability).toBeGreaterThan(0.4);
+    expect(atMedian.probability).toBeLessThan(0.6);
+    expect(simulateGoal(history, { ...plan, target: final.p90 * 10 }, options).probability).toBe(0);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Point Returns Tests
+ * 
+ * Tests for trailing and calendar-year returns.
+ */
+
+import {
+  calculateTrailingReturns,
+  calculateCalendarYearReturns,
+} from '../src/services/returnsService.js';
+
+describe('calculateTrailingReturns', () => {
+  const navHistory = [
+    { date: '2019-06-28', nav: '50.0000' },
+    { date: '2021-06-28', nav: '72.0000' },
+    { date: '2023-06-28', nav: '80.0000' },
+    { date: '2023-12-29', nav: '90.0000' },
+    { date: '2024-03-28', nav: '95.0000' },
+    { date: '2024-05-31', nav: '99.0000' },
+    { date: '2024-06-28', nav: '100.0000' },
+  ];
+
+  const byPeriod = Object.fromEntries(
+    calculateTrailingReturns(navHistory).map(r => [r.period, r])
+  );
+
+  it('should use the last NAV on or before the period start', () => {
+    // 1M: 2024-05-28 → last NAV on/before is 2024-03-28
+    expect(byPeriod['1M'].startDate).toBe('2024-03-28');
+    expect(byPeriod['1M'].returnValue).toBeCloseTo(100 / 95 - 1, 8);
+  });
+
+  it('should compute YTD from the previous year-end NAV', () => {
+    expect(byPeriod.YTD.startDate).toBe('2023-12-29');
+    expect(byPeriod.YTD.returnValue).toBeCloseTo(100 / 90 - 1, 8);
+  });
+
+  it('should report simple return for 1Y and annualize 3Y/5Y', () => {
+    expect(byPeriod['1Y'].returnValue).toBeCloseTo(0.25, 8);
+    expect(byPeriod['1Y'].isAnnualized).toBe(false);
+
+    // 3Y: 72 → 100 over 3 years
+    expect(byPeriod['3Y'].returnValue).toBeCloseTo(Math.pow(100 / 72, 1 / 3) - 1, 8);
+    expect(byPeriod['3Y'].isAnnualized).toBe(true);
+  });
+
+  it('should return null for periods longer than the history', () => {
+    // 5Y start 2019-06-28 is exactly the first NAV → available
+    expect(byPeriod['5Y'].returnValue).toBeCloseTo(Math.pow(2, 1 / 5) - 1, 8);
+
+    const short = calculateTrailingReturns(navHistory.slice(3));
+    const fiveYear = short.find(r => r.period === '5Y');
+    expect(fiveYear.returnValue).toBeNull();
+  });
+});
+
+describe('calculateCalendarYearReturns', () => {
+  it('should chain year-end NAVs and flag partial years', () => {
+    const navHistory = [
+      { date: '2021-03-15', nav: 10 },
+      { date: '2021-12-31', nav: 12 },
+      { date: '2022-12-30', nav: 9 },
+      { date: '2023-06-30', nav: 11 },
+      { date: '2023-12-29', nav: 13.5 },
+      { date: '2024-02-15', nav: 15 },
+    ];
+
+    const result = calculateCalendarYearReturns(navHistory);
+
+    expect(result.map(r => r.year)).toEqual([2021, 2022, 2023, 2024]);
+    expect(result[0].returnValue).toBeCloseTo(0.2, 8);
+    expect(result[0].isPartial).toBe(true);
+    expect(result[1].returnValue).toBeCloseTo(-0.25, 8);
+    expect(result[1].isPartial).toBe(false);
+    expect(result[2].returnValue).toBeCloseTo(0.5, 8);
+    expect(result[3].returnValue).toBeCloseTo(15 / 13.5 - 1, 8);
+    expect(result[3].isPartial).toBe(true);
+  });
+});
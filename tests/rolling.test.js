@@ -0,0 +1,25 @@
+/**
+ * Rolling Series Tests
+ *
+ * Tests for the category median overlay of the rolling-return series.
+ */
+
+import { calculateMedianSeries } from '../src/services/rollingService.js';
+
+describe('calculateMedianSeries', () => {
+  const point = (rollingReturn, cagr) => ({ rollingReturn, cagr });
+
+  it('should take the median of funds with a value on each date', () => {
+    const seriesMaps = [
+      new Map([['2024-01-01', point(0.1, 0.05)], ['2024-01-02', point(0.2, 0.06)]]),
+      new Map([['2024-01-01', point(0.3, null)], ['2024-01-02', point(0.4, 0.08)]]),
+      new Map([['2024-01-02', point(0.9, 0.10)]]),
+    ];
+
+    const medians = calculateMedianSeries(seriesMaps, ['2024-01-01', '2024-01-02', '2024-01-03']);
+
+    expect(medians[0]).toEqual({ date: '2024-01-01', rollingReturn: 0.2, cagr: 0.05, funds: 2 });
+    expect(medians[1]).toEqual({ date: '2024-01-02', rollingReturn: 0.4, cagr: 0.08, funds: 3 });
+    expect(medians[2]).toEqual({ date: '2024-01-03', rollingReturn: null, cagr: null, funds: 0 });
+  });
+});
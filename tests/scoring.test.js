@@ -0,0 +1,119 @@
+/**
+ * Scoring Tests
+ *
+ * Tests for scoring profile validation, metric normalization and
+ * composite scores.
+ */
+
+import {
+  validateScoringProfile,
+  normalizeMetric,
+  calculateProfileScores,
+} from '../src/services/scoringService.js';
+
+/**
+ * Builds an analytics row for a fund and window
+ */
+const row = (schemeCode, category, windowType, values) => ({
+  scheme_code: schemeCode,
+  scheme_name: `Fund ${schemeCode}`,
+  amc: 'AMC',
+  category,
+  window_type: windowType,
+  ...values,
+});
+
+describe('validateScoringProfile', () => {
+  it('should accept weights summing to 1 and canonicalize windows', () => {
+    const { profile } = validateScoringProfile({
+      name: 'steady',
+      metrics: [
+        { metric: 'max_drawdown', window: '3y', weight: 0.6 },
+        { metric: 'sharpe_ratio', window: '5Y', weight: 0.4 },
+      ],
+    });
+
+    expect(profile.normalization).toBe('zscore');
+    expect(profile.metrics[0]).toEqual({ metric: 'max_drawdown', window: '3Y', weight: 0.6 });
+  });
+
+  it('should reject unknown metrics, bad names and weights that do not sum to 1', () => {
+    expect(validateScoringProfile({
+      name: 'Bad Name',
+      metrics: [{ metric: 'alpha', window: '3Y', weight: 1 }],
+    }).errors).toHaveLength(2);
+
+    expect(validateScoringProfile({
+      name: 'partial',
+      metrics: [{ metric: 'volatility', window: '3Y', weight: 0.5 }],
+    }).errors).toEqual(['weights must sum to 1 (got 0.5)']);
+  });
+});
+
+describe('normalizeMetric', () => {
+  it('should invert z-scores for lower-is-better metrics', () => {
+    const entries = [
+      { schemeCode: 'A', value: -0.1 },
+      { schemeCode: 'B', value: -0.2 },
+      { schemeCode: 'C', value: -0.3 },
+    ];
+
+    const scores = normalizeMetric(entries, false, 'zscore');
+    expect(scores.get('A')).toBeCloseTo(1, 10);
+    expect(scores.get('B')).toBeCloseTo(0, 10);
+
+    expect(normalizeMetric(entries, true, 'zscore').get('A')).toBeCloseTo(-1, 10);
+    expect(normalizeMetric(entries, true, 'percentile').get('C')).toBeCloseTo(83.33, 2);
+  });
+
+  it('should give zero z-scores when there is no spread', () => {
+    const scores = normalizeMetric([{ schemeCode: 'A', value: 0.1 }], false, 'zscore');
+    expect(scores.get('A')).toBe(0);
+  });
+});
+
+describe('calculateProfileScores', () => {
+  const profile = {
+    normalization: 'zscore',
+    metrics: [
+      { metric: 'median_return', window: '3Y', weight: 0.5 },
+      { metric: 'max_drawdown', window: '5Y', weight: 0.5 },
+    ],
+  };
+
+  it('should normalize within each category and weight the metrics', () => {
+    const rows = [
+      row('A', 'Mid Cap', '3Y', { rolling_return_median: '0.20' }),
+      row('A', 'Mid Cap', '5Y', { max_drawdown: '-0.40' }),
+      row('B', 'Mid Cap', '3Y', { rolling_return_median: '0.10' }),
+      row('B', 'Mid Cap', '5Y', { max_drawdown: '-0.20' }),
+      row('C', 'Small Cap', '3Y', { rolling_return_median: '0.30' }),
+      row('C', 'Small Cap', '5Y', { max_drawdown: '-0.50' }),
+    ];
+
+    const { scores, unscored } = calculateProfileScores(rows, profile, 0.5);
+
+    // A's higher return and B's shallower drawdown cancel out within Mid Cap;
+    // C is alone in Small Cap
+    expect(scores.map(s => [s.schemeCode, s.score])).toEqual([['A', 0], ['B', 0], ['C', 0]]);
+    expect(scores[0].components[0]).toMatchObject({ metric: 'median_return', value: 0.2 });
+    expect(scores[0].components[0].normalized).toBeCloseTo(0.7071, 4);
+    expect(scores[0].components[1].normalized).toBeCloseTo(-0.7071, 4);
+    expect(unscored).toEqual([]);
+  });
+
+  it('should reweight over available metrics and leave low-coverage funds unscored', () => {
+    const rows = [
+      row('A', 'Mid Cap', '3Y', { rolling_return_median: '0.20' }),
+      row('B', 'Mid Cap', '3Y', { rolling_return_median: '0.10' }),
+      row('B', 'Mid Cap', '5Y', { max_drawdown: '-0.20' }),
+    ];
+
+    const { scores, unscored } = calculateProfileScores(rows, profile, 0.5);
+    expect(scores.map(s => s.schemeCode)).toEqual(['A', 'B']);
+    expect(scores[0].coverage).toBe(0.5);
+    expect(scores[0].score).toBeCloseTo(0.7071, 4);
+
+    expect(calculateProfileScores(rows, profile, 0.75).unscored).toEqual(['A']);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Fund Screening Tests
+ *
+ * Tests for the filter expression parser and its compilation to
+ * parameterized SQL.
+ */
+
+import { parseFilterExpression, listFilterFields } from '../src/utils/filterExpression.js';
+import { compileFilter, compileSort } from '../src/dao/screenDao.js';
+
+describe('parseFilterExpression', () => {
+  it('should give AND precedence over OR', () => {
+    const { tree } = parseFilterExpression('amc = \'HDFC\' OR amc = \'SBI\' AND cagr_median > 0.1');
+
+    expect(tree.type).toBe('or');
+    expect(tree.operands[1].type).toBe('and');
+  });
+
+  it('should parse IN, BETWEEN, LIKE, IS NULL and bare window labels', () => {
+    const { tree } = parseFilterExpression(
+      'window=3Y AND amc NOT IN (\'HDFC\', \'Kotak\'\'s\') AND volatility BETWEEN 0.1 AND 0.2 '
+      + 'AND scheme_name LIKE \'%Mid%\' AND beta IS NOT NULL'
+    );
+
+    expect(tree.operands).toEqual([
+      { type: 'compare', field: 'window', operator: '=', value: '3Y' },
+      { type: 'in', field: 'amc', negated: true, values: ['HDFC', 'Kotak\'s'] },
+      { type: 'between', field: 'volatility', negated: false, low: 0.1, high: 0.2 },
+      { type: 'like', field: 'scheme_name', negated: false, value: '%Mid%' },
+      { type: 'null', field: 'beta', negated: true },
+    ]);
+    expect(listFilterFields(tree)).toEqual(['window', 'amc', 'volatility', 'scheme_name', 'beta']);
+  });
+
+  it('should report syntax errors with their position', () => {
+    expect(parseFilterExpression('cagr_median > ').error).toBe('Expected a value but found end of expression');
+    expect(parseFilterExpression('amc = \'HDFC').error).toMatch(/Unterminated string/);
+    expect(parseFilterExpression('amc = 1; DROP TABLE funds').error).toBe('Unexpected character \';\' at position 8');
+    expect(parseFilterExpression('(amc = 1').error).toMatch(/Expected '\)'/);
+  });
+});
+
+describe('compileFilter', () => {
+  it('should bind every value as a parameter', () => {
+    const { tree } = parseFilterExpression(
+      'window=3y AND cagr_median > 0.15 AND max_drawdown > -0.35 AND amc IN (\'HDFC\',\'SBI\')'
+    );
+
+    expect(compileFilter(tree)).toEqual({
+      sql: '(a.window_type = ? AND a.cagr_median > ? AND a.max_drawdown > ? AND f.amc IN (?, ?))',
+      params: ['3Y', 0.15, -0.35, 'HDFC', 'SBI'],
+    });
+  });
+
+  it('should keep quoted SQL inside the bound value', () => {
+    const { tree } = parseFilterExpression('amc = \'x\'\' OR 1=1 --\'');
+
+    expect(compileFilter(tree)).toEqual({ sql: 'f.amc = ?', params: ['x\' OR 1=1 --'] });
+  });
+
+  it('should reject unknown fields and mistyped values', () => {
+    expect(compileFilter(parseFilterExpression('password = 1').tree).error).toBe('Unknown field \'password\'');
+    expect(compileFilter(parseFilterExpression('cagr_median > max_drawdown').tree).error)
+      .toMatch(/must be compared with a number/);
+    expect(compileFilter(parseFilterExpression('sharpe_ratio LIKE \'1%\'').tree).error).toMatch(/LIKE/);
+    expect(compileFilter({ type: 'compare', field: 'amc', operator: '; DROP', value: 'x' }).error)
+      .toMatch(/Unsupported operator/);
+  });
+
+  it('should reject inherited object keys as fields', () => {
+    expect(compileFilter(parseFilterExpression('constructor = \'x\'').tree).error).toBe('Unknown field \'constructor\'');
+    expect(compileFilter(parseFilterExpression('__proto__ IS NULL').tree).error).toBe('Unknown field \'__proto__\'');
+  });
+});
+
+describe('compileSort', () => {
+  it('should sort missing values last and break ties by scheme and window', () => {
+    expect(compileSort([{ field: 'cagr_median', descending: true }, { field: 'amc', descending: false }])).toEqual({
+      sql: 'a.cagr_median IS NULL, a.cagr_median DESC, f.amc IS NULL, f.amc ASC, f.scheme_code ASC, a.window_type ASC',
+    });
+    expect(compileSort([{ field: 'cagr_median desc', descending: false }]).error).toMatch(/Unknown sort field/);
+    expect(compileSort([{ field: 'constructor', descending: false }]).error).toBe('Unknown sort field \'constructor\'');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Fund Search Tests
+ *
+ * Tests for query parsing, typo-tolerant token matching and ranking.
+ */
+
+import {
+  parseQuery,
+  editDistance,
+  matchToken,
+  buildSearchIndex,
+  searchFunds,
+} from '../src/services/searchService.js';
+
+const funds = [
+  { scheme_code: '118989', scheme_name: 'HDFC Mid-Cap Opportunities Fund - Direct Plan - Growth', amc: 'HDFC', category: 'Mid Cap Direct Growth' },
+  { scheme_code: '130503', scheme_name: 'HDFC Small Cap Fund - Direct Plan - Growth', amc: 'HDFC', category: 'Small Cap Direct Growth' },
+  { scheme_code: '120505', scheme_name: 'Axis Midcap Fund - Direct Plan - Growth', amc: 'Axis', category: 'Mid Cap Direct Growth' },
+  { scheme_code: '125354', scheme_name: 'Axis Small Cap Fund - Direct Plan - Growth', amc: 'Axis', category: 'Small Cap Direct Growth' },
+  { scheme_code: '120841', scheme_name: 'Kotak Emerging Equity Fund - Direct Plan - Growth', amc: 'Kotak', category: 'Mid Cap Direct Growth' },
+];
+
+const index = buildSearchIndex(funds);
+const codes = (query, limit) => searchFunds(index, query, limit).map(result => result.fund.scheme_code);
+
+describe('parseQuery', () => {
+  it('should tokenize and expand abbreviations', () => {
+    expect(parseQuery('HDFC mid-cap dir gr')).toEqual(['hdfc', 'mid', 'cap', 'direct', 'growth']);
+    expect(parseQuery('  ')).toEqual([]);
+  });
+});
+
+describe('editDistance', () => {
+  it('should count transpositions as one edit and stop above the limit', () => {
+    expect(editDistance('hdfc', 'hfdc', 1)).toBe(1);
+    expect(editDistance('midcap', 'midcpa', 1)).toBe(1);
+    expect(editDistance('kotak', 'axis', 2)).toBe(Infinity);
+  });
+});
+
+describe('matchToken', () => {
+  it('should prefer exact over prefix over typo matches', () => {
+    expect(matchToken('axis', 'axis')).toBe(1);
+    expect(matchToken('emer', 'emerging')).toBe(0.8);
+    expect(matchToken('kotka', 'kotak')).toBe(0.7);
+    expect(matchToken('emreg', 'emerging')).toBeCloseTo(0.55, 10);
+    expect(matchToken('ax', 'kotak')).toBe(0);
+  });
+});
+
+describe('searchFunds', () => {
+  it('should find a scheme from an abbreviated query', () => {
+    expect(codes('hdfc mid cap dir gr')[0]).toBe('118989');
+  });
+
+  it('should match either spelling of compound words', () => {
+    expect(codes('axis mid cap')).toEqual(['120505']);
+    expect(codes('hdfc midcap')).toEqual(['118989']);
+  });
+
+  it('should tolerate typos and partial words', () => {
+    expect(codes('kotka emerg')).toEqual(['120841']);
+    expect(codes('smal cap')).toEqual(['125354', '130503']);
+  });
+
+  it('should require every query token to match', () => {
+    expect(codes('axis kotak')).toEqual([]);
+    expect(codes('direct growth', 2)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * SIP & XIRR Tests
+ * 
+ * Tests for XIRR, NAV date helpers (holiday shifting) and SIP, SWP and STP simulation.
+ * Includes manual verification with known cash flows.
+ */
+
+import { calculateXIRR } from '../src/utils/xirr.js';
+import {
+  addMonths,
+  findNavIndexOnOrAfter,
+  findNavIndexOnOrBefore,
+} from '../src/utils/navSeries.js';
+import {
+  simulateSip,
+  simulateSwp,
+  simulateStp,
+  calculateRollingSipXirrs,
+} from '../src/services/sipService.js';
+
+/**
+ * Builds a daily NAV series (weekdays only) growing at a constant annual rate
+ */
+function buildNavSeries(startDate, endDate, annualRate, startNav = 100) {
+  const navHistory = [];
+  const start = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+
+  for (let d = new Date(start); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+    const weekday = d.getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+    const years = (d - start) / (1000 * 60 * 60 * 24 * 365);
+    navHistory.push({
+      date: d.toISOString().split('T')[0],
+      nav: startNav * Math.pow(1 + annualRate, years),
+    });
+  }
+
+  return navHistory;
+}
+
+describe('calculateXIRR', () => {
+  it('should match a simple one-year 10% return', () => {
+    const result = calculateXIRR([
+      { date: '2023-01-01', amount: -1000 },
+      { date: '2024-01-01', amount: 1100 },
+    ]);
+
+    expect(result).toBeCloseTo(0.1, 6);
+  });
+
+  it('should match the spreadsheet XIRR example', () => {
+    // Known example: XIRR ≈ 37.34%
+    const result = calculateXIRR([
+      { date: '2008-01-01', amount: -10000 },
+      { date: '2008-03-01', amount: 2750 },
+      { date: '2008-10-30', amount: 4250 },
+      { date: '2009-02-15', amount: 3250 },
+      { date: '2009-04-01', amount: 2750 },
+    ]);
+
+    expect(result).toBeCloseTo(0.3734, 3);
+  });
+
+  it('should handle losses', () => {
+    const result = calculateXIRR([
+      { date: '2023-01-01', amount: -1000 },
+      { date: '2024-01-01', amount: 800 },
+    ]);
+
+    expect(result).toBeCloseTo(-0.2, 6);
+  });
+
+  it('should return null when all cash flows have the same sign', () => {
+    expect(calculateXIRR([
+      { date: '2023-01-01', amount: -1000 },
+      { date: '2023-02-01', amount: -1000 },
+    ])).toBeNull();
+  });
+});
+
+describe('NAV Date Helpers', () => {
+  const navHistory = [
+    { date: '2024-01-05', nav: 10 }, // Friday
+    { date: '2024-01-08', nav: 11 }, // Monday
+    { date: '2024-01-09', nav: 12 },
+  ];
+
+  it('should shift weekend dates to the next NAV date', () => {
+    expect(navHistory[findNavIndexOnOrAfter(navHistory, '2024-01-06')].date).toBe('2024-01-08');
+    expect(findNavIndexOnOrAfter(navHistory, '2024-01-10')).toBe(-1);
+  });
+
+  it('should find the last NAV on or before a date', () => {
+    expect(navHistory[findNavIndexOnOrBefore(navHistory, '2024-01-07')].date).toBe('2024-01-05');
+    expect(navHistory[findNavIndexOnOrBefore(navHistory, '2024-01-09')].date).toBe('2024-01-09');
+    expect(findNavIndexOnOrBefore(navHistory, '2024-01-01')).toBe(-1);
+  });
+
+  it('should clamp month-end days when adding months', () => {
+    expect(addMonths('2024-01-31', 1)).toBe('2024-02-29');
+    expect(addMonths('2023-12-15', 2)).toBe('2024-02-15');
+  });
+});
+
+describe('simulateSip', () => {
+  it('should shift holiday installments and compute units and value', () => {
+    const navHistory = [
+      { date: '2024-01-01', nav: '10.0000' },
+      { date: '2024-02-02', nav: '20.0000' }, // 1st Feb had no NAV
+      { date: '2024-03-01', nav: '25.0000' },
+    ];
+
+    const result = simulateSip(navHistory, {
+      amount: 1000,
+      day: 1,
+      startDate: '2024-01-01',
+      endDate: '2024-03-01',
+    });
+
+    expect(result.installments.map(i => i.navDate)).toEqual(['2024-01-01', '2024-02-02', '2024-03-01']);
+    expect(result.totalInvested).toBe(3000);
+    // Units: 100 + 50 + 40 = 190, valued at 25
+    expect(result.totalUnits).toBeCloseTo(190, 8);
+    expect(result.currentValue).toBeCloseTo(4750, 6);
+    expect(result.absoluteGain).toBeCloseTo(1750, 6);
+    expect(result.xirr).toBeGreaterThan(0);
+  });
+
+  it('should give an XIRR equal to the growth rate for a steadily compounding fund', () => {
+    const navHistory = buildNavSeries('2020-01-01', '2023-01-31', 0.12);
+
+    const result = simulateSip(navHistory, {
+      amount: 5000,
+      day: 10,
+      startDate: '2020-01-01',
+      endDate: '2023-01-09',
+    });
+
+    expect(result.installments).toHaveLength(36);
+    expect(result.xirr).toBeCloseTo(0.12, 2);
+  });
+
+  it('should return null when no installment falls in range', () => {
+    const navHistory = [{ date: '2024-01-01', nav: 10 }];
+    const result = simulateSip(navHistory, {
+      amount: 1000, day: 15, startDate: '2024-01-01', endDate: '2024-01-10',
+    });
+    expect(result).toBeNull();
+  });
+});
+
+describe('simulateSwp', () => {
+  const navHistory = [
+    { date: '2024-01-01', nav: '10.0000' },
+    { date: '2024-02-05', nav: '10.0000' }, // 1st-4th Feb had no NAV
+    { date: '2024-03-01', nav: '20.0000' },
+    { date: '2024-04-01', nav: '20.0000' },
+    { date: '2024-05-02', nav: '25.0000' },
+  ];
+
+  it('should withdraw from the month after purchase and track the unit balance', () => {
+    const result = simulateSwp(navHistory, {
+      initialAmount: 10000,
+      amount: 1000,
+      day: 1,
+      startDate: '2024-01-01',
+      endDate: '2024-05-02',
+    });
+
+    expect(result.purchaseDate).toBe('2024-01-01');
+    expect(result.withdrawals.map(w => w.navDate)).toEqual(['2024-02-05', '2024-03-01', '2024-04-01', '2024-05-02']);
+    // 1000 units: -100, -50, -50, -40
+    expect(result.withdrawals.map(w => w.unitsBalance)).toEqual([900, 850, 800, 760]);
+    expect(result.totalWithdrawn).toBeCloseTo(4000, 8);
+    expect(result.finalValue).toBeCloseTo(19000, 6);
+    expect(result.depleted).toBe(false);
+    expect(result.depletionDate).toBeNull();
+    expect(result.monthsSustained).toBe(4);
+  });
+
+  it('should report when the corpus runs out', () => {
+    const result = simulateSwp(navHistory, {
+      initialAmount: 1800,
+      amount: 1000,
+      day: 1,
+      startDate: '2024-01-01',
+      endDate: '2024-05-02',
+    });
+
+    // 180 units: -100, -50, then only 30 units (600) left for the third
+    expect(result.withdrawals).toHaveLength(3);
+    expect(result.withdrawals[2].amount).toBeCloseTo(600, 8);
+    expect(result.depleted).toBe(true);
+    expect(result.depletionDate).toBe('2024-04-01');
+    expect(result.monthsSustained).toBe(2);
+    expect(result.finalValue).toBe(0);
+  });
+
+  it('should return null when the lump sum cannot be invested', () => {
+    expect(simulateSwp(navHistory, {
+      initialAmount: 1000, amount: 100, startDate: '2024-06-01', endDate: '2024-07-01',
+    })).toBeNull();
+  });
+});
+
+describe('simulateStp', () => {
+  const debt = [
+    { date: '2024-01-01', nav: '100.0000' },
+    { date: '2024-02-01', nav: '100.0000' },
+    { date: '2024-03-01', nav: '100.0000' },
+    { date: '2024-04-01', nav: '100.0000' },
+  ];
+  const equity = [
+    { date: '2024-01-01', nav: '10.0000' },
+    { date: '2024-02-02', nav: '20.0000' }, // No equity NAV on 1st Feb
+    { date: '2024-03-01', nav: '25.0000' },
+    { date: '2024-04-01', nav: '50.0000' },
+  ];
+
+  it('should move the lump sum into the target fund month by month', () => {
+    const result = simulateStp(debt, equity, {
+      initialAmount: 3000,
+      amount: 1000,
+      day: 1,
+      startDate: '2024-01-01',
+      endDate: '2024-04-01',
+    });
+
+    expect(result.transfers.map(t => t.targetNavDate)).toEqual(['2024-02-02', '2024-03-01', '2024-04-01']);
+    // Equity units: 50 + 40 + 20 = 110
+    expect(result.target.units).toBeCloseTo(110, 8);
+    expect(result.source.units).toBeCloseTo(0, 8);
+    expect(result.finalValue).toBeCloseTo(5500, 6);
+    expect(result.depleted).toBe(true);
+    expect(result.depletionDate).toBe('2024-04-01');
+  });
+
+  it('should keep the rest in the source fund when the plan is still running', () => {
+    const result = simulateStp(debt, equity, {
+      initialAmount: 10000,
+      amount: 1000,
+      day: 1,
+      startDate: '2024-01-01',
+      endDate: '2024-03-15',
+    });
+
+    expect(result.transfers).toHaveLength(2);
+    expect(result.totalTransferred).toBeCloseTo(2000, 8);
+    expect(result.source.value).toBeCloseTo(8000, 6);
+    expect(result.target.value).toBeCloseTo(90 * 25, 6);
+    expect(result.depleted).toBe(false);
+  });
+});
+
+describe('calculateRollingSipXirrs', () => {
+  it('should compute one XIRR per starting month with a full window', () => {
+    const navHistory = buildNavSeries('2020-01-01', '2022-12-31', 0.1);
+
+    const xirrs = calculateRollingSipXirrs(navHistory, 12);
+
+    // Last NAV is Fri 2022-12-30, so the Jan-2022 SIP (ending 2022-12-31)
+    // is incomplete: starts Jan-2020 .. Dec-2021 = 24 SIPs
+    expect(xirrs).toHaveLength(24);
+    xirrs.forEach(xirr => expect(xirr).toBeCloseTo(0.1, 1));
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Analytics Snapshot Tests
+ * 
+ * Tests for the snapshot retention policy and category rank history.
+ */
+
+import {
+  calculateRetentionCutoffs,
+  selectSnapshotsToPrune,
+  calculateRankHistory,
+} from '../src/services/snapshotService.js';
+
+describe('calculateRetentionCutoffs', () => {
+  it('should keep daily snapshots for the daily window and month-ends beyond it', () => {
+    const cutoffs = calculateRetentionCutoffs('2024-03-31', {
+      dailyRetentionDays: 90,
+      monthlyRetentionDays: 366,
+    });
+
+    expect(cutoffs).toEqual({
+      dailyCutoff: '2024-01-01',
+      monthlyCutoff: '2023-03-31',
+    });
+  });
+
+  it('should never delete snapshots still inside the daily window', () => {
+    const cutoffs = calculateRetentionCutoffs('2024-03-31', {
+      dailyRetentionDays: 90,
+      monthlyRetentionDays: 30,
+    });
+
+    expect(cutoffs.monthlyCutoff).toBe(cutoffs.dailyCutoff);
+  });
+});
+
+describe('selectSnapshotsToPrune', () => {
+  const cutoffs = { dailyCutoff: '2024-01-15', monthlyCutoff: '2023-01-01' };
+  const snapshot = (id, date, schemeCode = 'A', windowType = '1Y') => ({
+    id, scheme_code: schemeCode, window_type: windowType, snapshot_date: date,
+  });
+
+  it('should keep only the last snapshot of each month before the daily cutoff', () => {
+    const ids = selectSnapshotsToPrune([
+      snapshot(1, '2023-11-10'),
+      snapshot(2, '2023-11-29'),
+      snapshot(3, '2023-12-31'),
+      snapshot(4, '2024-01-14'),
+      snapshot(5, '2024-01-15'),
+    ], cutoffs);
+
+    expect(ids).toEqual([1, 4]);
+  });
+
+  it('should judge month-ends per scheme and window', () => {
+    const ids = selectSnapshotsToPrune([
+      snapshot(1, '2023-11-10', 'A', '1Y'),
+      snapshot(2, '2023-11-20', 'A', '1Y'),
+      snapshot(3, '2023-11-10', 'A', '3Y'),
+      snapshot(4, '2023-11-10', 'B', '1Y'),
+    ], cutoffs);
+
+    expect(ids).toEqual([1]);
+  });
+
+  it('should delete everything before the monthly cutoff, month-ends included', () => {
+    const ids = selectSnapshotsToPrune([
+      snapshot(1, '2022-12-31'),
+      snapshot(2, '2023-01-31'),
+    ], cutoffs);
+
+    expect(ids).toEqual([1]);
+  });
+});
+
+describe('calculateRankHistory', () => {
+  const rows = [
+    { snapshot_date: '2024-02-01', scheme_code: 'A', metric_value: '0.1000' },
+    { snapshot_date: '2024-02-01', scheme_code: 'B', metric_value: '0.2000' },
+    { snapshot_date: '2024-02-01', scheme_code: 'C', metric_value: '0.2000' },
+    { snapshot_date: '2024-01-01', scheme_code: 'A', metric_value: '0.3000' },
+    { snapshot_date: '2024-01-01', scheme_code: 'B', metric_value: '0.2000' },
+    { snapshot_date: '2024-03-01', scheme_code: 'B', metric_value: '0.2000' },
+  ];
+
+  it('should rank the scheme on each of its snapshot dates, oldest first', () => {
+    expect(calculateRankHistory(rows, 'A', false)).toEqual([
+      { snapshot_date: '2024-01-01', rank_position: 1, total_funds: 2, metric_value: '0.3000' },
+      { snapshot_date: '2024-02-01', rank_position: 3, total_funds: 3, metric_value: '0.1000' },
+    ]);
+  });
+
+  it('should share ranks between ties and honour lower-is-better metrics', () => {
+    expect(calculateRankHistory(rows, 'C', false)[0]).toMatchObject({ rank_position: 1, total_funds: 3 });
+    expect(calculateRankHistory(rows, 'A', true).map(row => row.rank_position)).toEqual([2, 1]);
+  });
+});
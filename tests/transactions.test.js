@@ -0,0 +1,147 @@
+/**
+ * Transactions Ledger Tests
+ * 
+ * Tests for transaction validation, amount/units/NAV completion,
+ * FIFO lots, realised/unrealised gains and XIRR.
+ */
+
+import {
+  normalizeTransaction,
+  completeAmounts,
+  buildLedger,
+  valueHoldings,
+  findOversold,
+} from '../src/services/transactionService.js';
+
+describe('normalizeTransaction', () => {
+  it('should accept CSV-style values', () => {
+    const { transaction } = normalizeTransaction({
+      date: '05-Jan-2024',
+      type: 'SIP',
+      scheme_code: '119598',
+      amount: '5,000',
+      units: '',
+      nav: '',
+    });
+
+    expect(transaction).toMatchObject({
+      date: '2024-01-05',
+      type: 'sip',
+      schemeCode: '119598',
+      amount: 5000,
+      units: null,
+      nav: null,
+    });
+  });
+
+  it('should require amount or units and a target fund for switches', () => {
+    const { errors } = normalizeTransaction({ date: '2024-01-05', type: 'switch', scheme_code: '1' });
+
+    expect(errors).toEqual([
+      'amount or units is required',
+      'to_scheme_code is required for a switch',
+    ]);
+  });
+
+  it('should reject unknown types and bad numbers', () => {
+    const { errors } = normalizeTransaction({ date: 'soon', type: 'gift', scheme_code: '1', amount: -5 });
+
+    expect(errors).toHaveLength(3);
+  });
+
+  it('should reject dates that do not exist on the calendar', () => {
+    for (const date of ['2024-02-31', '45-13-2024', '29-Feb-2023']) {
+      const { errors } = normalizeTransaction({ date, type: 'buy', scheme_code: '1', amount: 1000, nav: 10 });
+
+      expect(errors).toEqual(['date is required (YYYY-MM-DD, DD-MM-YYYY or DD-Mon-YYYY)']);
+    }
+  });
+});
+
+describe('completeAmounts', () => {
+  it('should derive the missing value from the other two', () => {
+    expect(completeAmounts({ amount: 1000, units: null, nav: 25 })).toEqual({ amount: 1000, units: 40, nav: 25 });
+    expect(completeAmounts({ amount: null, units: 10, nav: 12.5 })).toEqual({ amount: 125, units: 10, nav: 12.5 });
+    expect(completeAmounts({ amount: 1000, units: 50, nav: null })).toEqual({ amount: 1000, units: 50, nav: 20 });
+  });
+
+  it('should use the market NAV when only the amount is given', () => {
+    expect(completeAmounts({ amount: 1000, units: null, nav: null }, 40)).toEqual({ amount: 1000, units: 25, nav: 40 });
+    expect(completeAmounts({ amount: 1000, units: null, nav: null }, null)).toBeNull();
+  });
+});
+
+describe('buildLedger', () => {
+  const rows = [
+    { schemeCode: 'A', type: 'buy', date: '2023-01-02', amount: 1000, units: 100, nav: 10 },
+    { schemeCode: 'A', type: 'sip', date: '2023-02-01', amount: 1200, units: 100, nav: 12 },
+    { schemeCode: 'A', type: 'sell', date: '2023-06-01', amount: 2250, units: 150, nav: 15 },
+  ];
+
+  it('should consume the oldest lots first', () => {
+    const { holdings, oversold } = buildLedger(rows);
+    const holding = holdings.A;
+
+    expect(oversold).toEqual([]);
+    expect(holding.units).toBeCloseTo(50, 10);
+    expect(holding.lots).toHaveLength(1);
+    expect(holding.lots[0]).toMatchObject({ date: '2023-02-01', nav: 12 });
+    expect(holding.lots[0].cost).toBeCloseTo(600, 10);
+    expect(holding.costBasis).toBeCloseTo(600, 10);
+
+    // 100 units from the first lot (cost 1000) and 50 from the second (cost 600)
+    expect(holding.disposals.map(d => d.purchaseDate)).toEqual(['2023-01-02', '2023-02-01']);
+    expect(holding.disposals[0].gain).toBeCloseTo(500, 10);
+    expect(holding.disposals[1].gain).toBeCloseTo(150, 10);
+    expect(holding.realisedGain).toBeCloseTo(650, 10);
+  });
+
+  it('should flag redemptions of more units than held', () => {
+    const { oversold } = buildLedger([
+      rows[0],
+      { schemeCode: 'A', type: 'switch_out', date: '2023-03-01', amount: 1500, units: 120, nav: 12.5 },
+    ]);
+
+    expect(oversold).toEqual([{ schemeCode: 'A', date: '2023-03-01', units: 120, available: 100 }]);
+  });
+});
+
+describe('findOversold', () => {
+  const stored = [
+    { id: 1, scheme_code: 'A', scheme_name: 'Fund A', transaction_type: 'buy', transaction_date: '2023-01-01', amount: '1000.00', units: '100.0000', nav: '10.0000' },
+    { id: 2, scheme_code: 'A', scheme_name: 'Fund A', transaction_type: 'sell', transaction_date: '2023-02-01', amount: '660.00', units: '60.0000', nav: '11.0000' },
+  ];
+
+  it('should check new redemptions against the stored ledger', () => {
+    const sell = { schemeCode: 'A', type: 'sell', date: '2023-03-01', amount: 600, units: 50, nav: 12 };
+
+    expect(findOversold(stored, [sell])).toEqual([{ schemeCode: 'A', date: '2023-03-01', units: 50, available: 40 }]);
+    expect(findOversold(stored, [{ ...sell, units: 40 }])).toEqual([]);
+  });
+
+  it('should place backdated transactions in date order', () => {
+    const backdatedSell = { schemeCode: 'A', type: 'sell', date: '2022-12-01', amount: 100, units: 10, nav: 10 };
+
+    expect(findOversold(stored, [backdatedSell])).toEqual([{ schemeCode: 'A', date: '2022-12-01', units: 10, available: 0 }]);
+  });
+});
+
+describe('valueHoldings', () => {
+  it('should value holdings at the latest NAV and compute XIRR', () => {
+    const { holdings } = buildLedger([
+      { schemeCode: 'A', type: 'buy', date: '2023-01-01', amount: 1000, units: 100, nav: 10 },
+    ]);
+
+    const result = valueHoldings(holdings, {
+      A: { scheme_name: 'Fund A', latest_nav: '11.0000', latest_nav_date: '2024-01-01' },
+    });
+
+    const [holding] = result.holdings;
+    expect(holding.currentValue).toBeCloseTo(1100, 10);
+    expect(holding.unrealisedGain).toBeCloseTo(100, 10);
+    // 10% over exactly 365 days
+    expect(holding.xirr).toBeCloseTo(0.1, 6);
+    expect(result.summary.xirr).toBeCloseTo(0.1, 6);
+    expect(result.summary.valuationDate).toBe('2024-01-01');
+  });
+});